@@ -9,14 +9,56 @@
  * @author Goliath Security Systems
  */
 
+import { resolveSiteModel } from './site-model.js';
+import { FEEDBACK_TYPES } from './feedback-coordinator.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long until a norm nothing reinforces has moved halfway back to neutral
+const DEFAULT_NORM_HALF_LIVES = {
+  behavioral: 30 * DAY_MS,
+  temporal: 21 * DAY_MS,
+  spatial: 30 * DAY_MS,
+  contextual: 14 * DAY_MS,
+  environmental: 7 * DAY_MS
+};
+
+// Hours and behaviors that make a context high-risk for relaxing feedback
+const HIGH_RISK_HOURS = [22, 23, 0, 1, 2, 3, 4, 5];
+const HIGH_RISK_BEHAVIORS = ['loitering', 'checking_doors', 'forced_entry', 'forcing_entry', 'climbing', 'tampering'];
+
+// Base reliability of feedback by the role of the user giving it
+const ROLE_RELIABILITY = {
+  operator: 0.9,
+  admin: 0.75,
+  resident: 0.65,
+  guest: 0.45
+};
+
+function timeCategoryFor(hour) {
+  if (hour >= 22 || hour <= 5) return 'night';
+  if (hour <= 8) return 'morning';
+  if (hour <= 16) return 'day';
+  return 'evening';
+}
+
+/**
+ * Location and time of day a feedback applies to, e.g. 'back_door|night'
+ */
+function feedbackContextKey(contextualData = {}) {
+  const location = contextualData.spatialContext?.location || 'unknown';
+  const hour = contextualData.temporalContext?.hour;
+  return `${location}|${typeof hour === 'number' ? timeCategoryFor(hour) : 'anytime'}`;
+}
+
 class AdaptiveLearningSystem {
   constructor(config) {
     this.config = config;
     
     // Core learning components
-    this.normUpdater = new NormUpdater();
+    this.normUpdater = new NormUpdater(config);
     this.patternEvolver = new PatternEvolver();
-    this.feedbackProcessor = new FeedbackProcessor();
+    this.feedbackProcessor = new FeedbackProcessor(config);
     this.environmentalAdapter = new EnvironmentalAdapter();
     
     // Learning state management
@@ -24,11 +66,24 @@ class AdaptiveLearningSystem {
     this.adaptationHistory = new Map();
     this.performanceMetrics = new PerformanceMetrics();
     
+    // Reversible record of what each feedback/norm update changed, and rollbacks applied
+    this.learningDeltas = new Map();
+    this.maxLearningDeltas = config.maxLearningDeltas || 1000;
+    this.rollbackHistory = [];
+    
+    // Relaxing feedback for high-risk contexts waits here until corroborated
+    this.quarantine = new FeedbackQuarantine(config.learningQuarantine, resolveSiteModel(config));
+    
     // Learning parameters
     this.learningRate = config.learningRate || 0.1;
     this.adaptationThreshold = config.adaptationThreshold || 0.05;
     this.forgettingFactor = config.forgettingFactor || 0.95;
     
+    // Time-based decay of learned norms toward neutral
+    this.normHalfLives = { ...DEFAULT_NORM_HALF_LIVES, ...config.normHalfLives };
+    this.normDecayIntervalMs = config.normDecayIntervalMs || 60 * 60 * 1000;
+    this.normDecayTimer = null;
+    
     // Norm categories for different types of learning
     this.normCategories = {
       behavioral: new BehavioralNorms(),
@@ -46,10 +101,14 @@ class AdaptiveLearningSystem {
   }
 
   /**
-   * Process feedback and update learning models
+   * Process feedback and update learning models. Feedback that would lower
+   * suspicion in a high-risk context is held in quarantine until enough
+   * consistent feedback or a trusted source corroborates it. Callers that
+   * screened the feedback themselves pass `screened: true`, and may pass the
+   * `learningId` to record it under.
    */
   async processFeedback(assessmentId, feedback, contextualData) {
-    const learningId = this._generateLearningId();
+    const learningId = feedback?.learningId || this._generateLearningId();
     const startTime = performance.now();
     
     try {
@@ -60,88 +119,55 @@ class AdaptiveLearningSystem {
         contextualData
       );
       
-      // Step 2: Update behavioral norms
-      const behavioralUpdates = await this.normUpdater.updateBehavioralNorms(
-        processedFeedback,
-        contextualData
-      );
-      
-      // Step 3: Evolve pattern recognition
-      const patternUpdates = await this.patternEvolver.evolvePatterns(
-        processedFeedback,
-        behavioralUpdates
-      );
-      
-      // Step 4: Adapt to environmental changes
-      const environmentalUpdates = await this.environmentalAdapter.adaptToEnvironment(
-        processedFeedback,
-        contextualData
-      );
-      
-      // Step 5: Update learning state
-      const stateUpdate = await this.learningState.updateState(
-        processedFeedback,
-        behavioralUpdates,
-        patternUpdates,
-        environmentalUpdates
-      );
-      
-      // Step 6: Calculate learning impact
-      const learningImpact = await this._calculateLearningImpact(
-        behavioralUpdates,
-        patternUpdates,
-        environmentalUpdates
-      );
-      
-      const processingTime = performance.now() - startTime;
-      
-      const learningResult = {
-        learningId,
-        assessmentId,
-        timestamp: Date.now(),
-        
-        // Feedback processing results
-        processedFeedback,
-        
-        // Learning updates
-        behavioralUpdates,
-        patternUpdates,
-        environmentalUpdates,
-        stateUpdate,
-        
-        // Learning metrics
-        learningImpact,
-        adaptationStrength: this._calculateAdaptationStrength(learningImpact),
-        confidenceChange: this._calculateConfidenceChange(processedFeedback),
+      const screening = feedback?.screened
+        ? { action: 'apply', released: [], rejected: [] }
+        : this.quarantine.screen(learningId, assessmentId, processedFeedback, contextualData);
+      if (screening.action === 'hold') {
+        this._markChanged({
+          type: 'feedback_quarantined',
+          learningId,
+          assessmentId,
+          contextKey: screening.contextKey,
+          timestamp: Date.now()
+        });
         
-        // Performance tracking
-        processingTime,
-        learningEfficiency: this._calculateLearningEfficiency(learningImpact, processingTime)
-      };
-      
-      // Store adaptation history
-      this.adaptationHistory.set(learningId, learningResult);
-      
-      // Update performance metrics
-      this.performanceMetrics.recordLearning(learningResult);
+        return {
+          learningId,
+          assessmentId,
+          timestamp: Date.now(),
+          processedFeedback,
+          quarantined: true,
+          quarantine: {
+            contextKey: screening.contextKey,
+            riskFactors: screening.riskFactors,
+            corroborations: screening.corroborations,
+            required: screening.required
+          }
+        };
+      }
       
-      // Mark as changed for auto-save
-      this._markChanged({
-        type: 'feedback_processed',
-        learningId,
-        assessmentId,
-        hasSignificantChange: learningResult.adaptationStrength > 0.5,
-        source: contextualData?.source || 'user',
-        timestamp: Date.now()
-      });
+      // Held feedback this one corroborates is applied first, oldest first
+      const released = [];
+      for (const held of screening.released) {
+        await this._applyFeedback(held.learningId, held.assessmentId, held.processedFeedback, held.contextualData, performance.now());
+        released.push(held.learningId);
+      }
       
-      return learningResult;
+      const learningResult = await this._applyFeedback(learningId, assessmentId, processedFeedback, contextualData, startTime);
+      return { ...learningResult, quarantined: false, released, rejected: screening.rejected };
       
     } catch (error) {
       throw new Error(`Adaptive learning failed: ${error.message}`);
     }
   }
 
+  /**
+   * Feedback currently held in quarantine, with running totals
+   */
+  getQuarantinedFeedback() {
+    return this.quarantine.getState();
+  }
+
   /**
    * Continuously update norms based on observed patterns
    */
@@ -154,14 +180,22 @@ class AdaptiveLearningSystem {
       
       // Update each norm category
       const normUpdates = {};
+      const normChanges = [];
       
       for (const [category, normManager] of Object.entries(this.normCategories)) {
+        const before = new Map(normManager.norms);
         normUpdates[category] = await normManager.updateNorms(
           recentObservations,
           observationData,
           this.learningRate
         );
+        for (const [key, after] of normManager.norms) {
+          if (before.get(key) !== after) {
+            normChanges.push({ target: 'norm', category, key, before: before.has(key) ? before.get(key) : null, after });
+          }
+        }
       }
+      this._recordDelta(updateId, 'norm_update', Date.now(), normChanges);
       
       // Calculate overall norm drift
       const normDrift = this._calculateNormDrift(normUpdates);
@@ -183,6 +217,49 @@ class AdaptiveLearningSystem {
     }
   }
 
+  /**
+   * Let every learned norm fade toward neutral by its category's half-life,
+   * measured from when the norm was last reinforced or decayed. Norms that
+   * end up indistinguishable from neutral are forgotten.
+   * @param {number} [now] - Decay up to this time
+   * @returns {Object} { timestamp, decayed, forgotten, categories: { [category]: { decayed, forgotten } } }
+   */
+  decayNorms(now = Date.now()) {
+    const result = { timestamp: now, decayed: 0, forgotten: 0, categories: {} };
+    
+    for (const [category, normManager] of Object.entries(this.normCategories)) {
+      const counts = normManager.decay(this.normHalfLives[category], now);
+      result.categories[category] = counts;
+      result.decayed += counts.decayed;
+      result.forgotten += counts.forgotten;
+    }
+    
+    if (result.decayed > 0) {
+      this._markChanged({ type: 'norms_decayed', decayed: result.decayed, forgotten: result.forgotten, timestamp: now });
+    }
+    return result;
+  }
+
+  /**
+   * Run decayNorms every `intervalMs` until stopNormDecay()
+   */
+  startNormDecay(intervalMs = this.normDecayIntervalMs) {
+    this.stopNormDecay();
+    this.normDecayTimer = setInterval(() => this.decayNorms(), intervalMs);
+    
+    // Decay should never keep the host process alive
+    if (typeof this.normDecayTimer.unref === 'function') {
+      this.normDecayTimer.unref();
+    }
+  }
+
+  stopNormDecay() {
+    if (this.normDecayTimer) {
+      clearInterval(this.normDecayTimer);
+      this.normDecayTimer = null;
+    }
+  }
+
   /**
    * Get current learning insights and performance
    */
@@ -210,6 +287,50 @@ class AdaptiveLearningSystem {
     return norms;
   }
 
+  /**
+   * Undo one feedback or norm update. Values nothing has touched since are
+   * restored exactly; norms that later learning moved get the change
+   * subtracted instead.
+   * @param {string} learningId - learningId from processFeedback or updateId from updateNormsContinuously
+   * @param {Object} [options] - { reason }
+   * @returns {Object} Audit record of the rollback
+   */
+  revertLearning(learningId, options = {}) {
+    const delta = this.learningDeltas.get(learningId);
+    if (!delta) {
+      // Still in quarantine: discarding it is the whole undo
+      if (this.quarantine.discard(learningId)) {
+        return this._auditRollback({ learningId }, [], options.reason, [learningId]);
+      }
+      throw new Error(`No reversible learning recorded for ${learningId}`);
+    }
+    if (delta.revertedAt) {
+      throw new Error(`Learning ${learningId} was already reverted`);
+    }
+    
+    return this._auditRollback({ learningId }, [delta], options.reason);
+  }
+
+  /**
+   * Undo every feedback and norm update recorded at or after `timestamp`,
+   * newest first
+   * @param {number} timestamp
+   * @param {Object} [options] - { reason }
+   * @returns {Object} Audit record of the rollback
+   */
+  rollbackLearningSince(timestamp, options = {}) {
+    const deltas = Array.from(this.learningDeltas.values())
+      .filter(delta => delta.timestamp >= timestamp && !delta.revertedAt)
+      .reverse();
+    const discarded = this.quarantine.discardSince(timestamp);
+    
+    return this._auditRollback({ since: timestamp }, deltas, options.reason, discarded);
+  }
+
+  getRollbackHistory() {
+    return [...this.rollbackHistory];
+  }
+
   /**
    * Validate learning effectiveness
    */
@@ -352,6 +473,192 @@ class AdaptiveLearningSystem {
     return stabilityScores.reduce((sum, score) => sum + score, 0) / stabilityScores.length;
   }
 
+  async _applyFeedback(learningId, assessmentId, processedFeedback, contextualData, startTime) {
+    const patternsBefore = this._snapshotPatterns();
+    
+    // Step 2: Update behavioral norms
+    const behavioralUpdates = await this.normUpdater.updateBehavioralNorms(
+      processedFeedback,
+      contextualData
+    );
+    
+    // Step 3: Evolve pattern recognition
+    const patternUpdates = await this.patternEvolver.evolvePatterns(
+      processedFeedback,
+      behavioralUpdates
+    );
+    
+    // Step 4: Adapt to environmental changes
+    const environmentalUpdates = await this.environmentalAdapter.adaptToEnvironment(
+      processedFeedback,
+      contextualData,
+      behavioralUpdates.allowance
+    );
+    
+    // Step 5: Update learning state
+    const stateUpdate = await this.learningState.updateState(
+      processedFeedback,
+      behavioralUpdates,
+      patternUpdates,
+      environmentalUpdates
+    );
+    
+    // Step 6: Calculate learning impact
+    const learningImpact = await this._calculateLearningImpact(
+      behavioralUpdates,
+      patternUpdates,
+      environmentalUpdates
+    );
+    
+    const processingTime = performance.now() - startTime;
+    
+    const learningResult = {
+      learningId,
+      assessmentId,
+      timestamp: Date.now(),
+      
+      // Feedback processing results
+      processedFeedback,
+      
+      // Learning updates
+      behavioralUpdates,
+      patternUpdates,
+      environmentalUpdates,
+      stateUpdate,
+      
+      // Learning metrics
+      learningImpact,
+      adaptationStrength: this._calculateAdaptationStrength(learningImpact),
+      confidenceChange: this._calculateConfidenceChange(processedFeedback),
+      
+      // Performance tracking
+      processingTime,
+      learningEfficiency: this._calculateLearningEfficiency(learningImpact, processingTime)
+    };
+    
+    // Store adaptation history
+    this.adaptationHistory.set(learningId, learningResult);
+    const drift = behavioralUpdates.drift;
+    const driftChanges = drift && drift.after !== drift.before ? [{ target: 'drift', ...drift }] : [];
+    this._recordDelta(learningId, 'feedback', learningResult.timestamp, [...driftChanges, ...this._diffPatterns(patternsBefore)]);
+    
+    // Update performance metrics
+    this.performanceMetrics.recordLearning(learningResult);
+    
+    // Mark as changed for auto-save
+    this._markChanged({
+      type: 'feedback_processed',
+      learningId,
+      assessmentId,
+      hasSignificantChange: learningResult.adaptationStrength > 0.5,
+      source: contextualData?.source || 'user',
+      timestamp: Date.now()
+    });
+    
+    return learningResult;
+  }
+
+  _snapshotPatterns() {
+    return {
+      patterns: new Map(Array.from(this.patternEvolver.patternLibrary, ([signature, pattern]) => [signature, { ...pattern }])),
+      rules: new Map(this.environmentalAdapter.adaptationRules)
+    };
+  }
+
+  _diffPatterns(before) {
+    const changes = [];
+    const library = this.patternEvolver.patternLibrary;
+    for (const signature of new Set([...before.patterns.keys(), ...library.keys()])) {
+      const previous = before.patterns.get(signature) || null;
+      const current = library.get(signature) || null;
+      if (!previous || !current || previous.confidence !== current.confidence) {
+        changes.push({ target: 'pattern', key: signature, before: previous, after: current && { ...current } });
+      }
+    }
+    for (const [trigger, rule] of this.environmentalAdapter.adaptationRules) {
+      if (before.rules.get(trigger) !== rule) {
+        changes.push({ target: 'rule', key: trigger, before: before.rules.get(trigger) || null, after: rule });
+      }
+    }
+    return changes;
+  }
+
+  _recordDelta(id, kind, timestamp, changes) {
+    if (changes.length === 0) return;
+    this.learningDeltas.set(id, { id, kind, timestamp, changes, revertedAt: null });
+    if (this.learningDeltas.size > this.maxLearningDeltas) {
+      this.learningDeltas.delete(this.learningDeltas.keys().next().value);
+    }
+  }
+
+  _revertDelta(delta) {
+    const restored = { norms: 0, patterns: 0, rules: 0 };
+    const library = this.patternEvolver.patternLibrary;
+    const rules = this.environmentalAdapter.adaptationRules;
+    
+    for (const change of [...delta.changes].reverse()) {
+      if (change.target === 'norm') {
+        const norms = this.normCategories[change.category]?.norms;
+        if (!norms) continue;
+        const current = norms.get(change.key);
+        if (current === change.after) {
+          if (change.before === null) norms.delete(change.key);
+          else norms.set(change.key, change.before);
+        } else if (typeof current === 'number') {
+          // Later updates moved this norm; take back only this update's share
+          norms.set(change.key, current - (change.after - (change.before ?? 0.5)));
+        }
+        restored.norms++;
+      } else if (change.target === 'pattern') {
+        const current = library.get(change.key);
+        if (!change.before) {
+          library.delete(change.key);
+        } else if (!change.after) {
+          if (!current) library.set(change.key, { ...change.before });
+        } else if (current) {
+          current.confidence = Math.max(0, Math.min(1, current.confidence - (change.after.confidence - change.before.confidence)));
+        }
+        restored.patterns++;
+      } else if (change.target === 'rule') {
+        // Leave rules that later feedback replaced
+        if (rules.get(change.key) !== change.after) continue;
+        if (change.before) rules.set(change.key, change.before);
+        else rules.delete(change.key);
+        restored.rules++;
+      } else if (change.target === 'drift') {
+        const drift = this.normUpdater.contextDrift;
+        drift.set(change.key, (drift.get(change.key) || 0) - (change.after - change.before));
+        restored.norms++;
+      }
+    }
+    
+    delta.revertedAt = Date.now();
+    const learningResult = this.adaptationHistory.get(delta.id);
+    if (learningResult) learningResult.revertedAt = delta.revertedAt;
+    return restored;
+  }
+
+  _auditRollback(scope, deltas, reason = null, discarded = []) {
+    const restored = { norms: 0, patterns: 0, rules: 0 };
+    for (const delta of deltas) {
+      const counts = this._revertDelta(delta);
+      Object.keys(restored).forEach(key => { restored[key] += counts[key]; });
+    }
+    
+    const audit = {
+      rollbackId: `rollback-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`,
+      timestamp: Date.now(),
+      scope,
+      learningIds: [...deltas.map(delta => delta.id), ...discarded],
+      restored,
+      reason
+    };
+    this.rollbackHistory.push(audit);
+    
+    this._markChanged({ type: 'learning_rolled_back', rollbackId: audit.rollbackId, reverted: audit.learningIds.length, timestamp: audit.timestamp });
+    return audit;
+  }
+
   _generateLearningId() {
     return `learning-${Date.now()}-${Math.random().toString(36).substr(2, 8)}`;
   }
@@ -378,6 +685,11 @@ class AdaptiveLearningSystem {
     return {
       learningState: this.learningState.getState ? this.learningState.getState() : {},
       adaptationHistory: Array.from(this.adaptationHistory.entries()),
+      learningDeltas: Array.from(this.learningDeltas.entries()),
+      rollbackHistory: this.rollbackHistory,
+      quarantine: this.quarantine.getSaveState(),
+      feedbackProcessor: this.feedbackProcessor.getState(),
+      contextDrift: Array.from(this.normUpdater.contextDrift.entries()),
       performanceMetrics: this.performanceMetrics.getState ? this.performanceMetrics.getState() : {},
       learningRate: this.learningRate,
       adaptationThreshold: this.adaptationThreshold,
@@ -409,6 +721,18 @@ class AdaptiveLearningSystem {
     if (savedState.adaptationHistory) {
       this.adaptationHistory = new Map(savedState.adaptationHistory);
     }
+    if (savedState.learningDeltas) {
+      this.learningDeltas = new Map(savedState.learningDeltas);
+    }
+    if (savedState.rollbackHistory) {
+      this.rollbackHistory = [...savedState.rollbackHistory];
+    }
+    if (savedState.quarantine) {
+      this.quarantine.restoreFromSave(savedState.quarantine);
+    }
+    if (savedState.contextDrift) {
+      this.normUpdater.contextDrift = new Map(savedState.contextDrift);
+    }
 
     // Restore component states if they support it
     const restorePromises = [];
@@ -417,6 +741,10 @@ class AdaptiveLearningSystem {
       restorePromises.push(this.learningState.restoreState(savedState.learningState));
     }
 
+    if (savedState.feedbackProcessor) {
+      restorePromises.push(this.feedbackProcessor.restoreState(savedState.feedbackProcessor));
+    }
+
     if (savedState.performanceMetrics && this.performanceMetrics.restoreState) {
       restorePromises.push(this.performanceMetrics.restoreState(savedState.performanceMetrics));
     }
@@ -452,27 +780,43 @@ class AdaptiveLearningSystem {
  * Updates behavioral and contextual norms based on feedback
  */
 class NormUpdater {
+  constructor(config = {}) {
+    // Furthest feedback may move one context's norms in either direction
+    this.maxContextDrift = config.maxContextDrift ?? 0.3;
+    this.contextDrift = new Map(); // context key -> signed total (relax < 0 < tighten)
+  }
+
+  /**
+   * The returned `allowance` (0-1) is the share of the adjustment the
+   * context's drift budget let through; pattern and rule changes from the
+   * same feedback are scaled by it
+   */
   async updateBehavioralNorms(processedFeedback, contextualData) {
     const updates = {
       changes: [],
       confidence: 0,
-      impact: 0
+      impact: 0,
+      allowance: 1
     };
     
     // Update based on feedback accuracy
     if (processedFeedback.accurate === false) {
       // Incorrect prediction - adjust norms
-      const adjustment = this._calculateNormAdjustment(processedFeedback, contextualData);
+      const requested = this._calculateNormAdjustment(processedFeedback, contextualData);
+      const adjustment = this._capContextDrift(requested, contextualData);
       
       updates.changes.push({
         type: 'behavioral_baseline',
         description: 'Adjusted behavioral baseline based on feedback',
         magnitude: adjustment.magnitude,
         direction: adjustment.direction,
-        reasoning: adjustment.reasoning
+        reasoning: adjustment.reasoning,
+        capped: adjustment.capped
       });
       
       updates.impact = adjustment.magnitude;
+      updates.allowance = requested.magnitude > 0 ? adjustment.magnitude / requested.magnitude : 1;
+      if (adjustment.drift) updates.drift = adjustment.drift;
     }
     
     // Update confidence based on feedback pattern
@@ -504,6 +848,33 @@ class NormUpdater {
     return { magnitude, direction, reasoning };
   }
 
+  /**
+   * Shrink an adjustment so the context's total drift stays within maxContextDrift
+   */
+  _capContextDrift(adjustment, contextualData) {
+    const sign = { relax: -1, tighten: 1 }[adjustment.direction];
+    if (!sign) return { ...adjustment, capped: false };
+    
+    const key = feedbackContextKey(contextualData);
+    const before = this.contextDrift.get(key) || 0;
+    const after = Math.max(-this.maxContextDrift, Math.min(this.maxContextDrift, before + sign * adjustment.magnitude));
+    const magnitude = Math.abs(after - before);
+    const capped = magnitude < adjustment.magnitude;
+    this.contextDrift.set(key, after);
+    
+    return {
+      ...adjustment,
+      magnitude,
+      capped,
+      reasoning: capped ? `${adjustment.reasoning} (capped: ${key} reached its drift limit)` : adjustment.reasoning,
+      drift: { key, before, after }
+    };
+  }
+
+  getContextDrift() {
+    return Object.fromEntries(this.contextDrift);
+  }
+
   _calculateNormConfidence(processedFeedback) {
     // Base confidence on feedback accuracy and consistency
     let confidence = 0.7; // Base confidence
@@ -542,7 +913,7 @@ class PatternEvolver {
     };
     
     // Identify new patterns from feedback
-    const newPatterns = await this._identifyNewPatterns(processedFeedback);
+    const newPatterns = await this._identifyNewPatterns(processedFeedback, behavioralUpdates);
     evolution.newPatterns = newPatterns;
     
     // Modify existing patterns based on feedback
@@ -569,11 +940,12 @@ class PatternEvolver {
     return evolution;
   }
 
-  async _identifyNewPatterns(processedFeedback) {
+  async _identifyNewPatterns(processedFeedback, behavioralUpdates = {}) {
     const newPatterns = [];
     
-    // Look for novel behavioral sequences in feedback
-    if (processedFeedback.behavioralSequence) {
+    // Look for novel behavioral sequences in feedback, unless the context
+    // has no drift left to learn them with
+    if (processedFeedback.behavioralSequence && behavioralUpdates.allowance !== 0) {
       const sequence = processedFeedback.behavioralSequence;
       const patternSignature = this._generatePatternSignature(sequence);
       
@@ -602,7 +974,7 @@ class PatternEvolver {
         if (processedFeedback.accurate) {
           pattern.confidence = Math.min(1.0, pattern.confidence + 0.05);
         } else {
-          pattern.confidence = Math.max(0.1, pattern.confidence - 0.1);
+          pattern.confidence = Math.max(0.1, pattern.confidence - 0.1 * (behavioralUpdates?.allowance ?? 1));
         }
         
         if (Math.abs(pattern.confidence - oldConfidence) > 0.01) {
@@ -677,15 +1049,24 @@ class PatternEvolver {
  * Processes and validates feedback for learning
  */
 class FeedbackProcessor {
+  constructor(config = {}) {
+    this.maxTrackedVerdicts = config.maxTrackedVerdicts || 1000;
+    this.verdicts = new Map(); // assessmentId -> [{ userId, actualThreat }]
+    this.userAgreement = new Map(); // userId -> { agreed, disagreed }
+  }
+
   async processFeedback(feedback, assessmentId, contextualData) {
     const processed = {
       assessmentId,
       timestamp: Date.now(),
+      type: feedback.type ?? null,
       accurate: feedback.accurate,
       predictedThreat: feedback.predictedThreat,
       actualThreat: feedback.actualThreat,
       confidence: feedback.confidence || 0.5,
       source: feedback.source || 'unknown',
+      userId: feedback.userId ?? null,
+      role: feedback.role ?? null,
       reliability: this._assessFeedbackReliability(feedback),
       consistencyScore: await this._calculateConsistencyScore(feedback, contextualData),
       behavioralSequence: feedback.behavioralSequence,
@@ -695,13 +1076,56 @@ class FeedbackProcessor {
     // Validate feedback quality
     processed.quality = await this._validateFeedbackQuality(processed);
     
+    this._recordVerdict(assessmentId, feedback);
     return processed;
   }
 
+  /**
+   * How often a user's feedback matched other users' feedback on the same events
+   * @returns {Object|null} { agreed, disagreed, rate }, null for users without overlap
+   */
+  getUserAgreement(userId) {
+    const agreement = this.userAgreement.get(userId);
+    if (!agreement || agreement.agreed + agreement.disagreed === 0) return null;
+    // Smoothed so one early disagreement does not sink a user
+    const rate = (agreement.agreed + 1) / (agreement.agreed + agreement.disagreed + 2);
+    return { ...agreement, rate };
+  }
+
+  getState() {
+    return { verdicts: Array.from(this.verdicts.entries()), userAgreement: Array.from(this.userAgreement.entries()) };
+  }
+
+  async restoreState(state) {
+    this.verdicts = new Map(state.verdicts || []);
+    this.userAgreement = new Map(state.userAgreement || []);
+  }
+
+  _recordVerdict(assessmentId, feedback) {
+    if (!feedback.userId || typeof feedback.actualThreat !== 'boolean') return;
+    
+    const verdicts = (this.verdicts.get(assessmentId) || []).filter(verdict => verdict.userId !== feedback.userId);
+    for (const verdict of verdicts) {
+      const key = verdict.actualThreat === feedback.actualThreat ? 'agreed' : 'disagreed';
+      for (const userId of [verdict.userId, feedback.userId]) {
+        const agreement = this.userAgreement.get(userId) || { agreed: 0, disagreed: 0 };
+        agreement[key]++;
+        this.userAgreement.set(userId, agreement);
+      }
+    }
+    
+    verdicts.push({ userId: feedback.userId, actualThreat: feedback.actualThreat });
+    this.verdicts.delete(assessmentId);
+    this.verdicts.set(assessmentId, verdicts);
+    if (this.verdicts.size > this.maxTrackedVerdicts) {
+      this.verdicts.delete(this.verdicts.keys().next().value);
+    }
+  }
+
   _assessFeedbackReliability(feedback) {
     let reliability = 0.7; // Base reliability
     
-    // Adjust based on source
+    // Adjust based on the user's role, or the source when no role is given
     const sourceReliability = {
       'human_expert': 0.9,
       'automated_system': 0.8,
@@ -709,7 +1133,13 @@ class FeedbackProcessor {
       'unknown': 0.5
     };
     
-    reliability = sourceReliability[feedback.source] || 0.5;
+    reliability = ROLE_RELIABILITY[feedback.role] ?? (sourceReliability[feedback.source] || 0.5);
+    
+    // Users often contradicted by others on the same events count for less
+    const agreement = this.getUserAgreement(feedback.userId);
+    if (agreement) {
+      reliability *= 0.5 + agreement.rate / 2;
+    }
     
     // Adjust based on confidence
     if (feedback.confidence) {
@@ -766,6 +1196,153 @@ class FeedbackProcessor {
   }
 }
 
+// Feedback types that say a context is less threatening than assessed
+const RELAXING_FEEDBACK_TYPES = new Set([FEEDBACK_TYPES.FALSE_ALARM, FEEDBACK_TYPES.KNOWN_PERSON]);
+
+/**
+ * Feedback Quarantine
+ * Holds feedback that would lower suspicion in a high-risk context (two or
+ * more of: night hours, a door or window, a high-risk behavior) so repeated
+ * false reports cannot train the system blind. Held feedback is applied once
+ * enough different users in the same context agree or a trusted source
+ * confirms it; feedback calling that context a threat rejects it. Feedback
+ * without a userId counts as one anonymous user, so no single person can
+ * corroborate their own reports.
+ */
+class FeedbackQuarantine {
+  constructor(config = {}, siteModel = resolveSiteModel()) {
+    this.siteModel = siteModel;
+    this.corroborationsRequired = config.corroborations || 3;
+    this.trustedSources = new Set(config.trustedSources || ['human_expert', 'automated_system']);
+    this.trustedRoles = new Set(config.trustedRoles || ['operator']);
+    this.highRiskHours = new Set(config.highRiskHours || HIGH_RISK_HOURS);
+    this.highRiskBehaviors = new Set(config.highRiskBehaviors || HIGH_RISK_BEHAVIORS);
+    this.holdMs = config.holdMs || 7 * 24 * 60 * 60 * 1000;
+    this.held = new Map(); // context key -> held entries, oldest first
+    this.totals = { held: 0, released: 0, rejected: 0, expired: 0, discarded: 0 };
+  }
+
+  /**
+   * Decide whether feedback is applied now or held
+   * @param {Object} [details] - Kept with held feedback, for applying it on release
+   * @returns {Object} { action: 'apply'|'hold', contextKey, riskFactors, released, rejected, ... }
+   */
+  screen(learningId, assessmentId, processedFeedback, contextualData = {}, details = {}) {
+    this._expire();
+    const { contextKey, riskFactors } = this._assess(processedFeedback, contextualData);
+    const pending = this.held.get(contextKey) || [];
+    const decision = { action: 'apply', contextKey, riskFactors, released: [], rejected: [] };
+    
+    if (!this._lowersSuspicion(processedFeedback)) {
+      if (processedFeedback.actualThreat === true && pending.length > 0) {
+        this.held.delete(contextKey);
+        this.totals.rejected += pending.length;
+        decision.rejected = pending.map(entry => entry.learningId);
+      }
+      return decision;
+    }
+    if (riskFactors.length < 2) return decision;
+    
+    const corroborations = new Set([...pending.map(entry => this._corroborator(entry.processedFeedback)), this._corroborator(processedFeedback)]).size;
+    const trusted = this.trustedSources.has(processedFeedback.source) || this.trustedRoles.has(processedFeedback.role);
+    if (trusted || corroborations >= this.corroborationsRequired) {
+      this.held.delete(contextKey);
+      this.totals.released += pending.length;
+      decision.released = pending;
+      return decision;
+    }
+    
+    pending.push({ ...details, learningId, assessmentId, processedFeedback, contextualData, contextKey, riskFactors, heldAt: Date.now() });
+    this.held.set(contextKey, pending);
+    this.totals.held++;
+    return { ...decision, action: 'hold', corroborations, required: this.corroborationsRequired };
+  }
+
+  discard(learningId) {
+    for (const [contextKey, pending] of this.held) {
+      const remaining = pending.filter(entry => entry.learningId !== learningId);
+      if (remaining.length < pending.length) {
+        this._replace(contextKey, remaining);
+        this.totals.discarded++;
+        return true;
+      }
+    }
+    return false;
+  }
+
+  discardSince(timestamp) {
+    const discarded = [];
+    for (const [contextKey, pending] of this.held) {
+      discarded.push(...pending.filter(entry => entry.heldAt >= timestamp).map(entry => entry.learningId));
+      this._replace(contextKey, pending.filter(entry => entry.heldAt < timestamp));
+    }
+    this.totals.discarded += discarded.length;
+    return discarded;
+  }
+
+  getState() {
+    const held = Array.from(this.held.values()).flat().map(entry => ({
+      learningId: entry.learningId,
+      assessmentId: entry.assessmentId,
+      contextKey: entry.contextKey,
+      riskFactors: entry.riskFactors,
+      heldAt: entry.heldAt
+    }));
+    return { held, required: this.corroborationsRequired, totals: { ...this.totals } };
+  }
+
+  getSaveState() {
+    return { held: Array.from(this.held.entries()), totals: this.totals };
+  }
+
+  restoreFromSave(savedState) {
+    this.held = new Map(savedState.held || []);
+    this.totals = { ...this.totals, ...savedState.totals };
+  }
+
+  // Feedback relaxes a context by what it says, not by what the assessment
+  // predicted: calling a quiet event a false alarm or a known person still
+  // teaches every stage the context is benign
+  _lowersSuspicion(processedFeedback) {
+    if (processedFeedback.actualThreat !== false) return false;
+    return RELAXING_FEEDBACK_TYPES.has(processedFeedback.type) ||
+      processedFeedback.predictedThreat === true || processedFeedback.accurate === false;
+  }
+
+  _corroborator(processedFeedback) {
+    return processedFeedback.userId || 'anonymous';
+  }
+
+  _assess(processedFeedback, contextualData) {
+    const location = contextualData.spatialContext?.location;
+    const hour = contextualData.temporalContext?.hour;
+    const behaviors = (processedFeedback.behavioralSequence || [])
+      .map(behavior => behavior.type)
+      .filter(type => this.highRiskBehaviors.has(type));
+    
+    const riskFactors = [
+      ...(this.highRiskHours.has(hour) ? ['night'] : []),
+      ...(this.siteModel.isEntryPoint(location) ? ['entry_point'] : []),
+      ...new Set(behaviors)
+    ];
+    return { contextKey: feedbackContextKey(contextualData), riskFactors };
+  }
+
+  _expire() {
+    const cutoff = Date.now() - this.holdMs;
+    for (const [contextKey, pending] of this.held) {
+      const remaining = pending.filter(entry => entry.heldAt >= cutoff);
+      this.totals.expired += pending.length - remaining.length;
+      this._replace(contextKey, remaining);
+    }
+  }
+
+  _replace(contextKey, pending) {
+    if (pending.length > 0) this.held.set(contextKey, pending);
+    else this.held.delete(contextKey);
+  }
+}
+
 /**
  * Environmental Adapter
  * Adapts to environmental changes and conditions
@@ -776,7 +1353,11 @@ class EnvironmentalAdapter {
     this.adaptationRules = new Map();
   }
 
-  async adaptToEnvironment(processedFeedback, contextualData) {
+  /**
+   * @param {number} [allowance] - Share of the context's drift budget left
+   *   for this feedback (see NormUpdater.updateBehavioralNorms)
+   */
+  async adaptToEnvironment(processedFeedback, contextualData, allowance = 1) {
     const adaptation = {
       environmentalChanges: [],
       adaptationRules: [],
@@ -788,7 +1369,7 @@ class EnvironmentalAdapter {
     adaptation.environmentalChanges = changes;
     
     // Generate adaptation rules
-    const rules = await this._generateAdaptationRules(changes, processedFeedback);
+    const rules = await this._generateAdaptationRules(changes, processedFeedback, allowance);
     adaptation.adaptationRules = rules;
     
     // Calculate adaptation confidence
@@ -839,14 +1420,16 @@ class EnvironmentalAdapter {
     return changes;
   }
 
-  async _generateAdaptationRules(changes, processedFeedback) {
+  async _generateAdaptationRules(changes, processedFeedback, allowance = 1) {
     const rules = [];
+    // Feedback that found the context at its drift limit leaves the rules alone
+    if (processedFeedback.accurate === false && allowance === 0) return rules;
     
     changes.forEach(change => {
       if (change.magnitude > 0.2) {
         rules.push({
           trigger: change.type,
-          action: this._determineAdaptationAction(change, processedFeedback),
+          action: this._determineAdaptationAction(change, processedFeedback, allowance),
           confidence: change.magnitude,
           description: `Adapt to ${change.description}`
         });
@@ -856,20 +1439,20 @@ class EnvironmentalAdapter {
     return rules;
   }
 
-  _determineAdaptationAction(change, processedFeedback) {
+  _determineAdaptationAction(change, processedFeedback, allowance = 1) {
     switch (change.type) {
       case 'temporal_pattern':
         return {
           type: 'adjust_temporal_norms',
           parameters: {
-            adjustment: processedFeedback.accurate ? 0.1 : -0.1
+            adjustment: processedFeedback.accurate ? 0.1 : -0.1 * allowance
           }
         };
       case 'spatial_pattern':
         return {
           type: 'adjust_spatial_norms',
           parameters: {
-            adjustment: processedFeedback.accurate ? 0.1 : -0.1
+            adjustment: processedFeedback.accurate ? 0.1 : -0.1 * allowance
           }
         };
       default:
@@ -1084,10 +1667,41 @@ class PerformanceMetrics {
 class BaseNorms {
   constructor() {
     this.norms = new Map();
+    this.touchedAt = new Map(); // key -> last reinforced or decayed
     this.confidence = 0.5;
     this.lastUpdate = Date.now();
   }
 
+  _setNorm(key, value, now = Date.now()) {
+    this.norms.set(key, value);
+    this.touchedAt.set(key, now);
+  }
+
+  /**
+   * Move each norm toward neutral (0.5) by the time elapsed since it was
+   * last touched; norms within 0.005 of neutral are dropped
+   */
+  decay(halfLifeMs, now = Date.now()) {
+    const counts = { decayed: 0, forgotten: 0 };
+    if (!(halfLifeMs > 0)) return counts;
+    
+    for (const [key, value] of this.norms) {
+      const elapsed = now - (this.touchedAt.get(key) ?? this.lastUpdate);
+      if (typeof value !== 'number' || elapsed <= 0) continue;
+      
+      const decayed = 0.5 + (value - 0.5) * Math.pow(0.5, elapsed / halfLifeMs);
+      if (Math.abs(decayed - 0.5) < 0.005) {
+        this.norms.delete(key);
+        this.touchedAt.delete(key);
+        counts.forgotten++;
+      } else {
+        this._setNorm(key, decayed, now);
+      }
+      counts.decayed++;
+    }
+    return counts;
+  }
+
   async updateNorms(observations, newData, learningRate) {
     // Override in subclasses
     return { drift: 0, changes: [] };
@@ -1105,6 +1719,22 @@ class BaseNorms {
   getStabilityScore() {
     return this.confidence;
   }
+
+  getState() {
+    return {
+      norms: Array.from(this.norms.entries()),
+      touchedAt: Array.from(this.touchedAt.entries()),
+      confidence: this.confidence,
+      lastUpdate: this.lastUpdate
+    };
+  }
+
+  async restoreState(state) {
+    this.norms = new Map(state.norms || []);
+    this.touchedAt = new Map(state.touchedAt || []);
+    if (typeof state.confidence === 'number') this.confidence = state.confidence;
+    if (state.lastUpdate) this.lastUpdate = state.lastUpdate;
+  }
 }
 
 /**
@@ -1125,7 +1755,7 @@ class BehavioralNorms extends BaseNorms {
         
         if (drift > 0.1) {
           const updatedNorm = currentNorm + (newValue - currentNorm) * learningRate;
-          this.norms.set(indicator.type, updatedNorm);
+          this._setNorm(indicator.type, updatedNorm);
           
           changes.push({
             type: indicator.type,
@@ -1167,7 +1797,7 @@ class TemporalNorms extends BaseNorms {
       
       if (drift > 0.05) {
         const updatedNorm = currentNorm + (activityLevel - currentNorm) * learningRate;
-        this.norms.set(`hour_${hour}`, updatedNorm);
+        this._setNorm(`hour_${hour}`, updatedNorm);
         
         changes.push({
           type: `temporal_hour_${hour}`,
@@ -1208,7 +1838,7 @@ class SpatialNorms extends BaseNorms {
       
       if (drift > 0.05) {
         const updatedNorm = currentNorm + (activityLevel - currentNorm) * learningRate;
-        this.norms.set(location, updatedNorm);
+        this._setNorm(location, updatedNorm);
         
         changes.push({
           type: `spatial_${location}`,
@@ -1247,7 +1877,7 @@ class ContextualNorms extends BaseNorms {
         
         if (drift > 0.05) {
           const updatedNorm = currentNorm + (value - currentNorm) * learningRate;
-          this.norms.set(factor, updatedNorm);
+          this._setNorm(factor, updatedNorm);
           
           changes.push({
             type: `contextual_${factor}`,
@@ -1288,7 +1918,7 @@ class EnvironmentalNorms extends BaseNorms {
           
           if (drift > 0.05) {
             const updatedNorm = currentNorm + (value - currentNorm) * learningRate;
-            this.norms.set(condition, updatedNorm);
+            this._setNorm(condition, updatedNorm);
             
             changes.push({
               type: `environmental_${condition}`,
@@ -1315,6 +1945,7 @@ class EnvironmentalNorms extends BaseNorms {
 export {
   AdaptiveLearningSystem,
   NormUpdater,
+  FeedbackQuarantine,
   PatternEvolver,
   FeedbackProcessor,
   EnvironmentalAdapter,
@@ -1,349 +1,915 @@
 /**
- * Production Autosave System with proper compression and checksums
+ * Auto-Save System - Unified Persistence Layer
+ *
+ * Single persistence subsystem for the cognitive interpreter. Components
+ * register with getSaveState()/restoreFromSave(), are marked changed as they
+ * learn, and are snapshotted into compressed, checksummed save files with
+ * backup rotation. AI-generated ("Devin") changes are tracked alongside.
+ * Save files are stored through a storage adapter (see storage-adapters.js)
+ * and optionally encrypted at rest (see save-encryption.js). With the
+ * write-ahead journal enabled, every markChanged() appends a patch record
+ * that is replayed on top of the latest snapshot during recovery.
+ *
+ * @version 2.0.0
+ * @author Goliath Security Systems
  */
-import fs from 'fs/promises';
-import path from 'path';
-import zlib from 'zlib';
-import crypto from 'crypto';
-import { promisify } from 'util';
+import { createStorageAdapter } from './storage-adapters.js';
+import { encryptPayload, decryptPayload, isEncryptedPayload, readEncryptionHeader } from './save-encryption.js';
 
-const gzip = promisify(zlib.gzip);
-const gunzip = promisify(zlib.gunzip);
+const SAVE_FILE_PATTERN = /^autosave-(\d+)\.json(\.gz)?(\.enc)?$/;
+const JOURNAL_FILE = 'autosave-journal.log';
+
+// zlib and crypto are loaded on first use so the persistence layer can be
+// imported on 'react-native' and 'browser', where compression and checksums
+// default to off
+let nodeModules = null;
+async function loadNodeModules() {
+  if (!nodeModules) {
+    const [zlib, crypto, util] = await Promise.all([import('zlib'), import('crypto'), import('util')]);
+    nodeModules = {
+      crypto: crypto.default,
+      gzip: util.promisify(zlib.default.gzip),
+      gunzip: util.promisify(zlib.default.gunzip)
+    };
+  }
+  return nodeModules;
+}
+
+// Journal records carry a patch of the values that changed, addressed by
+// path into the component state. A capped log that dropped entries from the
+// front is shifted rather than rewritten, so each record stays the size of
+// its change however large the state grows.
+function diffJournalState(before, after, path = [], patch = []) {
+  if (Array.isArray(before) && Array.isArray(after)) {
+    let shift = 0;
+    if (before.length > 0 && after.length > 0 && !isDeepEqual(before[0], after[0])) {
+      shift = Math.max(0, before.findIndex(item => isDeepEqual(item, after[0])));
+    }
+    if (shift > 0) patch.push({ op: 'shift', path, count: shift });
+    const overlap = Math.min(before.length - shift, after.length);
+    for (let i = 0; i < overlap; i++) {
+      diffJournalState(before[i + shift], after[i], [...path, i], patch);
+    }
+    for (let i = overlap; i < after.length; i++) {
+      patch.push({ op: 'set', path: [...path, i], value: after[i] });
+    }
+    if (after.length < before.length - shift) patch.push({ op: 'length', path, length: after.length });
+    return patch;
+  }
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    for (const [key, value] of Object.entries(after)) {
+      if (Object.hasOwn(before, key)) {
+        diffJournalState(before[key], value, [...path, key], patch);
+      } else {
+        patch.push({ op: 'set', path: [...path, key], value });
+      }
+    }
+    for (const key of Object.keys(before)) {
+      if (!Object.hasOwn(after, key)) patch.push({ op: 'delete', path: [...path, key] });
+    }
+    return patch;
+  }
+
+  if (!isDeepEqual(before, after)) patch.push({ op: 'set', path, value: after });
+  return patch;
+}
+
+// Diff object states key by key, copying only the changed subtrees. Paths in
+// `skipped` are left out (the component patched them itself); objects that
+// contain one are descended into instead of diffed whole.
+function diffJournalKeys(before, after, path, skipped, patch) {
+  for (const [key, value] of Object.entries(after)) {
+    if (value === undefined) continue;
+    const keyPath = [...path, key];
+    const within = skipped.filter(skip => skip[path.length] === key);
+    if (within.some(skip => skip.length === keyPath.length)) continue;
+    if (within.length > 0 && isPlainObject(before[key]) && isPlainObject(value)) {
+      diffJournalKeys(before[key], value, keyPath, within, patch);
+      continue;
+    }
+    const current = cloneJournalState(value);
+    if (Object.hasOwn(before, key)) {
+      diffJournalState(before[key], current, keyPath, patch);
+    } else {
+      patch.push({ op: 'set', path: keyPath, value: current });
+    }
+    before[key] = current;
+  }
+  for (const key of Object.keys(before)) {
+    if (after[key] === undefined && !skipped.some(skip => skip.length === path.length + 1 && skip[path.length] === key)) {
+      patch.push({ op: 'delete', path: [...path, key] });
+      delete before[key];
+    }
+  }
+  return patch;
+}
+
+function hasJournalPath(state, path) {
+  let node = state;
+  for (const key of path) {
+    if (node === null || typeof node !== 'object' || !Object.hasOwn(node, key)) return false;
+    node = node[key];
+  }
+  return true;
+}
+
+function applyJournalPatch(state, patch) {
+  let root = state;
+  for (const { op, path, value, count, length } of patch) {
+    if (op === 'set' && path.length === 0) {
+      root = value;
+      continue;
+    }
+    const onArray = op === 'shift' || op === 'length';
+    const node = (onArray ? path : path.slice(0, -1)).reduce((current, key) => current[key], root);
+    const key = path[path.length - 1];
+    if (op === 'set') node[key] = value;
+    else if (op === 'delete') delete node[key];
+    else if (op === 'shift') node.splice(0, count);
+    else node.length = length;
+  }
+  return root;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isDeepEqual(a, b) {
+  if (a === b) return true;
+  if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object' || Array.isArray(a) !== Array.isArray(b)) {
+    return false;
+  }
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length &&
+    keys.every(key => Object.hasOwn(b, key) && isDeepEqual(a[key], b[key]));
+}
+
+// JSON copy, the form the state is saved in
+function cloneJournalState(state) {
+  return state === undefined ? null : JSON.parse(JSON.stringify(state));
+}
+
+/**
+ * Resolve autosave settings from the interpreter config. `config.autosave`
+ * (see DEFAULT_CONFIG) is the primary source; the flat options used by
+ * earlier releases (autoSaveEnabled, autoSaveInterval, autoSaveDirectory,
+ * maxAutoSaveBackups, autoSaveConfig) are still honoured.
+ */
+function resolveAutoSaveConfig(config = {}) {
+  const nodePlatform = (config.platform || 'node') === 'node';
+  const resolved = {
+    enabled: true,
+    intervalMs: 30000,
+    maxBackups: 5,
+    compressionEnabled: nodePlatform,
+    checksumValidation: nodePlatform,
+    saveDirectory: './saves',
+    devinTrackingEnabled: true,
+    // Storage backend: 'filesystem', 'memory', 'single-file', 'key-value' or an adapter
+    storage: nodePlatform ? 'filesystem' : 'memory',
+    storageOptions: {},
+    // Key provider ({ getActiveKey, getKey }) or { keyProvider } to encrypt saves
+    encryption: null,
+    // true or { compactAfter } to journal changes between snapshots
+    journal: false,
+    ...(config.autosave || {})
+  };
+
+  const legacy = {
+    enabled: config.autoSaveEnabled,
+    intervalMs: config.autoSaveInterval ?? config.saveInterval,
+    saveDirectory: config.autoSaveDirectory ?? config.saveDirectory,
+    maxBackups: config.maxAutoSaveBackups ?? config.maxBackups,
+    compressionEnabled: config.compressionEnabled,
+    devinTrackingEnabled: config.devinTrackingEnabled,
+    ...(config.autoSaveConfig || {})
+  };
+  if (config.autoSaveConfig?.saveInterval !== undefined) {
+    legacy.intervalMs = config.autoSaveConfig.saveInterval;
+  }
+
+  Object.entries(legacy).forEach(([key, value]) => {
+    if (value !== undefined && key in resolved) {
+      resolved[key] = value;
+    }
+  });
+
+  return resolved;
+}
 
 export class AutoSaveSystem {
   constructor(config = {}) {
-    this.config = {
-      enabled: true,
-      intervalMs: 30000,
-      maxBackups: 5,
-      compressionEnabled: true,
-      checksumValidation: true,
-      saveDirectory: './saves',
-      ...config.autosave
-    };
-    
-    this.changeTracker = new Map();
+    this.config = resolveAutoSaveConfig(config);
+    this.storage = createStorageAdapter(this.config.storage, {
+      directory: this.config.saveDirectory,
+      ...this.config.storageOptions
+    });
+    this.keyProvider = this.config.encryption?.keyProvider ||
+      (typeof this.config.encryption?.getActiveKey === 'function' ? this.config.encryption : null);
+
+    // Registered components (getSaveState/restoreFromSave) by id
+    this.components = new Map();
+    // Components with changes since the last save; unregistered ids keep the
+    // details passed to markChanged as their saved state
+    this.pendingChanges = new Map();
     this.devinChanges = new Map();
+    this.saveHistory = [];
+
     this.saveTimer = null;
     this.isInitialized = false;
+    this.isShuttingDown = false;
     this.lastSaveTime = 0;
+
+    // Write-ahead journal. Appends, snapshots and recovery run one at a time
+    // through `queue` so a snapshot never races the records it compacts.
+    this.journal = {
+      enabled: Boolean(this.config.journal),
+      compactAfter: this.config.journal?.compactAfter || 100,
+      seq: 0,
+      snapshotSeq: 0,
+      recordsSinceSnapshot: 0,
+      baselines: new Map(),
+      queue: Promise.resolve(),
+      compacting: false
+    };
   }
-  
+
   async initialize() {
     if (!this.config.enabled) {
       console.log('AutoSave: Disabled by configuration');
       return;
     }
-    
+
     try {
-      await fs.mkdir(this.config.saveDirectory, { recursive: true });
+      if (typeof this.storage.initialize === 'function') {
+        await this.storage.initialize();
+      }
       this.isInitialized = true;
+      if (this.journal.enabled) {
+        await this._syncJournalPosition();
+      }
       this._startAutoSave();
-      console.log(`AutoSave: Initialized with directory ${this.config.saveDirectory}`);
+      console.log(`AutoSave: Initialized with ${this._locate('')}`);
     } catch (error) {
       console.error('AutoSave initialization failed:', error);
       throw error;
     }
   }
-  
-  markChanged(componentName, data, options = {}) {
+
+  /**
+   * Register a component for auto-saving
+   * @param {string} componentId - Unique identifier for the component
+   * @param {Object} component - Implements getSaveState() and optionally restoreFromSave(state)
+   */
+  registerComponent(componentId, component) {
+    if (!component || typeof component.getSaveState !== 'function') {
+      throw new Error('Component must implement getSaveState() method');
+    }
+
+    this.components.set(componentId, component);
+    const hasRestore = typeof component.restoreFromSave === 'function';
+    console.log(`📝 Registered component for auto-save: ${componentId} (restoreFromSave ${hasRestore ? '✓' : '✗'})`);
+  }
+
+  unregisterComponent(componentId) {
+    this.components.delete(componentId);
+    this.pendingChanges.delete(componentId);
+  }
+
+  /**
+   * Mark a component as having changes requiring save
+   * @param {string} componentId - Component identifier
+   * @param {Object} changeDetails - Details about the change; AI-generated when
+   *   source is 'ai'/'devin' or isDevinChange/isAiGenerated is set
+   * @param {Object} options - { devinGenerated } for callers that flag changes separately
+   */
+  markChanged(componentId, changeDetails = {}, options = {}) {
     if (!this.config.enabled) return;
-    
-    const changeEntry = {
-      data,
-      timestamp: Date.now(),
-      checksum: this._calculateChecksum(data),
-      devinGenerated: options.devinGenerated || false
-    };
-    
-    this.changeTracker.set(componentName, changeEntry);
-    
-    if (options.devinGenerated) {
-      this._trackDevinChange(componentName, data, options);
-    }
-    
-    console.log(`AutoSave: Marked ${componentName} as changed${options.devinGenerated ? ' (Devin-generated)' : ''}`);
-  }
-  
-  _trackDevinChange(componentName, data, options) {
-    const changeId = `${componentName}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-    const change = {
-      componentName,
-      timestamp: Date.now(),
-      data,
-      options,
-      saved: false
-    };
-    
-    this.devinChanges.set(changeId, change);
-    console.log(`AutoSave: Tracked Devin change ${changeId}`);
+
+    this.pendingChanges.set(componentId, {
+      details: changeDetails,
+      timestamp: Date.now()
+    });
+
+    const devinGenerated = options.devinGenerated || changeDetails?.isDevinChange ||
+      changeDetails?.source === 'ai' || changeDetails?.source === 'devin';
+    if (devinGenerated) {
+      this._trackDevinChange(componentId, changeDetails);
+    }
+
+    if (this.journal.enabled && this.isInitialized && !this.isShuttingDown) {
+      this._inJournalQueue(() => this._appendJournalRecord(componentId, changeDetails))
+        .catch(error => console.warn(`AutoSave: Journal append failed for ${componentId}:`, error.message));
+    }
+  }
+
+  /**
+   * Wait until every journal record queued so far is durable
+   */
+  async flushJournal() {
+    await this._inJournalQueue(() => {});
   }
-  
+
+  /**
+   * Snapshot every registered component (plus pending unregistered data)
+   * into a new save file. Returns its location, or null when not initialized.
+   */
   async saveState() {
-    if (!this.isInitialized || this.changeTracker.size === 0) {
-      console.log('AutoSave: No changes to save');
+    if (!this.isInitialized) {
+      console.log('AutoSave: Not initialized, nothing saved');
       return null;
     }
-    
-    try {
-      const saveData = {
-        timestamp: Date.now(),
-        version: '1.0.0',
-        components: Object.fromEntries(this.changeTracker),
-        devinChanges: this._getUnsavedDevinChanges(),
-        metadata: {
-          totalComponents: this.changeTracker.size,
-          devinChangesCount: this.devinChanges.size
+
+    return this.journal.enabled
+      ? this._inJournalQueue(() => this._writeSnapshot())
+      : this._writeSnapshot();
+  }
+
+  async _writeSnapshot() {
+    const timestamp = Date.now();
+    const saveData = {
+      id: `autosave-${timestamp}`,
+      timestamp,
+      version: '2.0.0',
+      components: {},
+      devinChanges: this._getUnsavedDevinChanges(),
+      journalSeq: this.journal.seq,
+      metadata: {}
+    };
+
+    for (const [componentId, component] of this.components) {
+      try {
+        let state = await component.getSaveState();
+        // The copy becomes the journal baseline, so it must be the state as
+        // snapshotted, taken together with resetting the component's own patch
+        if (this.journal.enabled) {
+          state = cloneJournalState(state);
+          component.getJournalPatch?.();
         }
-      };
-      
-      const serialized = JSON.stringify(saveData, null, 2);
-      const checksum = this._calculateChecksum(serialized);
-      
-      let finalData = serialized;
-      if (this.config.compressionEnabled) {
-        finalData = await gzip(Buffer.from(serialized, 'utf8'));
+        saveData.components[componentId] = {
+          state,
+          lastModified: this.pendingChanges.get(componentId)?.timestamp || this.lastSaveTime || timestamp,
+          checksum: this.config.checksumValidation ? await this._calculateChecksum(state) : null
+        };
+      } catch (error) {
+        console.warn(`AutoSave: Failed to get save state for ${componentId}:`, error.message);
       }
-      
-      const filename = `autosave-${Date.now()}.json${this.config.compressionEnabled ? '.gz' : ''}`;
-      const filepath = path.join(this.config.saveDirectory, filename);
-      
-      const tempPath = `${filepath}.tmp`;
-      await fs.writeFile(tempPath, finalData);
-      await fs.rename(tempPath, filepath);
-      
-      if (this.config.checksumValidation) {
-        await fs.writeFile(`${filepath}.checksum`, checksum);
+    }
+    for (const [componentId, change] of this.pendingChanges) {
+      if (!this.components.has(componentId)) {
+        saveData.components[componentId] = {
+          state: change.details,
+          lastModified: change.timestamp,
+          checksum: this.config.checksumValidation ? await this._calculateChecksum(change.details) : null
+        };
       }
-      
-      await this._cleanupOldBackups();
-      
+    }
+
+    saveData.metadata = {
+      totalComponents: Object.keys(saveData.components).length,
+      devinChangesCount: saveData.devinChanges.length
+    };
+
+    try {
+      const serialized = JSON.stringify(saveData);
+      const checksum = this.config.checksumValidation ? await this._calculateChecksum(serialized) : null;
+      let finalData = this.config.compressionEnabled
+        ? await (await loadNodeModules()).gzip(Buffer.from(serialized, 'utf8'))
+        : serialized;
+
+      let filename = `${saveData.id}.json${this.config.compressionEnabled ? '.gz' : ''}`;
+      if (this.keyProvider) {
+        finalData = await encryptPayload(finalData, this.keyProvider);
+        filename += '.enc';
+      }
+
+      // Write-then-rename so a crash never leaves a truncated save behind
+      await this.storage.write(`${filename}.tmp`, finalData);
+      await this.storage.rename(`${filename}.tmp`, filename);
+
+      // Encrypted saves are authenticated by their GCM tag instead
+      if (this.config.checksumValidation && !this.keyProvider) {
+        await this.storage.write(`${filename}.checksum`, checksum);
+      }
+
       this._markDevinChangesSaved();
-      
-      this.lastSaveTime = Date.now();
-      this.changeTracker.clear();
-      
-      console.log(`AutoSave: State saved to ${filename} (${this.config.compressionEnabled ? 'compressed' : 'uncompressed'})`);
-      return filepath;
-      
+      this.pendingChanges.clear();
+      this.lastSaveTime = timestamp;
+
+      // The snapshot covers every journal record so far: compact the journal
+      if (this.journal.enabled) {
+        for (const [componentId, { state }] of Object.entries(saveData.components)) {
+          this.journal.baselines.set(componentId, this.components.has(componentId) ? state : cloneJournalState(state));
+        }
+        await this.storage.delete(JOURNAL_FILE);
+        this.journal.snapshotSeq = saveData.journalSeq;
+        this.journal.recordsSinceSnapshot = 0;
+      }
+      this.saveHistory.push({ id: saveData.id, timestamp, filename });
+
+      await this._cleanupOldBackups();
+
+      console.log(`💾 Auto-save completed: ${filename} (${saveData.metadata.totalComponents} components, ${saveData.metadata.devinChangesCount} Devin changes)`);
+      return this._locate(filename);
     } catch (error) {
       console.error('AutoSave failed:', error);
       throw error;
     }
   }
-  
+
+  /**
+   * Force immediate save
+   */
+  async forceSave() {
+    return this.saveState();
+  }
+
+  /**
+   * Load the newest save that passes checksum validation
+   */
   async loadLatestSave() {
     if (!this.isInitialized) {
       console.warn('AutoSave: Not initialized, cannot load');
       return null;
     }
-    
-    try {
-      const files = await fs.readdir(this.config.saveDirectory);
-      const saveFiles = files
-        .filter(f => f.startsWith('autosave-') && (f.endsWith('.json') || f.endsWith('.json.gz')))
-        .sort()
-        .reverse();
-      
-      if (saveFiles.length === 0) {
-        console.log('AutoSave: No save files found');
-        return null;
-      }
-      
-      const latestFile = saveFiles[0];
-      return await this.loadSave(latestFile);
-      
-    } catch (error) {
-      console.error('Failed to load latest save:', error);
+
+    const saveFiles = await this._listSaveFiles();
+    if (saveFiles.length === 0) {
+      console.log('📂 No auto-save files found');
       return null;
     }
+
+    for (const file of saveFiles) {
+      try {
+        return await this.loadSave(file.name);
+      } catch (error) {
+        console.warn(`AutoSave: Skipping ${file.name}: ${error.message}`);
+      }
+    }
+
+    return null;
   }
-  
+
+  /**
+   * Load one save file. Encrypted saves are decrypted and authenticated
+   * (tampering throws); plain saves are verified against their checksum,
+   * and rejected outright once encryption is configured.
+   */
   async loadSave(filename) {
-    try {
-      const filepath = path.join(this.config.saveDirectory, filename);
-      
-      if (this.config.checksumValidation) {
-        const checksumPath = `${filepath}.checksum`;
-        try {
-          const expectedChecksum = await fs.readFile(checksumPath, 'utf8');
-          const fileData = await fs.readFile(filepath);
-          
-          let actualData;
-          if (filename.endsWith('.gz')) {
-            actualData = await gunzip(fileData);
-          } else {
-            actualData = fileData;
-          }
-          
-          const actualChecksum = this._calculateChecksum(actualData.toString());
-          if (actualChecksum !== expectedChecksum.trim()) {
-            throw new Error('Checksum validation failed');
-          }
-        } catch (checksumError) {
-          console.warn('AutoSave: Checksum validation failed, proceeding anyway:', checksumError.message);
-        }
+    let fileData = await this.storage.read(filename);
+    if (fileData === null) {
+      throw new Error(`Save ${filename} not found`);
+    }
+
+    const encrypted = filename.endsWith('.enc') || isEncryptedPayload(fileData);
+    if (encrypted) {
+      fileData = await decryptPayload(fileData, this.keyProvider);
+    } else if (this.keyProvider) {
+      throw new Error(`Save ${filename} is not encrypted; run reencryptBackups() to seal saves written before encryption was enabled`);
+    }
+
+    const json = filename.includes('.json.gz')
+      ? (await (await loadNodeModules()).gunzip(Buffer.from(fileData))).toString('utf8')
+      : fileData.toString('utf8');
+
+    if (this.config.checksumValidation && !encrypted) {
+      const storedChecksum = await this.storage.read(`${filename}.checksum`);
+      const expectedChecksum = storedChecksum === null ? null : storedChecksum.toString('utf8').trim();
+      if (expectedChecksum === null) {
+        console.warn(`AutoSave: No checksum for ${filename}, loading unverified`);
       }
-      
-      const fileData = await fs.readFile(filepath);
-      let jsonData;
-      
-      if (filename.endsWith('.gz')) {
-        const decompressed = await gunzip(fileData);
-        jsonData = decompressed.toString();
-      } else {
-        jsonData = fileData.toString();
+      if (expectedChecksum && await this._calculateChecksum(json) !== expectedChecksum) {
+        throw new Error('Checksum validation failed');
       }
-      
-      const saveData = JSON.parse(jsonData);
-      console.log(`AutoSave: Loaded save from ${filename}`);
-      return saveData;
-      
-    } catch (error) {
-      console.error(`Failed to load save ${filename}:`, error);
+    }
+
+    const saveData = JSON.parse(json);
+    console.log(`📂 Loaded save: ${filename}`);
+    return saveData;
+  }
+
+  /**
+   * Restore the latest snapshot plus any journal records written after it
+   * @returns {{ snapshot: string|null, replayed: number, restored: number }|null} null when nothing is saved
+   */
+  async recover() {
+    if (!this.isInitialized) {
+      console.warn('AutoSave: Not initialized, cannot recover');
       return null;
     }
+
+    const run = async () => {
+      const snapshot = await this.loadLatestSave();
+      const states = new Map(Object.entries(snapshot?.components || {}).map(([componentId, data]) => [componentId, data.state]));
+      const fromSeq = snapshot?.journalSeq ?? 0;
+
+      let replayed = 0;
+      let lastSeq = fromSeq;
+      for (const record of await this._readJournal()) {
+        if (record.seq <= fromSeq) continue;
+        // Patches build on the snapshot they followed; after a gap (an older
+        // snapshot restored in place of a damaged one) they no longer apply
+        if (record.seq !== lastSeq + 1) {
+          console.warn(`AutoSave: Journal record ${record.seq} does not follow ${lastSeq}; replay stops there`);
+          break;
+        }
+        states.set(record.componentId, record.patch
+          ? applyJournalPatch(states.get(record.componentId), record.patch)
+          : record.state);
+        lastSeq = Math.max(lastSeq, record.seq);
+        replayed++;
+      }
+
+      if (!snapshot && replayed === 0) {
+        return null;
+      }
+
+      const restored = await this.restoreFromSave({
+        components: Object.fromEntries(Array.from(states, ([componentId, state]) => [componentId, { state }])),
+        devinChanges: snapshot?.devinChanges || []
+      });
+
+      for (const [componentId, state] of states) {
+        this._setJournalBaseline(componentId, state);
+      }
+      this.journal.seq = Math.max(this.journal.seq, lastSeq);
+      this.journal.snapshotSeq = fromSeq;
+      this.journal.recordsSinceSnapshot = replayed;
+
+      console.log(`📂 Recovered ${snapshot ? snapshot.id : 'journal only'} + ${replayed} journal record(s)`);
+      return { snapshot: snapshot?.id || null, replayed, restored };
+    };
+
+    return this.journal.enabled ? this._inJournalQueue(run) : run();
   }
-  
+
+  /**
+   * Restore saved state into the registered components
+   * @returns {number} Number of components restored
+   */
   async restoreFromSave(saveData) {
-    if (!saveData) {
-      console.log('AutoSave: No save data to restore');
-      return;
+    if (!saveData || !saveData.components) {
+      throw new Error('Invalid save data');
     }
-    
-    console.log(`AutoSave: Restoring state from ${saveData.timestamp}`);
-    
-    for (const [componentName, componentData] of Object.entries(saveData.components)) {
-      this.changeTracker.set(componentName, componentData);
-    }
-    
-    if (saveData.devinChanges) {
-      for (const change of saveData.devinChanges) {
-        const changeId = `restored-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-        this.devinChanges.set(changeId, { ...change, saved: true });
+
+    let restoredCount = 0;
+    for (const [componentId, componentData] of Object.entries(saveData.components)) {
+      const component = this.components.get(componentId);
+      if (!component || typeof component.restoreFromSave !== 'function') continue;
+
+      if (componentData.checksum && await this._calculateChecksum(componentData.state) !== componentData.checksum) {
+        console.warn(`AutoSave: Checksum mismatch for ${componentId}, not restored`);
+        continue;
       }
+
+      try {
+        await component.restoreFromSave(componentData.state);
+        restoredCount++;
+      } catch (error) {
+        console.warn(`AutoSave: Failed to restore ${componentId}:`, error.message);
+      }
+    }
+
+    for (const change of saveData.devinChanges || []) {
+      const changeId = `restored-${change.componentId}-${change.timestamp}`;
+      this.devinChanges.set(changeId, { ...change, saved: true });
     }
-    
-    console.log(`AutoSave: Restored ${Object.keys(saveData.components).length} components and ${saveData.devinChanges?.length || 0} Devin changes`);
+
+    console.log(`📂 Restored ${restoredCount} components from save`);
+    return restoredCount;
   }
-  
+
+  /**
+   * Re-encrypt every backup that is unencrypted or sealed with a key other
+   * than the provider's active key (call after rotating keys)
+   * @returns {{ reencrypted: string[], skipped: string[], failed: Array<{ name: string, error: string }> }}
+   */
+  async reencryptBackups() {
+    if (!this.keyProvider) {
+      throw new Error('reencryptBackups requires autosave.encryption to be configured');
+    }
+
+    const { keyId: activeKeyId } = await this.keyProvider.getActiveKey();
+    const result = { reencrypted: [], skipped: [], failed: [] };
+
+    for (const file of await this._listSaveFiles()) {
+      try {
+        const data = await this.storage.read(file.name);
+        if (data === null) continue;
+
+        const encrypted = isEncryptedPayload(data);
+        if (encrypted && readEncryptionHeader(data).header.keyId === activeKeyId) {
+          result.skipped.push(file.name);
+          continue;
+        }
+
+        const plaintext = encrypted ? await decryptPayload(data, this.keyProvider) : data;
+        const target = file.name.endsWith('.enc') ? file.name : `${file.name}.enc`;
+
+        await this.storage.write(`${target}.tmp`, await encryptPayload(plaintext, this.keyProvider));
+        await this.storage.rename(`${target}.tmp`, target);
+        if (target !== file.name) {
+          await this.storage.delete(file.name);
+          await this.storage.delete(`${file.name}.checksum`);
+        }
+        result.reencrypted.push(target);
+      } catch (error) {
+        result.failed.push({ name: file.name, error: error.message });
+      }
+    }
+
+    console.log(`🔐 Re-encrypted ${result.reencrypted.length} backup(s) with key ${activeKeyId}`);
+    return result;
+  }
+
+  getDevinChangesSummary() {
+    const changes = Array.from(this.devinChanges.values());
+    return {
+      total: changes.length,
+      unsaved: changes.filter(c => !c.saved).length,
+      saved: changes.filter(c => c.saved).length,
+      byComponent: this._groupBy(changes, 'componentId'),
+      recent: changes.filter(c => Date.now() - c.timestamp < 3600000) // Last hour
+    };
+  }
+
+  /**
+   * Export AI-generated changes to a JSON file; null when there are none
+   */
   async exportDevinChanges() {
     const changes = Array.from(this.devinChanges.values());
     if (changes.length === 0) {
       console.log('AutoSave: No Devin changes to export');
       return null;
     }
-    
-    const exportData = {
-      timestamp: Date.now(),
+
+    const exportName = `devin-changes/devin-export-${Date.now()}.json`;
+    await this.storage.write(exportName, JSON.stringify({
+      exportTime: Date.now(),
       totalChanges: changes.length,
-      changes: changes.map(change => ({
-        componentName: change.componentName,
-        timestamp: change.timestamp,
-        data: change.data,
-        options: change.options,
-        saved: change.saved
-      }))
-    };
-    
-    const filename = `devin-changes-${Date.now()}.json`;
-    const filepath = path.join(this.config.saveDirectory, filename);
-    
-    await fs.writeFile(filepath, JSON.stringify(exportData, null, 2));
-    console.log(`AutoSave: Exported ${changes.length} Devin changes to ${filename}`);
-    return filepath;
-  }
-  
+      changes
+    }, null, 2));
+    const exportFile = this._locate(exportName);
+
+    console.log(`🤖 Exported ${changes.length} Devin changes to: ${exportFile}`);
+    return exportFile;
+  }
+
   getStatus() {
     return {
       enabled: this.config.enabled,
       initialized: this.isInitialized,
+      interval: this.config.intervalMs,
+      saveDirectory: this.config.saveDirectory,
+      storage: typeof this.config.storage === 'string' ? this.config.storage : (this.storage.constructor?.name || 'custom'),
       lastSaveTime: this.lastSaveTime,
-      pendingChanges: this.changeTracker.size,
       timeSinceLastSave: this.lastSaveTime ? Date.now() - this.lastSaveTime : null,
-      devinChangesSummary: {
-        total: this.devinChanges.size,
-        unsaved: Array.from(this.devinChanges.values()).filter(c => !c.saved).length,
-        saved: Array.from(this.devinChanges.values()).filter(c => c.saved).length
-      }
+      pendingChanges: this.pendingChanges.size,
+      encrypted: Boolean(this.keyProvider),
+      journal: {
+        enabled: this.journal.enabled,
+        seq: this.journal.seq,
+        recordsSinceSnapshot: this.journal.recordsSinceSnapshot
+      },
+      saveHistory: this.saveHistory.length,
+      registeredComponents: Array.from(this.components.keys()),
+      devinChangesSummary: this.getDevinChangesSummary()
     };
   }
-  
-  _calculateChecksum(data) {
+
+  /**
+   * Stop periodic saves, writing pending changes first
+   */
+  async shutdown() {
+    this.isShuttingDown = true;
+
+    if (this.saveTimer) {
+      clearInterval(this.saveTimer);
+      this.saveTimer = null;
+    }
+
+    if (this.journal.enabled) {
+      await this.flushJournal();
+    }
+
+    if (this.isInitialized && this.pendingChanges.size > 0) {
+      console.log('💾 Performing final save before shutdown...');
+      await this.saveState();
+    }
+
+    console.log('💾 Auto-Save System shutdown complete');
+  }
+
+  _trackDevinChange(componentId, changeDetails) {
+    if (!this.config.devinTrackingEnabled) return;
+
+    const changeId = `${componentId}-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
+    const changeSize = JSON.stringify(changeDetails ?? null).length;
+    this.devinChanges.set(changeId, {
+      componentId,
+      timestamp: Date.now(),
+      details: changeDetails,
+      saved: false,
+      telemetry: {
+        changeSize,
+        changeType: changeDetails?.type || 'unknown',
+        confidenceLevel: changeDetails?.confidence || 'unknown'
+      }
+    });
+  }
+
+  _getUnsavedDevinChanges() {
+    return Array.from(this.devinChanges.values()).filter(change => !change.saved);
+  }
+
+  _markDevinChangesSaved() {
+    for (const change of this.devinChanges.values()) {
+      change.saved = true;
+    }
+  }
+
+  async _calculateChecksum(data) {
     try {
-      const serialized = typeof data === 'string' ? data : JSON.stringify(data, Object.keys(data).sort());
+      const serialized = typeof data === 'string' ? data : JSON.stringify(data ?? null);
+      const { crypto } = await loadNodeModules();
       return crypto.createHash('sha256').update(serialized, 'utf8').digest('hex');
     } catch (error) {
       console.warn('AutoSave: Checksum calculation failed:', error);
       return `checksum-error-${Date.now()}`;
     }
   }
-  
+
   _startAutoSave() {
     if (this.saveTimer) clearInterval(this.saveTimer);
-    
+
     this.saveTimer = setInterval(() => {
-      if (this.changeTracker.size > 0) {
+      if (!this.isShuttingDown && this.pendingChanges.size > 0) {
         this.saveState().catch(error => {
           console.error('AutoSave: Periodic save failed:', error);
         });
       }
     }, this.config.intervalMs);
-    
-    console.log(`AutoSave: Started periodic saves every ${this.config.intervalMs}ms`);
+
+    // Periodic saves should never keep the host process alive
+    if (typeof this.saveTimer.unref === 'function') {
+      this.saveTimer.unref();
+    }
   }
-  
-  _getUnsavedDevinChanges() {
-    return Array.from(this.devinChanges.values()).filter(change => !change.saved);
+
+  _inJournalQueue(task) {
+    const run = this.journal.queue.then(task);
+    this.journal.queue = run.catch(() => {});
+    return run;
   }
-  
-  _markDevinChangesSaved() {
-    for (const change of this.devinChanges.values()) {
-      change.saved = true;
+
+  /**
+   * Journal a change as a patch of the state values that differ from the
+   * last journaled or snapshotted state; unregistered components journal the
+   * change details as their state. A component may also implement
+   * getJournalPatch() → { paths, patch } to supply the ops under some state
+   * paths itself (large append-only logs) instead of having them diffed.
+   */
+  async _appendJournalRecord(componentId, changeDetails) {
+    const record = { seq: 0, componentId, timestamp: Date.now(), details: changeDetails };
+    const component = this.components.get(componentId);
+
+    if (component) {
+      const state = await component.getSaveState();
+      const patch = this._diffJournalBaseline(componentId, state, component.getJournalPatch?.() || null);
+      if (patch.length === 0) return;
+      record.patch = patch;
+    } else {
+      record.state = changeDetails;
+    }
+
+    record.seq = ++this.journal.seq;
+    await this._appendJournalLine(await this._encodeJournalRecord(record));
+    this.journal.recordsSinceSnapshot++;
+
+    if (this.journal.recordsSinceSnapshot >= this.journal.compactAfter && !this.journal.compacting) {
+      this.journal.compacting = true;
+      this.saveState()
+        .catch(error => console.error('AutoSave: Journal compaction failed:', error))
+        .finally(() => { this.journal.compacting = false; });
     }
   }
-  
-  async _cleanupOldBackups() {
-    try {
-      const files = await fs.readdir(this.config.saveDirectory);
-      const saveFiles = files
-        .filter(f => f.startsWith('autosave-') && (f.endsWith('.json') || f.endsWith('.json.gz')))
-        .map(f => ({
-          name: f,
-          path: path.join(this.config.saveDirectory, f),
-          time: parseInt(f.match(/autosave-(\d+)/)?.[1] || '0')
-        }))
-        .sort((a, b) => b.time - a.time);
-      
-      if (saveFiles.length > this.config.maxBackups) {
-        const filesToDelete = saveFiles.slice(this.config.maxBackups);
-        for (const file of filesToDelete) {
-          await fs.unlink(file.path);
-          try {
-            await fs.unlink(`${file.path}.checksum`);
-          } catch (e) {
-          }
+
+  // A component's own patch only applies to a baseline that has its paths;
+  // otherwise everything is diffed
+  _diffJournalBaseline(componentId, state, tracked = null) {
+    const baseline = this.journal.baselines.get(componentId);
+    if (!isPlainObject(baseline) || !isPlainObject(state)) {
+      const current = cloneJournalState(state);
+      this.journal.baselines.set(componentId, current);
+      return diffJournalState(baseline, current);
+    }
+
+    const usable = tracked && tracked.paths.every(path => hasJournalPath(baseline, path));
+    const patch = usable ? cloneJournalState(tracked.patch) : [];
+    applyJournalPatch(baseline, patch);
+    return diffJournalKeys(baseline, state, [], usable ? tracked.paths : [], patch);
+  }
+
+  _setJournalBaseline(componentId, state) {
+    this.journal.baselines.set(componentId, cloneJournalState(state));
+  }
+
+  async _encodeJournalRecord(record) {
+    const json = JSON.stringify(record);
+    if (!this.keyProvider) return json;
+    return `E${(await encryptPayload(Buffer.from(json, 'utf8'), this.keyProvider)).toString('base64')}`;
+  }
+
+  async _appendJournalLine(line) {
+    if (typeof this.storage.append === 'function') {
+      await this.storage.append(JOURNAL_FILE, `${line}\n`);
+      return;
+    }
+    const existing = await this.storage.read(JOURNAL_FILE);
+    await this.storage.write(JOURNAL_FILE, `${existing ? existing.toString('utf8') : ''}${line}\n`);
+  }
+
+  /**
+   * Journal records in order. Reading stops at the first unreadable record
+   * (a torn write from a crash, or tampering, including a plaintext record
+   * once encryption is configured) since later deltas build on it.
+   */
+  async _readJournal() {
+    const contents = await this.storage.read(JOURNAL_FILE);
+    if (contents === null) return [];
+
+    const records = [];
+    const lines = contents.toString('utf8').split('\n').filter(line => line.length > 0);
+    for (let i = 0; i < lines.length; i++) {
+      try {
+        if (this.keyProvider && !lines[i].startsWith('E')) {
+          throw new Error('record is not encrypted');
         }
-        console.log(`AutoSave: Cleaned up ${filesToDelete.length} old backup(s)`);
+        const json = lines[i].startsWith('E')
+          ? (await decryptPayload(Buffer.from(lines[i].slice(1), 'base64'), this.keyProvider)).toString('utf8')
+          : lines[i];
+        records.push(JSON.parse(json));
+      } catch (error) {
+        console.warn(`AutoSave: Journal unreadable from record ${i + 1} of ${lines.length} (${error.message}); replay stops there`);
+        break;
       }
-    } catch (error) {
-      console.error('AutoSave: Cleanup failed:', error);
     }
+    return records;
   }
-  
-  async shutdown() {
-    if (this.saveTimer) {
-      clearInterval(this.saveTimer);
-      this.saveTimer = null;
+
+  // Continue numbering after both the journal and the latest snapshot
+  async _syncJournalPosition() {
+    const records = await this._readJournal();
+    const latest = records.length > 0 ? null : await this.loadLatestSave();
+    this.journal.seq = Math.max(
+      this.journal.seq,
+      records.length > 0 ? records[records.length - 1].seq : 0,
+      latest?.journalSeq ?? 0
+    );
+  }
+
+  async _listSaveFiles() {
+    try {
+      const files = await this.storage.list();
+      return files
+        .map(name => ({ name, match: name.match(SAVE_FILE_PATTERN) }))
+        .filter(file => file.match)
+        .map(file => ({ name: file.name, time: parseInt(file.match[1], 10) }))
+        .sort((a, b) => b.time - a.time);
+    } catch (error) {
+      console.warn('AutoSave: Failed to list save files:', error.message);
+      return [];
     }
-    
-    if (this.changeTracker.size > 0) {
-      console.log('AutoSave: Performing final save before shutdown');
-      await this.saveState();
+  }
+
+  async _cleanupOldBackups() {
+    const saveFiles = await this._listSaveFiles();
+    if (saveFiles.length <= this.config.maxBackups) return;
+
+    const filesToDelete = saveFiles.slice(this.config.maxBackups);
+    for (const file of filesToDelete) {
+      await this.storage.delete(file.name).catch(() => {});
+      await this.storage.delete(`${file.name}.checksum`).catch(() => {});
     }
-    
-    console.log('AutoSave: Shutdown complete');
+    this.saveHistory = this.saveHistory.slice(-this.config.maxBackups);
+    console.log(`AutoSave: Cleaned up ${filesToDelete.length} old backup(s)`);
+  }
+
+  _locate(name) {
+    return typeof this.storage.locate === 'function' ? this.storage.locate(name) : name;
+  }
+
+  _groupBy(array, property) {
+    return array.reduce((groups, item) => {
+      const key = item[property];
+      groups[key] = groups[key] || [];
+      groups[key].push(item);
+      return groups;
+    }, {});
   }
 }
 
+export { resolveAutoSaveConfig };
 export default AutoSaveSystem;
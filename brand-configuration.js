@@ -0,0 +1,181 @@
+/**
+ * Brand Configuration - White-Label Deployment Profiles
+ *
+ * Holds per-brand profiles (alert thresholds, context weights, message
+ * templates) for white-label deployments and provides the helpers the
+ * interpreter uses to apply the active profile to its alert policy and
+ * device decisions.
+ *
+ * @version 2.0.0
+ * @author Goliath Security Systems
+ */
+
+const CONTEXT_WEIGHT_KEYS = ['userPresence', 'timeOfDay', 'location', 'weather'];
+const BRAND_MESSAGE_LEVELS = ['IGNORE', 'STANDARD', 'ELEVATED', 'CRITICAL'];
+const ADVERSE_WEATHER = new Set(['rain', 'heavy_rain', 'snow', 'sleet', 'hail', 'fog', 'storm', 'wind']);
+
+/**
+ * Validate the brand-specific parts of a profile, returning a list of problems.
+ * Threshold ordering is checked by validateConfig once merged.
+ */
+function validateBrandProfile(profile) {
+  const errors = [];
+
+  if (!profile || typeof profile !== 'object') {
+    return ['brand configuration must be an object'];
+  }
+  if (!profile.brandName || typeof profile.brandName !== 'string') {
+    errors.push('brandName must be a non-empty string');
+  }
+
+  if (profile.contextWeights !== undefined) {
+    Object.entries(profile.contextWeights || {}).forEach(([key, weight]) => {
+      if (!CONTEXT_WEIGHT_KEYS.includes(key)) {
+        errors.push(`contextWeights.${key} is not a known context weight (${CONTEXT_WEIGHT_KEYS.join(', ')})`);
+      } else if (typeof weight !== 'number' || !(weight > 0) || weight > 5) {
+        errors.push(`contextWeights.${key} must be a number between 0 and 5`);
+      }
+    });
+  }
+
+  if (profile.customMessages !== undefined) {
+    Object.entries(profile.customMessages || {}).forEach(([level, template]) => {
+      if (!BRAND_MESSAGE_LEVELS.includes(level)) {
+        errors.push(`customMessages.${level} is not an alert level (${BRAND_MESSAGE_LEVELS.join(', ')})`);
+      } else if (template !== null && typeof template !== 'string') {
+        errors.push(`customMessages.${level} must be a template string or null`);
+      }
+    });
+  }
+
+  if (profile.whiteLabel !== undefined && typeof profile.whiteLabel !== 'boolean') {
+    errors.push('whiteLabel must be a boolean');
+  }
+
+  return errors;
+}
+
+function createBrandProfile(profile) {
+  return {
+    brandName: profile.brandName,
+    alertThresholds: profile.alertThresholds ? { ...profile.alertThresholds } : null,
+    suspicionThresholds: profile.suspicionThresholds ? { ...profile.suspicionThresholds } : null,
+    contextWeights: { ...(profile.contextWeights || {}) },
+    customMessages: { ...(profile.customMessages || {}) },
+    whiteLabel: profile.whiteLabel !== false,
+    configuredAt: Date.now()
+  };
+}
+
+/**
+ * Registry of brand profiles with one active profile
+ */
+class BrandProfileRegistry {
+  constructor() {
+    this.profiles = new Map();
+    this.activeBrand = null;
+  }
+
+  register(profile) {
+    const brandProfile = createBrandProfile(profile);
+    this.profiles.set(brandProfile.brandName, brandProfile);
+    return brandProfile;
+  }
+
+  activate(brandName) {
+    if (!this.profiles.has(brandName)) {
+      throw new Error(`No brand profile registered for "${brandName}" (available: ${this.list().join(', ') || 'none'})`);
+    }
+    this.activeBrand = brandName;
+    return this.profiles.get(brandName);
+  }
+
+  get(brandName) {
+    return this.profiles.get(brandName) || null;
+  }
+
+  getActive() {
+    return this.activeBrand ? this.profiles.get(this.activeBrand) : null;
+  }
+
+  list() {
+    return Array.from(this.profiles.keys());
+  }
+
+  getSaveState() {
+    return {
+      profiles: Array.from(this.profiles.values()).map(profile => ({
+        ...createBrandProfile(profile),
+        configuredAt: profile.configuredAt
+      })),
+      activeBrand: this.activeBrand
+    };
+  }
+
+  // Saved profiles that no longer validate are dropped rather than restored
+  restoreFromSave(state) {
+    if (!state) return;
+    this.profiles = new Map();
+    (state.profiles || []).filter(profile => validateBrandProfile(profile).length === 0).forEach(profile => {
+      this.profiles.set(profile.brandName, { ...createBrandProfile(profile), configuredAt: profile.configuredAt ?? Date.now() });
+    });
+    this.activeBrand = this.profiles.has(state.activeBrand) ? state.activeBrand : null;
+  }
+}
+
+/**
+ * Context weight multipliers that apply to an event. Amplifying weights
+ * (user away, night, entry point) are skipped for authorized activity;
+ * the weather weight dampens interference-prone readings for everyone.
+ * Entry points come from the site model when one is given, and the
+ * household mode, when given, also marks the user away or asleep.
+ */
+function computeContextMultipliers(event, intent, contextWeights, authorized, siteModel = null, householdMode = null) {
+  const metadata = event.metadata || {};
+  const multipliers = [];
+
+  if (!authorized) {
+    const userAway = metadata.userHome === false || householdMode === 'away' || householdMode === 'vacation';
+    if (contextWeights.userPresence !== undefined && userAway) {
+      multipliers.push({ reason: 'context_user_away', weight: contextWeights.userPresence });
+    }
+
+    const isNight = metadata.timeOfDay === 'night' || householdMode === 'night' ||
+      (Array.isArray(intent?.riskFactors) && intent.riskFactors.includes('unusual_time'));
+    if (contextWeights.timeOfDay !== undefined && isNight) {
+      multipliers.push({ reason: 'context_night', weight: contextWeights.timeOfDay });
+    }
+
+    const isEntryPoint = siteModel
+      ? siteModel.isEntryPoint(event.location)
+      : typeof event.location === 'string' && (event.location.includes('door') || event.location.includes('window'));
+    if (contextWeights.location !== undefined && isEntryPoint) {
+      multipliers.push({ reason: 'context_entry_point', weight: contextWeights.location });
+    }
+  }
+
+  const weather = typeof metadata.weather === 'string' ? metadata.weather.toLowerCase() : null;
+  if (contextWeights.weather !== undefined && (metadata.interference === true || ADVERSE_WEATHER.has(weather))) {
+    multipliers.push({ reason: 'context_interference', weight: contextWeights.weather });
+  }
+
+  return multipliers;
+}
+
+/**
+ * Render a customMessages template. Supports {original}, {brandName},
+ * {alertLevel}, {location} and {threatScore}.
+ */
+function renderBrandMessage(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined ? String(values[key]) : match));
+}
+
+export {
+  CONTEXT_WEIGHT_KEYS,
+  BRAND_MESSAGE_LEVELS,
+  validateBrandProfile,
+  createBrandProfile,
+  BrandProfileRegistry,
+  computeContextMultipliers,
+  renderBrandMessage
+};
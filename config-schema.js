@@ -2,6 +2,7 @@
  * Centralized Configuration Schema for MobileNovIn AI SDK
  * Consolidates all hard-coded parameters into configurable defaults
  */
+import { ENGINE_STAGES } from './engine-registry.js';
 
 export const DEFAULT_CONFIG = {
   suspicionThresholds: {
@@ -54,9 +55,18 @@ export const DEFAULT_CONFIG = {
     enabled: true,
     intervalMs: 30000, // 30 seconds
     maxBackups: 5,
-    compressionEnabled: true,
-    checksumValidation: true,
+    // compressionEnabled and checksumValidation default to on for the node platform only
     saveDirectory: './saves'
+  },
+  
+  // Implementation selected for each cognitive stage (see engine-registry.js)
+  engines: {
+    memory: 'mock',
+    intent: 'mock',
+    reasoning: 'mock',
+    spatial: 'mock',
+    learning: 'mock',
+    suspicion: 'passthrough'
   }
 };
 
@@ -73,6 +83,12 @@ export function validateConfig(config) {
     errors.push('suspicionThresholds must be in ascending order (info < standard < elevated < critical)');
   }
   
+  // Validate alert thresholds (0-100 threat scores) are in ascending order
+  const a = config.alertThresholds;
+  if (a && (a.ignore >= a.standard || a.standard >= a.elevated || a.elevated >= a.critical)) {
+    errors.push('alertThresholds must be in ascending order (ignore < standard < elevated < critical)');
+  }
+  
   if (config.intentWeights) {
     const weightSum = Object.values(config.intentWeights).reduce((sum, w) => sum + w, 0);
     if (weightSum < 0.8 || weightSum > 1.2) {
@@ -90,6 +106,16 @@ export function validateConfig(config) {
     }
   }
   
+  if (config.engines) {
+    Object.entries(config.engines).forEach(([stage, selection]) => {
+      if (!ENGINE_STAGES.includes(stage)) {
+        errors.push(`engines.${stage} is not a known engine stage`);
+      } else if (selection === null || selection === undefined || selection === '') {
+        errors.push(`engines.${stage} must name a registered engine or provide an engine`);
+      }
+    });
+  }
+  
   return errors;
 }
 
@@ -105,6 +131,7 @@ export function mergeConfig(defaultConfig, userConfig) {
     contextualWeights: { ...defaultConfig.contextualWeights, ...(userConfig.contextualWeights || {}) },
     fallbackValues: { ...defaultConfig.fallbackValues, ...(userConfig.fallbackValues || {}) },
     performance: { ...defaultConfig.performance, ...(userConfig.performance || {}) },
-    autosave: { ...defaultConfig.autosave, ...(userConfig.autosave || {}) }
+    autosave: { ...defaultConfig.autosave, ...(userConfig.autosave || {}) },
+    engines: { ...defaultConfig.engines, ...(userConfig.engines || {}) }
   };
 }
@@ -0,0 +1,381 @@
+/**
+ * Contextual Analytics - Aggregated Reporting over Interpreted Events
+ *
+ * Keeps a compact, bounded ledger of interpreted events (alert level, policy
+ * reasons, behaviors, feedback outcome) and aggregates it per location and
+ * time range into the JSON the reporting screens consume. Peak hours come
+ * from temporal memory when the memory engine keeps one.
+ *
+ * @version 2.0.0
+ * @author Goliath Security Systems
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const TIME_RANGE_UNITS = {
+  m: 60 * 1000,
+  h: HOUR_MS,
+  d: 24 * HOUR_MS,
+  w: 7 * 24 * HOUR_MS
+};
+
+const ALERT_LEVELS = ['info', 'standard', 'elevated', 'critical'];
+
+// Alert policy reasons that silence an event outright
+const SUPPRESSION_REASONS = new Set(['backoff_suppress', 'known_silent', 'known_ignore', 'low_confidence_suppress', 'geofence_suppress']);
+
+const FEEDBACK_OUTCOMES = {
+  CONFIRMED_THREAT: 'confirmed_threat',
+  FALSE_ALARM: 'false_alarm',
+  MISSED_THREAT: 'missed_threat',
+  CORRECT_DISMISSAL: 'correct_dismissal'
+};
+
+// Report field counting each outcome
+const OUTCOME_FIELDS = {
+  [FEEDBACK_OUTCOMES.CONFIRMED_THREAT]: 'confirmedThreats',
+  [FEEDBACK_OUTCOMES.FALSE_ALARM]: 'falseAlarms',
+  [FEEDBACK_OUTCOMES.MISSED_THREAT]: 'missedThreats',
+  [FEEDBACK_OUTCOMES.CORRECT_DISMISSAL]: 'correctDismissals'
+};
+
+/**
+ * Milliseconds for a time range given as a number or as '30m', '1h', '24h', '7d', '2w'
+ */
+function parseTimeRange(timeRange) {
+  if (typeof timeRange === 'number' && Number.isFinite(timeRange) && timeRange > 0) {
+    return timeRange;
+  }
+  const match = typeof timeRange === 'string' ? /^(\d+)\s*([mhdw])$/.exec(timeRange.trim()) : null;
+  if (!match || Number(match[1]) === 0) {
+    throw new Error(`Invalid time range "${timeRange}" (use milliseconds or a duration such as '1h', '24h', '7d', '30d')`);
+  }
+  return Number(match[1]) * TIME_RANGE_UNITS[match[2]];
+}
+
+/**
+ * Classify user feedback against what the interpreter did. Feedback states
+ * `actualThreat`, or only `accurate` (whether the decision was right).
+ * @returns {string|null} One of FEEDBACK_OUTCOMES, or null when undecidable
+ */
+function classifyFeedback(notified, feedback = {}) {
+  let actualThreat = feedback.actualThreat;
+  if (typeof actualThreat !== 'boolean' && typeof feedback.accurate === 'boolean') {
+    actualThreat = feedback.accurate ? notified : !notified;
+  }
+  if (typeof actualThreat !== 'boolean') return null;
+
+  if (notified) {
+    return actualThreat ? FEEDBACK_OUTCOMES.CONFIRMED_THREAT : FEEDBACK_OUTCOMES.FALSE_ALARM;
+  }
+  return actualThreat ? FEEDBACK_OUTCOMES.MISSED_THREAT : FEEDBACK_OUTCOMES.CORRECT_DISMISSAL;
+}
+
+/**
+ * Bounded, insertion-ordered record of interpreted events. The oldest
+ * records are dropped once capacity is reached.
+ */
+class AssessmentLedger {
+  constructor(capacity = 5000) {
+    this.capacity = capacity;
+    this.records = [];
+    this.byEventId = new Map();
+    this._changes = { appended: 0, dropped: 0, reviewed: new Set(), reset: false };
+  }
+
+  record(perceptionEvent, assessment) {
+    const date = new Date(perceptionEvent.timestamp);
+    const entry = {
+      eventId: assessment.eventId,
+      timestamp: perceptionEvent.timestamp,
+      hour: date.getHours(),
+      dayOfWeek: date.getDay(),
+      location: perceptionEvent.location,
+      entityType: perceptionEvent.entityType,
+      eventType: perceptionEvent.metadata?.eventType || perceptionEvent.entityType,
+      behaviors: [...(perceptionEvent.behaviors || [])],
+      suspicionLevel: assessment.suspicionLevel,
+      alertLevel: assessment.alertLevel,
+      notified: Boolean(assessment.shouldNotify),
+      policyReasons: [...(assessment.policyReasons || [])],
+      processingLatency: assessment.processingLatency,
+      outcome: null,
+      reviews: []
+    };
+
+    this.records.push(entry);
+    this.byEventId.set(entry.eventId, entry);
+    this._changes.appended++;
+    if (this.records.length > this.capacity) {
+      const dropped = this.records.splice(0, this.records.length - this.capacity);
+      for (const { eventId } of dropped) this.byEventId.delete(eventId);
+      this._changes.dropped += dropped.length;
+    }
+    return entry;
+  }
+
+  get(eventId) {
+    return this.byEventId.get(eventId) || null;
+  }
+
+  /**
+   * Attach a feedback outcome to a recorded event. Each review is kept per
+   * user; an overruled review is counted for its user but leaves the
+   * event's outcome alone.
+   * @param {Object} [options] - { overruled }
+   * @returns {string|null} The outcome, or null if the event is unknown or undecidable
+   */
+  recordFeedback(eventId, feedback, options = {}) {
+    const entry = this.byEventId.get(eventId);
+    if (!entry) return null;
+    const outcome = classifyFeedback(entry.notified, feedback);
+    entry.reviews = entry.reviews || [];
+    entry.reviews.push({
+      userId: feedback.userId ?? null,
+      role: feedback.role ?? null,
+      outcome,
+      overruled: Boolean(options.overruled),
+      timestamp: feedback.timestamp || Date.now()
+    });
+    if (!options.overruled) entry.outcome = outcome;
+    this._changes.reviewed.add(entry);
+    return outcome;
+  }
+
+  /**
+   * Drop a user's latest standing review (the anonymous one when userId is null)
+   */
+  clearFeedback(eventId, userId = null) {
+    const review = this._standingReview(eventId, userId);
+    if (review) {
+      review.entry.reviews.splice(review.index, 1);
+      this._settleOutcome(review.entry);
+      this._changes.reviewed.add(review.entry);
+    }
+  }
+
+  /**
+   * Mark a user's latest standing review as overruled by someone senior
+   */
+  overruleFeedback(eventId, userId) {
+    const review = this._standingReview(eventId, userId);
+    if (review) {
+      review.entry.reviews[review.index].overruled = true;
+      this._settleOutcome(review.entry);
+      this._changes.reviewed.add(review.entry);
+    }
+  }
+
+  query({ location = null, since = -Infinity, until = Infinity } = {}) {
+    return this.records.filter(entry =>
+      (!location || entry.location === location) &&
+      entry.timestamp >= since && entry.timestamp <= until
+    );
+  }
+
+  get size() {
+    return this.records.length;
+  }
+
+  getSaveState() {
+    return { records: this.records };
+  }
+
+  restoreFromSave(savedState) {
+    this.records = (savedState?.records || []).slice(-this.capacity);
+    this.byEventId = new Map(this.records.map(entry => [entry.eventId, entry]));
+    this._changes.reset = true;
+  }
+
+  /**
+   * Journal ops (see AutoSaveSystem) for the record changes since the last
+   * call, with paths under `path`: dropped records are shifted off, appended
+   * and reviewed records are set. Far cheaper than diffing the whole ledger.
+   */
+  takeJournalPatch(path = []) {
+    const { appended, dropped, reviewed, reset } = this._changes;
+    this._changes = { appended: 0, dropped: 0, reviewed: new Set(), reset: false };
+    const recordsPath = [...path, 'records'];
+    if (reset) return [{ op: 'set', path: recordsPath, value: this.records }];
+
+    const patch = dropped > 0 ? [{ op: 'shift', path: recordsPath, count: dropped }] : [];
+    const firstAppended = Math.max(0, this.records.length - appended);
+    for (const entry of reviewed) {
+      const index = this.records.indexOf(entry);
+      if (index >= 0 && index < firstAppended) patch.push({ op: 'set', path: [...recordsPath, index], value: entry });
+    }
+    for (let i = firstAppended; i < this.records.length; i++) {
+      patch.push({ op: 'set', path: [...recordsPath, i], value: this.records[i] });
+    }
+    return patch;
+  }
+
+  _standingReview(eventId, userId) {
+    const entry = this.byEventId.get(eventId);
+    const reviews = entry?.reviews || [];
+    const index = reviews.findLastIndex(review => !review.overruled && review.userId === userId);
+    return index >= 0 ? { entry, index } : null;
+  }
+
+  _settleOutcome(entry) {
+    const standing = entry.reviews.filter(review => !review.overruled);
+    entry.outcome = standing.length > 0 ? standing[standing.length - 1].outcome : null;
+  }
+}
+
+function countBy(values) {
+  const counts = new Map();
+  for (const value of values) counts.set(value, (counts.get(value) || 0) + 1);
+  return counts;
+}
+
+function rankCounts(counts, key, limit = Infinity) {
+  return Array.from(counts.entries())
+    .sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])))
+    .slice(0, limit)
+    .map(([name, count]) => ({ [key]: name, count }));
+}
+
+function average(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+/**
+ * Per-user review counts; reviews without a userId are left out
+ */
+function summarizeReviewers(records) {
+  const users = new Map();
+  for (const review of records.flatMap(entry => entry.reviews || [])) {
+    if (!review.userId) continue;
+    const stats = users.get(review.userId) || {
+      userId: review.userId,
+      role: null,
+      reviewed: 0,
+      confirmedThreats: 0,
+      falseAlarms: 0,
+      missedThreats: 0,
+      correctDismissals: 0,
+      overruled: 0
+    };
+    stats.role = review.role ?? stats.role;
+    stats.reviewed++;
+    if (review.outcome) stats[OUTCOME_FIELDS[review.outcome]]++;
+    if (review.overruled) stats.overruled++;
+    users.set(review.userId, stats);
+  }
+  return Array.from(users.values()).sort((a, b) => b.reviewed - a.reviewed || a.userId.localeCompare(b.userId));
+}
+
+function summarizeFeedback(records) {
+  const outcomes = countBy(records.map(entry => entry.outcome).filter(Boolean));
+  const confirmedThreats = outcomes.get(FEEDBACK_OUTCOMES.CONFIRMED_THREAT) || 0;
+  const falseAlarms = outcomes.get(FEEDBACK_OUTCOMES.FALSE_ALARM) || 0;
+  return {
+    reviewed: Array.from(outcomes.values()).reduce((sum, count) => sum + count, 0),
+    confirmedThreats,
+    falseAlarms,
+    missedThreats: outcomes.get(FEEDBACK_OUTCOMES.MISSED_THREAT) || 0,
+    correctDismissals: outcomes.get(FEEDBACK_OUTCOMES.CORRECT_DISMISSAL) || 0,
+    // Share of reviewed notifications that turned out to be false alarms
+    falsePositiveRate: confirmedThreats + falseAlarms > 0 ? falseAlarms / (confirmedThreats + falseAlarms) : null,
+    byUser: summarizeReviewers(records)
+  };
+}
+
+/**
+ * Busiest hour/day-of-week slots among ledger records, for memory engines
+ * without temporal memory
+ */
+function peakTimesFromRecords(records, limit = 5) {
+  const slots = new Map();
+  for (const entry of records) {
+    const key = `${entry.dayOfWeek}:${entry.hour}`;
+    const slot = slots.get(key) || { hour: entry.hour, dayOfWeek: entry.dayOfWeek, count: 0 };
+    slot.count++;
+    slots.set(key, slot);
+  }
+  return Array.from(slots.values())
+    .sort((a, b) => b.count - a.count || a.dayOfWeek - b.dayOfWeek || a.hour - b.hour)
+    .slice(0, limit);
+}
+
+/**
+ * Aggregate ledger records for one location (or all) over a time range
+ * @param {Array<Object>} records - Ledger records already limited to the range
+ * @param {Object} options - { location, from, to, peakTimes, limit }
+ */
+function summarizeRecords(records, { location = null, from, to, peakTimes = null, limit = 5 } = {}) {
+  const alertLevels = Object.fromEntries(ALERT_LEVELS.map(level => [level, 0]));
+  for (const entry of records) {
+    alertLevels[entry.alertLevel] = (alertLevels[entry.alertLevel] || 0) + 1;
+  }
+
+  const suppressed = records.filter(entry => !entry.notified);
+  const suppressionReasons = countBy(suppressed.flatMap(entry =>
+    entry.policyReasons.filter(reason => SUPPRESSION_REASONS.has(reason))
+  ));
+
+  return {
+    location,
+    timeRange: { from, to },
+    totalEvents: records.length,
+    notifiedEvents: records.length - suppressed.length,
+    alertLevels,
+    averageSuspicion: average(records.map(entry => entry.suspicionLevel || 0)),
+    suppression: {
+      total: suppressed.length,
+      reasons: rankCounts(suppressionReasons, 'reason')
+    },
+    policyReasons: rankCounts(countBy(records.flatMap(entry => entry.policyReasons)), 'reason'),
+    feedback: summarizeFeedback(records),
+    peakHours: peakTimes || peakTimesFromRecords(records, limit),
+    topBehaviors: rankCounts(countBy(records.flatMap(entry => entry.behaviors)), 'behavior', limit)
+  };
+}
+
+/**
+ * Interpreter-wide report in the shape documented for getAnalytics()
+ */
+function summarizeAnalytics(records, { from, to, limit = 5 } = {}) {
+  const totals = summarizeRecords(records, { from, to, limit });
+  const percent = count => (records.length > 0 ? Math.round((count / records.length) * 1000) / 10 : 0);
+
+  const byEventType = new Map();
+  for (const entry of records) {
+    const scores = byEventType.get(entry.eventType) || [];
+    scores.push((entry.suspicionLevel || 0) * 100);
+    byEventType.set(entry.eventType, scores);
+  }
+
+  const byLocation = countBy(records.map(entry => entry.location));
+
+  return {
+    timeRange: totals.timeRange,
+    summary: {
+      totalEvents: totals.totalEvents,
+      notifiedEvents: totals.notifiedEvents,
+      // Share of events the alert policy kept from notifying
+      falseAlarmReduction: percent(totals.suppression.total),
+      averageThreatScore: Math.round(totals.averageSuspicion * 1000) / 10,
+      averageProcessingTime: Math.round(average(records.map(entry => entry.processingLatency || 0)) * 100) / 100
+    },
+    alertDistribution: Object.fromEntries(Object.entries(totals.alertLevels).map(([level, count]) => [level, percent(count)])),
+    topEventTypes: Array.from(byEventType.entries())
+      .sort((a, b) => b[1].length - a[1].length)
+      .slice(0, limit)
+      .map(([type, scores]) => ({ type, count: scores.length, avgScore: Math.round(average(scores) * 10) / 10 })),
+    locations: rankCounts(byLocation, 'location').map(({ location, count }) => ({ location, totalEvents: count })),
+    suppression: totals.suppression,
+    feedback: totals.feedback
+  };
+}
+
+export {
+  SUPPRESSION_REASONS,
+  FEEDBACK_OUTCOMES,
+  parseTimeRange,
+  classifyFeedback,
+  AssessmentLedger,
+  summarizeRecords,
+  summarizeAnalytics
+};
@@ -9,19 +9,69 @@
  * @author Goliath Security Systems
  */
 
+import { resolveSiteModel } from './site-model.js';
+
+// Fast numeric hash function (djb2) for cache and index keys, shared with the interpreter
+const hashKey = (...values) => {
+  let hash = 5381;
+  for (const value of values) {
+    const str = String(value);
+    for (let i = 0; i < str.length; i++) {
+      hash = ((hash << 5) + hash) + str.charCodeAt(i);
+    }
+  }
+  return hash >>> 0; // Convert to unsigned 32-bit integer
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Hours of the day covered by each time category (see _categorizeTime)
+const TIME_CATEGORY_HOURS = {
+  night: [22, 23, 0, 1, 2, 3, 4, 5],
+  morning: [6, 7, 8],
+  day: [9, 10, 11, 12, 13, 14, 15, 16],
+  evening: [17, 18, 19, 20, 21]
+};
+
+// Norm drift is measured once per window of observations
+const NORM_DRIFT_WINDOW = 25;
+// Observations at which a norm reaches half confidence
+const NORM_CONFIDENCE_HALF = 10;
+// Minimum share for an entity type or behavior to count as expected
+const NORM_EXPECTED_SHARE = 0.1;
+// Drift one piece of feedback adds to a norm (see ContextualNormsStore.recordFeedback)
+const NORM_FEEDBACK_STEP = 0.1;
+
+/**
+ * Retention policy from the interpreter config: raw memories are kept for
+ * memoryRetentionHours and capped at maxMemoryEvents. Compaction runs every
+ * memoryCompactionInterval events or as soon as the cap is exceeded, and
+ * trims down to memoryLowWatermark of the cap so it does not run per event.
+ */
+function resolveRetentionPolicy(config = {}) {
+  return {
+    maxRawEvents: config?.maxMemoryEvents || 5000,
+    retentionHours: config?.memoryRetentionHours || 168,
+    compactionInterval: config?.memoryCompactionInterval || 100,
+    lowWatermark: config?.memoryLowWatermark || 0.9
+  };
+}
+
 class ContextualMemorySystem {
   constructor(config) {
     this.config = config;
+    this.siteModel = resolveSiteModel(config);
     
     // Memory stores
     this.spatialMemory = new SpatialMemoryStore();
     this.temporalMemory = new TemporalMemoryStore();
     this.behavioralMemory = new BehavioralMemoryStore();
     this.entityMemory = new EntityMemoryStore();
-    this.contextualNorms = new ContextualNormsStore();
+    this.contextualNorms = new ContextualNormsStore(config);
     
     // Memory management
-    this.memoryCompressor = new MemoryCompressor();
+    this.retentionPolicy = resolveRetentionPolicy(config);
+    this.memoryCompressor = new MemoryCompressor(this.retentionPolicy);
     this.memoryRetrieval = new MemoryRetrieval();
     
     // Adaptive learning
@@ -43,18 +93,6 @@ class ContextualMemorySystem {
     console.log('🧠 Contextual Memory System initialized');
   }
 
-  // Fast numeric hash function (djb2) for cache keys
-  _hashKey(...values) {
-    let hash = 5381;
-    for (const value of values) {
-      const str = String(value);
-      for (let i = 0; i < str.length; i++) {
-        hash = ((hash << 5) + hash) + str.charCodeAt(i);
-      }
-    }
-    return hash >>> 0; // Convert to unsigned 32-bit integer
-  }
-
   /**
    * Store a new event in contextual memory
    */
@@ -81,6 +119,7 @@ class ContextualMemorySystem {
       await this._storeInTemporalMemory(memoryEntry);
       await this._storeInBehavioralMemory(memoryEntry);
       await this._storeInEntityMemory(memoryEntry);
+      this.memoryRetrieval.index(memoryEntry);
       
       // Update contextual norms
       await this._updateContextualNorms(memoryEntry);
@@ -120,23 +159,29 @@ class ContextualMemorySystem {
     const temporalContext = this._extractTemporalContext(perceptionEvent);
     
     try {
-      // Retrieve relevant memories
-      const spatialHistory = await this.spatialMemory.getRelevantMemories(
-        spatialContext, 
-        lookbackHours
-      );
+      // Retrieve relevant memories through the retrieval indexes
+      const spatialHistory = await this.memoryRetrieval.retrieveRelevantMemories({
+        location: spatialContext.location,
+        lookbackHours,
+        limit: 100
+      });
       
-      const temporalHistory = await this.temporalMemory.getRelevantMemories(
-        temporalContext, 
-        lookbackHours
-      );
+      const temporalHistory = await this.memoryRetrieval.retrieveRelevantMemories({
+        hour: temporalContext.hour,
+        dayOfWeek: temporalContext.dayOfWeek,
+        lookbackHours,
+        limit: 50
+      });
       
-      const behavioralHistory = await this.behavioralMemory.getRelevantPatterns(
-        perceptionEvent.behaviors,
-        lookbackHours
-      );
+      const behavioralHistory = perceptionEvent.behaviors?.length > 0
+        ? await this.memoryRetrieval.retrieveRelevantMemories({
+          behaviors: perceptionEvent.behaviors,
+          lookbackHours,
+          limit: 50
+        })
+        : [];
       
-      const entityHistory = await this.entityMemory.getRelevantEntities(
+      const entityHistory = await this._retrieveEntityHistory(
         perceptionEvent.entityType,
         spatialContext,
         lookbackHours
@@ -186,6 +231,8 @@ class ContextualMemorySystem {
       
       // Update memory entry with feedback
       memoryEntry.feedback = feedback;
+      const record = this.memoryRetrieval.get(memoryEntry.memoryId);
+      if (record) record.feedback = feedback;
       
       // Adaptive learning
       await this.adaptiveLearning.learnFromFeedback(memoryEntry, feedback);
@@ -193,6 +240,13 @@ class ContextualMemorySystem {
       // Update contextual norms based on feedback
       await this._updateNormsFromFeedback(memoryEntry, feedback);
       
+      this._markChanged({
+        type: 'memory_feedback',
+        memoryId: memoryEntry.memoryId,
+        eventId,
+        timestamp: Date.now()
+      });
+      
       return true;
       
     } catch (error) {
@@ -206,6 +260,7 @@ class ContextualMemorySystem {
   getMemoryInsights() {
     return {
       memoryStats: this.memoryStats,
+      footprint: this.getMemoryFootprint(),
       spatialInsights: this.spatialMemory.getInsights(),
       temporalInsights: this.temporalMemory.getInsights(),
       behavioralInsights: this.behavioralMemory.getInsights(),
@@ -214,6 +269,150 @@ class ContextualMemorySystem {
     };
   }
 
+  /**
+   * Report how much the memory system is holding: raw memories per store,
+   * long-lived aggregates, and an estimate of the bytes they occupy
+   */
+  getMemoryFootprint() {
+    const stores = {
+      spatial: this.spatialMemory.countMemories(),
+      temporal: this.temporalMemory.countMemories(),
+      behavioral: this.behavioralMemory.memories.length,
+      entity: this.entityMemory.memories.length
+    };
+    const rawEvents = this.behavioralMemory.memories.length;
+    const summaries = this.contextualNorms.summaries.size;
+
+    return {
+      rawEvents,
+      maxRawEvents: this.retentionPolicy.maxRawEvents,
+      retentionHours: this.retentionPolicy.retentionHours,
+      oldestRawTimestamp: rawEvents > 0 ? this.behavioralMemory.memories[0].timestamp : null,
+      stores,
+      entityProfiles: this.entityMemory.entityProfiles.size,
+      contextualNorms: this.contextualNorms.norms.size,
+      summaries,
+      estimatedBytes:
+        this.memoryCompressor.estimateBytes(this.behavioralMemory.memories) * 4 +
+        this.memoryCompressor.estimateBytes(Array.from(this.contextualNorms.summaries.values())),
+      lastCompaction: this.memoryCompressor.lastCompaction
+    };
+  }
+
+  /**
+   * Evict raw memories past the retention policy and roll them into
+   * per-location, per-hour summaries
+   * @param {number} [now] - Reference time (defaults to Date.now())
+   * @returns {Object} Compaction report ({ evicted, summariesUpdated, profilesForgotten, timestamp })
+   */
+  async compactMemories(now = Date.now()) {
+    const report = await this.memoryCompressor.compressOldMemories(this, now);
+    if (report.evicted > 0) {
+      this._markChanged({
+        type: 'memory_compacted',
+        evicted: report.evicted,
+        timestamp: now
+      });
+    }
+    return report;
+  }
+
+  /**
+   * Look up a stored memory entry by interpreter eventId or memoryId
+   */
+  async _findMemoryEntry(eventId) {
+    const record = this.memoryRetrieval.findByEventId(eventId) || this.memoryRetrieval.get(eventId);
+    return record ? record.memoryEntry : null;
+  }
+
+  async _updateNormsFromFeedback(memoryEntry, feedback) {
+    await this.contextualNorms.recordFeedback({
+      location: memoryEntry.spatialContext.location,
+      timeCategory: memoryEntry.temporalContext.timeCategory,
+      feedback
+    });
+  }
+
+  // Same entity type anywhere, or anything at this location
+  async _retrieveEntityHistory(entityType, spatialContext, lookbackHours) {
+    const [byType, byLocation] = await Promise.all([
+      this.memoryRetrieval.retrieveRelevantMemories({ entityType, lookbackHours, limit: 30 }),
+      this.memoryRetrieval.retrieveRelevantMemories({ location: spatialContext.location, lookbackHours, limit: 30 })
+    ]);
+
+    const merged = new Map();
+    [...byType, ...byLocation].forEach(record => merged.set(record.memoryId, record));
+    return Array.from(merged.values())
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .slice(0, 30);
+  }
+
+  /**
+   * Learned norms per location and time category (see ContextualNormsStore.queryNorms)
+   * @param {Object} [filter] - { location, timeCategory }
+   */
+  queryNorms(filter = {}) {
+    return this.contextualNorms.queryNorms(filter);
+  }
+
+  /**
+   * Busiest hour/day-of-week slots in temporal memory
+   * @param {Object} [filter] - { location, since, until, limit }
+   */
+  getPeakActivityTimes(filter = {}) {
+    return this.temporalMemory._calculatePeakTimes(filter);
+  }
+
+  getEntityProfile(entityId) {
+    return this.entityMemory.getProfile(entityId);
+  }
+
+  listEntityProfiles() {
+    return this.entityMemory.listProfiles();
+  }
+
+  /**
+   * Treat two entity IDs as the same individual from now on
+   * @returns {Object|null} The merged profile
+   */
+  mergeEntities(sourceId, targetId) {
+    const source = this.entityMemory.resolve(sourceId);
+    const target = this.entityMemory.resolve(targetId);
+    const profile = this.entityMemory.mergeProfiles(source, target);
+    this.memoryRetrieval.reassignEntity(source, target);
+
+    this._markChanged({
+      type: 'entities_merged',
+      sourceId: source,
+      targetId: target,
+      timestamp: Date.now()
+    });
+    return profile;
+  }
+
+  /**
+   * Sightings of an entity, newest first
+   * @param {string} entityId
+   * @param {Object} [options] - { lookbackHours, limit }
+   */
+  async getEntityTimeline(entityId, options = {}) {
+    const records = await this.memoryRetrieval.retrieveRelevantMemories({
+      entityId: this.entityMemory.resolve(entityId),
+      lookbackHours: options.lookbackHours,
+      limit: options.limit
+    });
+    return records.map(record => ({
+      timestamp: record.timestamp,
+      eventId: record.eventId,
+      memoryId: record.memoryId,
+      location: record.location,
+      zone: record.zone,
+      behaviors: record.behaviors,
+      suspicionLevel: record.suspicionLevel,
+      feedback: record.feedback
+    }));
+  }
+
   // Private memory storage methods
 
   async _storeInSpatialMemory(memoryEntry) {
@@ -253,6 +452,7 @@ class ContextualMemorySystem {
       behaviorSequence: memoryEntry.behavioralContext.behaviorSequence,
       entityType: memoryEntry.perceptionEvent.entityType,
       location: memoryEntry.spatialContext.location,
+      hour: memoryEntry.temporalContext.hour,
       timeCategory: memoryEntry.temporalContext.timeCategory,
       suspicionLevel: memoryEntry.cognitiveAssessment.suspicionLevel,
       feedback: memoryEntry.feedback
@@ -292,7 +492,8 @@ class ContextualMemorySystem {
       coordinates: perceptionEvent.spatialData?.coordinates || null,
       zone: this._determineZone(perceptionEvent.location),
       proximityToEntry: this._calculateProximityToEntry(perceptionEvent.location),
-      visibility: this._calculateVisibility(perceptionEvent.location)
+      visibility: this._calculateVisibility(perceptionEvent.location),
+      entryPoint: this.siteModel.isEntryPoint(perceptionEvent.location)
     };
   }
 
@@ -322,7 +523,7 @@ class ContextualMemorySystem {
   _extractEntityContext(perceptionEvent) {
     return {
       entityType: perceptionEvent.entityType,
-      entityId: perceptionEvent.entityId || this._generateEntityId(perceptionEvent),
+      entityId: this.entityMemory.resolve(perceptionEvent.entityId || this._generateEntityId(perceptionEvent)),
       entityCharacteristics: perceptionEvent.entityCharacteristics || {},
       isKnownEntity: this._checkIfKnownEntity(perceptionEvent.entityId)
     };
@@ -331,15 +532,27 @@ class ContextualMemorySystem {
   // Helper methods
 
   _determineZone(location) {
-    const zoneMap = {
-      'front_door': 'entry',
-      'back_door': 'entry',
-      'window': 'perimeter',
-      'garage': 'access',
-      'yard': 'exterior',
-      'street': 'public'
-    };
-    return zoneMap[location] || 'unknown';
+    return this.siteModel.getZone(location).type;
+  }
+
+  _calculateProximityToEntry(location) {
+    return this.siteModel.proximityToEntry(location);
+  }
+
+  _calculateVisibility(location) {
+    return this.siteModel.getZone(location).visibility;
+  }
+
+  _determineSeason(date) {
+    const month = date.getMonth();
+    if (month >= 2 && month <= 4) return 'spring';
+    if (month >= 5 && month <= 7) return 'summer';
+    if (month >= 8 && month <= 10) return 'autumn';
+    return 'winter';
+  }
+
+  _checkIfKnownEntity(entityId) {
+    return Boolean(entityId) && this.entityMemory.entityProfiles.has(entityId);
   }
 
   _categorizeTime(hour) {
@@ -402,7 +615,7 @@ class ContextualMemorySystem {
     
     temporalHistory.forEach(entry => {
       if (entry.suspicionLevel < 0.3) {
-        const timeKey = this._hashKey(entry.hour, entry.dayOfWeek);
+        const timeKey = hashKey(entry.hour, entry.dayOfWeek);
         const count = normalPatterns.commonTimes.get(timeKey) || 0;
         normalPatterns.commonTimes.set(timeKey, count + 1);
       }
@@ -465,9 +678,10 @@ class ContextualMemorySystem {
   }
 
   async _compressMemoriesIfNeeded() {
-    // Compress old memories to save space
-    if (this.memoryStats.totalEvents % 1000 === 0) {
-      await this.memoryCompressor.compressOldMemories();
+    const { maxRawEvents, compactionInterval } = this.retentionPolicy;
+    if (this.behavioralMemory.memories.length > maxRawEvents ||
+        this.memoryStats.totalEvents % compactionInterval === 0) {
+      await this.compactMemories();
     }
   }
 
@@ -609,6 +823,40 @@ class SpatialMemoryStore {
     return insights;
   }
 
+  countMemories() {
+    let total = 0;
+    for (const memories of this.memories.values()) total += memories.length;
+    return total;
+  }
+
+  /**
+   * Drop the given memories
+   * @param {Set<string>} memoryIds
+   * @returns {number} Memories evicted
+   */
+  evict(memoryIds) {
+    let evicted = 0;
+    for (const [location, memories] of this.memories) {
+      const kept = memories.filter(memory => !memoryIds.has(memory.memoryId));
+      evicted += memories.length - kept.length;
+      if (kept.length === 0) {
+        this.memories.delete(location);
+      } else {
+        this.memories.set(location, kept);
+      }
+    }
+
+    for (const [zone, indexed] of this.spatialIndex) {
+      const kept = indexed.filter(memoryId => !memoryIds.has(memoryId));
+      if (kept.length === 0) {
+        this.spatialIndex.delete(zone);
+      } else {
+        this.spatialIndex.set(zone, kept);
+      }
+    }
+    return evicted;
+  }
+
   _updateSpatialIndex(memoryEntry) {
     // Update spatial indexing for efficient queries
     const zone = memoryEntry.zone || 'unknown';
@@ -630,7 +878,7 @@ class TemporalMemoryStore {
   }
 
   async store(memoryEntry) {
-    const timeKey = this._hashKey(memoryEntry.hour, memoryEntry.dayOfWeek);
+    const timeKey = hashKey(memoryEntry.hour, memoryEntry.dayOfWeek);
     
     if (!this.memories.has(timeKey)) {
       this.memories.set(timeKey, []);
@@ -644,7 +892,7 @@ class TemporalMemoryStore {
 
   async getRelevantMemories(temporalContext, lookbackHours) {
     const cutoffTime = Date.now() - (lookbackHours * 60 * 60 * 1000);
-    const timeKey = this._hashKey(temporalContext.hour, temporalContext.dayOfWeek);
+    const timeKey = hashKey(temporalContext.hour, temporalContext.dayOfWeek);
     
     const timeMemories = this.memories.get(timeKey) || [];
     
@@ -662,22 +910,60 @@ class TemporalMemoryStore {
     };
   }
 
+  countMemories() {
+    let total = 0;
+    for (const memories of this.memories.values()) total += memories.length;
+    return total;
+  }
+
+  /**
+   * Drop the given memories
+   * @param {Set<string>} memoryIds
+   * @returns {number} Memories evicted
+   */
+  evict(memoryIds) {
+    let evicted = 0;
+    for (const [timeKey, memories] of this.memories) {
+      const kept = memories.filter(memory => !memoryIds.has(memory.memoryId));
+      evicted += memories.length - kept.length;
+      if (kept.length === 0) {
+        this.memories.delete(timeKey);
+      } else {
+        this.memories.set(timeKey, kept);
+      }
+    }
+    return evicted;
+  }
+
   _updateTemporalPatterns(memoryEntry) {
-    const pattern = this._hashKey(memoryEntry.timeCategory, memoryEntry.entityType);
+    const pattern = hashKey(memoryEntry.timeCategory, memoryEntry.entityType);
     const count = this.temporalPatterns.get(pattern) || 0;
     this.temporalPatterns.set(pattern, count + 1);
   }
 
-  _calculatePeakTimes() {
-    const timeActivity = new Map();
+  /**
+   * Busiest hour/day-of-week slots, optionally limited to one location and
+   * to memories since a timestamp
+   * @param {Object} [filter] - { location, since, until, limit }
+   * @returns {Array<{hour: number, dayOfWeek: number, count: number}>}
+   */
+  _calculatePeakTimes(filter = {}) {
+    const { location, since = -Infinity, until = Infinity, limit = 5 } = filter;
+    const timeActivity = [];
     
-    for (const [timeKey, memories] of this.memories) {
-      timeActivity.set(timeKey, memories.length);
+    for (const memories of this.memories.values()) {
+      const count = memories.filter(memory =>
+        (!location || memory.location === location) &&
+        memory.timestamp >= since && memory.timestamp <= until
+      ).length;
+      if (count > 0) {
+        timeActivity.push({ hour: memories[0].hour, dayOfWeek: memories[0].dayOfWeek, count });
+      }
     }
     
-    return Array.from(timeActivity.entries())
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, 5);
+    return timeActivity
+      .sort((a, b) => b.count - a.count || a.dayOfWeek - b.dayOfWeek || a.hour - b.hour)
+      .slice(0, limit);
   }
 }
 
@@ -728,6 +1014,17 @@ class BehavioralMemoryStore {
     };
   }
 
+  /**
+   * Drop the given memories; pattern counts are aggregates and stay
+   * @param {Set<string>} memoryIds
+   * @returns {number} Memories evicted
+   */
+  evict(memoryIds) {
+    const before = this.memories.length;
+    this.memories = this.memories.filter(memory => !memoryIds.has(memory.memoryId));
+    return before - this.memories.length;
+  }
+
   _getMostCommonBehaviors() {
     return Array.from(this.behaviorPatterns.entries())
       .sort((a, b) => b[1] - a[1])
@@ -749,6 +1046,68 @@ class EntityMemoryStore {
   constructor() {
     this.entityProfiles = new Map();
     this.memories = [];
+    this.aliases = new Map(); // merged entityId -> surviving entityId
+  }
+
+  resolve(entityId) {
+    return this.aliases.get(entityId) || entityId;
+  }
+
+  getProfile(entityId) {
+    return this.entityProfiles.get(this.resolve(entityId)) || null;
+  }
+
+  listProfiles() {
+    return Array.from(this.entityProfiles.values());
+  }
+
+  /**
+   * Fold the source profile into the target: counts and histories are
+   * combined, stored memories are re-attributed, and later sightings of
+   * the source ID land on the target
+   * @returns {Object|null} The merged profile, or null if neither exists
+   */
+  mergeProfiles(sourceId, targetId) {
+    const source = this.resolve(sourceId);
+    const target = this.resolve(targetId);
+    if (source === target) return this.entityProfiles.get(target) || null;
+
+    const from = this.entityProfiles.get(source);
+    const into = this.entityProfiles.get(target);
+    if (from && !into) {
+      this.entityProfiles.set(target, { ...from, entityId: target });
+    } else if (from) {
+      into.firstSeen = Math.min(into.firstSeen, from.firstSeen);
+      into.lastSeen = Math.max(into.lastSeen, from.lastSeen);
+      into.totalSightings += from.totalSightings;
+      from.commonLocations.forEach((count, location) => {
+        into.commonLocations.set(location, (into.commonLocations.get(location) || 0) + count);
+      });
+      from.commonBehaviors.forEach((count, behavior) => {
+        into.commonBehaviors.set(behavior, (into.commonBehaviors.get(behavior) || 0) + count);
+      });
+      into.suspicionHistory = [...into.suspicionHistory, ...from.suspicionHistory].sort((a, b) => a.timestamp - b.timestamp);
+      into.feedbackHistory = [...into.feedbackHistory, ...from.feedbackHistory].sort((a, b) => a.timestamp - b.timestamp);
+      into.archivedSuspicion = {
+        count: (into.archivedSuspicion?.count || 0) + (from.archivedSuspicion?.count || 0),
+        total: (into.archivedSuspicion?.total || 0) + (from.archivedSuspicion?.total || 0)
+      };
+    }
+    this.entityProfiles.delete(source);
+
+    const merged = this.entityProfiles.get(target);
+    if (merged) {
+      merged.mergedIds = [...(merged.mergedIds || []), source, ...(from?.mergedIds || [])];
+    }
+
+    this.memories.forEach(memory => {
+      if (memory.entityId === source) memory.entityId = target;
+    });
+    for (const [alias, survivor] of this.aliases) {
+      if (survivor === source) this.aliases.set(alias, target);
+    }
+    this.aliases.set(source, target);
+    return merged || null;
   }
 
   async store(memoryEntry) {
@@ -766,7 +1125,8 @@ class EntityMemoryStore {
         commonLocations: new Map(),
         commonBehaviors: new Map(),
         suspicionHistory: [],
-        feedbackHistory: []
+        feedbackHistory: [],
+        archivedSuspicion: { count: 0, total: 0 }
       });
     }
     
@@ -819,6 +1179,37 @@ class EntityMemoryStore {
     };
   }
 
+  /**
+   * Drop the given memories and per-profile history recorded before
+   * `historyCutoff`. Suspicion history is folded into archivedSuspicion so
+   * averages survive; profiles not seen since `profileCutoff` are forgotten.
+   * @returns {{ memories: number, profiles: number }}
+   */
+  evict(memoryIds, historyCutoff, profileCutoff) {
+    const before = this.memories.length;
+    this.memories = this.memories.filter(memory => !memoryIds.has(memory.memoryId));
+
+    let profiles = 0;
+    for (const [entityId, profile] of this.entityProfiles) {
+      if (profile.lastSeen < profileCutoff) {
+        this.entityProfiles.delete(entityId);
+        profiles++;
+        continue;
+      }
+
+      const archived = profile.suspicionHistory.filter(entry => entry.timestamp < historyCutoff);
+      if (archived.length > 0) {
+        profile.archivedSuspicion = profile.archivedSuspicion || { count: 0, total: 0 };
+        profile.archivedSuspicion.count += archived.length;
+        profile.archivedSuspicion.total += archived.reduce((sum, entry) => sum + entry.suspicionLevel, 0);
+        profile.suspicionHistory = profile.suspicionHistory.filter(entry => entry.timestamp >= historyCutoff);
+      }
+      profile.feedbackHistory = profile.feedbackHistory.filter(entry => entry.timestamp >= historyCutoff);
+    }
+
+    return { memories: before - this.memories.length, profiles };
+  }
+
   _getEntityTypeDistribution() {
     const distribution = new Map();
     for (const profile of this.entityProfiles.values()) {
@@ -836,14 +1227,15 @@ class EntityMemoryStore {
         entityId: profile.entityId,
         entityType: profile.entityType,
         totalSightings: profile.totalSightings,
-        averageSuspicion: this._calculateAverageSuspicion(profile.suspicionHistory)
+        averageSuspicion: this._calculateAverageSuspicion(profile.suspicionHistory, profile.archivedSuspicion)
       }));
   }
 
-  _calculateAverageSuspicion(suspicionHistory) {
-    if (suspicionHistory.length === 0) return 0;
-    const sum = suspicionHistory.reduce((acc, entry) => acc + entry.suspicionLevel, 0);
-    return sum / suspicionHistory.length;
+  _calculateAverageSuspicion(suspicionHistory, archived = { count: 0, total: 0 }) {
+    const count = suspicionHistory.length + archived.count;
+    if (count === 0) return 0;
+    const sum = suspicionHistory.reduce((acc, entry) => acc + entry.suspicionLevel, archived.total);
+    return sum / count;
   }
 }
 
@@ -852,12 +1244,15 @@ class EntityMemoryStore {
  * Manages learned norms and expectations for different contexts
  */
 class ContextualNormsStore {
-  constructor() {
+  constructor(config = {}) {
+    // Furthest feedback may shift one context's false-alarm balance either way
+    this.maxContextDrift = config.maxContextDrift ?? 0.3;
     this.norms = new Map(); // contextKey -> norm data
+    this.summaries = new Map(); // hashKey(location, hour) -> rolled-up evicted memories
   }
 
   async updateNorms(normUpdate) {
-    const contextKey = this._hashKey(normUpdate.location, normUpdate.timeCategory);
+    const contextKey = hashKey(normUpdate.location, normUpdate.timeCategory);
     
     if (!this.norms.has(contextKey)) {
       this.norms.set(contextKey, {
@@ -867,7 +1262,10 @@ class ContextualNormsStore {
         expectedEntityTypes: new Map(),
         expectedBehaviors: new Map(),
         normalSuspicionRange: { min: 1, max: 0 },
+        suspicionTotal: 0,
         totalObservations: 0,
+        drift: 0,
+        window: this._createDriftWindow(),
         lastUpdated: Date.now()
       });
     }
@@ -892,13 +1290,184 @@ class ContextualNormsStore {
       norm.normalSuspicionRange.max = normUpdate.suspicionLevel;
     }
     
+    norm.suspicionTotal = (norm.suspicionTotal || 0) + (normUpdate.suspicionLevel || 0);
     norm.totalObservations++;
     norm.lastUpdated = Date.now();
+    this._recordDriftWindow(norm, normUpdate);
+  }
+
+  /**
+   * What is normal here at this time: one view per location/time category,
+   * most observed first. Omit a filter to list every location or category.
+   * @param {Object} [filter] - { location, timeCategory }
+   * @returns {Array<Object>}
+   */
+  queryNorms(filter = {}) {
+    return Array.from(this.norms.values())
+      .filter(norm => !filter.location || norm.location === filter.location)
+      .filter(norm => !filter.timeCategory || norm.timeCategory === filter.timeCategory)
+      .sort((a, b) => b.totalObservations - a.totalObservations)
+      .map(norm => this._toNormView(norm));
+  }
+
+  _toNormView(norm) {
+    const observations = norm.totalObservations;
+    const shares = (counts, key) => Array.from(counts.entries())
+      .sort((a, b) => b[1] - a[1])
+      .map(([name, count]) => ({
+        [key]: name,
+        count,
+        share: count / observations,
+        expected: count / observations >= NORM_EXPECTED_SHARE
+      }));
+
+    return {
+      location: norm.location,
+      timeCategory: norm.timeCategory,
+      observations,
+      expectedEntityTypes: shares(norm.expectedEntityTypes, 'entityType'),
+      expectedBehaviors: shares(norm.expectedBehaviors, 'behavior'),
+      normalSuspicionRange: observations > 0 ? { ...norm.normalSuspicionRange } : null,
+      averageSuspicion: observations > 0 ? (norm.suspicionTotal || 0) / observations : null,
+      confidence: (observations / (observations + NORM_CONFIDENCE_HALF)) * (1 - (norm.drift || 0) / 2),
+      drift: norm.drift || 0,
+      feedback: norm.feedback ? { ...norm.feedback } : { confirmedThreats: 0, falseAlarms: 0 },
+      archived: this.getArchivedActivity(norm.location, norm.timeCategory),
+      lastUpdated: norm.lastUpdated
+    };
+  }
+
+  _createDriftWindow() {
+    return { observations: 0, entityTypes: new Map(), behaviors: new Map() };
+  }
+
+  /**
+   * Drift compares the last NORM_DRIFT_WINDOW observations with everything
+   * learned before them: the mean total variation distance of the entity
+   * type and behavior distributions, 0 (unchanged) to 1 (disjoint)
+   */
+  _recordDriftWindow(norm, normUpdate) {
+    const window = norm.window || (norm.window = this._createDriftWindow());
+    window.observations++;
+    window.entityTypes.set(normUpdate.entityType, (window.entityTypes.get(normUpdate.entityType) || 0) + 1);
+    normUpdate.behaviors.forEach(behavior => {
+      window.behaviors.set(behavior, (window.behaviors.get(behavior) || 0) + 1);
+    });
+
+    if (window.observations < NORM_DRIFT_WINDOW) return;
+
+    // The first window has nothing earlier to drift from
+    const priorTotal = norm.totalObservations - window.observations;
+    if (priorTotal > 0) {
+      const distance = (windowCounts, learnedCounts) => {
+        let sum = 0;
+        learnedCounts.forEach((count, key) => {
+          const inWindow = windowCounts.get(key) || 0;
+          sum += Math.abs(inWindow / window.observations - (count - inWindow) / priorTotal);
+        });
+        return Math.min(1, sum / 2);
+      };
+      norm.drift = (distance(window.entityTypes, norm.expectedEntityTypes) + distance(window.behaviors, norm.expectedBehaviors)) / 2;
+    }
+    norm.window = this._createDriftWindow();
   }
 
   async getNorms(spatialContext, temporalContext) {
-    const contextKey = this._hashKey(spatialContext.location, temporalContext.timeCategory);
-    return this.norms.get(contextKey) || null;
+    const contextKey = hashKey(spatialContext.location, temporalContext.timeCategory);
+    const norm = this.norms.get(contextKey) || null;
+    const archived = this.getArchivedActivity(spatialContext.location, temporalContext.timeCategory);
+    if (!norm && !archived) return null;
+    return norm ? { ...norm, archived } : { location: spatialContext.location, timeCategory: temporalContext.timeCategory, archived };
+  }
+
+  /**
+   * Count confirmed threats and false alarms reported for a context
+   */
+  /**
+   * Count a confirmed threat or false alarm against the norm. Each moves its
+   * feedback drift by NORM_FEEDBACK_STEP; one that would take the drift past
+   * maxContextDrift is not counted.
+   * @returns {boolean} Whether the norm changed
+   */
+  async recordFeedback({ location, timeCategory, feedback }) {
+    const norm = this.norms.get(hashKey(location, timeCategory));
+    if (!norm || typeof feedback?.actualThreat !== 'boolean') return false;
+
+    norm.feedback = norm.feedback || { confirmedThreats: 0, falseAlarms: 0 };
+    const drift = (norm.feedback.confirmedThreats - norm.feedback.falseAlarms + (feedback.actualThreat ? 1 : -1)) * NORM_FEEDBACK_STEP;
+    if (Math.abs(drift) > this.maxContextDrift + 1e-9) return false;
+
+    if (feedback.actualThreat) {
+      norm.feedback.confirmedThreats++;
+    } else {
+      norm.feedback.falseAlarms++;
+    }
+    norm.lastUpdated = Date.now();
+    return true;
+  }
+
+  /**
+   * Fold evicted memories into per-location, per-hour summaries
+   * @returns {number} Summaries created or updated
+   */
+  absorbEvicted(memories) {
+    const touched = new Set();
+    for (const memory of memories) {
+      const hour = memory.hour ?? new Date(memory.timestamp).getHours();
+      const key = hashKey(memory.location, hour);
+      if (!this.summaries.has(key)) {
+        this.summaries.set(key, {
+          location: memory.location,
+          hour,
+          observations: 0,
+          suspicionTotal: 0,
+          maxSuspicion: 0,
+          entityTypes: new Map(),
+          behaviors: new Map(),
+          confirmedThreats: 0,
+          falseAlarms: 0,
+          firstSeen: memory.timestamp,
+          lastSeen: memory.timestamp
+        });
+      }
+
+      const summary = this.summaries.get(key);
+      summary.observations++;
+      summary.suspicionTotal += memory.suspicionLevel || 0;
+      summary.maxSuspicion = Math.max(summary.maxSuspicion, memory.suspicionLevel || 0);
+      summary.entityTypes.set(memory.entityType, (summary.entityTypes.get(memory.entityType) || 0) + 1);
+      (memory.behaviors || []).forEach(behavior => {
+        summary.behaviors.set(behavior, (summary.behaviors.get(behavior) || 0) + 1);
+      });
+      if (memory.feedback?.actualThreat === true) summary.confirmedThreats++;
+      if (memory.feedback?.actualThreat === false) summary.falseAlarms++;
+      summary.firstSeen = Math.min(summary.firstSeen, memory.timestamp);
+      summary.lastSeen = Math.max(summary.lastSeen, memory.timestamp);
+      touched.add(key);
+    }
+    return touched.size;
+  }
+
+  /**
+   * Summarized activity for a location across the hours of a time category
+   * @returns {Object|null} { observations, averageSuspicion, maxSuspicion, byHour, ... } or null
+   */
+  getArchivedActivity(location, timeCategory) {
+    const hours = TIME_CATEGORY_HOURS[timeCategory] || [];
+    const summaries = hours
+      .map(hour => this.summaries.get(hashKey(location, hour)))
+      .filter(Boolean);
+    if (summaries.length === 0) return null;
+
+    const observations = summaries.reduce((sum, summary) => sum + summary.observations, 0);
+    return {
+      observations,
+      averageSuspicion: summaries.reduce((sum, summary) => sum + summary.suspicionTotal, 0) / observations,
+      maxSuspicion: Math.max(...summaries.map(summary => summary.maxSuspicion)),
+      confirmedThreats: summaries.reduce((sum, summary) => sum + summary.confirmedThreats, 0),
+      falseAlarms: summaries.reduce((sum, summary) => sum + summary.falseAlarms, 0),
+      byHour: Object.fromEntries(summaries.map(summary => [summary.hour, summary.observations]))
+    };
   }
 }
 
@@ -946,6 +1515,16 @@ class AdaptiveLearningEngine {
     };
   }
 
+  /**
+   * Drop learning history for the given memories; metrics and rules stay
+   * @param {Set<string>} memoryIds
+   */
+  evict(memoryIds) {
+    const before = this.learningHistory.length;
+    this.learningHistory = this.learningHistory.filter(entry => !memoryIds.has(entry.memoryEntry?.memoryId));
+    return before - this.learningHistory.length;
+  }
+
   _updatePerformanceMetrics(memoryEntry, feedback) {
     this.performanceMetrics.totalFeedback++;
     
@@ -997,7 +1576,7 @@ class AdaptiveLearningEngine {
   }
 
   _generateRuleKey(memoryEntry) {
-    const key = this._hashKey(memoryEntry.perceptionEvent.entityType, memoryEntry.spatialContext.location, memoryEntry.temporalContext.timeCategory);
+    const key = hashKey(memoryEntry.perceptionEvent.entityType, memoryEntry.spatialContext.location, memoryEntry.temporalContext.timeCategory);
     return key;
   }
 
@@ -1034,27 +1613,290 @@ class AdaptiveLearningEngine {
 
 /**
  * Memory Compressor
- * Compresses old memories to save space while preserving important patterns
+ * Compresses old memories to save space while preserving important patterns:
+ * raw memories past the retention window or over the raw-event cap are
+ * evicted from every store and rolled into ContextualNormsStore summaries
  */
 class MemoryCompressor {
-  async compressOldMemories() {
-    // Implement memory compression logic
-    console.log('🗜️ Compressing old memories to optimize storage');
+  constructor(policy = resolveRetentionPolicy()) {
+    this.policy = policy;
+    this.lastCompaction = null;
+  }
+
+  async compressOldMemories(memorySystem, now = Date.now()) {
+    const rawMemories = memorySystem.behavioralMemory.memories;
+    const evicted = this._selectEvictions(rawMemories, now);
+    const retentionCutoff = now - this.policy.retentionHours * HOUR_MS;
+    const report = { evicted: evicted.length, summariesUpdated: 0, profilesForgotten: 0, timestamp: now };
+
+    if (evicted.length > 0) {
+      const memoryIds = new Set(evicted.map(memory => memory.memoryId));
+      // Profile history older than the oldest raw memory still kept is archived too
+      const oldestKept = rawMemories.find(memory => !memoryIds.has(memory.memoryId));
+      const historyCutoff = oldestKept ? Math.max(retentionCutoff, oldestKept.timestamp) : now + 1;
+
+      memorySystem.behavioralMemory.evict(memoryIds);
+      memorySystem.spatialMemory.evict(memoryIds);
+      memorySystem.temporalMemory.evict(memoryIds);
+      memorySystem.adaptiveLearning.evict(memoryIds);
+      memorySystem.memoryRetrieval.remove(memoryIds);
+      const entity = memorySystem.entityMemory.evict(memoryIds, historyCutoff, retentionCutoff);
+
+      report.summariesUpdated = memorySystem.contextualNorms.absorbEvicted(evicted);
+      report.profilesForgotten = entity.profiles;
+    }
+
+    this.lastCompaction = report;
+    if (report.evicted > 0) {
+      console.log(`🗜️ Compressed ${report.evicted} old memories into ${report.summariesUpdated} summaries`);
+    }
+    return report;
+  }
+
+  /**
+   * Rough size of a list of records, extrapolated from a sample
+   */
+  estimateBytes(records) {
+    if (records.length === 0) return 0;
+    const step = Math.max(1, Math.floor(records.length / 20));
+    let sampled = 0;
+    let bytes = 0;
+    for (let i = 0; i < records.length; i += step) {
+      bytes += JSON.stringify(records[i], (key, value) => (value instanceof Map ? Array.from(value) : value)).length;
+      sampled++;
+    }
+    return Math.round((bytes / sampled) * records.length);
+  }
+
+  // Raw memories (oldest first) past the retention window, plus enough of the
+  // oldest to get back to the low watermark when the raw-event cap is exceeded
+  _selectEvictions(rawMemories, now) {
+    const { maxRawEvents, retentionHours, lowWatermark } = this.policy;
+    const cutoff = now - retentionHours * HOUR_MS;
+    const overCap = rawMemories.length > maxRawEvents
+      ? rawMemories.length - Math.max(1, Math.floor(maxRawEvents * lowWatermark))
+      : 0;
+
+    return rawMemories.filter((memory, index) => index < overCap || memory.timestamp < cutoff);
   }
 }
 
 /**
  * Memory Retrieval
- * Efficient retrieval of relevant memories
+ * Efficient retrieval of relevant memories. Every stored memory is indexed
+ * by memoryId, eventId, hour bucket, entity, entity type, location, zone,
+ * time slot (hour of day + day of week) and behavior; a query starts from its
+ * most selective index and filters only those candidates, so cost tracks the
+ * match count rather than memory size. Memories are indexed in storage
+ * order, so candidates are scanned newest first and the scan stops at `limit`.
  */
 class MemoryRetrieval {
   constructor() {
-    this.indexCache = new Map();
+    this.records = new Map(); // memoryId -> indexed record
+    this.eventIndex = new Map(); // eventId -> memoryId
+    this.timeBuckets = new Map(); // hour bucket -> Set<memoryId>
+    this.indexes = {
+      entityId: new Map(),
+      entityType: new Map(),
+      location: new Map(),
+      zone: new Map(),
+      timeSlot: new Map(),
+      behavior: new Map()
+    };
+  }
+
+  /**
+   * Index a ContextualMemorySystem memory entry
+   * @returns {Object} The indexed record
+   */
+  index(memoryEntry) {
+    const record = {
+      memoryId: memoryEntry.memoryId,
+      eventId: memoryEntry.cognitiveAssessment?.eventId || memoryEntry.perceptionEvent.eventId || null,
+      timestamp: memoryEntry.timestamp,
+      entityId: memoryEntry.entityContext.entityId,
+      entityType: memoryEntry.perceptionEvent.entityType,
+      location: memoryEntry.spatialContext.location,
+      coordinates: memoryEntry.spatialContext.coordinates,
+      zone: memoryEntry.spatialContext.zone,
+      hour: memoryEntry.temporalContext.hour,
+      dayOfWeek: memoryEntry.temporalContext.dayOfWeek,
+      timeCategory: memoryEntry.temporalContext.timeCategory,
+      behaviors: memoryEntry.perceptionEvent.behaviors || [],
+      suspicionLevel: memoryEntry.cognitiveAssessment.suspicionLevel,
+      feedback: memoryEntry.feedback,
+      memoryEntry
+    };
+
+    this.records.set(record.memoryId, record);
+    if (record.eventId) this.eventIndex.set(record.eventId, record.memoryId);
+    this._add(this.timeBuckets, this._bucket(record.timestamp), record.memoryId);
+    this._add(this.indexes.entityId, record.entityId, record.memoryId);
+    this._add(this.indexes.entityType, record.entityType, record.memoryId);
+    this._add(this.indexes.location, record.location, record.memoryId);
+    this._add(this.indexes.zone, record.zone, record.memoryId);
+    this._add(this.indexes.timeSlot, hashKey(record.hour, record.dayOfWeek), record.memoryId);
+    record.behaviors.forEach(behavior => this._add(this.indexes.behavior, behavior, record.memoryId));
+    return record;
+  }
+
+  /**
+   * Remove memories from every index (called on eviction)
+   * @param {Iterable<string>} memoryIds
+   */
+  remove(memoryIds) {
+    for (const memoryId of memoryIds) {
+      const record = this.records.get(memoryId);
+      if (!record) continue;
+
+      this.records.delete(memoryId);
+      if (record.eventId) this.eventIndex.delete(record.eventId);
+      this._delete(this.timeBuckets, this._bucket(record.timestamp), memoryId);
+      this._delete(this.indexes.entityId, record.entityId, memoryId);
+      this._delete(this.indexes.entityType, record.entityType, memoryId);
+      this._delete(this.indexes.location, record.location, memoryId);
+      this._delete(this.indexes.zone, record.zone, memoryId);
+      this._delete(this.indexes.timeSlot, hashKey(record.hour, record.dayOfWeek), memoryId);
+      record.behaviors.forEach(behavior => this._delete(this.indexes.behavior, behavior, memoryId));
+    }
+  }
+
+  get(memoryId) {
+    return this.records.get(memoryId) || null;
+  }
+
+  /**
+   * Re-attribute every memory of one entity to another (entity merge)
+   */
+  reassignEntity(sourceId, targetId) {
+    const memoryIds = this.indexes.entityId.get(sourceId);
+    if (!memoryIds) return 0;
+
+    memoryIds.forEach(memoryId => {
+      this.records.get(memoryId).entityId = targetId;
+      this._add(this.indexes.entityId, targetId, memoryId);
+    });
+    this.indexes.entityId.delete(sourceId);
+    return memoryIds.size;
+  }
+
+  findByEventId(eventId) {
+    const memoryId = this.eventIndex.get(eventId);
+    return memoryId ? this.records.get(memoryId) : null;
+  }
+
+  /**
+   * Compound query; every given criterion must match
+   * @param {Object} query
+   * @param {string} [query.entityId]
+   * @param {string} [query.entityType]
+   * @param {string} [query.location]
+   * @param {string} [query.zone]
+   * @param {number} [query.hour] - With dayOfWeek: same time slot of the week
+   * @param {number} [query.dayOfWeek]
+   * @param {string[]} [query.behaviors] - Match memories with any of these behaviors
+   * @param {number} [query.lookbackHours] - Or `since` (ms timestamp)
+   * @param {number} [query.since]
+   * @param {number} [query.until]
+   * @param {number} [query.limit]
+   * @param {number} [query.now]
+   * @returns {Array} Matching records, newest first
+   */
+  async retrieveRelevantMemories(query = {}) {
+    const now = query.now ?? Date.now();
+    const since = query.since ?? (query.lookbackHours !== undefined ? now - query.lookbackHours * HOUR_MS : null);
+    const until = query.until ?? null;
+    const behaviors = query.behaviors?.length > 0 ? query.behaviors : null;
+    const fields = ['entityId', 'entityType', 'location', 'zone', 'hour', 'dayOfWeek']
+      .filter(field => query[field] !== undefined && query[field] !== null);
+
+    // Scan only the most selective index; the other criteria are checked per
+    // record. Sizes are known up front, so no other candidate set is built.
+    const sources = fields
+      .filter(field => field !== 'hour' && field !== 'dayOfWeek')
+      .map(field => this._setSource(this.indexes[field].get(query[field])));
+    if (fields.includes('hour') && fields.includes('dayOfWeek')) {
+      sources.push(this._setSource(this.indexes.timeSlot.get(hashKey(query.hour, query.dayOfWeek))));
+    }
+    if (behaviors) {
+      const sets = behaviors.map(behavior => this.indexes.behavior.get(behavior)).filter(Boolean);
+      sources.push({
+        size: sets.reduce((total, set) => total + set.size, 0),
+        list: () => Array.from(this._union(sets))
+      });
+    }
+    if (since !== null) {
+      const buckets = this._bucketsBetween(since, until ?? now);
+      sources.push({
+        size: buckets.reduce((total, bucket) => total + this.timeBuckets.get(bucket).size, 0),
+        list: () => buckets.flatMap(bucket => Array.from(this.timeBuckets.get(bucket)))
+      });
+    }
+
+    const candidates = sources.length === 0
+      ? Array.from(this.records.keys())
+      : sources.reduce((smallest, source) => (source.size < smallest.size ? source : smallest)).list();
+
+    // Events can arrive out of timestamp order, so every match is ranked
+    // before the limit applies
+    const results = [];
+    for (const memoryId of candidates) {
+      const record = this.records.get(memoryId);
+      if (!record) continue;
+      if (fields.some(field => record[field] !== query[field])) continue;
+      if (since !== null && record.timestamp <= since) continue;
+      if (until !== null && record.timestamp > until) continue;
+      if (behaviors && !record.behaviors.some(behavior => behaviors.includes(behavior))) continue;
+      results.push(record);
+    }
+
+    results.sort((a, b) => b.timestamp - a.timestamp);
+    return query.limit ? results.slice(0, query.limit) : results;
+  }
+
+  _bucket(timestamp) {
+    return Math.floor(timestamp / HOUR_MS);
+  }
+
+  _setSource(set) {
+    return { size: set?.size || 0, list: () => Array.from(set || []) };
+  }
+
+  // Non-empty hour buckets in range, oldest first; walks the stored buckets
+  // instead when the range spans more hours than there are buckets
+  _bucketsBetween(since, until) {
+    const first = this._bucket(since);
+    const last = this._bucket(until);
+    if (last - first + 1 > this.timeBuckets.size) {
+      return Array.from(this.timeBuckets.keys())
+        .filter(bucket => bucket >= first && bucket <= last)
+        .sort((a, b) => a - b);
+    }
+    const buckets = [];
+    for (let bucket = first; bucket <= last; bucket++) {
+      if (this.timeBuckets.has(bucket)) buckets.push(bucket);
+    }
+    return buckets;
+  }
+
+  _union(sets) {
+    const present = sets.filter(Boolean);
+    if (present.length === 1) return present[0];
+    const union = new Set();
+    present.forEach(set => set.forEach(memoryId => union.add(memoryId)));
+    return union;
+  }
+
+  _add(index, key, memoryId) {
+    if (!index.has(key)) index.set(key, new Set());
+    index.get(key).add(memoryId);
   }
 
-  async retrieveRelevantMemories(query, memoryStores) {
-    // Implement efficient memory retrieval
-    return [];
+  _delete(index, key, memoryId) {
+    const set = index.get(key);
+    if (!set) return;
+    set.delete(memoryId);
+    if (set.size === 0) index.delete(key);
   }
 }
 
@@ -1065,5 +1907,9 @@ export {
   BehavioralMemoryStore, 
   EntityMemoryStore, 
   ContextualNormsStore, 
-  AdaptiveLearningEngine 
+  AdaptiveLearningEngine,
+  MemoryCompressor,
+  resolveRetentionPolicy,
+  hashKey,
+  TIME_CATEGORY_HOURS
 };
\ No newline at end of file
@@ -0,0 +1,172 @@
+/**
+ * Device Events - Security Device Event Normalization
+ *
+ * Translates raw security device events ({ deviceId, deviceType, eventType,
+ * location, confidence, metadata }) into the structured perception events the
+ * cognitive interpreter reasons about, and maps interpreter assessments back
+ * onto the documented decision levels (IGNORE/STANDARD/ELEVATED/CRITICAL).
+ *
+ * @version 2.0.0
+ * @author Goliath Security Systems
+ */
+
+// What each device event type implies for the perception pipeline
+const DEVICE_EVENT_PROFILES = {
+  motion: { entityType: 'unknown', behaviors: ['moving'], label: 'Motion detected' },
+  humanDetected: { entityType: 'person', behaviors: ['approaching_entry'], label: 'Person detected' },
+  doorbellPressed: { entityType: 'person', behaviors: ['doorbell_pressed'], label: 'Doorbell pressed' },
+  doorOpened: { entityType: 'door_contact', behaviors: ['door_opened'], label: 'Door opened' },
+  doorClosed: { entityType: 'door_contact', behaviors: ['door_closed'], label: 'Door closed' },
+  glassBreak: { entityType: 'unknown', behaviors: ['glass_break', 'forced_entry'], label: 'Glass break detected', minimumLevel: 'ELEVATED' },
+  sound: { entityType: 'unknown', behaviors: ['sound_detected'], label: 'Sound detected' },
+  smokeDetected: { entityType: 'environmental_hazard', behaviors: ['smoke_detected'], label: 'Smoke detected', minimumLevel: 'CRITICAL' },
+  coDetected: { entityType: 'environmental_hazard', behaviors: ['co_detected'], label: 'Carbon monoxide detected', minimumLevel: 'CRITICAL' },
+  waterDetected: { entityType: 'environmental_hazard', behaviors: ['water_detected'], label: 'Water leak detected', minimumLevel: 'ELEVATED' },
+  networkAnomaly: { entityType: 'system', behaviors: ['network_anomaly'], label: 'Network anomaly detected' },
+  deviceOffline: { entityType: 'system', behaviors: ['device_offline'], label: 'Device went offline' },
+  batteryLow: { entityType: 'system', behaviors: ['battery_low'], label: 'Device battery low' }
+};
+
+const DEVICE_ALERT_LEVELS = ['IGNORE', 'STANDARD', 'ELEVATED', 'CRITICAL'];
+
+// Representative clock times for coarse timeOfDay metadata
+const TIME_OF_DAY_CLOCK = {
+  morning: '08:00',
+  day: '12:00',
+  afternoon: '15:00',
+  evening: '20:00',
+  night: '02:00'
+};
+
+/**
+ * Validate a device event, returning a list of problems
+ */
+function validateDeviceEvent(event) {
+  const errors = [];
+
+  if (!event || typeof event !== 'object') {
+    return ['event must be an object'];
+  }
+  if (!event.deviceId || typeof event.deviceId !== 'string') {
+    errors.push('deviceId must be a non-empty string');
+  }
+  if (!event.eventType || typeof event.eventType !== 'string') {
+    errors.push('eventType must be a non-empty string');
+  }
+  if (!event.location || typeof event.location !== 'string') {
+    errors.push('location must be a non-empty string');
+  }
+  if (typeof event.confidence !== 'number' || Number.isNaN(event.confidence) || event.confidence < 0 || event.confidence > 1) {
+    errors.push('confidence must be a number between 0 and 1');
+  }
+  if (event.timestamp !== undefined && (typeof event.timestamp !== 'number' || !Number.isFinite(event.timestamp))) {
+    errors.push('timestamp must be a Unix timestamp in milliseconds');
+  }
+  if (event.metadata !== undefined && (typeof event.metadata !== 'object' || event.metadata === null)) {
+    errors.push('metadata must be an object');
+  }
+
+  return errors;
+}
+
+function getDeviceEventProfile(eventType) {
+  return DEVICE_EVENT_PROFILES[eventType] || {
+    entityType: 'unknown',
+    behaviors: [eventType.replace(/([a-z])([A-Z])/g, '$1_$2').toLowerCase()],
+    label: `${eventType} event`
+  };
+}
+
+// Events without metadata.entityId are attributed to the device itself
+const DEVICE_ENTITY_PREFIX = 'device:';
+
+/**
+ * Whether an entity ID stands for a device rather than a recognized entity:
+ * everything that device sees shares it, so it must never be trusted
+ */
+function isDeviceEntityId(entityId) {
+  return typeof entityId === 'string' && entityId.startsWith(DEVICE_ENTITY_PREFIX);
+}
+
+/**
+ * Convert a validated device event into a perception event
+ */
+function normalizeDeviceEvent(event) {
+  const metadata = event.metadata || {};
+  const profile = getDeviceEventProfile(event.eventType);
+  const timestamp = event.timestamp ?? Date.now();
+
+  // Weak signal or a failing battery make the device reading less trustworthy
+  let detectionConfidence = event.confidence;
+  if (typeof metadata.signalStrength === 'number') {
+    detectionConfidence *= 0.85 + 0.15 * Math.max(0, Math.min(1, metadata.signalStrength));
+  }
+  const batteryLevel = metadata.batteryLevel ?? metadata.deviceBattery;
+  if (typeof batteryLevel === 'number' && batteryLevel < 0.2) {
+    detectionConfidence *= 0.9;
+  }
+
+  const date = new Date(timestamp);
+  const clock = `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+
+  return {
+    entityType: metadata.entityType || profile.entityType,
+    entityId: metadata.entityId || `${DEVICE_ENTITY_PREFIX}${event.deviceId}`,
+    location: event.location,
+    timestamp,
+    behaviors: [...profile.behaviors, ...(Array.isArray(metadata.behaviors) ? metadata.behaviors : [])],
+    spatialData: metadata.coordinates || {},
+    detectionConfidence,
+    metadata: {
+      ...metadata,
+      timeOfDay: TIME_OF_DAY_CLOCK[metadata.timeOfDay] || metadata.timeOfDay || clock,
+      deviceId: event.deviceId,
+      deviceType: event.deviceType,
+      eventType: event.eventType
+    }
+  };
+}
+
+/**
+ * Map a 0-100 threat score onto a decision level using alertThresholds.
+ * Scores between `ignore` and `standard` are borderline: they only surface
+ * as STANDARD when the cognitive alert policy wants to notify.
+ */
+function scoreToDeviceAlertLevel(threatScore, thresholds, policyNotifies) {
+  if (threatScore >= thresholds.critical) return 'CRITICAL';
+  if (threatScore >= thresholds.elevated) return 'ELEVATED';
+  if (threatScore >= thresholds.standard) return 'STANDARD';
+  if (threatScore >= thresholds.ignore && policyNotifies) return 'STANDARD';
+  return 'IGNORE';
+}
+
+/**
+ * The device decision level for an interpreter alert level ('info' and
+ * anything unknown map to IGNORE)
+ */
+function toDeviceAlertLevel(alertLevel) {
+  const level = String(alertLevel).toUpperCase();
+  return DEVICE_ALERT_LEVELS.includes(level) ? level : 'IGNORE';
+}
+
+function compareDeviceAlertLevels(a, b) {
+  return DEVICE_ALERT_LEVELS.indexOf(a) - DEVICE_ALERT_LEVELS.indexOf(b);
+}
+
+function describeDeviceEvent(event) {
+  const profile = getDeviceEventProfile(event.eventType);
+  return `${profile.label} at ${event.location.replace(/_/g, ' ')}`;
+}
+
+export {
+  DEVICE_EVENT_PROFILES,
+  DEVICE_ALERT_LEVELS,
+  validateDeviceEvent,
+  getDeviceEventProfile,
+  normalizeDeviceEvent,
+  isDeviceEntityId,
+  scoreToDeviceAlertLevel,
+  toDeviceAlertLevel,
+  compareDeviceAlertLevels,
+  describeDeviceEvent
+};
@@ -0,0 +1,559 @@
+/**
+ * Engine Registry - Pluggable Cognitive Stages
+ *
+ * Resolves the implementation behind each stage of the cognitive pipeline
+ * (memory, intent, reasoning, spatial, learning) from configuration, so the
+ * interpreter can run on mocks, the full cognitive subsystems, or custom
+ * engines supplied by the integrator.
+ *
+ * Every engine must satisfy the stage contract in ENGINE_CONTRACTS. The
+ * adapters below bridge the full subsystems onto those contracts where their
+ * method names or signatures differ.
+ *
+ * @version 2.0.0 - Cognitive Architecture
+ * @author Goliath Security Systems
+ */
+
+import { SymbolicReasoningEngine } from './symbolic-reasoning-engine.js';
+import { IntentModelingFramework } from './intent-modeling-framework.js';
+import { SpatialTemporalAwareness } from './spatial-temporal-awareness.js';
+import { AdaptiveLearningSystem } from './adaptive-learning-system.js';
+import { ContextualMemorySystem } from './contextual-memory-system.js';
+import { GraduatedSuspicionSystem } from './graduated-suspicion-system.js';
+
+// Methods the interpreter calls on each stage
+const ENGINE_CONTRACTS = {
+  memory: ['retrieveRelevantContext', 'storeEvent', 'updateSequenceContext', 'getInsights'],
+  intent: ['assessIntent', 'assessSequenceIntent'],
+  reasoning: ['reason', 'explainDecision'],
+  spatial: ['processEvent', 'getAwarenessState'],
+  learning: ['learn', 'incorporateFeedback'],
+  suspicion: ['assessSuspicion', 'updateSuspicionWithFeedback']
+};
+
+const ENGINE_STAGES = Object.keys(ENGINE_CONTRACTS);
+
+// Full cognitive subsystems for every stage
+const PRODUCTION_ENGINES = {
+  memory: 'contextual',
+  intent: 'framework',
+  reasoning: 'symbolic',
+  spatial: 'awareness',
+  learning: 'adaptive',
+  suspicion: 'graduated'
+};
+
+/**
+ * Verify that an engine implements its stage contract
+ */
+function validateEngine(stage, engine) {
+  const contract = ENGINE_CONTRACTS[stage];
+  if (!contract) {
+    throw new Error(`Unknown engine stage: ${stage}`);
+  }
+  if (!engine || typeof engine !== 'object') {
+    throw new Error(`Engine for stage "${stage}" must be an object`);
+  }
+
+  const missing = contract.filter(method => typeof engine[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Engine for stage "${stage}" is missing required methods: ${missing.join(', ')}`);
+  }
+
+  return engine;
+}
+
+/**
+ * Named engine factories per pipeline stage
+ */
+class EngineRegistry {
+  constructor() {
+    this.factories = new Map(ENGINE_STAGES.map(stage => [stage, new Map()]));
+  }
+
+  /**
+   * Register a factory under a name for a stage. The factory receives the
+   * interpreter config and returns an engine instance.
+   */
+  register(stage, name, factory) {
+    if (!this.factories.has(stage)) {
+      throw new Error(`Unknown engine stage: ${stage}`);
+    }
+    if (typeof factory !== 'function') {
+      throw new Error(`Engine factory for ${stage}/${name} must be a function`);
+    }
+
+    this.factories.get(stage).set(name, factory);
+    return this;
+  }
+
+  has(stage, name) {
+    return this.factories.get(stage)?.has(name) || false;
+  }
+
+  list(stage) {
+    if (stage) {
+      return Array.from(this.factories.get(stage)?.keys() || []);
+    }
+
+    const listing = {};
+    for (const [stageName, factories] of this.factories) {
+      listing[stageName] = Array.from(factories.keys());
+    }
+    return listing;
+  }
+
+  /**
+   * Create the engine for a stage. The selection may be a registered name,
+   * a factory function or class, or a ready-made engine instance.
+   */
+  create(stage, selection, config) {
+    if (!this.factories.has(stage)) {
+      throw new Error(`Unknown engine stage: ${stage}`);
+    }
+
+    let engine;
+    if (typeof selection === 'string') {
+      const factory = this.factories.get(stage).get(selection);
+      if (!factory) {
+        throw new Error(`No "${selection}" engine registered for stage "${stage}" (available: ${this.list(stage).join(', ')})`);
+      }
+      engine = factory(config);
+    } else if (typeof selection === 'function') {
+      engine = /^class\s/.test(Function.prototype.toString.call(selection))
+        ? new selection(config)
+        : selection(config);
+    } else {
+      engine = selection;
+    }
+
+    return validateEngine(stage, engine);
+  }
+}
+
+/**
+ * Bridges ContextualMemorySystem onto the memory contract
+ */
+class ContextualMemoryAdapter {
+  constructor(config, system = null) {
+    this.config = config;
+    this.system = system || new ContextualMemorySystem(config);
+  }
+
+  async retrieveRelevantContext(location, timestamp, entityType, perceptionEvent = null) {
+    const event = perceptionEvent || { location, timestamp, entityType, behaviors: [] };
+    const lookbackHours = this.config?.memoryRetentionHours ? Math.min(this.config.memoryRetentionHours, 24) : 24;
+    const history = await this.system.getContextualHistory(event, lookbackHours);
+
+    // Align with the fields the interpreter and mock memory expose
+    return {
+      ...history,
+      spatialContext: history.spatialHistory,
+      temporalContext: history.temporalHistory,
+      entityContext: history.entityHistory,
+      normalPatterns: this._hasNormalPatterns(history.normalPatterns) ? history.normalPatterns : {}
+    };
+  }
+
+  async storeEvent(perceptionEvent, cognitiveAssessment) {
+    return this.system.storeEvent(perceptionEvent, cognitiveAssessment);
+  }
+
+  updateSequenceContext(assessments) {
+    return { updated: true, sequenceLength: assessments.length };
+  }
+
+  getInsights(location, timeRange) {
+    const insights = this.system.getMemoryInsights();
+    return {
+      location,
+      timeRange,
+      ...insights
+    };
+  }
+
+  // Optional capabilities used by the interpreter's norms, entity and analytics APIs
+
+  queryNorms(filter) {
+    return this.system.queryNorms(filter);
+  }
+
+  getEntityProfile(entityId) {
+    return this.system.getEntityProfile(entityId);
+  }
+
+  listEntityProfiles() {
+    return this.system.listEntityProfiles();
+  }
+
+  mergeEntities(sourceId, targetId) {
+    return this.system.mergeEntities(sourceId, targetId);
+  }
+
+  async getEntityTimeline(entityId, options) {
+    return this.system.getEntityTimeline(entityId, options);
+  }
+
+  getPeakActivityTimes(filter) {
+    return this.system.getPeakActivityTimes(filter);
+  }
+
+  async learnFromFeedback(eventId, feedback) {
+    await this.system.learnFromFeedback(eventId, feedback);
+    return { updated: true };
+  }
+
+  initializeAutoSave(autoSaveSystem) {
+    return this.system.initializeAutoSave(autoSaveSystem);
+  }
+
+  async getSaveState() {
+    return this.system.getSaveState();
+  }
+
+  async restoreFromSave(savedState) {
+    return this.system.restoreFromSave(savedState);
+  }
+
+  _hasNormalPatterns(patterns) {
+    if (!patterns) return false;
+    return Object.values(patterns).some(value => {
+      if (value instanceof Map) return value.size > 0;
+      if (Array.isArray(value)) return value.length > 0;
+      return Boolean(value);
+    });
+  }
+}
+
+/**
+ * Bridges IntentModelingFramework onto the intent contract
+ */
+class IntentFrameworkAdapter {
+  constructor(config, framework = null) {
+    this.config = config;
+    this.framework = framework || new IntentModelingFramework(config);
+  }
+
+  async assessIntent(perceptionEvent, contextualHistory, spatialState = null) {
+    const spatialContext = {
+      location: perceptionEvent.location,
+      zone: this.framework.siteModel?.getZone(perceptionEvent.location).type || spatialState?.spatialContext?.zone || perceptionEvent.location,
+      coordinates: perceptionEvent.spatialData?.coordinates || perceptionEvent.spatialData || null,
+      track: spatialState?.spatialPresence?.track || null
+    };
+
+    const analysis = await this.framework.analyzeIntent(perceptionEvent, contextualHistory, spatialContext);
+
+    return {
+      ...analysis,
+      confidence: analysis.intentConfidence,
+      intentStrength: analysis.intentLikelihood,
+      behavioralPatterns: perceptionEvent.behaviors || [],
+      riskFactors: this._extractRiskFactors(analysis)
+    };
+  }
+
+  async assessSequenceIntent(assessments, perceptionEvents = []) {
+    const sequence = assessments.map((assessment, index) => ({
+      perceptionEvent: perceptionEvents[index],
+      intentAssessment: assessment.intent,
+      suspicionLevel: assessment.suspicionLevel
+    }));
+
+    return this.framework.analyzeSequenceIntent(sequence);
+  }
+
+  async learnFromFeedback(intentAssessment, feedback) {
+    const accuracy = await this.framework.learnFromFeedback(
+      intentAssessment.intentId,
+      feedback.correctIntent || intentAssessment.primaryIntent,
+      {
+        ...feedback,
+        predictedIntent: intentAssessment.primaryIntent,
+        correct: feedback.type !== 'wrong_intent'
+      }
+    );
+    return { updated: true, accuracy };
+  }
+
+  _extractRiskFactors(analysis) {
+    const riskFactors = [];
+    const temporal = analysis.contextualFactors?.temporal;
+
+    if (temporal?.timeCategory === 'night') {
+      riskFactors.push('unusual_time');
+    }
+    if (analysis.riskAssessment?.riskCategory === 'high' || analysis.riskAssessment?.riskCategory === 'critical') {
+      riskFactors.push('high_risk_intent');
+    }
+    if (analysis.spatialIndicators?.riskFactors?.some(risk => risk.factor === 'perimeter_sweep')) {
+      riskFactors.push('perimeter_sweep');
+    }
+
+    return riskFactors;
+  }
+}
+
+/**
+ * Bridges SpatialTemporalAwareness onto the spatial contract
+ */
+class SpatialAwarenessAdapter {
+  constructor(config, system = null) {
+    this.config = config;
+    this.system = system || new SpatialTemporalAwareness(config);
+  }
+
+  async processEvent(event) {
+    const date = new Date(event.timestamp);
+    const spatialContext = {
+      location: event.location,
+      zone: event.location,
+      coordinates: event.spatialData?.coordinates || event.spatialData || null
+    };
+    const temporalContext = {
+      timestamp: event.timestamp,
+      hour: date.getHours(),
+      dayOfWeek: date.getDay()
+    };
+
+    const awareness = await this.system.processWithAwareness(event, spatialContext, temporalContext);
+
+    return {
+      ...awareness,
+      spatialContext,
+      temporalContext
+    };
+  }
+
+  getAwarenessState() {
+    return this.system.getCurrentAwarenessState();
+  }
+
+  getEntityTrack(entityId) {
+    return this.system.getEntityTrack(entityId);
+  }
+
+  mergeEntityTracks(sourceId, targetId) {
+    return this.system.mergeEntityTracks(sourceId, targetId);
+  }
+}
+
+/**
+ * Bridges AdaptiveLearningSystem onto the learning contract
+ */
+class AdaptiveLearningAdapter {
+  constructor(config, system = null) {
+    this.config = config;
+    this.system = system || new AdaptiveLearningSystem(config);
+  }
+
+  async learn(event, assessment) {
+    const date = new Date(event.timestamp);
+    const activityLevel = assessment?.suspicionLevel ?? 0.5;
+
+    try {
+      const update = await this.system.updateNormsContinuously({
+        behavioralIndicators: (event.behaviors || []).map(behavior => ({ type: behavior, value: activityLevel })),
+        temporalContext: { hour: date.getHours(), activityLevel },
+        spatialContext: { location: event.location, activityLevel },
+        contextualFactors: event.metadata || {},
+        environmentalContext: event.environmentalContext || {}
+      });
+
+      return {
+        learned: true,
+        updateId: update.updateId,
+        adaptationLevel: update.adaptationLevel
+      };
+    } catch (error) {
+      console.warn('Adaptive learning update failed:', error.message);
+      return { learned: false, reason: error.message };
+    }
+  }
+
+  async incorporateFeedback(eventId, correctAssessment) {
+    const result = await this.system.processFeedback(eventId, correctAssessment, correctAssessment?.contextualData || {});
+
+    if (result.quarantined) {
+      return { updated: false, reason: 'quarantined', learningId: result.learningId, quarantined: true, quarantine: result.quarantine };
+    }
+
+    return {
+      updated: true,
+      learningId: result.learningId,
+      confidence: result.processedFeedback?.confidence,
+      reliability: result.processedFeedback?.reliability,
+      adaptationLevel: result.adaptationStrength > 0.5 ? 'significant' : 'moderate',
+      released: result.released
+    };
+  }
+
+  getQuarantinedFeedback() {
+    return this.system.getQuarantinedFeedback();
+  }
+
+  getCurrentNorms() {
+    return this.system.getCurrentNorms();
+  }
+
+  revertLearning(learningId, options) {
+    return this.system.revertLearning(learningId, options);
+  }
+
+  rollbackLearningSince(timestamp, options) {
+    return this.system.rollbackLearningSince(timestamp, options);
+  }
+
+  decayNorms(now) {
+    return this.system.decayNorms(now);
+  }
+
+  startNormDecay(intervalMs) {
+    this.system.startNormDecay(intervalMs);
+  }
+
+  stopNormDecay() {
+    this.system.stopNormDecay();
+  }
+
+  initializeAutoSave(autoSaveSystem) {
+    return this.system.initializeAutoSave(autoSaveSystem);
+  }
+
+  async getSaveState() {
+    return this.system.getSaveState();
+  }
+
+  async restoreFromSave(savedState) {
+    return this.system.restoreFromSave(savedState);
+  }
+}
+
+/**
+ * Suspicion stage that keeps the reasoning engine's score as-is
+ */
+class PassthroughSuspicionStage {
+  constructor(config) {
+    this.config = config;
+  }
+
+  async assessSuspicion(perceptionEvent, intentAssessment, cognitiveAssessment) {
+    const score = typeof cognitiveAssessment.suspicionLevel === 'number' ? cognitiveAssessment.suspicionLevel : 0;
+    const confidence = cognitiveAssessment.reasoningCertainty ?? cognitiveAssessment.confidence ?? 0.5;
+
+    return {
+      baseSuspicion: score,
+      adjustedSuspicion: score,
+      uncertainty: 1 - confidence,
+      factorBreakdown: {
+        symbolic: { score, weight: 1, confidence, reasoning: 'Reasoning engine suspicion used without adjustment' }
+      },
+      recommendations: []
+    };
+  }
+
+  async updateSuspicionWithFeedback() {
+    return { updated: false, reason: 'suspicion_stage_passthrough' };
+  }
+}
+
+/**
+ * Bridges GraduatedSuspicionSystem onto the suspicion contract
+ */
+class GraduatedSuspicionAdapter {
+  constructor(config, system = null) {
+    this.config = config;
+    this.system = system || new GraduatedSuspicionSystem(config);
+  }
+
+  async assessSuspicion(perceptionEvent, intentAssessment, cognitiveAssessment, contextualHistory, eventId) {
+    const date = new Date(perceptionEvent.timestamp);
+    const anomalies = intentAssessment?.behavioralIndicators?.anomalies || [];
+    const anomalousBehaviors = new Set(anomalies.map(anomaly => anomaly.behavior).filter(Boolean));
+
+    const assessment = {
+      assessmentId: eventId,
+      symbolicSuspicion: cognitiveAssessment.suspicionLevel,
+      symbolicConfidence: cognitiveAssessment.reasoningCertainty ?? cognitiveAssessment.confidence,
+      intentAnalysis: intentAssessment ? {
+        primaryIntent: intentAssessment.primaryIntent,
+        confidence: intentAssessment.intentConfidence ?? intentAssessment.confidence,
+        riskLevel: intentAssessment.riskAssessment?.riskLevel
+      } : null,
+      behavioralAnalysis: intentAssessment?.behavioralIndicators ? {
+        indicators: (perceptionEvent.behaviors || []).map(behavior => ({ behavior, anomaly: anomalousBehaviors.has(behavior) })),
+        confidence: perceptionEvent.detectionConfidence
+      } : null,
+      dataQuality: perceptionEvent.detectionConfidence
+    };
+
+    const contextualData = {
+      temporalContext: {
+        hour: date.getHours(),
+        dayOfWeek: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'][date.getDay()]
+      },
+      spatialContext: {
+        location: perceptionEvent.location,
+        accessLevel: perceptionEvent.metadata?.accessLevel
+      },
+      environmentalContext: perceptionEvent.environmentalContext
+    };
+
+    const processingTrace = {
+      dataQuality: perceptionEvent.detectionConfidence,
+      completeness: contextualHistory?.contextualRelevance
+    };
+
+    return this.system.calculateSuspicion(assessment, contextualData, processingTrace);
+  }
+
+  async updateSuspicionWithFeedback(eventId, feedback) {
+    const suspicionData = this.system.suspicionHistory.get(eventId);
+    return this.system.updateSuspicionWithFeedback(eventId, {
+      predictedCategory: suspicionData?.suspicionCategory,
+      ...feedback
+    });
+  }
+
+  revertFeedback(feedbackId) {
+    return this.system.revertFeedback(feedbackId);
+  }
+
+  async getSaveState() {
+    return this.system.getSaveState();
+  }
+
+  async restoreFromSave(savedState) {
+    return this.system.restoreFromSave(savedState);
+  }
+
+  takeJournalPatch(path) {
+    return this.system.takeJournalPatch(path);
+  }
+}
+
+// Shared registry with the full cognitive subsystems; the interpreter
+// registers its mock engines alongside these
+const defaultEngineRegistry = new EngineRegistry()
+  .register('memory', 'contextual', config => new ContextualMemoryAdapter(config))
+  .register('intent', 'framework', config => new IntentFrameworkAdapter(config))
+  .register('reasoning', 'symbolic', config => new SymbolicReasoningEngine(config))
+  .register('spatial', 'awareness', config => new SpatialAwarenessAdapter(config))
+  .register('learning', 'adaptive', config => new AdaptiveLearningAdapter(config))
+  .register('suspicion', 'passthrough', config => new PassthroughSuspicionStage(config))
+  .register('suspicion', 'graduated', config => new GraduatedSuspicionAdapter(config));
+
+export {
+  EngineRegistry,
+  ENGINE_CONTRACTS,
+  ENGINE_STAGES,
+  PRODUCTION_ENGINES,
+  validateEngine,
+  defaultEngineRegistry,
+  ContextualMemoryAdapter,
+  IntentFrameworkAdapter,
+  SpatialAwarenessAdapter,
+  AdaptiveLearningAdapter,
+  PassthroughSuspicionStage,
+  GraduatedSuspicionAdapter
+};
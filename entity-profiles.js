@@ -0,0 +1,162 @@
+/**
+ * Entity Profiles - Labels, Identity Merging and Public Profile Views
+ *
+ * Users label recurring entities once (the resident, the mail carrier, a
+ * banned visitor) and the label sticks: labels live in the interpreter's
+ * saved state, independent of how long raw memories are retained. Merging
+ * records that two entity IDs are the same individual so later sightings
+ * of either resolve to one profile.
+ *
+ * @version 2.0.0
+ * @author Goliath Security Systems
+ */
+
+const ENTITY_LABELS = {
+  KNOWN_RESIDENT: 'known_resident',
+  DELIVERY_DRIVER: 'delivery_driver',
+  BANNED: 'banned'
+};
+
+// Labels that count as authorized/known activity in the alert policy
+const TRUSTED_ENTITY_LABELS = new Set([ENTITY_LABELS.KNOWN_RESIDENT, ENTITY_LABELS.DELIVERY_DRIVER]);
+
+function isEntityLabel(label) {
+  return Object.values(ENTITY_LABELS).includes(label);
+}
+
+/**
+ * Entity labels and merge aliases. Aliases always point at a canonical ID,
+ * so resolve() is a single lookup.
+ */
+class EntityLabelRegistry {
+  constructor() {
+    this.labels = new Map(); // canonical entityId -> { label, note, labeledAt }
+    this.aliases = new Map(); // merged entityId -> canonical entityId
+  }
+
+  resolve(entityId) {
+    return this.aliases.get(entityId) || entityId;
+  }
+
+  label(entityId, label, options = {}) {
+    if (!isEntityLabel(label)) {
+      throw new Error(`Unknown entity label "${label}" (available: ${Object.values(ENTITY_LABELS).join(', ')})`);
+    }
+    const entry = {
+      label,
+      note: options.note || null,
+      labeledAt: options.timestamp || Date.now()
+    };
+    this.labels.set(this.resolve(entityId), entry);
+    return entry;
+  }
+
+  unlabel(entityId) {
+    return this.labels.delete(this.resolve(entityId));
+  }
+
+  /**
+   * Put back a label entry exactly as get() returned it (null removes the label)
+   */
+  restore(entityId, entry) {
+    if (entry) {
+      this.labels.set(this.resolve(entityId), { ...entry });
+    } else {
+      this.unlabel(entityId);
+    }
+  }
+
+  get(entityId) {
+    return this.labels.get(this.resolve(entityId)) || null;
+  }
+
+  isTrusted(entityId) {
+    return TRUSTED_ENTITY_LABELS.has(this.get(entityId)?.label);
+  }
+
+  isBanned(entityId) {
+    return this.get(entityId)?.label === ENTITY_LABELS.BANNED;
+  }
+
+  /**
+   * Fold `sourceId` into `targetId`. The target keeps its label; a source
+   * label carries over only when the target has none.
+   */
+  merge(sourceId, targetId) {
+    const source = this.resolve(sourceId);
+    const target = this.resolve(targetId);
+    if (source === target) {
+      throw new Error(`Entity ${sourceId} is already merged into ${targetId}`);
+    }
+
+    if (this.labels.has(source)) {
+      if (!this.labels.has(target)) this.labels.set(target, this.labels.get(source));
+      this.labels.delete(source);
+    }
+
+    for (const [alias, canonical] of this.aliases) {
+      if (canonical === source) this.aliases.set(alias, target);
+    }
+    this.aliases.set(source, target);
+    return target;
+  }
+
+  /**
+   * Canonical IDs that carry a label, optionally filtered to one label
+   */
+  list(label = null) {
+    return Array.from(this.labels.entries())
+      .filter(([, entry]) => !label || entry.label === label)
+      .map(([entityId, entry]) => ({ entityId, ...entry }));
+  }
+
+  getSaveState() {
+    return {
+      labels: Array.from(this.labels.entries()),
+      aliases: Array.from(this.aliases.entries())
+    };
+  }
+
+  restoreFromSave(savedState) {
+    this.labels = new Map(savedState?.labels || []);
+    this.aliases = new Map(savedState?.aliases || []);
+  }
+}
+
+/**
+ * Public view of an EntityMemoryStore profile: Maps become ranked arrays
+ * and suspicion history is summarized
+ */
+function toEntityProfileView(profile, labelEntry = null) {
+  const suspicionCount = profile.suspicionHistory.length + (profile.archivedSuspicion?.count || 0);
+  const suspicionTotal = profile.suspicionHistory.reduce(
+    (sum, entry) => sum + entry.suspicionLevel,
+    profile.archivedSuspicion?.total || 0
+  );
+  const rank = counts => Array.from(counts.entries())
+    .sort((a, b) => b[1] - a[1])
+    .map(([name, count]) => ({ name, count }));
+
+  return {
+    entityId: profile.entityId,
+    entityType: profile.entityType,
+    label: labelEntry?.label || null,
+    labelNote: labelEntry?.note || null,
+    firstSeen: profile.firstSeen,
+    lastSeen: profile.lastSeen,
+    totalSightings: profile.totalSightings,
+    commonLocations: rank(profile.commonLocations).map(({ name, count }) => ({ location: name, count })),
+    commonBehaviors: rank(profile.commonBehaviors).map(({ name, count }) => ({ behavior: name, count })),
+    averageSuspicion: suspicionCount > 0 ? suspicionTotal / suspicionCount : 0,
+    feedbackCount: profile.feedbackHistory.length,
+    mergedIds: profile.mergedIds ? [...profile.mergedIds] : []
+  };
+}
+
+export {
+  ENTITY_LABELS,
+  TRUSTED_ENTITY_LABELS,
+  isEntityLabel,
+  EntityLabelRegistry,
+  toEntityProfileView
+};
@@ -0,0 +1,279 @@
+/**
+ * Entity Tracks - Per-Entity Movement Across Cameras and Zones
+ *
+ * Stitches successive sightings of the same entity into a track, even when
+ * they come from different cameras, as long as the gap between sightings
+ * stays within the handoff tolerance. Each track is laid over the site
+ * model: zones the entity must have crossed between two sightings are
+ * filled in from the site graph, and the track reports dwell per zone,
+ * speed and the shape of the path (direct, pacing, loop, perimeter sweep).
+ *
+ * @version 2.0.0
+ * @author Goliath Security Systems
+ */
+
+import { resolveSiteModel, toPoint } from './site-model.js';
+
+const TRACK_SHAPES = ['stationary', 'direct', 'pacing', 'loop', 'perimeter_sweep'];
+
+function resolveTrackingPolicy(config = {}) {
+  return {
+    // Longest gap between sightings that still continues a track
+    handoffToleranceMs: config?.handoffToleranceMs || 5 * 60 * 1000,
+    maxTracks: config?.maxTracks || 200,
+    maxTrackPoints: config?.maxTrackPoints || 100,
+    // Distinct entry points visited before a path counts as a perimeter sweep
+    sweepEntryPoints: config?.sweepEntryPoints || 3
+  };
+}
+
+function distance(a, b) {
+  return Math.sqrt(Math.pow(b.x - a.x, 2) + Math.pow(b.y - a.y, 2));
+}
+
+class EntityTrackManager {
+  /**
+   * @param {Object} [config] - { handoffToleranceMs, maxTracks, maxTrackPoints, sweepEntryPoints }
+   * @param {SiteModel} [siteModel]
+   */
+  constructor(config = {}, siteModel = resolveSiteModel()) {
+    this.policy = resolveTrackingPolicy(config);
+    this.siteModel = siteModel;
+    this.tracks = new Map(); // entityId -> current track, least recently seen first
+    this.aliases = new Map(); // merged entityId -> entityId
+    this.trackCounter = 0;
+  }
+
+  /**
+   * Add a sighting to its entity's track, starting a new track when the
+   * previous sighting is older than the handoff tolerance
+   * @returns {Object|null} Track summary, null for events without an entityId
+   */
+  observe(event) {
+    if (!event?.entityId) return null;
+    const entityId = this.resolve(event.entityId);
+    const observation = this._toObservation(event);
+
+    let track = this.tracks.get(entityId);
+    if (track && observation.timestamp - track.lastSeen > this.policy.handoffToleranceMs) {
+      track = null;
+    }
+    if (!track) {
+      track = { trackId: this._generateTrackId(), entityId, observations: [], totalObservations: 0 };
+    }
+
+    this._append(track, observation);
+    this.tracks.delete(entityId);
+    this.tracks.set(entityId, track);
+    this._evict();
+    return this._summarize(track);
+  }
+
+  resolve(entityId) {
+    return this.aliases.get(entityId) || entityId;
+  }
+
+  /**
+   * Summary of an entity's current track, null when it has none
+   */
+  getTrack(entityId) {
+    const track = this.tracks.get(this.resolve(entityId));
+    return track ? this._summarize(track) : null;
+  }
+
+  /**
+   * Tracks seen within the handoff tolerance of `now`, most recent first
+   */
+  getActiveTracks(now = Date.now()) {
+    return Array.from(this.tracks.values())
+      .filter(track => now - track.lastSeen <= this.policy.handoffToleranceMs)
+      .reverse()
+      .map(track => this._summarize(track));
+  }
+
+  /**
+   * The same individual was tracked under two IDs: fold the source track
+   * into the target's and route later sightings of the source there
+   */
+  mergeEntities(sourceId, targetId) {
+    const target = this.resolve(targetId);
+    const source = this.resolve(sourceId);
+    if (source === target) return this.getTrack(target);
+
+    this.aliases.set(source, target);
+    for (const [alias, canonical] of this.aliases) {
+      if (canonical === source) this.aliases.set(alias, target);
+    }
+
+    const sourceTrack = this.tracks.get(source);
+    this.tracks.delete(source);
+    if (!sourceTrack) return this.getTrack(target);
+
+    const targetTrack = this.tracks.get(target);
+    if (!targetTrack) {
+      this.tracks.set(target, { ...sourceTrack, entityId: target });
+      return this.getTrack(target);
+    }
+    const observations = [...targetTrack.observations, ...sourceTrack.observations]
+      .sort((a, b) => a.timestamp - b.timestamp);
+    targetTrack.observations = [];
+    targetTrack.totalObservations += sourceTrack.totalObservations;
+    observations.forEach(observation => this._append(targetTrack, observation, false));
+    return this.getTrack(target);
+  }
+
+  clear() {
+    this.tracks.clear();
+    this.aliases.clear();
+  }
+
+  _toObservation(event) {
+    const coordinates = toPoint(event.spatialData?.coordinates);
+    return {
+      timestamp: event.timestamp || Date.now(),
+      zone: this.siteModel.locate(event.location, coordinates),
+      cameraId: event.cameraId || event.metadata?.cameraId || event.metadata?.deviceId || null,
+      coordinates
+    };
+  }
+
+  _append(track, observation, counted = true) {
+    track.observations.push(observation);
+    if (track.observations.length > this.policy.maxTrackPoints) {
+      track.observations.shift();
+    }
+    if (counted) track.totalObservations++;
+    track.startedAt = Math.min(track.startedAt ?? observation.timestamp, observation.timestamp);
+    track.lastSeen = Math.max(track.lastSeen ?? observation.timestamp, observation.timestamp);
+  }
+
+  _evict() {
+    while (this.tracks.size > this.policy.maxTracks) {
+      this.tracks.delete(this.tracks.keys().next().value);
+    }
+  }
+
+  _summarize(track) {
+    const observations = track.observations;
+    const visits = this._reconstructVisits(observations);
+    const path = visits.map(visit => visit.zone);
+    const last = visits[visits.length - 1];
+
+    const dwellByZone = {};
+    visits.filter(visit => !visit.inferred).forEach(visit => {
+      dwellByZone[visit.zone] = (dwellByZone[visit.zone] || 0) + visit.dwellMs;
+    });
+
+    const cameras = [...new Set(observations.map(observation => observation.cameraId).filter(Boolean))];
+    let handoffs = 0;
+    for (let i = 1; i < observations.length; i++) {
+      const previous = observations[i - 1].cameraId;
+      const current = observations[i].cameraId;
+      if (previous && current && previous !== current) handoffs++;
+    }
+
+    const entryPointsVisited = [...new Set(path.filter(zone => this.siteModel.isEntryPoint(zone)))];
+    const entryPointsOnSite = this.siteModel.listZones().filter(zone => zone.entryPoint).length;
+
+    return {
+      trackId: track.trackId,
+      entityId: track.entityId,
+      startedAt: track.startedAt,
+      lastSeen: track.lastSeen,
+      durationMs: track.lastSeen - track.startedAt,
+      observations: track.totalObservations,
+      points: observations.map(observation => ({ ...observation })),
+      cameras,
+      handoffs,
+      path,
+      visits,
+      dwellByZone,
+      currentZone: last?.zone ?? null,
+      currentDwellMs: last?.dwellMs ?? 0,
+      ...this._measureSpeed(observations),
+      entryPointsVisited,
+      entryPointCoverage: entryPointsOnSite > 0 ? entryPointsVisited.length / entryPointsOnSite : 0,
+      shape: this._classifyShape(path, entryPointsVisited.length, entryPointsOnSite)
+    };
+  }
+
+  /**
+   * Consecutive sightings in one zone become a visit; when two visited
+   * zones are not adjacent in the site graph, the shortest route between
+   * them is filled in as inferred visits
+   */
+  _reconstructVisits(observations) {
+    const visits = [];
+    for (const observation of observations) {
+      const last = visits[visits.length - 1];
+      if (last && last.zone === observation.zone) {
+        last.leftAt = observation.timestamp;
+        last.dwellMs = last.leftAt - last.enteredAt;
+        if (observation.cameraId && !last.cameras.includes(observation.cameraId)) last.cameras.push(observation.cameraId);
+        continue;
+      }
+
+      if (last && !this.siteModel.areConnected(last.zone, observation.zone)) {
+        const route = this.siteModel.findPath(last.zone, observation.zone) || [];
+        route.slice(1, -1).forEach(zone => {
+          visits.push({ zone, enteredAt: null, leftAt: null, dwellMs: 0, cameras: [], inferred: true });
+        });
+      }
+      visits.push({
+        zone: observation.zone,
+        enteredAt: observation.timestamp,
+        leftAt: observation.timestamp,
+        dwellMs: 0,
+        cameras: observation.cameraId ? [observation.cameraId] : [],
+        inferred: false
+      });
+    }
+    return visits;
+  }
+
+  // Reported coordinates where the event has them, otherwise the zone's position on the plan
+  _measureSpeed(observations) {
+    let traveled = 0;
+    let movingMs = 0;
+    let maxSpeed = 0;
+    let previous = null;
+    for (const observation of observations) {
+      const position = observation.coordinates || this.siteModel.getZone(observation.zone).coordinates;
+      if (!position) continue;
+      if (previous && observation.timestamp > previous.timestamp) {
+        const segment = distance(previous.position, position);
+        const seconds = (observation.timestamp - previous.timestamp) / 1000;
+        traveled += segment;
+        movingMs += observation.timestamp - previous.timestamp;
+        maxSpeed = Math.max(maxSpeed, segment / seconds);
+      }
+      previous = { position, timestamp: observation.timestamp };
+    }
+    return {
+      distance: traveled,
+      averageSpeed: movingMs > 0 ? traveled / (movingMs / 1000) : null,
+      maxSpeed: movingMs > 0 ? maxSpeed : null
+    };
+  }
+
+  _classifyShape(path, entryPointsVisited, entryPointsOnSite) {
+    const distinct = new Set(path).size;
+    if (distinct <= 1) return 'stationary';
+    if (entryPointsVisited >= Math.max(2, Math.min(this.policy.sweepEntryPoints, entryPointsOnSite))) {
+      return 'perimeter_sweep';
+    }
+    if (distinct >= 3 && path[0] === path[path.length - 1]) return 'loop';
+    if (path.length > distinct) return 'pacing';
+    return 'direct';
+  }
+
+  _generateTrackId() {
+    return `track-${Date.now()}-${++this.trackCounter}`;
+  }
+}
+
+export {
+  TRACK_SHAPES,
+  EntityTrackManager,
+  resolveTrackingPolicy
+};
@@ -35,6 +35,7 @@ class RingMobileNovinIntegration {
     });
     
     this.userPresence = null;
+    this.visitorCalendar = config.visitorCalendar || null;
     this.setupIntegration();
   }
 
@@ -65,6 +66,11 @@ class RingMobileNovinIntegration {
       whiteLabel: true
     });
     
+    // Cleaners, deliveries and other planned visits from the household calendar
+    if (this.visitorCalendar) {
+      await this.ai.importCalendarFile(this.visitorCalendar, { idPrefix: 'household:' });
+    }
+    
     // Get all Ring locations and devices
     const locations = await this.ring.getLocations();
     
@@ -166,7 +172,6 @@ class RingMobileNovinIntegration {
         metadata: {
           userHome: await this.getUserPresence(),
           timeOfDay: this.getTimeOfDay(),
-          expectedVisitor: await this.checkExpectedVisitors(),
           recentActivity: await this.getRecentActivity(doorbell.id),
           batteryLevel: doorbell.batteryLevel
         }
@@ -370,19 +375,13 @@ class RingMobileNovinIntegration {
     return 'clear';
   }
 
-  async checkExpectedVisitors() {
-    // Check if user has scheduled visitors (calendar integration, etc.)
-    return false;
-  }
-
   async getRecentActivity(deviceId) {
     // Get recent activity for pattern analysis
     return [];
   }
 
   isDeliveryTime() {
-    const hour = new Date().getHours();
-    return hour >= 9 && hour <= 18; // Typical delivery hours
+    return this.ai.getExpectedActivity().some(activity => activity.entityLabels.includes('delivery_driver'));
   }
 }
 
@@ -391,6 +390,7 @@ async function main() {
   const integration = new RingMobileNovinIntegration({
     mobilenovinApiKey: 'your-mobilenovin-api-key',
     ringRefreshToken: 'your-ring-refresh-token',
+    visitorCalendar: './household.ics',
     debug: true
   });
   
@@ -0,0 +1,565 @@
+/**
+ * Expected Activity - Schedules and Calendars for Known Visits
+ *
+ * The cleaner on Tuesday mornings, the parcel round on weekdays, the dog
+ * walker at noon: activity the household expects, bound to the entities
+ * (labels, IDs, types), zones and behaviors it involves. Entries are
+ * one-off visits or repeat by an RRULE-style recurrence, and can be
+ * imported from iCalendar (.ics) text. An event matching an entry inside
+ * its window is expected; one that matches everything but the time, within
+ * the entry's grace period, arrived just outside the window.
+ *
+ * @version 2.0.0
+ * @author Goliath Security Systems
+ */
+
+import { resolveSiteModel, toPoint } from './site-model.js';
+import { ENTITY_LABELS } from './entity-profiles.js';
+
+const RECURRENCE_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const RECURRENCE_PARTS = ['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY', 'COUNT', 'UNTIL', 'WKST'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_GRACE_MS = 30 * 60 * 1000;
+// Calendar events with a start time but no end or duration
+const DEFAULT_DURATION_MS = 60 * 60 * 1000;
+// Furthest a COUNT-limited rule is expanded to find its last occurrence
+const MAX_EXPANSION_DAYS = 3660;
+
+// Local calendar day of a timestamp, counted from the epoch, ignoring DST shifts
+function dayNumber(date) {
+  return Math.round(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / DAY_MS);
+}
+
+function dateKey(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function toTimestamp(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : NaN;
+  if (typeof value === 'string' && value) return new Date(value).getTime();
+  return NaN;
+}
+
+/**
+ * Whether `timeZone` is an IANA time zone this runtime knows
+ */
+function isTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// How far a time zone's wall clock is ahead of UTC at an instant, in ms
+function timeZoneOffset(timeZone, timestamp) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+  }).formatToParts(new Date(timestamp));
+  const part = type => Number(parts.find(entry => entry.type === type).value);
+  return Date.UTC(part('year'), part('month') - 1, part('day'), part('hour'), part('minute'), part('second')) - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Parse an iCalendar date or date-time: 20260304, 20260304T090000 (local
+ * time, or wall time in `timeZone` when given) or 20260304T090000Z (UTC)
+ * @param {string} value
+ * @param {string} [timeZone] - IANA zone from a TZID parameter
+ * @returns {number} Timestamp, NaN when malformed
+ */
+function parseICalendarDate(value, timeZone = null) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(String(value).trim());
+  if (!match) return NaN;
+  const [, year, month, day, hours, minutes = '0', seconds = '0', utc] = match;
+  const parts = [Number(year), Number(month) - 1, Number(day), Number(hours || 0), Number(minutes), Number(seconds)];
+  if (utc) return Date.UTC(...parts);
+  if (!timeZone || hours === undefined) return new Date(...parts).getTime();
+
+  // Take the wall time as UTC, then shift by the zone's offset at that
+  // instant; a second pass settles times next to a DST change
+  const wallTime = Date.UTC(...parts);
+  const guess = wallTime - timeZoneOffset(timeZone, wallTime);
+  return wallTime - timeZoneOffset(timeZone, guess);
+}
+
+/**
+ * Parse an iCalendar duration such as PT2H, P1D or P1W
+ * @returns {number} Milliseconds, NaN when malformed
+ */
+function parseICalendarDuration(value) {
+  const text = String(value).trim();
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(text);
+  if (!match || text.endsWith('P') || text.endsWith('T')) return NaN;
+  const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  const ms = (((Number(weeks) * 7 + Number(days)) * 24 + Number(hours)) * 60 + Number(minutes)) * 60000 + Number(seconds) * 1000;
+  return sign === '-' ? -ms : ms;
+}
+
+/**
+ * Parse an RRULE such as FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,FR;UNTIL=20261231
+ * @returns {{ rule: Object|null, errors: Array<string> }}
+ */
+function parseRecurrenceRule(text) {
+  const errors = [];
+  if (typeof text !== 'string' || !text.trim()) {
+    return { rule: null, errors: ['rrule must be a non-empty string'] };
+  }
+
+  const parts = {};
+  for (const part of text.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+    const [key, value] = part.split('=');
+    const name = key.toUpperCase();
+    if (!RECURRENCE_PARTS.includes(name)) {
+      errors.push(`rrule ${name} is not supported`);
+    } else {
+      parts[name] = value ?? '';
+    }
+  }
+
+  const rule = { freq: parts.FREQ?.toUpperCase(), interval: 1, byDay: null, byMonthDay: null, count: null, until: null };
+  if (!RECURRENCE_FREQUENCIES.includes(rule.freq)) {
+    errors.push(`rrule FREQ must be one of ${RECURRENCE_FREQUENCIES.join(', ')}`);
+  }
+  if (parts.INTERVAL !== undefined) {
+    rule.interval = Number(parts.INTERVAL);
+    if (!Number.isInteger(rule.interval) || rule.interval < 1) errors.push('rrule INTERVAL must be a positive integer');
+  }
+  if (parts.BYDAY !== undefined) {
+    rule.byDay = parts.BYDAY.toUpperCase().split(',').map(day => WEEKDAYS.indexOf(day));
+    if (rule.byDay.some(day => day < 0)) errors.push('rrule BYDAY must list weekdays (MO, TU, WE, TH, FR, SA, SU)');
+  }
+  if (parts.BYMONTHDAY !== undefined) {
+    rule.byMonthDay = parts.BYMONTHDAY.split(',').map(Number);
+    if (rule.byMonthDay.some(day => !Number.isInteger(day) || day === 0 || Math.abs(day) > 31)) {
+      errors.push('rrule BYMONTHDAY must list days 1 to 31 or -1 to -31');
+    }
+  }
+  if (parts.COUNT !== undefined) {
+    rule.count = Number(parts.COUNT);
+    if (!Number.isInteger(rule.count) || rule.count < 1) errors.push('rrule COUNT must be a positive integer');
+  }
+  if (parts.UNTIL !== undefined) {
+    rule.until = parseICalendarDate(parts.UNTIL);
+    if (Number.isNaN(rule.until)) errors.push('rrule UNTIL must be an iCalendar date');
+    // A date-only UNTIL includes that whole day
+    if (/^\d{8}$/.test(parts.UNTIL.trim())) rule.until += DAY_MS - 1;
+  }
+  if (rule.count !== null && rule.until !== null) {
+    errors.push('rrule cannot have both COUNT and UNTIL');
+  }
+
+  return { rule: errors.length > 0 ? null : rule, errors };
+}
+
+function checkStrings(errors, field, value, allowed = null) {
+  if (value === undefined || value === null) return;
+  if (!Array.isArray(value) || !value.every(item => typeof item === 'string' && item)) {
+    errors.push(`${field} must be an array of strings`);
+  } else if (allowed && value.some(item => !allowed.includes(item))) {
+    errors.push(`${field} must be among ${allowed.join(', ')}`);
+  }
+}
+
+/**
+ * Problems with an expected activity entry, empty when it is valid
+ * @param {Object} entry
+ * @param {SiteModel} [siteModel] - Zones the entry names must exist here
+ * @returns {Array<string>}
+ */
+function validateExpectedActivity(entry, siteModel = null) {
+  if (!entry || typeof entry !== 'object') {
+    return ['expected activity must be an object'];
+  }
+  const errors = [];
+
+  if (!entry.id || typeof entry.id !== 'string') {
+    errors.push('id must be a non-empty string');
+  }
+  const start = toTimestamp(entry.start);
+  const end = toTimestamp(entry.end);
+  if (Number.isNaN(start)) errors.push('start must be a timestamp or date string');
+  if (Number.isNaN(end)) errors.push('end must be a timestamp or date string');
+  if (!Number.isNaN(start) && !Number.isNaN(end) && end <= start) errors.push('end must be after start');
+
+  if (entry.rrule !== undefined && entry.rrule !== null) {
+    errors.push(...parseRecurrenceRule(entry.rrule).errors);
+  }
+  if (entry.exdates !== undefined && !(Array.isArray(entry.exdates) && entry.exdates.every(date => /^\d{4}-\d{2}-\d{2}$/.test(date)))) {
+    errors.push('exdates must list YYYY-MM-DD dates');
+  }
+
+  checkStrings(errors, 'entityLabels', entry.entityLabels, Object.values(ENTITY_LABELS).filter(label => label !== ENTITY_LABELS.BANNED));
+  checkStrings(errors, 'entityIds', entry.entityIds);
+  checkStrings(errors, 'entityTypes', entry.entityTypes);
+  checkStrings(errors, 'behaviors', entry.behaviors);
+  checkStrings(errors, 'zones', entry.zones);
+  if (siteModel && Array.isArray(entry.zones)) {
+    entry.zones.filter(zone => !siteModel.hasZone(zone)).forEach(zone => {
+      errors.push(`zones.${zone} must be a zone of the site model`);
+    });
+  }
+  if (entry.graceMs !== undefined && !(typeof entry.graceMs === 'number' && entry.graceMs >= 0)) {
+    errors.push('graceMs must be a non-negative number');
+  }
+  if (entry.enabled !== undefined && typeof entry.enabled !== 'boolean') {
+    errors.push('enabled must be a boolean');
+  }
+
+  return errors;
+}
+
+/**
+ * Unfold, split and decode the VEVENTs of an iCalendar document
+ * @returns {Array<Object>} { uid, summary, start, end, rrule, exdates, location, categories }
+ * @throws {Error} When the text is not a calendar or an event has no usable start
+ */
+function parseICalendar(text) {
+  if (typeof text !== 'string' || !/BEGIN:VCALENDAR/i.test(text)) {
+    throw new Error('Invalid calendar: expected iCalendar text with BEGIN:VCALENDAR');
+  }
+  const lines = text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+  const unescape = value => value.replace(/\\n/gi, '\n').replace(/\\([,;\\])/g, '$1');
+
+  const events = [];
+  let current = null;
+  for (const line of lines) {
+    if (/^BEGIN:VEVENT$/i.test(line.trim())) {
+      current = { exdates: [], categories: [] };
+      continue;
+    }
+    if (/^END:VEVENT$/i.test(line.trim())) {
+      if (current) events.push(current);
+      current = null;
+      continue;
+    }
+    if (!current) continue;
+
+    const separator = line.indexOf(':');
+    if (separator < 0) continue;
+    const [name, ...params] = line.slice(0, separator).split(';');
+    const value = line.slice(separator + 1);
+    const isDate = params.some(param => /^VALUE=DATE$/i.test(param));
+    const tzid = params.find(param => /^TZID=/i.test(param))?.slice(5).replace(/^"|"$/g, '') || null;
+    if (tzid && !isTimeZone(tzid)) {
+      throw new Error(`Invalid calendar: event ${current.uid || events.length + 1} has unknown TZID "${tzid}"`);
+    }
+
+    switch (name.toUpperCase()) {
+      case 'UID': current.uid = value.trim(); break;
+      case 'SUMMARY': current.summary = unescape(value); break;
+      case 'LOCATION': current.location = unescape(value); break;
+      case 'CATEGORIES': current.categories.push(...value.split(',').map(category => category.trim()).filter(Boolean)); break;
+      case 'DTSTART': current.start = parseICalendarDate(value, tzid); current.allDay = isDate; break;
+      case 'DTEND': current.end = parseICalendarDate(value, tzid); break;
+      case 'DURATION': current.durationMs = parseICalendarDuration(value); break;
+      case 'RRULE': current.rrule = value.trim(); break;
+      case 'EXDATE':
+        value.split(',').map(date => parseICalendarDate(date, tzid)).filter(date => !Number.isNaN(date))
+          .forEach(date => current.exdates.push(dateKey(new Date(date))));
+        break;
+      default: break;
+    }
+  }
+
+  return events.map((event, index) => {
+    if (event.start === undefined || Number.isNaN(event.start)) {
+      throw new Error(`Invalid calendar: event ${event.uid || index + 1} has no valid DTSTART`);
+    }
+    let end = event.end;
+    if (end === undefined || Number.isNaN(end)) {
+      const durationMs = Number.isNaN(event.durationMs) || event.durationMs === undefined
+        ? (event.allDay ? DAY_MS : DEFAULT_DURATION_MS)
+        : event.durationMs;
+      end = event.start + durationMs;
+    }
+    return {
+      uid: event.uid || `event-${index + 1}`,
+      summary: event.summary || null,
+      start: event.start,
+      end,
+      rrule: event.rrule || null,
+      exdates: event.exdates,
+      location: event.location || null,
+      categories: event.categories
+    };
+  });
+}
+
+function createEntry(entry) {
+  return {
+    id: entry.id,
+    name: entry.name || entry.id,
+    start: toTimestamp(entry.start),
+    end: toTimestamp(entry.end),
+    rrule: entry.rrule || null,
+    exdates: [...(entry.exdates || [])],
+    entityLabels: entry.entityLabels ? [...entry.entityLabels] : null,
+    entityIds: entry.entityIds ? [...entry.entityIds] : null,
+    entityTypes: entry.entityTypes ? [...entry.entityTypes] : null,
+    zones: entry.zones ? [...entry.zones] : null,
+    behaviors: entry.behaviors ? [...entry.behaviors] : null,
+    graceMs: entry.graceMs ?? DEFAULT_GRACE_MS,
+    enabled: entry.enabled !== false
+  };
+}
+
+class ExpectedActivityCalendar {
+  /**
+   * @param {Object} [config] - { entries }
+   * @param {SiteModel} [siteModel]
+   */
+  constructor(config = {}, siteModel = resolveSiteModel()) {
+    this.siteModel = siteModel;
+    this.entries = new Map(); // entryId -> { entry, recurrence }, in the order added
+    (config?.entries || []).forEach(entry => this.addEntry(entry));
+  }
+
+  /**
+   * Add or replace an entry
+   * @throws {Error} When the entry is invalid
+   */
+  addEntry(entry) {
+    const errors = validateExpectedActivity(entry, this.siteModel);
+    if (errors.length > 0) {
+      throw new Error(`Invalid expected activity: ${errors.join(', ')}`);
+    }
+    const created = createEntry(entry);
+    const recurrence = created.rrule ? this._expandCount(created, parseRecurrenceRule(created.rrule).rule) : null;
+    this.entries.set(created.id, { entry: created, recurrence });
+    return created;
+  }
+
+  removeEntry(entryId) {
+    return this.entries.delete(entryId);
+  }
+
+  listEntries() {
+    return Array.from(this.entries.values()).map(({ entry }) => entry);
+  }
+
+  /**
+   * Add every event of an iCalendar document. LOCATION values naming site
+   * zones bind the entry to those zones, CATEGORIES naming entity labels to
+   * those labels; `defaults` supplies the rest.
+   * @param {string} text - iCalendar text
+   * @param {Object} [defaults] - { idPrefix, entityLabels, entityIds, entityTypes, zones, behaviors, graceMs }
+   * @returns {Array<Object>} The entries added
+   * @throws {Error} When the calendar or one of its events is invalid; nothing is added then
+   */
+  importICalendar(text, defaults = {}) {
+    const { idPrefix = '', ...bindings } = defaults || {};
+    const labels = Object.values(ENTITY_LABELS);
+    const entries = parseICalendar(text).map(event => {
+      const zones = (event.location || '').split(',').map(zone => zone.trim()).filter(zone => this.siteModel.hasZone(zone));
+      const entityLabels = event.categories.map(category => category.toLowerCase()).filter(label => labels.includes(label));
+      return {
+        ...bindings,
+        id: `${idPrefix}${event.uid}`,
+        name: event.summary || event.uid,
+        start: event.start,
+        end: event.end,
+        rrule: event.rrule,
+        exdates: event.exdates,
+        ...(zones.length > 0 ? { zones } : {}),
+        ...(entityLabels.length > 0 ? { entityLabels } : {})
+      };
+    });
+
+    const problems = entries
+      .map(entry => ({ id: entry.id, errors: validateExpectedActivity(entry, this.siteModel) }))
+      .filter(result => result.errors.length > 0);
+    if (problems.length > 0) {
+      throw new Error(`Invalid calendar: ${problems.map(({ id, errors }) => `${id}: ${errors.join(', ')}`).join('; ')}`);
+    }
+    return entries.map(entry => this.addEntry(entry));
+  }
+
+  /**
+   * Entries whose window contains a time, optionally only those covering a location
+   * @returns {Array<Object>} { entryId, name, start, end } for the current occurrence
+   */
+  activeAt(timestamp, location = null) {
+    const zone = location ? this.siteModel.locate(location) : null;
+    return this._enabled()
+      .filter(({ entry }) => !zone || !entry.zones || entry.zones.includes(zone))
+      .map(record => ({ record, occurrence: this._nearestOccurrence(record, timestamp, 0) }))
+      .filter(({ occurrence }) => occurrence && occurrence.offsetMs === 0)
+      .map(({ record, occurrence }) => this._describe(record.entry, occurrence));
+  }
+
+  /**
+   * Entries an event matches: `expected` inside their window, `outsideWindow`
+   * matching everything but the time, within the grace period
+   * @param {Object} event - Perception event, entityId already resolved
+   * @param {string|null} [entityLabel] - The entity's label
+   * @returns {{ expected: Array<Object>, outsideWindow: Array<Object> }}
+   */
+  match(event, entityLabel = null) {
+    const result = { expected: [], outsideWindow: [] };
+    const zone = this.siteModel.locate(event.location, toPoint(event.spatialData?.coordinates));
+    const timestamp = event.timestamp || Date.now();
+
+    for (const record of this._enabled()) {
+      if (!this._binds(record.entry, event, entityLabel, zone)) continue;
+      const occurrence = this._nearestOccurrence(record, timestamp, record.entry.graceMs);
+      if (!occurrence) continue;
+      const described = this._describe(record.entry, occurrence);
+      if (occurrence.offsetMs === 0) {
+        result.expected.push(described);
+      } else {
+        result.outsideWindow.push({ ...described, offsetMs: occurrence.offsetMs });
+      }
+    }
+    return result;
+  }
+
+  getSaveState() {
+    return { entries: this.listEntries() };
+  }
+
+  restoreFromSave(state) {
+    (state?.entries || []).forEach(entry => {
+      try {
+        this.addEntry(entry);
+      } catch (error) {
+        console.warn(`Skipping saved expected activity ${entry?.id}: ${error.message}`);
+      }
+    });
+  }
+
+  _enabled() {
+    return Array.from(this.entries.values()).filter(({ entry }) => entry.enabled);
+  }
+
+  _describe(entry, occurrence) {
+    return {
+      entryId: entry.id,
+      name: entry.name,
+      start: occurrence.start,
+      end: occurrence.end,
+      entityLabels: entry.entityLabels || [],
+      zones: entry.zones || []
+    };
+  }
+
+  // Every binding the entry names must hold; entity bindings are alternatives
+  _binds(entry, event, entityLabel, zone) {
+    const entityBound = entry.entityLabels || entry.entityIds || entry.entityTypes;
+    if (entityBound &&
+        !(entry.entityLabels?.includes(entityLabel) ||
+          entry.entityIds?.includes(event.entityId) ||
+          entry.entityTypes?.includes(event.entityType))) {
+      return false;
+    }
+    if (entry.zones && !entry.zones.includes(zone)) return false;
+    const behaviors = Array.isArray(event.behaviors) ? event.behaviors : [];
+    return !entry.behaviors || entry.behaviors.some(behavior => behaviors.includes(behavior));
+  }
+
+  /**
+   * The occurrence containing the timestamp (offsetMs 0), otherwise the
+   * closest one within `graceMs` (negative offset: early, positive: late)
+   */
+  _nearestOccurrence({ entry, recurrence }, timestamp, graceMs) {
+    const durationMs = entry.end - entry.start;
+    const candidates = [];
+
+    if (!recurrence) {
+      candidates.push(entry.start);
+    } else {
+      const first = new Date(entry.start);
+      const fromDay = new Date(timestamp - durationMs - graceMs);
+      const span = Math.min(MAX_EXPANSION_DAYS, dayNumber(new Date(timestamp + graceMs)) - dayNumber(fromDay));
+      for (let offset = 0; offset <= span; offset++) {
+        const day = new Date(fromDay.getFullYear(), fromDay.getMonth(), fromDay.getDate() + offset,
+          first.getHours(), first.getMinutes(), first.getSeconds());
+        if (this._occursOn(entry, recurrence, day)) candidates.push(day.getTime());
+      }
+    }
+
+    let nearest = null;
+    for (const start of candidates) {
+      const end = start + durationMs;
+      const offsetMs = timestamp < start ? timestamp - start : timestamp >= end ? timestamp - end : 0;
+      if (Math.abs(offsetMs) > (offsetMs === 0 ? 0 : graceMs)) continue;
+      if (!nearest || Math.abs(offsetMs) < Math.abs(nearest.offsetMs)) {
+        nearest = { start, end, offsetMs };
+      }
+    }
+    return nearest;
+  }
+
+  _occursOn(entry, recurrence, day, ignoreEnd = false) {
+    const first = new Date(entry.start);
+    if (day.getTime() < entry.start) return false;
+    if (!ignoreEnd && recurrence.lastStart !== null && day.getTime() > recurrence.lastStart) return false;
+    if (!ignoreEnd && entry.exdates.includes(dateKey(day))) return false;
+
+    const { freq, interval, byDay, byMonthDay } = recurrence.rule;
+    const days = dayNumber(day) - dayNumber(first);
+    const months = (day.getFullYear() - first.getFullYear()) * 12 + day.getMonth() - first.getMonth();
+
+    switch (freq) {
+      case 'DAILY':
+        return days % interval === 0 && (!byDay || byDay.includes(day.getDay()));
+      case 'WEEKLY': {
+        // Weeks start on Monday
+        const weekStart = date => dayNumber(date) - (date.getDay() + 6) % 7;
+        const weeks = Math.round((weekStart(day) - weekStart(first)) / 7);
+        return weeks % interval === 0 && (byDay || [first.getDay()]).includes(day.getDay());
+      }
+      case 'MONTHLY': {
+        if (months % interval !== 0) return false;
+        if (byDay && !byDay.includes(day.getDay())) return false;
+        if (byDay && !byMonthDay) return true;
+        const lastDate = new Date(day.getFullYear(), day.getMonth() + 1, 0).getDate();
+        return (byMonthDay || [first.getDate()])
+          .some(monthDay => (monthDay > 0 ? monthDay : lastDate + monthDay + 1) === day.getDate());
+      }
+      case 'YEARLY':
+        return months % (12 * interval) === 0 && day.getDate() === first.getDate();
+      default:
+        return false;
+    }
+  }
+
+  // COUNT becomes the start of the last occurrence, so matching never has to count from the first
+  _expandCount(entry, rule) {
+    const recurrence = { rule, lastStart: rule.until };
+    if (rule.count === null) return recurrence;
+
+    const first = new Date(entry.start);
+    let seen = 0;
+    for (let offset = 0; offset <= MAX_EXPANSION_DAYS; offset++) {
+      const day = new Date(first.getFullYear(), first.getMonth(), first.getDate() + offset,
+        first.getHours(), first.getMinutes(), first.getSeconds());
+      if (this._occursOn(entry, recurrence, day, true) && ++seen === rule.count) {
+        recurrence.lastStart = day.getTime();
+        break;
+      }
+    }
+    return recurrence;
+  }
+}
+
+/**
+ * The calendar shared through an interpreter config: an existing instance
+ * is reused, an array is treated as its entries
+ * @throws {Error} When an entry is invalid
+ */
+function resolveExpectedActivity(config, siteModel = resolveSiteModel(config)) {
+  const expected = config?.expectedActivity;
+  if (expected instanceof ExpectedActivityCalendar) return expected;
+  return new ExpectedActivityCalendar({ entries: Array.isArray(expected) ? expected : [] }, siteModel);
+}
+
+export {
+  ExpectedActivityCalendar,
+  parseICalendar,
+  parseRecurrenceRule,
+  resolveExpectedActivity,
+  validateExpectedActivity
+};
@@ -25,6 +25,7 @@ class ExplainableReasoningSystem {
     
     // Reasoning history and analytics
     this.reasoningHistory = new Map(); // assessmentId -> reasoning chain
+    this.maxHistorySize = config?.maxExplanationHistory || 1000;
     this.explanationMetrics = new ExplanationMetrics();
     
     console.log('🧠 Explainable Reasoning System initialized');
@@ -86,6 +87,14 @@ class ExplainableReasoningSystem {
         assessmentId: assessment.assessmentId,
         timestamp: Date.now(),
         
+        // Assessment summary used by aspect and comparison explanations
+        entityId: assessment.entityId,
+        primaryIntent: assessment.primaryIntent,
+        intentConfidence: assessment.intentConfidence,
+        riskAssessment: assessment.riskAssessment,
+        suspicionLevel: assessment.suspicionLevel,
+        contextualData,
+        
         // Core explanation components
         decisionTrace,
         reasoningChain,
@@ -100,8 +109,11 @@ class ExplainableReasoningSystem {
         traceabilityLevel: this._assessTraceabilityLevel(decisionTrace)
       };
       
-      // Store reasoning history
+      // Store reasoning history, evicting the oldest explanations beyond capacity
       this.reasoningHistory.set(assessment.assessmentId, comprehensiveExplanation);
+      while (this.reasoningHistory.size > this.maxHistorySize) {
+        this.reasoningHistory.delete(this.reasoningHistory.keys().next().value);
+      }
       
       // Update metrics
       this.explanationMetrics.recordExplanation(comprehensiveExplanation);
@@ -858,8 +870,8 @@ class ExplanationGenerator {
     const assessment = reasoningData.explanation;
     let explanation = `**Intent Analysis**\n\n`;
     
-    explanation += `Primary Intent: ${reasoningData.assessmentId}\n`;
-    explanation += `Confidence: ${Math.round((assessment.intentConfidence || 0.5) * 100)}%\n\n`;
+    explanation += `Primary Intent: ${reasoningData.primaryIntent || 'unknown'}\n`;
+    explanation += `Confidence: ${Math.round((reasoningData.intentConfidence || 0.5) * 100)}%\n\n`;
     
     if (detail === 'high') {
       explanation += `**Detailed Intent Reasoning**:\n`;
@@ -0,0 +1,227 @@
+/**
+ * Feedback Coordinator - Typed Feedback Routed to Every Learning Stage
+ *
+ * Users answer an assessment with one of a few feedback types ("false
+ * alarm", "that was just the neighbor", ...). The coordinator validates the
+ * record, derives the threat/accuracy signals each subsystem understands and
+ * fans it out to the memory, intent, suspicion and learning stages, one
+ * failure never blocking the others. The combined report says what each
+ * stage did with it. Records carry the user who gave them and their role,
+ * so disagreements between household members can be settled by rank.
+ *
+ * @version 2.0.0
+ * @author Goliath Security Systems
+ */
+
+const FEEDBACK_TYPES = {
+  FALSE_ALARM: 'false_alarm',
+  MISSED_THREAT: 'missed_threat',
+  CORRECT: 'correct',
+  KNOWN_PERSON: 'known_person',
+  WRONG_INTENT: 'wrong_intent'
+};
+
+const FEEDBACK_STAGES = ['memory', 'intent', 'suspicion', 'learning'];
+
+const FEEDBACK_ROLES = {
+  GUEST: 'guest',
+  RESIDENT: 'resident',
+  ADMIN: 'admin',
+  OPERATOR: 'operator'
+};
+
+// Whose word stands when feedback on one event disagrees, lowest first
+const ROLE_PRECEDENCE = [FEEDBACK_ROLES.GUEST, FEEDBACK_ROLES.RESIDENT, FEEDBACK_ROLES.ADMIN, FEEDBACK_ROLES.OPERATOR];
+
+function isFeedbackType(type) {
+  return Object.values(FEEDBACK_TYPES).includes(type);
+}
+
+function isFeedbackRole(role) {
+  return ROLE_PRECEDENCE.includes(role);
+}
+
+/**
+ * Whether feedback from `role` overrides disagreeing feedback from `other`
+ */
+function outranks(role, other) {
+  return isFeedbackRole(role) && isFeedbackRole(other) && ROLE_PRECEDENCE.indexOf(role) > ROLE_PRECEDENCE.indexOf(other);
+}
+
+/**
+ * Infer a type for feedback in the earlier { accurate, actualThreat } form
+ */
+function inferFeedbackType(feedback, notified) {
+  const { accurate, actualThreat } = feedback;
+  if (accurate === true) return FEEDBACK_TYPES.CORRECT;
+  if (accurate === false) {
+    if (typeof actualThreat === 'boolean') {
+      return actualThreat ? FEEDBACK_TYPES.MISSED_THREAT : FEEDBACK_TYPES.FALSE_ALARM;
+    }
+    if (typeof notified === 'boolean') {
+      return notified ? FEEDBACK_TYPES.FALSE_ALARM : FEEDBACK_TYPES.MISSED_THREAT;
+    }
+  }
+  if (typeof actualThreat === 'boolean' && typeof notified === 'boolean') {
+    if (actualThreat === notified) return FEEDBACK_TYPES.CORRECT;
+    return actualThreat ? FEEDBACK_TYPES.MISSED_THREAT : FEEDBACK_TYPES.FALSE_ALARM;
+  }
+  return null;
+}
+
+// Whether the threat call (notify or not) was right
+function deriveAccuracy(type, actualThreat, notified) {
+  if (typeof actualThreat === 'boolean' && typeof notified === 'boolean') {
+    return actualThreat === notified;
+  }
+  if (type === FEEDBACK_TYPES.CORRECT || type === FEEDBACK_TYPES.WRONG_INTENT) return true;
+  if (type === FEEDBACK_TYPES.FALSE_ALARM || type === FEEDBACK_TYPES.MISSED_THREAT) return false;
+  return undefined;
+}
+
+/**
+ * Validate feedback and derive the signals the subsystems consume
+ * @param {Object} feedback - { type, correctIntent, label, confidence, source, note, userId, role }
+ *   or the earlier { accurate, actualThreat }
+ * @param {Object} [context] - { notified, predictedIntent } of the original assessment
+ * @returns {Object} Typed record with actualThreat/accurate (either may be undefined)
+ */
+function normalizeFeedback(feedback, context = {}) {
+  if (!feedback || typeof feedback !== 'object') {
+    throw new Error('Feedback must be an object');
+  }
+
+  const { notified, predictedIntent = null } = context;
+  const type = feedback.type ?? inferFeedbackType(feedback, notified);
+  if (!isFeedbackType(type)) {
+    throw new Error(`Unknown feedback type "${feedback.type ?? ''}" (available: ${Object.values(FEEDBACK_TYPES).join(', ')})`);
+  }
+  if (type === FEEDBACK_TYPES.WRONG_INTENT && (typeof feedback.correctIntent !== 'string' || feedback.correctIntent.length === 0)) {
+    throw new Error('wrong_intent feedback requires correctIntent');
+  }
+  if (feedback.confidence !== undefined &&
+      (typeof feedback.confidence !== 'number' || feedback.confidence < 0 || feedback.confidence > 1)) {
+    throw new Error('Feedback confidence must be a number between 0 and 1');
+  }
+  if (feedback.userId !== undefined && feedback.userId !== null && (typeof feedback.userId !== 'string' || feedback.userId.length === 0)) {
+    throw new Error('Feedback userId must be a non-empty string');
+  }
+  if (feedback.role !== undefined && feedback.role !== null && !isFeedbackRole(feedback.role)) {
+    throw new Error(`Unknown feedback role "${feedback.role}" (available: ${ROLE_PRECEDENCE.join(', ')})`);
+  }
+
+  let actualThreat;
+  switch (type) {
+    case FEEDBACK_TYPES.FALSE_ALARM:
+    case FEEDBACK_TYPES.KNOWN_PERSON:
+      actualThreat = false;
+      break;
+    case FEEDBACK_TYPES.MISSED_THREAT:
+      actualThreat = true;
+      break;
+    default:
+      // The threat call stood; only the intent may have been wrong
+      actualThreat = typeof feedback.actualThreat === 'boolean' ? feedback.actualThreat : notified;
+  }
+
+  return {
+    type,
+    actualThreat,
+    predictedThreat: notified,
+    accurate: typeof feedback.accurate === 'boolean' ? feedback.accurate : deriveAccuracy(type, actualThreat, notified),
+    predictedIntent,
+    correctIntent: type === FEEDBACK_TYPES.WRONG_INTENT ? feedback.correctIntent : predictedIntent,
+    label: feedback.label ?? null,
+    confidence: feedback.confidence ?? 0.8,
+    source: feedback.source || 'user_report',
+    userId: feedback.userId ?? null,
+    role: feedback.role ?? null,
+    note: feedback.note || null,
+    timestamp: feedback.timestamp || Date.now()
+  };
+}
+
+/**
+ * The time and place of an event, in the form the learning stage screens and
+ * learns from
+ */
+function feedbackContext(perceptionEvent) {
+  const date = new Date(perceptionEvent.timestamp);
+  return {
+    temporalContext: { hour: date.getHours(), dayOfWeek: date.getDay() },
+    spatialContext: { location: perceptionEvent.location },
+    environmentalContext: perceptionEvent.environmentalContext || {}
+  };
+}
+
+class FeedbackCoordinator {
+  /**
+   * @param {Object} stages - { memory, intent, suspicion, learning } engines
+   */
+  constructor(stages) {
+    this.stages = stages;
+  }
+
+  /**
+   * Send a normalized feedback record to every stage
+   * @param {string} eventId
+   * @param {Object} feedback - Output of normalizeFeedback
+   * @param {Object} [assessment] - { perceptionEvent, intentAssessment } of the original event
+   * @param {Object} [options] - { skip: { stage: reason } } stages to leave untouched;
+   *   { learningId, screened } tell the learning stage which ID to record the
+   *   feedback under and that it already passed quarantine
+   * @returns {Promise<Object>} { updated, memory, intent, suspicion, learning }
+   */
+  async distribute(eventId, feedback, assessment = {}, options = {}) {
+    const skip = options.skip || {};
+    const { perceptionEvent, intentAssessment } = assessment;
+    const contextualData = perceptionEvent ? feedbackContext(perceptionEvent) : {};
+    const behavioralSequence = perceptionEvent?.behaviors?.map(type => ({ type, intensity: 1 }));
+
+    const deliveries = {
+      memory: () => this._call(this.stages.memory, 'learnFromFeedback', eventId, feedback),
+      intent: () => (intentAssessment
+        ? this._call(this.stages.intent, 'learnFromFeedback', intentAssessment, feedback)
+        : { updated: false, reason: 'no_intent_assessment' }),
+      suspicion: () => this._call(this.stages.suspicion, 'updateSuspicionWithFeedback', eventId, feedback),
+      learning: () => this._call(this.stages.learning, 'incorporateFeedback', eventId, {
+        ...feedback,
+        learningId: options.learningId,
+        screened: options.screened,
+        contextualData,
+        behavioralSequence
+      })
+    };
+
+    const report = { updated: false };
+    for (const stage of FEEDBACK_STAGES) {
+      report[stage] = skip[stage] ? { updated: false, reason: skip[stage] } : await deliveries[stage]();
+      report.updated = report.updated || report[stage].updated === true;
+    }
+    return report;
+  }
+
+  async _call(engine, method, ...args) {
+    if (!engine || typeof engine[method] !== 'function') {
+      return { updated: false, reason: 'not_supported' };
+    }
+    try {
+      const result = await engine[method](...args);
+      return result && typeof result === 'object' ? { updated: true, ...result } : { updated: result !== false };
+    } catch (error) {
+      return { updated: false, reason: error.message };
+    }
+  }
+}
+
+export {
+  FEEDBACK_TYPES,
+  FEEDBACK_STAGES,
+  FEEDBACK_ROLES,
+  isFeedbackType,
+  isFeedbackRole,
+  outranks,
+  normalizeFeedback,
+  feedbackContext,
+  FeedbackCoordinator
+};
@@ -0,0 +1,290 @@
+/**
+ * Geofence Rules - User-Defined Regions and Virtual Tripwires
+ *
+ * Lets users say "alert if anyone crosses from the yard into the side gate
+ * after 23:00" or "ignore the sidewalk". Region rules match events inside
+ * a polygon or site zone (or entering/leaving it); tripwire rules match an
+ * entity crossing a line, or moving from one site zone into another, in a
+ * given direction. Rules can be limited to a daily schedule and to entity
+ * types, and either raise the alert level or suppress it.
+ *
+ * @version 2.0.0
+ * @author Goliath Security Systems
+ */
+
+import { resolveSiteModel, containsPoint, toPoint, CLOCK_TIME, toMinutes } from './site-model.js';
+
+const GEOFENCE_TYPES = ['region', 'tripwire'];
+const GEOFENCE_ACTIONS = ['raise', 'suppress'];
+const GEOFENCE_TRIGGERS = ['inside', 'enter', 'exit'];
+const TRIPWIRE_DIRECTIONS = ['any', 'left_to_right', 'right_to_left'];
+const GEOFENCE_LEVELS = ['info', 'standard', 'elevated', 'critical'];
+
+// Level a matching rule raises to, or caps at, when it names none
+const DEFAULT_LEVELS = { raise: 'elevated', suppress: 'info' };
+
+function validatePolygon(errors, field, polygon) {
+  if (!Array.isArray(polygon) || polygon.length < 3 || polygon.some(point => !toPoint(point))) {
+    errors.push(`${field} must list at least 3 { x, y } points`);
+  }
+}
+
+/**
+ * Problems with a geofence rule, empty when it is valid
+ * @param {Object} rule
+ * @param {SiteModel} [siteModel] - Zones the rule names must exist here
+ * @returns {Array<string>}
+ */
+function validateGeofenceRule(rule, siteModel = null) {
+  if (!rule || typeof rule !== 'object') {
+    return ['geofence rule must be an object'];
+  }
+  const errors = [];
+  const checkZone = (field, zone) => {
+    if (typeof zone !== 'string' || (siteModel && !siteModel.hasZone(zone))) {
+      errors.push(`${field} must be a zone of the site model`);
+    }
+  };
+
+  if (!rule.id || typeof rule.id !== 'string') {
+    errors.push('id must be a non-empty string');
+  }
+  if (!GEOFENCE_TYPES.includes(rule.type)) {
+    errors.push(`type must be one of ${GEOFENCE_TYPES.join(', ')}`);
+  }
+  if (!GEOFENCE_ACTIONS.includes(rule.action)) {
+    errors.push(`action must be one of ${GEOFENCE_ACTIONS.join(', ')}`);
+  }
+  if (rule.level !== undefined && !GEOFENCE_LEVELS.includes(rule.level)) {
+    errors.push(`level must be one of ${GEOFENCE_LEVELS.join(', ')}`);
+  }
+
+  if (rule.type === 'region') {
+    if (rule.polygon !== undefined) {
+      validatePolygon(errors, 'polygon', rule.polygon);
+    } else if (rule.zone !== undefined) {
+      checkZone('zone', rule.zone);
+    } else {
+      errors.push('region rules need a polygon or a zone');
+    }
+    if (rule.trigger !== undefined && !GEOFENCE_TRIGGERS.includes(rule.trigger)) {
+      errors.push(`trigger must be one of ${GEOFENCE_TRIGGERS.join(', ')}`);
+    }
+  }
+
+  if (rule.type === 'tripwire') {
+    if (rule.line !== undefined) {
+      if (!Array.isArray(rule.line) || rule.line.length !== 2 || rule.line.some(point => !toPoint(point))) {
+        errors.push('line must be two { x, y } points');
+      }
+      if (rule.direction !== undefined && !TRIPWIRE_DIRECTIONS.includes(rule.direction)) {
+        errors.push(`direction must be one of ${TRIPWIRE_DIRECTIONS.join(', ')}`);
+      }
+    } else if (rule.from !== undefined || rule.to !== undefined) {
+      checkZone('from', rule.from);
+      checkZone('to', rule.to);
+    } else {
+      errors.push('tripwire rules need a line or from/to zones');
+    }
+  }
+
+  if (rule.schedule !== undefined) {
+    const { start, end, days } = rule.schedule || {};
+    if (start !== undefined && !CLOCK_TIME.test(start)) errors.push('schedule.start must be HH:MM');
+    if (end !== undefined && !CLOCK_TIME.test(end)) errors.push('schedule.end must be HH:MM');
+    if (days !== undefined && !(Array.isArray(days) && days.every(day => Number.isInteger(day) && day >= 0 && day <= 6))) {
+      errors.push('schedule.days must list weekdays 0 (Sunday) to 6');
+    }
+  }
+  if (rule.entityTypes !== undefined && !(Array.isArray(rule.entityTypes) && rule.entityTypes.every(type => typeof type === 'string'))) {
+    errors.push('entityTypes must be an array of entity types');
+  }
+  if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+    errors.push('enabled must be a boolean');
+  }
+
+  return errors;
+}
+
+function createGeofenceRule(rule) {
+  return {
+    id: rule.id,
+    name: rule.name || rule.id,
+    type: rule.type,
+    action: rule.action,
+    level: rule.level || DEFAULT_LEVELS[rule.action],
+    polygon: rule.polygon ? rule.polygon.map(toPoint) : null,
+    zone: rule.zone ?? null,
+    trigger: rule.trigger || 'inside',
+    line: rule.line ? rule.line.map(toPoint) : null,
+    direction: rule.direction || 'any',
+    from: rule.from ?? null,
+    to: rule.to ?? null,
+    schedule: rule.schedule ? { start: '00:00', end: '24:00', ...rule.schedule } : null,
+    entityTypes: rule.entityTypes ? [...rule.entityTypes] : null,
+    enabled: rule.enabled !== false
+  };
+}
+
+// Which side of the line a → b a point is on: 1 left, -1 right, 0 on it
+function sideOf(a, b, point) {
+  return Math.sign((b.x - a.x) * (point.y - a.y) - (b.y - a.y) * (point.x - a.x));
+}
+
+class GeofenceEngine {
+  /**
+   * @param {Object} [config] - { rules, maxGapMs }
+   * @param {SiteModel} [siteModel]
+   */
+  constructor(config = {}, siteModel = resolveSiteModel()) {
+    this.siteModel = siteModel;
+    this.rules = new Map(); // ruleId -> rule, in the order added
+    this.lastSeen = new Map(); // entityId -> { zone, point, timestamp }, least recently seen first
+    // Sightings further apart than this are not treated as one movement
+    this.maxGapMs = config.maxGapMs || 5 * 60 * 1000;
+    this.maxEntities = config.maxEntities || 1000;
+    (config.rules || []).forEach(rule => this.addRule(rule));
+  }
+
+  /**
+   * Add or replace a rule
+   * @throws {Error} When the rule is invalid
+   */
+  addRule(rule) {
+    const errors = validateGeofenceRule(rule, this.siteModel);
+    if (errors.length > 0) {
+      throw new Error(`Invalid geofence rule: ${errors.join(', ')}`);
+    }
+    const created = createGeofenceRule(rule);
+    this.rules.set(created.id, created);
+    return created;
+  }
+
+  removeRule(ruleId) {
+    return this.rules.delete(ruleId);
+  }
+
+  listRules() {
+    return Array.from(this.rules.values());
+  }
+
+  /**
+   * Rules an event matches. Tripwires and enter/exit triggers compare the
+   * event with the same entity's previous sighting, which is updated here.
+   * @returns {Array<Object>} { ruleId, name, action, level }
+   */
+  evaluate(event) {
+    const point = toPoint(event.spatialData?.coordinates);
+    const current = { zone: this.siteModel.locate(event.location, point), point, timestamp: event.timestamp };
+    const previous = this._previousSighting(event.entityId, current.timestamp);
+
+    const matches = this.listRules()
+      .filter(rule => rule.enabled && this._appliesTo(rule, event))
+      .filter(rule => (rule.type === 'region'
+        ? this._regionTriggered(rule, current, previous)
+        : this._tripwireCrossed(rule, current, previous)))
+      .map(rule => ({ ruleId: rule.id, name: rule.name, action: rule.action, level: rule.level }));
+
+    if (event.entityId) {
+      this.lastSeen.delete(event.entityId);
+      this.lastSeen.set(event.entityId, current);
+      if (this.lastSeen.size > this.maxEntities) {
+        this.lastSeen.delete(this.lastSeen.keys().next().value);
+      }
+    }
+    return matches;
+  }
+
+  getSaveState() {
+    return { rules: this.listRules() };
+  }
+
+  /**
+   * Re-add saved rules through addRule, so a rule that is invalid (or names
+   * a zone the site model no longer has) is skipped rather than trusted
+   */
+  restoreFromSave(state) {
+    (state?.rules || []).forEach(rule => {
+      try {
+        // Saved rules hold null for the fields they do not use
+        this.addRule(Object.fromEntries(Object.entries(rule || {}).filter(([, value]) => value !== null)));
+      } catch (error) {
+        console.warn(`Skipping saved geofence rule ${rule?.id}: ${error.message}`);
+      }
+    });
+  }
+
+  _previousSighting(entityId, timestamp) {
+    const previous = entityId ? this.lastSeen.get(entityId) : null;
+    if (!previous || timestamp - previous.timestamp > this.maxGapMs) return null;
+    return previous;
+  }
+
+  _appliesTo(rule, event) {
+    if (rule.entityTypes && !rule.entityTypes.includes(event.entityType)) return false;
+    return !rule.schedule || this._inSchedule(rule.schedule, event.timestamp);
+  }
+
+  // Windows that end at or before they start run past midnight; days name the day the window opens
+  _inSchedule(schedule, timestamp) {
+    const date = new Date(timestamp);
+    const minute = date.getHours() * 60 + date.getMinutes();
+    const start = toMinutes(schedule.start);
+    const end = toMinutes(schedule.end);
+    const day = date.getDay();
+
+    if (start < end) {
+      return minute >= start && minute < end && (!schedule.days || schedule.days.includes(day));
+    }
+    if (minute >= start) return !schedule.days || schedule.days.includes(day);
+    return minute < end && (!schedule.days || schedule.days.includes((day + 6) % 7));
+  }
+
+  _inside(rule, sighting) {
+    if (rule.polygon) {
+      return Boolean(sighting.point) && containsPoint(rule.polygon, sighting.point);
+    }
+    return sighting.zone === rule.zone ||
+      (Boolean(sighting.point) && this.siteModel.zoneAt(sighting.point) === rule.zone);
+  }
+
+  _regionTriggered(rule, current, previous) {
+    const inside = this._inside(rule, current);
+    if (rule.trigger === 'inside') return inside;
+    if (!previous) return false;
+    const wasInside = this._inside(rule, previous);
+    return rule.trigger === 'enter' ? inside && !wasInside : !inside && wasInside;
+  }
+
+  _tripwireCrossed(rule, current, previous) {
+    if (!previous) return false;
+
+    if (rule.line) {
+      if (!previous.point || !current.point) return false;
+      const [a, b] = rule.line;
+      const before = sideOf(a, b, previous.point);
+      const after = sideOf(a, b, current.point);
+      // The movement must cross the line itself, not just its extension
+      if (before === 0 || after === 0 || before === after ||
+          sideOf(previous.point, current.point, a) === sideOf(previous.point, current.point, b)) {
+        return false;
+      }
+      if (rule.direction === 'left_to_right') return before > 0;
+      if (rule.direction === 'right_to_left') return before < 0;
+      return true;
+    }
+
+    // Zone to zone, including zones passed through between the two sightings
+    if (previous.zone === current.zone) return false;
+    const route = this.siteModel.findPath(previous.zone, current.zone) || [previous.zone, current.zone];
+    return route.some((zone, index) => zone === rule.from && route[index + 1] === rule.to);
+  }
+}
+
+export {
+  GEOFENCE_TYPES,
+  GEOFENCE_ACTIONS,
+  GEOFENCE_LEVELS,
+  GeofenceEngine,
+  validateGeofenceRule
+};
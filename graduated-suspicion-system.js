@@ -9,6 +9,30 @@
  * @author Goliath Security Systems
  */
 
+// Uncertainty scores the trend compares (the last 10 against the 10 before)
+const UNCERTAINTY_TREND_WINDOW = 20;
+
+// Saved form of a suspicion history entry: what adaptation and feedback
+// read. Computed once per entry, as the history is saved on every change.
+const savedSuspicions = new WeakMap();
+function toSavedSuspicion(data) {
+  if (!savedSuspicions.has(data)) savedSuspicions.set(data, compactSuspicion(data));
+  return savedSuspicions.get(data);
+}
+
+function compactSuspicion(data) {
+  return {
+    assessmentId: data.assessmentId,
+    calculationId: data.calculationId,
+    timestamp: data.timestamp,
+    baseSuspicion: data.baseSuspicion,
+    adjustedSuspicion: data.adjustedSuspicion,
+    suspicionCategory: data.suspicionCategory,
+    confidence: data.confidence,
+    contextualData: data.contextualData ?? null
+  };
+}
+
 class GraduatedSuspicionSystem {
   constructor(config) {
     this.config = config;
@@ -17,7 +41,7 @@ class GraduatedSuspicionSystem {
     this.suspicionCalculator = new SuspicionCalculator();
     this.uncertaintyHandler = new UncertaintyHandler();
     this.confidenceManager = new ConfidenceManager();
-    this.adaptiveScoring = new AdaptiveScoring();
+    this.adaptiveScoring = new AdaptiveScoring(config?.maxSuspicionHistory || 1000);
     
     // Suspicion thresholds and categories
     this.suspicionThresholds = {
@@ -36,9 +60,16 @@ class GraduatedSuspicionSystem {
       permissive: 0.3
     };
     
-    // Historical suspicion data for adaptation
+    // Historical suspicion data for adaptation, oldest first; capped and aged
+    // out like the memory stores so similar-case matching stays bounded
     this.suspicionHistory = new Map();
-    this.adaptationMetrics = new AdaptationMetrics();
+    this.historyPolicy = {
+      maxEntries: config?.maxSuspicionHistory || 1000,
+      retentionMs: (config?.memoryRetentionHours || 168) * 60 * 60 * 1000
+    };
+    this.adaptationMetrics = new AdaptationMetrics(this.historyPolicy.maxEntries);
+    // History changes since the last takeJournalPatch()
+    this._historyChanges = { appended: 0, dropped: 0, reset: false };
     
     console.log('⚖️ Graduated Suspicion System initialized');
   }
@@ -127,8 +158,14 @@ class GraduatedSuspicionSystem {
         reliabilityScore: this._calculateReliabilityScore(confidence, uncertaintyAdjustment)
       };
       
-      // Store in history for future adaptation
-      this.suspicionHistory.set(assessment.assessmentId, suspicionAssessment);
+      // Store in history for future adaptation (context is needed to match similar cases)
+      if (this.suspicionHistory.delete(assessment.assessmentId)) {
+        this._historyChanges.reset = true;
+      } else {
+        this._historyChanges.appended++;
+      }
+      this.suspicionHistory.set(assessment.assessmentId, { ...suspicionAssessment, contextualData });
+      this._pruneHistory(suspicionAssessment.timestamp);
       
       // Update adaptation metrics
       this.adaptationMetrics.recordSuspicion(suspicionAssessment);
@@ -150,18 +187,32 @@ class GraduatedSuspicionSystem {
     }
     
     // Update adaptive scoring with feedback
-    await this.adaptiveScoring.incorporateFeedback(suspicionData, feedback);
+    const feedbackId = await this.adaptiveScoring.incorporateFeedback(suspicionData, feedback);
     
     // Update adaptation metrics
     this.adaptationMetrics.recordFeedback(assessmentId, feedback);
     
     return {
       updated: true,
+      feedbackId,
       adaptationImpact: await this.adaptiveScoring.getAdaptationImpact(feedback),
       newThresholds: this.adaptiveScoring.getCurrentThresholds()
     };
   }
 
+  /**
+   * Take back one feedback: its entry, its threshold adjustment and its
+   * answer in the metrics
+   * @param {string} feedbackId - From updateSuspicionWithFeedback
+   * @returns {boolean} false when the feedback is no longer held
+   */
+  revertFeedback(feedbackId) {
+    const entry = this.adaptiveScoring.revertFeedback(feedbackId);
+    if (!entry) return false;
+    this.adaptationMetrics.removeFeedback(entry.feedback);
+    return true;
+  }
+
   /**
    * Get suspicion trends and patterns
    */
@@ -190,8 +241,58 @@ class GraduatedSuspicionSystem {
     return await this._validateSuspicionQuality(suspicionData, validationCriteria);
   }
 
+  /**
+   * Adaptation state for saving: the suspicion history (the fields
+   * adaptation and feedback read), feedback-driven scoring and metrics
+   */
+  getSaveState() {
+    return {
+      history: Array.from(this.suspicionHistory.values(), toSavedSuspicion),
+      scoring: this.adaptiveScoring.getSaveState(),
+      metrics: this.adaptationMetrics.getSaveState()
+    };
+  }
+
+  restoreFromSave(savedState) {
+    if (!savedState) return;
+    this.suspicionHistory = new Map((savedState.history || []).map(data => [data.assessmentId, data]));
+    this._pruneHistory();
+    this._historyChanges.reset = true;
+    if (savedState.scoring) this.adaptiveScoring.restoreFromSave(savedState.scoring);
+    if (savedState.metrics) this.adaptationMetrics.restoreFromSave(savedState.metrics);
+  }
+
+  /**
+   * Journal ops (see AutoSaveSystem) for the saved history since the last
+   * call, with paths under `path`. The history only grows at the end and is
+   * pruned from the front; an assessment made again moves, so it resets.
+   */
+  takeJournalPatch(path = []) {
+    const { appended, dropped, reset } = this._historyChanges;
+    this._historyChanges = { appended: 0, dropped: 0, reset: false };
+    const historyPath = [...path, 'history'];
+    if (reset) return [{ op: 'set', path: historyPath, value: this.getSaveState().history }];
+
+    const patch = dropped > 0 ? [{ op: 'shift', path: historyPath, count: dropped }] : [];
+    const entries = Array.from(this.suspicionHistory.values());
+    for (let i = Math.max(0, entries.length - appended); i < entries.length; i++) {
+      patch.push({ op: 'set', path: [...historyPath, i], value: toSavedSuspicion(entries[i]) });
+    }
+    return patch;
+  }
+
   // Private methods
 
+  // Drop entries past the retention window, then the oldest over the cap
+  _pruneHistory(now = Date.now()) {
+    const cutoff = now - this.historyPolicy.retentionMs;
+    for (const [assessmentId, data] of this.suspicionHistory) {
+      if (data.timestamp >= cutoff && this.suspicionHistory.size <= this.historyPolicy.maxEntries) break;
+      this.suspicionHistory.delete(assessmentId);
+      this._historyChanges.dropped++;
+    }
+  }
+
   _categorizeSuspicion(score) {
     const thresholds = this.suspicionThresholds;
     
@@ -435,6 +536,14 @@ class SuspicionCalculator {
     let totalScore = 0;
     let totalWeight = 0;
     
+    // Symbolic reasoning factors
+    if (typeof assessment.symbolicSuspicion === 'number') {
+      const symbolicSuspicion = this._calculateSymbolicSuspicion(assessment);
+      factors.symbolic = symbolicSuspicion;
+      totalScore += symbolicSuspicion.score * symbolicSuspicion.weight;
+      totalWeight += symbolicSuspicion.weight;
+    }
+    
     // Behavioral factors
     if (assessment.behavioralAnalysis) {
       const behavioralSuspicion = this._calculateBehavioralSuspicion(assessment.behavioralAnalysis);
@@ -485,6 +594,19 @@ class SuspicionCalculator {
     };
   }
 
+  _calculateSymbolicSuspicion(assessment) {
+    const score = Math.max(0, Math.min(1, assessment.symbolicSuspicion));
+    const confidence = assessment.symbolicConfidence || 0.7;
+    
+    return {
+      score,
+      weight: 0.5, // Symbolic reasoning already integrates rules and probabilities
+      impact: score > 0.5 ? score - 0.5 : -(0.5 - score),
+      reasoning: `Symbolic reasoning suspicion of ${Math.round(score * 100)}%`,
+      confidence
+    };
+  }
+
   _calculateBehavioralSuspicion(behavioralAnalysis) {
     const indicators = behavioralAnalysis.indicators || [];
     const anomalies = indicators.filter(indicator => indicator.anomaly === true);
@@ -541,10 +663,13 @@ class SuspicionCalculator {
       'unauthorized': 0.6,
       'unusual': 0.4,
       'normal': 0.2,
-      'authorized': 0.1
+      'authorized': 0.1,
+      'unauthorized_access': 0.6,
+      'authorized_access': 0.1
     };
     
-    const baseScore = intentSuspicionMap[primaryIntent] || 0.5;
+    const baseScore = typeof intentAnalysis.riskLevel === 'number' ?
+      intentAnalysis.riskLevel : (intentSuspicionMap[primaryIntent] || 0.5);
     const adjustedScore = baseScore * intentConfidence;
     
     return {
@@ -912,9 +1037,10 @@ class ConfidenceManager {
  * Adapts suspicion scoring based on historical patterns and feedback
  */
 class AdaptiveScoring {
-  constructor() {
+  constructor(maxFeedback = 1000) {
     this.adaptationHistory = new Map();
     this.feedbackHistory = new Map();
+    this.maxFeedback = maxFeedback;
     this.adaptationThresholds = {
       minimal: 0.1,
       low: 0.25,
@@ -974,20 +1100,47 @@ class AdaptiveScoring {
   }
 
   async incorporateFeedback(suspicionData, feedback) {
-    const feedbackId = `feedback-${Date.now()}`;
+    const feedbackId = `feedback-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
+    const thresholdsBefore = { ...this.adaptationThresholds };
+    
+    // Update adaptation thresholds based on feedback
+    await this._updateAdaptationThresholds(feedback);
     
     this.feedbackHistory.set(feedbackId, {
       suspicionData,
       feedback,
-      timestamp: Date.now()
+      timestamp: Date.now(),
+      thresholdsBefore,
+      thresholdsAfter: { ...this.adaptationThresholds }
     });
-    
-    // Update adaptation thresholds based on feedback
-    await this._updateAdaptationThresholds(feedback);
+    for (const oldest of this.feedbackHistory.keys()) {
+      if (this.feedbackHistory.size <= this.maxFeedback) break;
+      this.feedbackHistory.delete(oldest);
+    }
     
     return feedbackId;
   }
 
+  /**
+   * Drop a feedback entry and undo its threshold adjustment: thresholds
+   * nothing has moved since are restored exactly, others lose only this
+   * feedback's share
+   * @returns {Object|null} The dropped entry
+   */
+  revertFeedback(feedbackId) {
+    const entry = this.feedbackHistory.get(feedbackId);
+    if (!entry) return null;
+    this.feedbackHistory.delete(feedbackId);
+    const { thresholdsBefore: before, thresholdsAfter: after } = entry;
+    if (before && after) {
+      Object.keys(this.adaptationThresholds).forEach(key => {
+        const current = this.adaptationThresholds[key];
+        this.adaptationThresholds[key] = current === after[key] ? before[key] : current - (after[key] - before[key]);
+      });
+    }
+    return entry;
+  }
+
   async getAdaptationImpact(feedback) {
     // Calculate how this feedback will impact future assessments
     const impact = {
@@ -1010,6 +1163,21 @@ class AdaptiveScoring {
     return { ...this.adaptationThresholds };
   }
 
+  getSaveState() {
+    return {
+      thresholds: { ...this.adaptationThresholds },
+      feedback: Array.from(this.feedbackHistory, ([feedbackId, entry]) => [feedbackId, {
+        ...entry,
+        suspicionData: toSavedSuspicion(entry.suspicionData)
+      }])
+    };
+  }
+
+  restoreFromSave(savedState) {
+    this.adaptationThresholds = { ...this.adaptationThresholds, ...savedState.thresholds };
+    this.feedbackHistory = new Map((savedState.feedback || []).slice(-this.maxFeedback));
+  }
+
   // Private adaptation methods
 
   async _adaptBasedOnHistoricalPatterns(baseSuspicion, contextualData, suspicionHistory) {
@@ -1168,11 +1336,16 @@ class AdaptiveScoring {
  * Tracks adaptation effectiveness and patterns
  */
 class AdaptationMetrics {
-  constructor() {
+  // Scores are kept as running totals plus the window the uncertainty trend
+  // compares, so the metrics stay small however many events are scored;
+  // feedback keeps its latest maxFeedback answers
+  constructor(maxFeedback = 1000) {
+    this.maxFeedback = maxFeedback;
     this.metrics = {
       totalSuspicions: 0,
-      confidenceScores: [],
-      uncertaintyScores: [],
+      confidenceTotal: 0,
+      uncertaintyTotal: 0,
+      recentUncertainty: [],
       adaptationLevels: { minimal: 0, low: 0, medium: 0, high: 0 },
       feedbackAccuracy: [],
       commonPatterns: new Map()
@@ -1181,8 +1354,10 @@ class AdaptationMetrics {
 
   recordSuspicion(suspicionAssessment) {
     this.metrics.totalSuspicions++;
-    this.metrics.confidenceScores.push(suspicionAssessment.confidence);
-    this.metrics.uncertaintyScores.push(suspicionAssessment.uncertainty);
+    this.metrics.confidenceTotal += suspicionAssessment.confidence;
+    this.metrics.uncertaintyTotal += suspicionAssessment.uncertainty;
+    this.metrics.recentUncertainty.push(suspicionAssessment.uncertainty);
+    if (this.metrics.recentUncertainty.length > UNCERTAINTY_TREND_WINDOW) this.metrics.recentUncertainty.shift();
     this.metrics.adaptationLevels[suspicionAssessment.adaptationLevel]++;
     
     // Record patterns
@@ -1193,21 +1368,43 @@ class AdaptationMetrics {
 
   recordFeedback(assessmentId, feedback) {
     this.metrics.feedbackAccuracy.push(feedback.accurate);
+    if (this.metrics.feedbackAccuracy.length > this.maxFeedback) this.metrics.feedbackAccuracy.shift();
+  }
+
+  // Answers are not kept per feedback; the latest equal one goes
+  removeFeedback(feedback) {
+    const index = this.metrics.feedbackAccuracy.lastIndexOf(feedback.accurate);
+    if (index >= 0) this.metrics.feedbackAccuracy.splice(index, 1);
+  }
+
+  getSaveState() {
+    return { ...this.metrics, commonPatterns: Array.from(this.metrics.commonPatterns) };
+  }
+
+  restoreFromSave(savedState) {
+    this.metrics = {
+      ...this.metrics,
+      ...savedState,
+      adaptationLevels: { ...this.metrics.adaptationLevels, ...savedState.adaptationLevels },
+      recentUncertainty: (savedState.recentUncertainty || []).slice(-UNCERTAINTY_TREND_WINDOW),
+      feedbackAccuracy: (savedState.feedbackAccuracy || []).slice(-this.maxFeedback),
+      commonPatterns: new Map(savedState.commonPatterns || [])
+    };
   }
 
   getAverageConfidence() {
-    if (this.metrics.confidenceScores.length === 0) return 0;
-    return this.metrics.confidenceScores.reduce((sum, score) => sum + score, 0) / this.metrics.confidenceScores.length;
+    if (this.metrics.totalSuspicions === 0) return 0;
+    return this.metrics.confidenceTotal / this.metrics.totalSuspicions;
   }
 
   getUncertaintyTrends() {
-    if (this.metrics.uncertaintyScores.length === 0) return { average: 0, trend: 'stable' };
+    if (this.metrics.totalSuspicions === 0) return { average: 0, trend: 'stable' };
     
-    const average = this.metrics.uncertaintyScores.reduce((sum, score) => sum + score, 0) / this.metrics.uncertaintyScores.length;
+    const average = this.metrics.uncertaintyTotal / this.metrics.totalSuspicions;
     
     // Simple trend calculation (last 10 vs previous 10)
-    const recent = this.metrics.uncertaintyScores.slice(-10);
-    const previous = this.metrics.uncertaintyScores.slice(-20, -10);
+    const recent = this.metrics.recentUncertainty.slice(-10);
+    const previous = this.metrics.recentUncertainty.slice(-20, -10);
     
     if (recent.length < 5 || previous.length < 5) {
       return { average, trend: 'insufficient_data' };
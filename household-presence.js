@@ -0,0 +1,285 @@
+/**
+ * Household Presence - Occupancy Mode and Per-Resident Presence
+ *
+ * Tracks whether the household is home, away, asleep (night) or on
+ * vacation, and which residents are present. The mode can be set outright
+ * or left to inference: residents' phones, keycards and other known
+ * devices arriving or leaving update their presence, integrations can
+ * report `metadata.userHome`, and an occupied home counts as asleep during
+ * the configured night hours. The same back door opening at 2am means an
+ * intruder in a sleeping house and an intruder in an empty one; the
+ * engines and the alert policy read the mode to tell those apart.
+ *
+ * @version 2.0.0
+ * @author Goliath Security Systems
+ */
+
+import { CLOCK_TIME, toMinutes } from './site-model.js';
+
+const HOUSEHOLD_MODES = ['home', 'away', 'night', 'vacation'];
+
+// Modes in which nobody is expected on the property
+const UNOCCUPIED_MODES = new Set(['away', 'vacation']);
+
+// Behaviors that mean a resident's device is leaving rather than arriving
+const DEPARTURE_BEHAVIORS = ['leaving', 'departing', 'exiting'];
+
+const DEFAULT_NIGHT_HOURS = { start: '22:00', end: '06:00' };
+
+function validateResident(errors, field, resident) {
+  if (!resident || typeof resident !== 'object') {
+    errors.push(`${field} must be an object`);
+    return;
+  }
+  if (!resident.id || typeof resident.id !== 'string') {
+    errors.push(`${field}.id must be a non-empty string`);
+  }
+  if (resident.entityIds !== undefined &&
+      !(Array.isArray(resident.entityIds) && resident.entityIds.every(id => typeof id === 'string' && id))) {
+    errors.push(`${field}.entityIds must be an array of entity IDs`);
+  }
+  if (resident.present !== undefined && typeof resident.present !== 'boolean') {
+    errors.push(`${field}.present must be a boolean`);
+  }
+}
+
+/**
+ * Problems with a household configuration, empty when it is valid
+ * @param {Object} config - { mode, residents, nightHours }
+ * @returns {Array<string>}
+ */
+function validateHouseholdConfig(config) {
+  if (!config || typeof config !== 'object') {
+    return ['household must be an object'];
+  }
+  const errors = [];
+
+  if (config.mode !== undefined && config.mode !== 'auto' && !HOUSEHOLD_MODES.includes(config.mode)) {
+    errors.push(`mode must be auto or one of ${HOUSEHOLD_MODES.join(', ')}`);
+  }
+  if (config.residents !== undefined) {
+    if (!Array.isArray(config.residents)) {
+      errors.push('residents must be an array');
+    } else {
+      config.residents.forEach((resident, index) => validateResident(errors, `residents[${index}]`, resident));
+      const ids = config.residents.map(resident => resident?.id);
+      if (new Set(ids).size !== ids.length) {
+        errors.push('resident ids must be unique');
+      }
+    }
+  }
+  if (config.nightHours !== undefined) {
+    const { start, end } = config.nightHours || {};
+    if (!CLOCK_TIME.test(start)) errors.push('nightHours.start must be HH:MM');
+    if (!CLOCK_TIME.test(end)) errors.push('nightHours.end must be HH:MM');
+  }
+
+  return errors;
+}
+
+class HouseholdPresence {
+  /**
+   * @param {Object} [config] - { mode, residents: [{ id, name, entityIds, present }], nightHours: { start, end } }
+   * @throws {Error} When the configuration is invalid
+   */
+  constructor(config = {}) {
+    const errors = validateHouseholdConfig(config || {});
+    if (errors.length > 0) {
+      throw new Error(`Invalid household: ${errors.join(', ')}`);
+    }
+
+    this.nightHours = { ...DEFAULT_NIGHT_HOURS, ...config?.nightHours };
+    this.residents = new Map(); // residentId -> { id, name, entityIds, present, changedAt, source }
+    // Mode set through setMode; null leaves the mode to inference
+    this.override = null;
+    // Last metadata.userHome report, used when no resident presence is known
+    this.reported = null;
+
+    (config?.residents || []).forEach(resident => this.addResident(resident));
+    if (config?.mode && config.mode !== 'auto') {
+      this.setMode(config.mode);
+    }
+  }
+
+  /**
+   * Set the household mode, or 'auto' to infer it from presence again.
+   * A manual away ends when a resident arrives; vacation lasts until changed.
+   * @throws {Error} When the mode is unknown
+   */
+  setMode(mode, timestamp = Date.now()) {
+    if (mode !== 'auto' && !HOUSEHOLD_MODES.includes(mode)) {
+      throw new Error(`Unknown household mode "${mode}" (available: auto, ${HOUSEHOLD_MODES.join(', ')})`);
+    }
+    this.override = mode === 'auto' ? null : { mode, setAt: timestamp };
+    return this.getState(timestamp);
+  }
+
+  /**
+   * Add or replace a resident
+   * @throws {Error} When the resident is invalid
+   */
+  addResident(resident) {
+    const errors = [];
+    validateResident(errors, 'resident', resident);
+    if (errors.length > 0) {
+      throw new Error(`Invalid resident: ${errors.join(', ')}`);
+    }
+    const entry = {
+      id: resident.id,
+      name: resident.name || resident.id,
+      entityIds: [...(resident.entityIds || [])],
+      present: resident.present ?? null,
+      changedAt: null,
+      source: resident.present === undefined ? null : 'configured'
+    };
+    this.residents.set(entry.id, entry);
+    return { ...entry, entityIds: [...entry.entityIds] };
+  }
+
+  removeResident(residentId) {
+    return this.residents.delete(residentId);
+  }
+
+  /**
+   * Record that a resident arrived or left
+   * @throws {Error} When the resident is unknown
+   */
+  setResidentPresence(residentId, present, timestamp = Date.now()) {
+    const resident = this.residents.get(residentId);
+    if (!resident) {
+      throw new Error(`Unknown resident "${residentId}"`);
+    }
+    this._setPresence(resident, Boolean(present), timestamp, 'manual');
+    return this.getState(timestamp);
+  }
+
+  /**
+   * The resident an entity ID belongs to (a phone, keycard or other known device), or null
+   */
+  residentFor(entityId) {
+    if (!entityId) return null;
+    for (const resident of this.residents.values()) {
+      if (resident.id === entityId || resident.entityIds.includes(entityId)) return resident;
+    }
+    return null;
+  }
+
+  /**
+   * Infer presence from an event: a resident's device seen arriving or
+   * leaving, or a `metadata.userHome` report from the integration
+   * @param {Object} event - Perception event
+   * @param {string} [entityId] - The event's entity ID after merges
+   * @returns {Object} Household state at the event's time
+   */
+  observe(event, entityId = event?.entityId) {
+    const metadata = event?.metadata || {};
+    const timestamp = event?.timestamp || Date.now();
+
+    const resident = this.residentFor(metadata.residentId) || this.residentFor(entityId);
+    if (resident) {
+      const behaviors = Array.isArray(event.behaviors) ? event.behaviors : [];
+      const departing = metadata.presence === 'departed' ||
+        DEPARTURE_BEHAVIORS.some(behavior => behaviors.includes(behavior));
+      this._setPresence(resident, !departing, timestamp, 'inferred');
+    }
+    if (typeof metadata.userHome === 'boolean') {
+      this.reported = { home: metadata.userHome, timestamp };
+    }
+
+    return this.getState(timestamp);
+  }
+
+  /**
+   * Whether anyone is home: from resident presence when any is known,
+   * otherwise the last userHome report, otherwise null (unknown)
+   */
+  isOccupied() {
+    const known = Array.from(this.residents.values()).filter(resident => resident.present !== null);
+    if (known.length > 0) return known.some(resident => resident.present);
+    return this.reported ? this.reported.home : null;
+  }
+
+  /**
+   * The household mode at a time: the manual mode when one is set,
+   * otherwise away when nobody is home, night during night hours, else home
+   */
+  getMode(timestamp = Date.now()) {
+    if (this.override) return this.override.mode;
+    if (this.isOccupied() === false) return 'away';
+    return this.isNightHours(timestamp) ? 'night' : 'home';
+  }
+
+  // Night hours that end at or before they start run past midnight
+  isNightHours(timestamp = Date.now()) {
+    const date = new Date(timestamp);
+    const minute = date.getHours() * 60 + date.getMinutes();
+    const start = toMinutes(this.nightHours.start);
+    const end = toMinutes(this.nightHours.end);
+    return start < end ? minute >= start && minute < end : minute >= start || minute < end;
+  }
+
+  isUnoccupiedMode(mode) {
+    return UNOCCUPIED_MODES.has(mode);
+  }
+
+  getState(timestamp = Date.now()) {
+    return {
+      mode: this.getMode(timestamp),
+      source: this.override ? 'manual' : 'inferred',
+      setAt: this.override?.setAt ?? null,
+      occupied: this.isOccupied(),
+      nightHours: { ...this.nightHours },
+      residents: Array.from(this.residents.values()).map(resident => ({
+        ...resident,
+        entityIds: [...resident.entityIds]
+      }))
+    };
+  }
+
+  getSaveState() {
+    return {
+      override: this.override ? { ...this.override } : null,
+      reported: this.reported ? { ...this.reported } : null,
+      residents: this.getState().residents
+    };
+  }
+
+  restoreFromSave(state) {
+    if (!state) return;
+    this.override = state.override ? { ...state.override } : null;
+    this.reported = state.reported ? { ...state.reported } : null;
+    (state.residents || []).forEach(resident => {
+      this.residents.set(resident.id, { ...resident, entityIds: [...(resident.entityIds || [])] });
+    });
+  }
+
+  _setPresence(resident, present, timestamp, source) {
+    resident.present = present;
+    resident.changedAt = timestamp;
+    resident.source = source;
+
+    // A resident coming home ends a manual away; everyone leaving ends a manual home or night
+    if (this.override?.mode === 'away' && present) {
+      this.override = null;
+    } else if ((this.override?.mode === 'home' || this.override?.mode === 'night') && this.isOccupied() === false) {
+      this.override = null;
+    }
+  }
+}
+
+/**
+ * The household shared through an interpreter config: an existing instance
+ * is reused, anything else is treated as household options
+ */
+function resolveHouseholdPresence(config) {
+  const household = config?.household;
+  if (household instanceof HouseholdPresence) return household;
+  return new HouseholdPresence(household || {});
+}
+
+export {
+  HOUSEHOLD_MODES,
+  HouseholdPresence,
+  resolveHouseholdPresence,
+  validateHouseholdConfig
+};
@@ -9,15 +9,23 @@
  * @author Goliath Security Systems
  */
 
+import { resolveSiteModel } from './site-model.js';
+import { resolveHouseholdPresence } from './household-presence.js';
+
+// Places that are easy to see are hard to hide in
+const CONCEALMENT_BY_VISIBILITY = { low: 'high', medium: 'medium', high: 'low' };
+
 class IntentModelingFramework {
   constructor(config) {
     this.config = config;
+    this.siteModel = resolveSiteModel(config);
+    this.household = resolveHouseholdPresence(config);
     
     // Intent analysis engines
     this.behavioralAnalyzer = new BehavioralPatternAnalyzer();
-    this.contextualIntentEngine = new ContextualIntentEngine();
+    this.contextualIntentEngine = new ContextualIntentEngine(this.siteModel, this.household);
     this.temporalIntentTracker = new TemporalIntentTracker();
-    this.spatialIntentAnalyzer = new SpatialIntentAnalyzer();
+    this.spatialIntentAnalyzer = new SpatialIntentAnalyzer(this.siteModel);
     
     // Intent models
     this.intentModels = new IntentModelLibrary();
@@ -105,12 +113,13 @@ class IntentModelingFramework {
         contextualFactors: contextualAnalysis.factors,
         temporalPatterns: temporalAnalysis.patterns,
         spatialIndicators: spatialAnalysis.indicators,
+        track: spatialContext?.track || null,
         riskAssessment: this._assessIntentRisk(intentClassification),
         processingTime
       };
       
       // Update intent tracking
-      this._updateIntentTracking(perceptionEvent.entityId, intentAssessment);
+      this._updateIntentTracking(perceptionEvent.entityId, intentAssessment, perceptionEvent.timestamp);
       
       return intentAssessment;
       
@@ -143,6 +152,89 @@ class IntentModelingFramework {
     
     // Update intent models based on learning
     await this._updateIntentModels(feedback);
+    
+    return this.intentLearning.getAccuracyMetrics();
+  }
+
+  /**
+   * Analyze intent across an ordered sequence of assessed events
+   * Each entry carries { perceptionEvent, intentAssessment, suspicionLevel }
+   */
+  async analyzeSequenceIntent(sequence) {
+    const entries = sequence.filter(entry => entry.intentAssessment?.primaryIntent);
+    
+    if (entries.length === 0) {
+      return {
+        sequenceIntent: 'normal_activity',
+        confidence: 0.5,
+        patternStrength: 0.5,
+        escalation: false,
+        sequenceFactors: [],
+        entityTrajectories: {}
+      };
+    }
+    
+    // Build per-entity intent histories in event time
+    const histories = new Map();
+    entries.forEach(entry => {
+      const entityId = entry.perceptionEvent?.entityId || entry.intentAssessment.entityId || 'unknown';
+      if (!histories.has(entityId)) {
+        histories.set(entityId, []);
+      }
+      histories.get(entityId).push({
+        timestamp: entry.perceptionEvent?.timestamp ?? Date.now(),
+        intentAssessment: entry.intentAssessment,
+        suspicionLevel: entry.suspicionLevel,
+        perceptionEvent: entry.perceptionEvent
+      });
+    });
+    
+    const entityTrajectories = {};
+    for (const [entityId, history] of histories) {
+      const latest = history[history.length - 1];
+      const temporalAnalysis = await this.temporalIntentTracker.trackTemporalIntent(latest.perceptionEvent, history);
+      const riskLevels = history.map(h => h.intentAssessment.riskAssessment?.riskLevel ?? 0.5);
+      
+      entityTrajectories[entityId] = {
+        eventCount: history.length,
+        intents: history.map(h => h.intentAssessment.primaryIntent),
+        averageRisk: riskLevels.reduce((sum, risk) => sum + risk, 0) / riskLevels.length,
+        escalation: temporalAnalysis.evolution.evolution === 'escalating' ||
+          temporalAnalysis.evolution.riskTrend === 'increasing' ||
+          history.some(h => h.intentAssessment.intentProgression?.escalation),
+        ...temporalAnalysis
+      };
+    }
+    
+    const trajectories = Object.values(entityTrajectories);
+    const escalation = trajectories.some(t => t.escalation);
+    const highRiskEntities = trajectories.filter(t => t.averageRisk >= 0.6).length;
+    
+    const averageRisk = entries.reduce((sum, e) => sum + (e.intentAssessment.riskAssessment?.riskLevel ?? 0.5), 0) / entries.length;
+    const averageSuspicion = entries.reduce((sum, e) => sum + (e.suspicionLevel ?? averageRisk), 0) / entries.length;
+    const patternStrength = (averageRisk + averageSuspicion) / 2;
+    
+    let sequenceIntent = 'normal_activity';
+    if (highRiskEntities >= 2) sequenceIntent = 'coordinated_threat';
+    else if (escalation) sequenceIntent = 'escalating_threat';
+    else if (patternStrength > 0.7) sequenceIntent = 'persistent_threat';
+    
+    const sequenceFactors = new Set();
+    trajectories.forEach(t => {
+      if (t.patterns.pattern && t.patterns.pattern !== 'new_entity') sequenceFactors.add(t.patterns.pattern);
+      if (t.escalation) sequenceFactors.add('intent_escalation');
+      if (t.persistence.persistence && t.persistence.persistence !== 'new') sequenceFactors.add(`${t.persistence.persistence}_presence`);
+    });
+    if (histories.size > 1) sequenceFactors.add('multiple_entities');
+    
+    return {
+      sequenceIntent,
+      confidence: trajectories.reduce((sum, t) => sum + t.confidence, 0) / trajectories.length,
+      patternStrength,
+      escalation,
+      sequenceFactors: Array.from(sequenceFactors),
+      entityTrajectories
+    };
   }
 
   /**
@@ -165,7 +257,7 @@ class IntentModelingFramework {
     return this.intentHistory.get(entityId) || [];
   }
 
-  _updateIntentTracking(entityId, intentAssessment) {
+  _updateIntentTracking(entityId, intentAssessment, timestamp = Date.now()) {
     // Update active intent
     this.activeIntents.set(entityId, {
       ...intentAssessment,
@@ -178,7 +270,7 @@ class IntentModelingFramework {
     }
     
     this.intentHistory.get(entityId).push({
-      timestamp: Date.now(),
+      timestamp,
       intentAssessment
     });
     
@@ -549,6 +641,32 @@ class BehavioralPatternAnalyzer {
     return analysis;
   }
 
+  _analyzeContextualBehaviors(behaviors, contextualHistory) {
+    const analysis = {
+      anomalies: [],
+      familiarBehaviors: []
+    };
+
+    const commonBehaviors = contextualHistory?.normalPatterns?.commonBehaviors;
+    if (!(commonBehaviors instanceof Map) || commonBehaviors.size === 0) {
+      return analysis;
+    }
+
+    behaviors.forEach(behavior => {
+      if (commonBehaviors.has(behavior)) {
+        analysis.familiarBehaviors.push(behavior);
+      } else {
+        analysis.anomalies.push({
+          type: 'unfamiliar_behavior',
+          behavior,
+          reasoning: `Behavior "${behavior}" has not been observed as normal in this context`
+        });
+      }
+    });
+
+    return analysis;
+  }
+
   _calculateBehavioralIndicators(individualAnalysis, sequenceAnalysis, contextAnalysis) {
     const indicators = {
       intentStrength: new Map(),
@@ -881,6 +999,11 @@ class BehaviorSequenceAnalyzer {
  * Analyzes intent based on environmental and situational context
  */
 class ContextualIntentEngine {
+  constructor(siteModel = resolveSiteModel(), household = resolveHouseholdPresence()) {
+    this.siteModel = siteModel;
+    this.household = household;
+  }
+
   async analyzeContext(perceptionEvent, contextualHistory, spatialContext) {
     const factors = {
       temporal: this._analyzeTemporalContext(perceptionEvent.timestamp),
@@ -904,13 +1027,15 @@ class ContextualIntentEngine {
     const date = new Date(timestamp);
     const hour = date.getHours();
     const dayOfWeek = date.getDay();
+    const householdMode = this.household.getMode(timestamp);
     
     return {
       hour,
       dayOfWeek,
       timeCategory: this._categorizeTime(hour),
       isBusinessHours: hour >= 9 && hour <= 17 && dayOfWeek >= 1 && dayOfWeek <= 5,
-      suspicionModifier: this._getTimeSuspicionModifier(hour, dayOfWeek)
+      householdMode,
+      suspicionModifier: this._getTimeSuspicionModifier(hour, dayOfWeek, householdMode)
     };
   }
 
@@ -968,6 +1093,13 @@ class ContextualIntentEngine {
       intentProbabilities.casing *= 1.5;
     }
     
+    // Nobody is home to expect a visitor
+    if (this.household.isUnoccupiedMode(factors.temporal.householdMode)) {
+      intentProbabilities.reconnaissance *= factors.temporal.suspicionModifier;
+      intentProbabilities.casing *= factors.temporal.suspicionModifier;
+      intentProbabilities.trespassing *= factors.temporal.suspicionModifier;
+    }
+    
     // Normalize probabilities
     const total = Object.values(intentProbabilities).reduce((sum, prob) => sum + prob, 0);
     Object.keys(intentProbabilities).forEach(intent => {
@@ -1024,46 +1156,25 @@ class ContextualIntentEngine {
     return 'unknown';
   }
 
-  _getTimeSuspicionModifier(hour, dayOfWeek) {
+  _getTimeSuspicionModifier(hour, dayOfWeek, householdMode = 'home') {
+    if (householdMode === 'vacation') return 1.8; // Empty for days
+    if (householdMode === 'away') return 1.6; // Nobody home
+    if (householdMode === 'night') return 1.5; // Household asleep
     if (hour >= 22 || hour <= 5) return 1.5; // Night hours
     if (dayOfWeek === 0 || dayOfWeek === 6) return 1.2; // Weekends
     return 1.0; // Normal hours
   }
 
   _assessAccessibility(location) {
-    const accessibilityMap = {
-      'front_door': 'high',
-      'back_door': 'medium',
-      'window': 'low',
-      'garage': 'medium',
-      'yard': 'high',
-      'street': 'high'
-    };
-    return accessibilityMap[location] || 'medium';
+    return this.siteModel.getZone(location).accessibility;
   }
 
   _assessVisibility(location) {
-    const visibilityMap = {
-      'front_door': 'high',
-      'back_door': 'low',
-      'window': 'medium',
-      'garage': 'medium',
-      'yard': 'high',
-      'street': 'high'
-    };
-    return visibilityMap[location] || 'medium';
+    return this.siteModel.getZone(location).visibility;
   }
 
   _assessCriticality(location) {
-    const criticalityMap = {
-      'front_door': 'high',
-      'back_door': 'high',
-      'window': 'medium',
-      'garage': 'medium',
-      'yard': 'low',
-      'street': 'low'
-    };
-    return criticalityMap[location] || 'medium';
+    return this.siteModel.getZone(location).criticality;
   }
 
   _assessLighting(timestamp) {
@@ -1327,8 +1438,12 @@ class TemporalIntentTracker {
  * Analyzes intent based on spatial movement and positioning
  */
 class SpatialIntentAnalyzer {
+  constructor(siteModel = resolveSiteModel()) {
+    this.siteModel = siteModel;
+  }
+
   async analyzeSpatialIntent(perceptionEvent, spatialContext) {
-    const movementAnalysis = this._analyzeMovementPatterns(perceptionEvent);
+    const movementAnalysis = this._analyzeMovementPatterns(perceptionEvent, spatialContext.track);
     const positioningAnalysis = this._analyzePositioning(perceptionEvent, spatialContext);
     const accessAnalysis = this._analyzeAccessPatterns(perceptionEvent, spatialContext);
     
@@ -1347,13 +1462,14 @@ class SpatialIntentAnalyzer {
     };
   }
 
-  _analyzeMovementPatterns(perceptionEvent) {
+  _analyzeMovementPatterns(perceptionEvent, track) {
     // Analyze movement characteristics
     return {
-      speed: perceptionEvent.movementData?.speed || 'unknown',
+      speed: perceptionEvent.movementData?.speed || track?.averageSpeed || 'unknown',
       direction: perceptionEvent.movementData?.direction || 'unknown',
       trajectory: perceptionEvent.movementData?.trajectory || 'unknown',
-      purposefulness: this._assessMovementPurposefulness(perceptionEvent)
+      purposefulness: this._assessMovementPurposefulness(perceptionEvent),
+      trackShape: track?.shape || null
     };
   }
 
@@ -1371,7 +1487,7 @@ class SpatialIntentAnalyzer {
     return {
       accessType: this._classifyAccessType(perceptionEvent.location),
       entryMethod: this._analyzeEntryMethod(perceptionEvent),
-      pathAnalysis: this._analyzeAccessPath(perceptionEvent),
+      pathAnalysis: this._analyzeAccessPath(perceptionEvent, spatialContext.track),
       authorization: this._assessAuthorization(perceptionEvent, spatialContext)
     };
   }
@@ -1416,51 +1532,19 @@ class SpatialIntentAnalyzer {
   }
 
   _assessStrategicValue(location) {
-    const strategicValues = {
-      'front_door': 'high',
-      'back_door': 'high',
-      'window': 'medium',
-      'garage': 'medium',
-      'yard': 'low',
-      'street': 'low'
-    };
-    return strategicValues[location] || 'medium';
+    return this.siteModel.getZone(location).criticality;
   }
 
   _assessConcealment(location) {
-    const concealmentLevels = {
-      'front_door': 'low',
-      'back_door': 'high',
-      'window': 'medium',
-      'garage': 'medium',
-      'yard': 'low',
-      'street': 'low'
-    };
-    return concealmentLevels[location] || 'medium';
+    return CONCEALMENT_BY_VISIBILITY[this.siteModel.getZone(location).visibility];
   }
 
   _assessVantagePoint(location) {
-    const vantageValues = {
-      'front_door': 'medium',
-      'back_door': 'low',
-      'window': 'high',
-      'garage': 'low',
-      'yard': 'medium',
-      'street': 'high'
-    };
-    return vantageValues[location] || 'medium';
+    return this.siteModel.getZone(location).vantage;
   }
 
   _classifyAccessType(location) {
-    const accessTypes = {
-      'front_door': 'primary_entry',
-      'back_door': 'secondary_entry',
-      'window': 'unauthorized_entry',
-      'garage': 'vehicle_entry',
-      'yard': 'perimeter_access',
-      'street': 'public_access'
-    };
-    return accessTypes[location] || 'unknown';
+    return this.siteModel.getZone(location).accessType;
   }
 
   _analyzeEntryMethod(perceptionEvent) {
@@ -1472,11 +1556,16 @@ class SpatialIntentAnalyzer {
     return 'walking';
   }
 
-  _analyzeAccessPath(perceptionEvent) {
+  _analyzeAccessPath(perceptionEvent, track) {
+    const shape = track?.shape || null;
     return {
-      pathType: 'direct', // Could be 'direct', 'circuitous', 'hidden'
+      pathType: !shape || shape === 'direct' || shape === 'stationary' ? 'direct' : 'circuitous', // Could be 'direct', 'circuitous', 'hidden'
       approach: 'frontal', // Could be 'frontal', 'side', 'rear'
-      stealth: this._assessStealth(perceptionEvent.behaviors || [])
+      stealth: this._assessStealth(perceptionEvent.behaviors || []),
+      // The entity's track across cameras and zones, when one is known
+      trackShape: shape,
+      zonesVisited: track ? new Set(track.path).size : 0,
+      entryPointsVisited: track?.entryPointsVisited.length || 0
     };
   }
 
@@ -1498,6 +1587,7 @@ class SpatialIntentAnalyzer {
   _calculateReconnaissanceIndicator(movementAnalysis, positioningAnalysis) {
     let strength = 0;
     if (positioningAnalysis.vantagePoint === 'high') strength += 0.4;
+    if (movementAnalysis.trackShape === 'loop' || movementAnalysis.trackShape === 'pacing') strength += 0.3;
     if (movementAnalysis.purposefulness === 'medium') strength += 0.3;
     if (positioningAnalysis.strategicValue === 'high') strength += 0.3;
     return Math.min(strength, 1.0);
@@ -1508,6 +1598,8 @@ class SpatialIntentAnalyzer {
     if (accessAnalysis.accessType === 'primary_entry') strength += 0.4;
     if (positioningAnalysis.concealment === 'high') strength += 0.3;
     if (accessAnalysis.pathAnalysis.stealth > 0.5) strength += 0.3;
+    // Trying one door or window after another
+    if (accessAnalysis.pathAnalysis.trackShape === 'perimeter_sweep') strength += 0.6;
     return Math.min(strength, 1.0);
   }
 
@@ -1552,6 +1644,14 @@ class SpatialIntentAnalyzer {
       });
     }
     
+    if (accessAnalysis.pathAnalysis.trackShape === 'perimeter_sweep') {
+      riskFactors.push({
+        factor: 'perimeter_sweep',
+        riskLevel: 0.8,
+        reasoning: `Visited ${accessAnalysis.pathAnalysis.entryPointsVisited} entry points in one track`
+      });
+    }
+    
     return riskFactors;
   }
 
@@ -1577,6 +1677,7 @@ class SpatialIntentAnalyzer {
 class IntentModelLibrary {
   constructor() {
     this.models = this._initializeIntentModels();
+    this.corrections = new Map(); // predicted intent -> Map(actual intent -> count)
   }
 
   getModel(intentType) {
@@ -1584,8 +1685,19 @@ class IntentModelLibrary {
   }
 
   updateFromFeedback(feedback) {
-    // Update models based on feedback
-    console.log('Updating intent models from feedback:', feedback);
+    // Record which intent was actually behind a misclassified prediction
+    if (!feedback?.predictedIntent || feedback.correct !== false || !feedback.correctIntent) {
+      return;
+    }
+    const counts = this.corrections.get(feedback.predictedIntent) || new Map();
+    counts.set(feedback.correctIntent, (counts.get(feedback.correctIntent) || 0) + 1);
+    this.corrections.set(feedback.predictedIntent, counts);
+  }
+
+  getCorrections(intentType) {
+    return Array.from(this.corrections.get(intentType)?.entries() || [])
+      .sort((a, b) => b[1] - a[1])
+      .map(([intent, count]) => ({ intent, count }));
   }
 
   _initializeIntentModels() {
@@ -18,6 +18,378 @@ export interface PerceptionEvent {
   metadata?: Record<string, any>;
 }
 
+export type DeviceEventType =
+  | 'motion' | 'humanDetected' | 'doorOpened' | 'doorClosed' | 'glassBreak' | 'sound'
+  | 'networkAnomaly' | 'deviceOffline' | 'batteryLow' | 'doorbellPressed'
+  | 'smokeDetected' | 'coDetected' | 'waterDetected';
+
+export interface DeviceEvent {
+  deviceId: string;
+  deviceType?: string;
+  eventType: DeviceEventType | string;
+  location: string;
+  confidence: number;
+  timestamp?: number;
+  metadata?: {
+    userHome?: boolean;
+    knownHuman?: boolean;
+    timeOfDay?: string;
+    weather?: string;
+    interference?: boolean;
+    batteryLevel?: number;
+    signalStrength?: number;
+    entityId?: string;
+    entityType?: string;
+    behaviors?: string[];
+    [key: string]: any;
+  };
+}
+
+export interface AIDecision {
+  alertLevel: 'IGNORE' | 'STANDARD' | 'ELEVATED' | 'CRITICAL';
+  message: string;
+  threatScore: number;
+  confidence: number;
+  reasoning: string;
+  eventId: string;
+  processingTime: number;
+  deviceId: string;
+  eventType: string;
+  timestamp: number;
+  policyReasons: string[];
+  brand: string | null;
+}
+
+export interface BrandConfiguration {
+  brandName: string;
+  alertThresholds?: { ignore?: number; standard?: number; elevated?: number; critical?: number };
+  suspicionThresholds?: { info?: number; standard?: number; elevated?: number; critical?: number };
+  /** Multipliers for user away, night, entry points and weather interference */
+  contextWeights?: { userPresence?: number; timeOfDay?: number; location?: number; weather?: number };
+  /** Per-level templates; {original}, {brandName}, {alertLevel}, {location}, {threatScore} */
+  customMessages?: Partial<Record<AIDecision['alertLevel'], string | null>>;
+  whiteLabel?: boolean;
+}
+
+export interface BrandProfile extends BrandConfiguration {
+  whiteLabel: boolean;
+  configuredAt: number;
+}
+
+export type EntityLabel = 'known_resident' | 'delivery_driver' | 'banned';
+
+export interface EntityProfile {
+  entityId: string;
+  entityType: string | null;
+  label: EntityLabel | null;
+  labelNote: string | null;
+  firstSeen: number | null;
+  lastSeen: number | null;
+  totalSightings: number;
+  commonLocations: { location: string; count: number }[];
+  commonBehaviors: { behavior: string; count: number }[];
+  averageSuspicion: number;
+  feedbackCount: number;
+  mergedIds: string[];
+}
+
+export interface EntitySighting {
+  timestamp: number;
+  eventId: string | null;
+  memoryId: string;
+  location: string;
+  zone: string;
+  behaviors: string[];
+  suspicionLevel: number;
+  feedback: any;
+}
+
+export type TimeCategory = 'night' | 'morning' | 'day' | 'evening';
+
+export interface LearnedNorm {
+  location: string;
+  timeCategory: TimeCategory;
+  observations: number;
+  expectedEntityTypes: { entityType: string; count: number; share: number; expected: boolean }[];
+  expectedBehaviors: { behavior: string; count: number; share: number; expected: boolean }[];
+  normalSuspicionRange: { min: number; max: number } | null;
+  averageSuspicion: number | null;
+  /** 0-1, grows with observations and falls with drift */
+  confidence: number;
+  /** 0 (recent activity matches the norm) to 1 (completely different) */
+  drift: number;
+  feedback: { confirmedThreats: number; falseAlarms: number };
+  /** Summaries of memories evicted by retention, or null */
+  archived: { observations: number; averageSuspicion: number; maxSuspicion: number; confirmedThreats: number; falseAlarms: number; byHour: Record<number, number> } | null;
+  lastUpdated: number;
+  learnedActivity?: { location: number | null; byHour: Record<number, number> };
+}
+
+export type AnalyticsTimeRange = number | '1h' | '24h' | '7d' | '30d' | string;
+
+export interface AnalyticsFeedbackSummary {
+  reviewed: number;
+  confirmedThreats: number;
+  falseAlarms: number;
+  missedThreats: number;
+  correctDismissals: number;
+  /** falseAlarms / (confirmedThreats + falseAlarms), null without reviewed notifications */
+  falsePositiveRate: number | null;
+  /** Reviews per user who gave a userId, most active first */
+  byUser: Array<{
+    userId: string;
+    role: FeedbackRole | null;
+    reviewed: number;
+    confirmedThreats: number;
+    falseAlarms: number;
+    missedThreats: number;
+    correctDismissals: number;
+    /** Reviews set aside because a higher role disagreed */
+    overruled: number;
+  }>;
+}
+
+export interface ContextualInsights {
+  location: string | null;
+  timeRange: { from: number; to: number };
+  totalEvents: number;
+  notifiedEvents: number;
+  alertLevels: Record<'info' | 'standard' | 'elevated' | 'critical', number>;
+  averageSuspicion: number;
+  suppression: { total: number; reasons: { reason: string; count: number }[] };
+  policyReasons: { reason: string; count: number }[];
+  feedback: AnalyticsFeedbackSummary;
+  peakHours: { hour: number; dayOfWeek: number; count: number }[];
+  topBehaviors: { behavior: string; count: number }[];
+}
+
+export interface AnalyticsReport {
+  timeRange: { from: number; to: number };
+  summary: {
+    totalEvents: number;
+    notifiedEvents: number;
+    /** Percent of events the alert policy kept from notifying */
+    falseAlarmReduction: number;
+    averageThreatScore: number;
+    averageProcessingTime: number;
+  };
+  /** Percent of events per alert level */
+  alertDistribution: Record<'info' | 'standard' | 'elevated' | 'critical', number>;
+  topEventTypes: { type: string; count: number; avgScore: number }[];
+  locations: { location: string; totalEvents: number }[];
+  suppression: ContextualInsights['suppression'];
+  feedback: AnalyticsFeedbackSummary;
+  performance: { totalInferences: number; averageLatency: number };
+}
+
+export type FeedbackType = 'false_alarm' | 'missed_threat' | 'correct' | 'known_person' | 'wrong_intent';
+
+/** Precedence when feedback disagrees: operator > admin > resident > guest */
+export type FeedbackRole = 'guest' | 'resident' | 'admin' | 'operator';
+
+export interface Feedback {
+  type?: FeedbackType;
+  /** Required for 'wrong_intent' */
+  correctIntent?: string;
+  /** Trusted label applied by 'known_person' (default 'known_resident') */
+  label?: 'known_resident' | 'delivery_driver';
+  confidence?: number;
+  source?: string;
+  note?: string;
+  userId?: string;
+  role?: FeedbackRole;
+  /** Earlier untyped form; the type is inferred when omitted */
+  accurate?: boolean;
+  actualThreat?: boolean;
+}
+
+export interface FeedbackStageResult {
+  updated: boolean;
+  reason?: string;
+  [key: string]: any;
+}
+
+export interface FeedbackReport {
+  /** Pass to revertLearning() to undo this feedback; null when it was overruled */
+  learningId: string | null;
+  eventId: string;
+  type: FeedbackType;
+  feedback: Feedback & { predictedThreat?: boolean; predictedIntent: string | null; timestamp: number };
+  /** True when any stage changed */
+  updated: boolean;
+  memory: FeedbackStageResult;
+  intent: FeedbackStageResult;
+  suspicion: FeedbackStageResult;
+  learning: FeedbackStageResult;
+  entity: { labeled: boolean; entityId?: string; label?: EntityLabel; reason?: string };
+  /** learningIds of held feedback this feedback corroborated, applied before it */
+  released: string[];
+  /** Set when the feedback contradicts another user's standing feedback on the event */
+  dispute: {
+    resolution: 'overruled' | 'override' | 'latest';
+    by?: { userId: string | null; role: FeedbackRole | null };
+    overridden?: Array<{ userId: string | null; role: FeedbackRole | null; learningId: string }>;
+    disputedWith?: Array<{ userId: string | null; role: FeedbackRole | null }>;
+  } | null;
+}
+
+export interface QuarantinedFeedback {
+  held: Array<{ learningId: string; assessmentId: string; contextKey: string; riskFactors: string[]; heldAt: number }>;
+  required: number;
+  totals: { held: number; released: number; rejected: number; expired: number; discarded: number };
+}
+
+export interface LearningRollback {
+  rollbackId: string;
+  timestamp: number;
+  scope: { learningId: string } | { since: number };
+  learningIds: string[];
+  restored: { norms: number; patterns: number; rules: number; labels: number };
+  reason: string | null;
+}
+
+export type SiteZoneType = 'entry' | 'perimeter' | 'access' | 'exterior' | 'interior' | 'public';
+export type SiteLevel = 'low' | 'medium' | 'high';
+export type SitePoint = { x: number; y: number } | [number, number];
+
+export interface SiteZoneDefinition {
+  type?: SiteZoneType;
+  label?: string;
+  /** Doors, windows and other ways in (default true for 'entry' zones) */
+  entryPoint?: boolean;
+  /** Base risk of activity here, 0-1 */
+  riskLevel?: number;
+  criticality?: SiteLevel;
+  visibility?: SiteLevel;
+  accessControl?: 'none' | SiteLevel;
+  accessibility?: SiteLevel;
+  /** How good a view of the property the zone gives */
+  vantage?: SiteLevel;
+  accessType?: string;
+  cameras?: string[];
+  coordinates?: SitePoint;
+  polygon?: SitePoint[];
+}
+
+export interface SiteDefinition {
+  name?: string;
+  zones: Record<string, SiteZoneDefinition>;
+  /** Zone pairs that are walkable into each other; objects may be one-way */
+  connections?: Array<[string, string] | { from: string; to: string; oneWay?: boolean }>;
+  landmarks?: Record<string, { zone?: string; coordinates?: SitePoint; [key: string]: any }>;
+  cameras?: Record<string, { zones: string[] }>;
+}
+
+export type TrackShape = 'stationary' | 'direct' | 'pacing' | 'loop' | 'perimeter_sweep';
+
+export interface EntityTrack {
+  trackId: string;
+  entityId: string;
+  startedAt: number;
+  lastSeen: number;
+  durationMs: number;
+  observations: number;
+  points: Array<{ timestamp: number; zone: string | null; cameraId: string | null; coordinates: { x: number; y: number } | null }>;
+  cameras: string[];
+  /** Consecutive sightings that switched camera */
+  handoffs: number;
+  /** Zones in order, including ones crossed between sightings */
+  path: string[];
+  visits: Array<{ zone: string; enteredAt: number | null; leftAt: number | null; dwellMs: number; cameras: string[]; inferred: boolean }>;
+  dwellByZone: Record<string, number>;
+  currentZone: string | null;
+  currentDwellMs: number;
+  /** In site-plan units; speeds per second, null without positions */
+  distance: number;
+  averageSpeed: number | null;
+  maxSpeed: number | null;
+  entryPointsVisited: string[];
+  entryPointCoverage: number;
+  shape: TrackShape;
+}
+
+export type GeofenceLevel = 'info' | 'standard' | 'elevated' | 'critical';
+
+export interface GeofenceRule {
+  id: string;
+  name?: string;
+  type: 'region' | 'tripwire';
+  /** 'raise' sets a minimum level, 'suppress' a maximum; raise wins when both match */
+  action: 'raise' | 'suppress';
+  /** Default 'elevated' to raise, 'info' to suppress */
+  level?: GeofenceLevel;
+  /** Region: a polygon in site-plan coordinates, or a site zone */
+  polygon?: SitePoint[];
+  zone?: string;
+  trigger?: 'inside' | 'enter' | 'exit';
+  /** Tripwire: a line crossed between two sightings, or a move from one zone into another */
+  line?: [SitePoint, SitePoint];
+  /** Sides as seen looking from the line's first point to its second */
+  direction?: 'any' | 'left_to_right' | 'right_to_left';
+  from?: string;
+  to?: string;
+  /** Local time window; one ending before it starts runs past midnight */
+  schedule?: { start?: string; end?: string; days?: number[] };
+  entityTypes?: string[];
+  enabled?: boolean;
+}
+
+export type HouseholdMode = 'home' | 'away' | 'night' | 'vacation';
+
+export interface Resident {
+  id: string;
+  name?: string;
+  /** Phones, keycards and other devices whose events mean this resident */
+  entityIds?: string[];
+  present?: boolean;
+}
+
+export interface HouseholdState {
+  mode: HouseholdMode;
+  /** 'manual' while a mode set through setHouseholdMode holds */
+  source: 'manual' | 'inferred';
+  setAt: number | null;
+  /** null when no resident presence or userHome report is known */
+  occupied: boolean | null;
+  nightHours: { start: string; end: string };
+  residents: Array<Required<Pick<Resident, 'id' | 'name' | 'entityIds'>> & {
+    present: boolean | null;
+    changedAt: number | null;
+    source: 'configured' | 'manual' | 'inferred' | null;
+  }>;
+}
+
+export interface ExpectedActivity {
+  id: string;
+  name?: string;
+  /** First visit; a timestamp, or a date string (local time unless it has an offset) */
+  start: number | string;
+  end: number | string;
+  /** Repeat the visit, e.g. 'FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,FR;UNTIL=20261231' */
+  rrule?: string | null;
+  /** Dates (YYYY-MM-DD) a recurring visit is skipped */
+  exdates?: string[];
+  /** Who is expected; any one of these binds, none means anyone */
+  entityLabels?: Array<'known_resident' | 'delivery_driver'> | null;
+  entityIds?: string[] | null;
+  entityTypes?: string[] | null;
+  zones?: string[] | null;
+  /** At least one of these behaviors must be observed */
+  behaviors?: string[] | null;
+  /** How far outside the window a visit is flagged (default 30 minutes) */
+  graceMs?: number;
+  enabled?: boolean;
+}
+
+export interface ExpectedActivityWindow {
+  entryId: string;
+  name: string;
+  start: number;
+  end: number;
+  entityLabels: string[];
+  zones: string[];
+}
+
 export interface CognitiveAssessment {
   eventId: string;
   suspicionLevel: number;
@@ -26,22 +398,115 @@ export interface CognitiveAssessment {
   factors: string[];
   processingLatency: number;
   cognitiveConfidence: number;
+  baseSuspicion?: number;
+  adjustedSuspicion?: number;
+  uncertainty?: number;
+  factorBreakdown?: Record<string, { score: number; weight: number; confidence: number; reasoning?: string }>;
+  recommendations?: any[];
   spatialContext?: any;
   intentAnalysis?: any;
+  intent?: {
+    entityId?: string;
+    primaryIntent: string;
+    secondaryIntents: any[];
+    intentConfidence: number;
+    intentProgression: { stage: string; progression: string; escalation: boolean; consistency: number } | null;
+    riskAssessment: { riskLevel: number; riskCategory: string } | null;
+    riskFactors: string[];
+    track: Pick<EntityTrack, 'trackId' | 'path' | 'shape' | 'durationMs' | 'cameras' | 'entryPointsVisited' | 'averageSpeed'> | null;
+  } | null;
+  householdMode?: HouseholdMode;
   temporalFactors?: any;
 }
 
 export interface CognitiveConfig {
+  /** Site floor plan as an object or JSON text (default: a generic house) */
+  siteModel?: SiteDefinition | string;
+  /** Geofence and tripwire rules evaluated on every event */
+  geofences?: GeofenceRule[];
+  /** Household mode and residents; the mode is inferred from presence unless set */
+  household?: {
+    mode?: HouseholdMode | 'auto';
+    residents?: Resident[];
+    /** When an occupied home counts as asleep (default 22:00 to 06:00) */
+    nightHours?: { start: string; end: string };
+  };
+  /** Scheduled visits: cleaners, deliveries, the dog walker */
+  expectedActivity?: ExpectedActivity[];
+  /** Subtracted from the suspicion of an expected visitor (default 0.3) */
+  expectedVisitorDownweight?: number;
+  /** Added to the suspicion of unexplained activity while away or on vacation (default 0.15) */
+  householdAwayBoost?: number;
+  /** Lowest level for unexplained entry point activity while away (default 'standard') */
+  enforceAwayEntryMin?: GeofenceLevel;
+  /** Lowest level for unexplained entry point activity on vacation (default 'elevated') */
+  enforceVacationEntryMin?: GeofenceLevel;
+  /** Stitching sightings into per-entity tracks (spatial awareness engine) */
+  entityTracking?: {
+    /** Longest gap between sightings that continues a track (default 5 minutes) */
+    handoffToleranceMs?: number;
+    maxTracks?: number;
+    maxTrackPoints?: number;
+    /** Distinct entry points that make a perimeter sweep (default 3) */
+    sweepEntryPoints?: number;
+  };
   maxMemorySize?: number;
   learningRate?: number;
   suspicionThreshold?: number;
   confidenceThreshold?: number;
   processingTimeout?: number;
   enableAdaptiveLearning?: boolean;
+  /** Fade learned norms toward neutral on a schedule (default true) */
+  enableNormDecay?: boolean;
+  /** Milliseconds until an unreinforced norm is halfway back to neutral, per category */
+  normHalfLives?: Partial<Record<'behavioral' | 'temporal' | 'spatial' | 'contextual' | 'environmental', number>>;
+  /** How often scheduled decay runs (default 1 hour) */
+  normDecayIntervalMs?: number;
   spatialResolution?: number;
   temporalWindow?: number;
+  engines?: EngineSelection;
+  explanationMode?: 'lazy' | 'eager';
+  maxAssessmentRecords?: number;
+  /** Interpreted events kept for getContextualInsights/getAnalytics (default 5000) */
+  maxAnalyticsRecords?: number;
+  /** Graduated suspicion assessments kept for similar-case adaptation (default 1000) */
+  maxSuspicionHistory?: number;
+  /** Relaxing feedback for high-risk contexts is held until corroborated */
+  learningQuarantine?: {
+    /** Distinct events that must agree before held feedback is applied (default 3) */
+    corroborations?: number;
+    /** Feedback sources applied without waiting (default human_expert, automated_system) */
+    trustedSources?: string[];
+    /** Roles applied without waiting (default operator) */
+    trustedRoles?: FeedbackRole[];
+    highRiskHours?: number[];
+    highRiskBehaviors?: string[];
+    /** Held feedback is dropped after this long (default 7 days) */
+    holdMs?: number;
+  };
+  /** Furthest feedback may move one location/time-of-day's norms in either direction (default 0.3) */
+  maxContextDrift?: number;
+  alertThresholds?: { ignore?: number; standard?: number; elevated?: number; critical?: number };
+  maxBatchSize?: number;
+  /** Raw memories kept before the oldest are rolled into summaries */
+  maxMemoryEvents?: number;
+  /** Hours raw memories are kept before being rolled into summaries */
+  memoryRetentionHours?: number;
+  /** Events between retention passes (default 100) */
+  memoryCompactionInterval?: number;
+  /** Fraction of maxMemoryEvents kept after the cap is exceeded (default 0.9) */
+  memoryLowWatermark?: number;
 }
 
+export type EngineStage = 'memory' | 'intent' | 'reasoning' | 'spatial' | 'learning' | 'suspicion';
+
+/**
+ * Engine per stage: a registered name ('mock', 'contextual', 'framework',
+ * 'symbolic', 'awareness', 'adaptive', 'passthrough', 'graduated'), a factory
+ * or class, or an instance
+ */
+export type EngineSelection = Partial<Record<EngineStage, string | ((config: CognitiveConfig) => any) | object>>;
+
 export interface IntentAnalysis {
   primaryIntent: string;
   confidence: number;
@@ -81,11 +546,77 @@ export class ContextualMemorySystem {
 export class GoliathCognitiveInterpreter {
   constructor(config?: CognitiveConfig);
   
+  /**
+   * Register a custom engine so config.engines can select it by name
+   */
+  static registerEngine(stage: EngineStage, name: string, factory: (config: CognitiveConfig) => any): typeof GoliathCognitiveInterpreter;
+  static listEngines(stage?: EngineStage): string[] | Record<EngineStage, string[]>;
+  
+  /**
+   * Interpreter running the full cognitive subsystems for every stage
+   */
+  static createProductionInstance(config?: CognitiveConfig): GoliathCognitiveInterpreter;
+  
   /**
    * Main interpretation method - processes perception events into cognitive assessments
    */
   interpretEvent(perceptionEvent: PerceptionEvent): Promise<CognitiveAssessment>;
   
+  /**
+   * Process a raw device event into a decision (IGNORE/STANDARD/ELEVATED/CRITICAL)
+   */
+  processEvent(event: DeviceEvent): Promise<AIDecision>;
+  
+  /**
+   * Process up to maxBatchSize (default 100) device events, in input order
+   */
+  processBatch(events: DeviceEvent[]): Promise<AIDecision[]>;
+  
+  /**
+   * Configure a white-label brand profile and make it active
+   */
+  setBrandConfiguration(config: BrandConfiguration): Promise<BrandProfile>;
+  
+  /**
+   * Switch to a previously configured brand profile
+   */
+  useBrandProfile(brandName: string): BrandProfile;
+  
+  getBrandConfiguration(): BrandProfile | null;
+  
+  /**
+   * What is normal at a location/time of day; requires the 'contextual' memory engine
+   */
+  getNorms(query?: { location?: string; timeCategory?: TimeCategory }): LearnedNorm[];
+  
+  /**
+   * Aggregated activity for one location (null for all) over the last timeRange (default '24h')
+   */
+  getContextualInsights(location: string | null, timeRange?: AnalyticsTimeRange): ContextualInsights;
+  
+  getAnalytics(timeRange?: AnalyticsTimeRange): AnalyticsReport;
+  
+  /**
+   * Known entities with labels; profiles require an entity-tracking memory engine ('contextual')
+   */
+  listEntities(options?: { label?: EntityLabel; entityType?: string; limit?: number }): EntityProfile[];
+  
+  getEntity(entityId: string): EntityProfile | null;
+  
+  /**
+   * Label an entity; trusted labels count as known activity, 'banned' always alerts. null clears.
+   */
+  labelEntity(entityId: string, label: EntityLabel | null, options?: { note?: string }): { label: EntityLabel; note: string | null; labeledAt: number } | null;
+  
+  mergeEntities(sourceId: string, targetId: string): EntityProfile | null;
+  
+  getEntityTimeline(entityId: string, options?: { lookbackHours?: number; limit?: number }): Promise<EntitySighting[]>;
+  
+  /**
+   * Current track across cameras and zones; requires the 'awareness' spatial engine
+   */
+  getEntityTrack(entityId: string): EntityTrack | null;
+  
   /**
    * Batch processing for multiple events
    */
@@ -96,11 +627,124 @@ export class GoliathCognitiveInterpreter {
    */
   getSpatialAwareness(): any;
   
+  /**
+   * Replace the site floor plan for every engine; invalid definitions throw CognitiveError
+   */
+  loadSiteModel(definition: SiteDefinition | string): SiteDefinition;
+  
+  getSiteModel(): SiteDefinition;
+  
+  /**
+   * Add or replace a geofence rule; invalid rules throw CognitiveError
+   */
+  addGeofenceRule(rule: GeofenceRule): GeofenceRule;
+  
+  removeGeofenceRule(ruleId: string): boolean;
+  
+  listGeofenceRules(): GeofenceRule[];
+  
+  /**
+   * Set the household mode, or 'auto' to infer it again; unknown modes throw CognitiveError
+   */
+  setHouseholdMode(mode: HouseholdMode | 'auto'): HouseholdState;
+  
+  setResidentPresence(residentId: string, present: boolean): HouseholdState;
+  
+  addResident(resident: Resident): HouseholdState['residents'][number];
+  
+  removeResident(residentId: string): boolean;
+  
+  getHouseholdState(timestamp?: number): HouseholdState;
+  
+  /**
+   * Add or replace an expected activity; invalid entries throw CognitiveError
+   */
+  addExpectedActivity(entry: ExpectedActivity): ExpectedActivity;
+  
+  removeExpectedActivity(entryId: string): boolean;
+  
+  listExpectedActivity(): ExpectedActivity[];
+  
+  getExpectedActivity(options?: { timestamp?: number; location?: string }): ExpectedActivityWindow[];
+  
+  /**
+   * Import the events of iCalendar text; LOCATION zones and CATEGORIES labels bind them
+   */
+  importCalendar(text: string, defaults?: Partial<ExpectedActivity> & { idPrefix?: string }): ExpectedActivity[];
+  
+  importCalendarFile(filePath: string, defaults?: Partial<ExpectedActivity> & { idPrefix?: string }): Promise<ExpectedActivity[]>;
+  
   /**
    * Get explanation for a specific decision
    */
   explainDecision(eventId: string): any;
   
+  /**
+   * Tell the interpreter how an assessment turned out; routed to memory, intent, suspicion and learning
+   */
+  provideFeedback(eventId: string, feedback: Feedback): Promise<FeedbackReport>;
+  
+  /**
+   * Undo one feedback (or adaptive norm update): learned norms, patterns and rules, its entity label and analytics outcome
+   */
+  revertLearning(learningId: string, options?: { reason?: string }): LearningRollback;
+  
+  /**
+   * Undo everything learned at or after a timestamp, newest first
+   */
+  rollbackLearningSince(timestamp: number, options?: { reason?: string }): LearningRollback;
+  
+  /**
+   * Rollbacks applied so far, oldest first
+   */
+  getLearningAudit(): LearningRollback[];
+  
+  /**
+   * Fade learned norms now instead of waiting for the scheduled run; null when the learning engine does not decay norms
+   */
+  decayNorms(): {
+    timestamp: number;
+    decayed: number;
+    forgotten: number;
+    categories: Record<string, { decayed: number; forgotten: number }>;
+  } | null;
+  
+  /**
+   * Stop norm decay, the scheduler and periodic saves, writing pending changes first
+   */
+  dispose(): Promise<void>;
+  
+  /**
+   * Alias of dispose()
+   */
+  stop(): Promise<void>;
+  
+  /**
+   * Feedback held back until corroborated
+   */
+  getQuarantinedFeedback(): QuarantinedFeedback;
+  
+  /**
+   * Full explanation (decision trace, reasoning chain, narrative, alternatives) for an assessment
+   */
+  explainReasoning(eventId: string): Promise<any>;
+  
+  /**
+   * Focused explanation of one aspect of an assessment
+   */
+  explainAspect(eventId: string, aspect: 'intent' | 'confidence' | 'risk' | 'context', detail?: 'low' | 'medium' | 'high'): Promise<string>;
+  
+  /**
+   * Compare the reasoning behind two assessments
+   */
+  compareEvents(eventIdA: string, eventIdB: string): Promise<{
+    eventIds: [string, string];
+    summary: string;
+    intentComparison: string;
+    confidenceComparison: string;
+    factorComparison: string;
+  }>;
+  
   /**
    * Update configuration
    */
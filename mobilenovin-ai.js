@@ -13,13 +13,35 @@
  */
 
 // Import required cognitive systems
-import { SymbolicReasoningEngine } from './symbolic-reasoning-engine.js';
-import { IntentModelingFramework as IntentModelingEngine } from './intent-modeling-framework.js';
-import { SpatialTemporalAwareness } from './spatial-temporal-awareness.js';
-import { AdaptiveLearningSystem } from './adaptive-learning-system.js';
-import { ContextualMemorySystem } from './contextual-memory-system.js';
+import { defaultEngineRegistry, PRODUCTION_ENGINES } from './engine-registry.js';
+import { ExplainableReasoningSystem } from './explainable-reasoning-system.js';
 import { DEFAULT_CONFIG, validateConfig, mergeConfig } from './config-schema.js';
 import { AutoSaveSystem } from './autosave-system.js';
+import {
+  validateDeviceEvent,
+  normalizeDeviceEvent,
+  isDeviceEntityId,
+  getDeviceEventProfile,
+  scoreToDeviceAlertLevel,
+  toDeviceAlertLevel,
+  compareDeviceAlertLevels,
+  describeDeviceEvent
+} from './device-events.js';
+import {
+  validateBrandProfile,
+  BrandProfileRegistry,
+  computeContextMultipliers,
+  renderBrandMessage
+} from './brand-configuration.js';
+import { EntityLabelRegistry, toEntityProfileView, ENTITY_LABELS, TRUSTED_ENTITY_LABELS } from './entity-profiles.js';
+import { TIME_CATEGORY_HOURS, hashKey } from './contextual-memory-system.js';
+import { resolveSiteModel } from './site-model.js';
+import { GeofenceEngine } from './geofence-rules.js';
+import { resolveHouseholdPresence } from './household-presence.js';
+import { resolveExpectedActivity } from './expected-activity.js';
+import { FeedbackCoordinator, FEEDBACK_TYPES, FEEDBACK_STAGES, normalizeFeedback, feedbackContext, outranks } from './feedback-coordinator.js';
+import { FeedbackQuarantine } from './adaptive-learning-system.js';
+import { AssessmentLedger, parseTimeRange, summarizeRecords, summarizeAnalytics } from './contextual-analytics.js';
 
 // Deterministic PRNG for mobile performance repeatability
 class DeterministicPRNG {
@@ -159,6 +181,11 @@ class MockAdaptiveLearningSystem {
 }
 
 
+// Intents from the intent framework treated like unauthorized access by the alert policy
+const HOSTILE_INTENTS = new Set([
+  'reconnaissance', 'casing', 'theft_preparation', 'vandalism_preparation', 'trespassing', 'stalking'
+]);
+
 // Cross-platform defer function
 const defer = typeof queueMicrotask === 'function' 
     ? queueMicrotask 
@@ -365,18 +392,6 @@ class AsyncScheduler {
   }
 }
 
-// Fast numeric hash function (djb2) for cache keys
-const hashKey = (...values) => {
-    let hash = 5381;
-    for (const value of values) {
-        const str = String(value);
-        for (let i = 0; i < str.length; i++) {
-            hash = ((hash << 5) + hash) + str.charCodeAt(i);
-        }
-    }
-    return hash >>> 0; // Convert to unsigned 32-bit integer
-};
-
 // Fixed-capacity LRU Cache for mobile memory management
 class FixedCapacityLRU {
     constructor(maxSize = 100) {
@@ -622,6 +637,10 @@ class GoliathCognitiveInterpreter {
       memoryLimit: config.memoryLimit || this.config.performance.memoryLimit,
       processingTimeout: config.latencyTarget || config.processingTimeout || this.config.performance.processingTimeout,
       explainabilityLevel: config.performanceOptimized ? 'minimal' : (config.explainabilityLevel || 'detailed'),
+      explanationMode: config.explanationMode || 'lazy', // 'lazy' builds on request, 'eager' per assessment
+      maxAssessmentRecords: config.maxAssessmentRecords || 1000,
+      maxAnalyticsRecords: config.maxAnalyticsRecords || 5000,
+      maxSuspicionHistory: config.maxSuspicionHistory || 1000,
       spatialRadius: config.spatialRadius || 50, // meters
       temporalWindow: config.temporalWindow || 3600000, // 1 hour in ms
       adaptiveLearning: config.adaptiveLearning !== false,
@@ -634,6 +653,10 @@ class GoliathCognitiveInterpreter {
       alertBackoffMs: config.alertBackoffMs || 60000,
       highRiskNightEntryBoost: config.highRiskNightEntryBoost ?? 0.25,
       enforceNightEntryMin: config.enforceNightEntryMin || 'standard',
+      householdAwayBoost: config.householdAwayBoost ?? 0.15,
+      enforceAwayEntryMin: config.enforceAwayEntryMin || 'standard',
+      enforceVacationEntryMin: config.enforceVacationEntryMin || 'elevated',
+      expectedVisitorDownweight: config.expectedVisitorDownweight ?? 0.3,
       
       // Mobile feature flags
       enableSequenceAnalysis: config.enableSequenceAnalysis !== false,
@@ -641,6 +664,7 @@ class GoliathCognitiveInterpreter {
       enableNormalPatterns: config.enableNormalPatterns !== false,
       enableMetricsCollection: config.enableMetricsCollection !== false,
       enableAdaptiveLearning: config.enableAdaptiveLearning !== false,
+      enableNormDecay: config.enableNormDecay !== false,
       
       // Mobile optimizations
       asyncScheduling: config.asyncScheduling || false,
@@ -649,20 +673,83 @@ class GoliathCognitiveInterpreter {
       platform: config.platform || 'node' // 'node', 'react-native', 'browser'
     };
     
-    // Core cognitive systems - use mock implementations for now until APIs are aligned
-    this.contextualMemory = new MockContextualMemorySystem(this.config);
-    this.intentModeler = new MockIntentModelingEngine(this.config);
-    this.reasoningEngine = new MockSymbolicReasoningEngine(this.config);
-    this.spatialAwareness = new MockSpatialTemporalAwareness(this.config);
-    this.adaptiveLearning = new MockAdaptiveLearningSystem(this.config);
+    // Floor plan shared by every engine, so they agree on what each location is
+    this.siteModel = resolveSiteModel(config);
+    this.config.siteModel = this.siteModel;
+    // A plan loaded at runtime is saved; one from the config comes with the config
+    this._siteModelLoaded = false;
     
-    // Initialize autosave system
-    this.autoSaveSystem = new AutoSaveSystem(this.config);
-    if (this.config.autosave.enabled) {
-      this.autoSaveSystem.initialize().catch(error => {
-        console.warn('AutoSave initialization failed:', error);
-      });
+    // Household mode and resident presence, shared with the engines that weigh time of day
+    try {
+      this.household = resolveHouseholdPresence(config);
+    } catch (error) {
+      throw new CognitiveError(error.message, error);
+    }
+    this.config.household = this.household;
+    
+    // Scheduled visits (cleaners, deliveries, dog walker), shared with the temporal tracker
+    try {
+      this.expectedActivity = resolveExpectedActivity(config, this.siteModel);
+    } catch (error) {
+      throw new CognitiveError(error.message, error);
+    }
+    this.config.expectedActivity = this.expectedActivity;
+    
+    // Core cognitive systems - resolved per stage from config.engines
+    this.engineRegistry = config.engineRegistry || defaultEngineRegistry;
+    this.contextualMemory = this._createEngine('memory');
+    this.intentModeler = this._createEngine('intent');
+    this.reasoningEngine = this._createEngine('reasoning');
+    this.spatialAwareness = this._createEngine('spatial');
+    this.adaptiveLearning = this._createEngine('learning');
+    this.suspicionStage = this._createEngine('suspicion');
+    
+    // Per-event explanations, keyed by eventId
+    this.explainableReasoning = new ExplainableReasoningSystem({
+      ...this.config,
+      maxExplanationHistory: this.config.maxAssessmentRecords
+    });
+    this.assessmentRecords = new FixedCapacityLRU(this.config.maxAssessmentRecords);
+    
+    // Routes provideFeedback to every stage that learns from it
+    this.feedbackCoordinator = new FeedbackCoordinator({
+      memory: this.contextualMemory,
+      intent: this.intentModeler,
+      suspicion: this.suspicionStage,
+      learning: this.adaptiveLearning
+    });
+    
+    // Feedback applied through provideFeedback, and rollbacks of it
+    this.feedbackLog = new FixedCapacityLRU(this.config.maxAssessmentRecords);
+    // Relaxing feedback for high-risk contexts waits here until corroborated
+    this.feedbackQuarantine = new FeedbackQuarantine(this.config.learningQuarantine, this.siteModel);
+    this.learningAudit = [];
+    
+    // Compact per-event outcomes for getContextualInsights/getAnalytics
+    this.assessmentLedger = new AssessmentLedger(this.config.maxAnalyticsRecords);
+    
+    // User-assigned entity labels (resident, delivery driver, banned) and merges
+    this.entityLabels = new EntityLabelRegistry();
+
+    // User-defined regions and tripwires that raise or suppress alerts
+    try {
+      this.geofences = new GeofenceEngine({
+        rules: this.config.geofences,
+        maxGapMs: this.config.entityTracking?.handoffToleranceMs
+      }, this.siteModel);
+    } catch (error) {
+      throw new CognitiveError(error.message, error);
     }
+
+    // White-label brand profiles; thresholds fall back to these when switching brands
+    this.brandProfiles = new BrandProfileRegistry();
+    this._baseThresholds = {
+      alertThresholds: { ...this.config.alertThresholds },
+      suspicionThresholds: { ...this.config.suspicionThresholds }
+    };
+    
+    // Single persistence layer for the interpreter and its cognitive systems
+    this.autoSaveSystem = new AutoSaveSystem(this.config);
     
     // Performance tracking with EMA windowing
     this.performanceMetrics = {
@@ -694,8 +781,14 @@ class GoliathCognitiveInterpreter {
       });
     }
     
-    // Initialize auto-save system if available
-    this._initializeAutoSave().catch(err => console.warn('Auto-save init failed:', err.message));
+    // Learned norms fade by their half-lives unless reinforced
+    if (this.config.enableAdaptiveLearning && this.config.enableNormDecay &&
+        typeof this.adaptiveLearning.startNormDecay === 'function') {
+      this.adaptiveLearning.startNormDecay();
+    }
+    
+    // Register components for auto-save and start periodic saves
+    this._autoSaveReady = this._initializeAutoSave().catch(err => console.warn('Auto-save init failed:', err.message));
   }
 
   /**
@@ -731,14 +824,21 @@ class GoliathCognitiveInterpreter {
       // Validate structured input
       this._validatePerceptionEvent(perceptionEvent);
       
+      // Residents' devices and userHome reports update the household mode before anything weighs it
+      const household = this.household.observe(
+        perceptionEvent,
+        perceptionEvent.entityId ? this.entityLabels.resolve(perceptionEvent.entityId) : perceptionEvent.entityId
+      );
+      
       // Update spatial-temporal awareness
-      this.spatialAwareness.processEvent(perceptionEvent);
+      const spatialState = await this.spatialAwareness.processEvent(perceptionEvent);
       
       // Retrieve relevant contextual memory with timeout
       const contextPromise = this.contextualMemory.retrieveRelevantContext(
         perceptionEvent.location,
         perceptionEvent.timestamp,
-        perceptionEvent.entityType
+        perceptionEvent.entityType,
+        perceptionEvent
       );
       const timeoutPromise = new Promise((_, reject) => 
         setTimeout(() => reject(new Error('Context retrieval timeout')), this.config.processingTimeout)
@@ -749,16 +849,39 @@ class GoliathCognitiveInterpreter {
       // Model intent from behaviors and context
       const intentAssessment = await this.intentModeler.assessIntent(
         perceptionEvent,
-        contextualHistory
+        contextualHistory,
+        spatialState
       );
       
       // Apply symbolic-probabilistic reasoning
-      const cognitiveAssessment = await this.reasoningEngine.reason(
+      const symbolicAssessment = await this.reasoningEngine.reason(
         perceptionEvent,
         intentAssessment,
         contextualHistory
       );
       
+      // Generate unique event ID for sequence context tracking
+      const eventId = this._generateEventId(perceptionEvent);
+      
+      // Graduated suspicion scoring on top of the symbolic assessment
+      const suspicion = await this.suspicionStage.assessSuspicion(
+        perceptionEvent,
+        intentAssessment,
+        symbolicAssessment,
+        contextualHistory,
+        eventId
+      );
+      const cognitiveAssessment = {
+        ...symbolicAssessment,
+        eventId,
+        suspicionLevel: suspicion.adjustedSuspicion,
+        baseSuspicion: suspicion.baseSuspicion,
+        adjustedSuspicion: suspicion.adjustedSuspicion,
+        uncertainty: suspicion.uncertainty,
+        factorBreakdown: suspicion.factorBreakdown,
+        recommendations: suspicion.recommendations
+      };
+      
       // Store in contextual memory for future reference (async for performance)
       if (!this.config.performanceOptimized) {
         await this.contextualMemory.storeEvent(perceptionEvent, cognitiveAssessment);
@@ -777,9 +900,6 @@ class GoliathCognitiveInterpreter {
       const processingTime = performance.now() - startTime;
       this._updatePerformanceMetrics(processingTime);
       
-      // Generate unique event ID for sequence context tracking
-      const eventId = this.contextualMemory._generateEventId(perceptionEvent);
-      
       // Apply alert policy and suspicion shaping
       const rawSuspicion = typeof cognitiveAssessment.suspicionLevel === 'number' ? cognitiveAssessment.suspicionLevel : 0;
       const policy = this._applyAlertPolicy(perceptionEvent, intentAssessment, cognitiveAssessment, contextualHistory);
@@ -795,6 +915,8 @@ class GoliathCognitiveInterpreter {
         result.alertLevel = policy.alertLevel;
         result.shouldNotify = policy.shouldNotify;
         result.policyReasons = policy.reasons;
+        result.householdMode = household.mode;
+        result.intent = this._summarizeIntent(intentAssessment);
         result.processingLatency = Math.round(processingTime * 100) / 100;
         result.cognitiveConfidence = this._calculateCognitiveConfidence(cognitiveAssessment);
         result.timestamp = Date.now();
@@ -807,6 +929,8 @@ class GoliathCognitiveInterpreter {
           alertLevel: policy.alertLevel,
           shouldNotify: policy.shouldNotify,
           policyReasons: policy.reasons,
+          householdMode: household.mode,
+          intent: this._summarizeIntent(intentAssessment),
           processingLatency: Math.round(processingTime * 100) / 100,
           cognitiveConfidence: this._calculateCognitiveConfidence(cognitiveAssessment),
           timestamp: Date.now()
@@ -818,6 +942,28 @@ class GoliathCognitiveInterpreter {
         this._cacheEventResult(perceptionEvent, result);
       }
       
+      // Keep what is needed to explain this assessment later
+      this.assessmentRecords.set(eventId, {
+        eventId,
+        reasoningId: symbolicAssessment.eventId,
+        perceptionEvent,
+        intentAssessment,
+        cognitiveAssessment,
+        contextualRelevance: contextualHistory?.contextualRelevance,
+        normalPatterns: contextualHistory?.normalPatterns,
+        suspicionLevel: policy.shapedSuspicion,
+        alertLevel: policy.alertLevel,
+        policyReasons: policy.reasons
+      });
+      this.assessmentLedger.record(perceptionEvent, result);
+      if (this.config.explanationMode === 'eager') {
+        try {
+          await this._buildExplanation(eventId);
+        } catch (error) {
+          console.warn('Explanation generation failed:', error.message);
+        }
+      }
+      
       // Track AI assessment for auto-save
       this._markChanged({
         type: 'event_interpreted',
@@ -874,7 +1020,7 @@ class GoliathCognitiveInterpreter {
     }
     
     // Analyze sequence-level patterns
-    const sequenceAssessment = this.intentModeler.assessSequenceIntent(assessments);
+    const sequenceAssessment = await this.intentModeler.assessSequenceIntent(assessments, sortedEvents);
     
     return {
       individualAssessments: assessments,
@@ -883,11 +1029,278 @@ class GoliathCognitiveInterpreter {
     };
   }
 
+  /**
+   * Device event API - process a raw security device event
+   * ({ deviceId, deviceType, eventType, location, confidence, timestamp, metadata })
+   * and return the documented decision object
+   *
+   * @param {Object} deviceEvent - Security event as reported by a device
+   * @returns {AIDecision} { alertLevel, message, threatScore, confidence, reasoning, eventId, processingTime }
+   */
+  async processEvent(deviceEvent) {
+    const startTime = performance.now();
+
+    const errors = validateDeviceEvent(deviceEvent);
+    if (errors.length > 0) {
+      throw new CognitiveError(`Invalid device event: ${errors.join(', ')}`);
+    }
+
+    const perceptionEvent = normalizeDeviceEvent(deviceEvent);
+    const assessment = await this.interpretEvent(perceptionEvent);
+
+    return this._toDeviceDecision(deviceEvent, assessment, performance.now() - startTime);
+  }
+
+  /**
+   * Process several device events, returning decisions in input order.
+   * Events are interpreted one after another so each sees the context
+   * left by the previous ones.
+   */
+  async processBatch(deviceEvents) {
+    if (!Array.isArray(deviceEvents)) {
+      throw new CognitiveError('Device events must be an array');
+    }
+
+    const maxBatchSize = this.config.maxBatchSize || 100;
+    if (deviceEvents.length > maxBatchSize) {
+      throw new CognitiveError(`Batch of ${deviceEvents.length} events exceeds the maximum of ${maxBatchSize}`);
+    }
+
+    const decisions = [];
+    for (const deviceEvent of deviceEvents) {
+      decisions.push(await this.processEvent(deviceEvent));
+    }
+    return decisions;
+  }
+
+  /**
+   * Configure a white-label brand profile and make it active
+   *
+   * @param {Object} brandConfig - { brandName, alertThresholds, suspicionThresholds, contextWeights, customMessages, whiteLabel }
+   * @returns {Object} The active brand profile
+   */
+  async setBrandConfiguration(brandConfig) {
+    const errors = validateBrandProfile(brandConfig);
+    if (errors.length === 0) {
+      errors.push(...validateConfig(this._brandThresholds(brandConfig)));
+    }
+    if (errors.length > 0) {
+      throw new CognitiveError(`Brand configuration validation failed: ${errors.join(', ')}`);
+    }
+
+    const profile = this.brandProfiles.register(brandConfig);
+    return this.useBrandProfile(profile.brandName);
+  }
+
+  /**
+   * Switch to a previously configured brand profile
+   */
+  useBrandProfile(brandName) {
+    let profile;
+    try {
+      profile = this.brandProfiles.activate(brandName);
+    } catch (error) {
+      throw new CognitiveError(error.message, error);
+    }
+
+    const { alertThresholds, suspicionThresholds } = this._brandThresholds(profile);
+    this.config.alertThresholds = alertThresholds;
+    this.config.suspicionThresholds = suspicionThresholds;
+
+    this._markChanged({
+      type: 'brand_configured',
+      brandName: profile.brandName,
+      timestamp: Date.now()
+    });
+
+    return { ...profile };
+  }
+
+  /**
+   * Active brand profile, or null when running unbranded
+   */
+  getBrandConfiguration() {
+    const profile = this.brandProfiles.getActive();
+    return profile ? { ...profile } : null;
+  }
+
+  /**
+   * List known entities with their labels. Profiles come from the memory
+   * engine when it tracks entities; labeled entities are always included.
+   * @param {Object} [options] - { label, entityType, limit }
+   * @returns {Array<Object>} Entity profiles, most recently seen first
+   */
+  listEntities(options = {}) {
+    const profiles = new Map();
+    if (typeof this.contextualMemory.listEntityProfiles === 'function') {
+      for (const profile of this.contextualMemory.listEntityProfiles()) {
+        profiles.set(profile.entityId, toEntityProfileView(profile, this.entityLabels.get(profile.entityId)));
+      }
+    }
+    for (const { entityId } of this.entityLabels.list()) {
+      if (!profiles.has(entityId)) {
+        profiles.set(entityId, this._labelOnlyEntity(entityId));
+      }
+    }
+
+    const entities = Array.from(profiles.values())
+      .filter(entity => !options.label || entity.label === options.label)
+      .filter(entity => !options.entityType || entity.entityType === options.entityType)
+      .sort((a, b) => (b.lastSeen || 0) - (a.lastSeen || 0));
+    return options.limit ? entities.slice(0, options.limit) : entities;
+  }
+
+  /**
+   * Get one entity's profile and label (merged IDs resolve to the survivor)
+   * @returns {Object|null}
+   */
+  getEntity(entityId) {
+    const canonicalId = this.entityLabels.resolve(entityId);
+    const profile = typeof this.contextualMemory.getEntityProfile === 'function'
+      ? this.contextualMemory.getEntityProfile(canonicalId)
+      : null;
+    if (profile) {
+      return toEntityProfileView(profile, this.entityLabels.get(canonicalId));
+    }
+    return this.entityLabels.get(canonicalId) ? this._labelOnlyEntity(canonicalId) : null;
+  }
+
+  /**
+   * Label an entity: 'known_resident' and 'delivery_driver' are treated as
+   * known activity by the alert policy, 'banned' always alerts.
+   * Pass null to clear the label.
+   * @param {string} entityId
+   * @param {string|null} label
+   * @param {Object} [options] - { note }
+   */
+  labelEntity(entityId, label, options = {}) {
+    if (!entityId || typeof entityId !== 'string') {
+      throw new CognitiveError('labelEntity requires an entityId');
+    }
+
+    let entry = null;
+    if (label === null) {
+      this.entityLabels.unlabel(entityId);
+    } else {
+      try {
+        entry = this.entityLabels.label(entityId, label, options);
+      } catch (error) {
+        throw new CognitiveError(error.message, error);
+      }
+    }
+
+    this._markChanged({ type: 'entity_labeled', entityId: this.entityLabels.resolve(entityId), label });
+    return entry;
+  }
+
+  /**
+   * Record that two entity IDs are the same individual. The source's
+   * sightings and label fold into the target.
+   * @returns {Object|null} The merged entity
+   */
+  mergeEntities(sourceId, targetId) {
+    try {
+      this.entityLabels.merge(sourceId, targetId);
+    } catch (error) {
+      throw new CognitiveError(error.message, error);
+    }
+    if (typeof this.contextualMemory.mergeEntities === 'function') {
+      this.contextualMemory.mergeEntities(sourceId, targetId);
+    }
+    if (typeof this.spatialAwareness.mergeEntityTracks === 'function') {
+      this.spatialAwareness.mergeEntityTracks(sourceId, targetId);
+    }
+
+    this._markChanged({ type: 'entities_merged', sourceId, targetId });
+    return this.getEntity(targetId);
+  }
+
+  /**
+   * Sightings of an entity, newest first
+   * @param {string} entityId
+   * @param {Object} [options] - { lookbackHours, limit }
+   * @returns {Array<Object>} [] when the memory engine does not track entities
+   */
+  async getEntityTimeline(entityId, options = {}) {
+    if (typeof this.contextualMemory.getEntityTimeline !== 'function') {
+      return [];
+    }
+    return this.contextualMemory.getEntityTimeline(this.entityLabels.resolve(entityId), options);
+  }
+
+  /**
+   * An entity's current track across cameras and zones: the zones it went
+   * through (including ones crossed between sightings), dwell per zone,
+   * speed and path shape
+   * @param {string} entityId
+   * @returns {Object|null} null when the entity has no recent track or the spatial engine does not track entities
+   */
+  getEntityTrack(entityId) {
+    if (typeof this.spatialAwareness.getEntityTrack !== 'function') {
+      return null;
+    }
+    return this.spatialAwareness.getEntityTrack(this.entityLabels.resolve(entityId));
+  }
+
+  _labelOnlyEntity(entityId) {
+    const entry = this.entityLabels.get(entityId);
+    return {
+      entityId,
+      entityType: null,
+      label: entry.label,
+      labelNote: entry.note,
+      firstSeen: null,
+      lastSeen: null,
+      totalSightings: 0,
+      commonLocations: [],
+      commonBehaviors: [],
+      averageSuspicion: 0,
+      feedbackCount: 0,
+      mergedIds: []
+    };
+  }
+
   /**
    * Query the cognitive state for explanations
    */
-  explainReasoning(eventId) {
-    return this.reasoningEngine.explainDecision(eventId);
+  async explainReasoning(eventId) {
+    const explanation = await this._buildExplanation(eventId);
+    if (!explanation) {
+      return { eventId, error: 'No assessment recorded for this event' };
+    }
+    
+    const record = this.assessmentRecords.get(eventId);
+    return {
+      ...explanation,
+      eventId,
+      decision: this.reasoningEngine.explainDecision(record?.reasoningId || eventId)
+    };
+  }
+
+  /**
+   * Focused explanation of one aspect ('intent', 'confidence', 'risk', 'context')
+   * of an assessment; detail is 'low', 'medium' or 'high'
+   */
+  async explainAspect(eventId, aspect, detail = 'medium') {
+    if (!(await this._buildExplanation(eventId))) {
+      throw new CognitiveError(`No assessment recorded for event ${eventId}`);
+    }
+    return this.explainableReasoning.explainAspect(eventId, aspect, detail);
+  }
+
+  /**
+   * Compare the reasoning behind two assessments
+   */
+  async compareEvents(eventIdA, eventIdB) {
+    for (const eventId of [eventIdA, eventIdB]) {
+      if (!(await this._buildExplanation(eventId))) {
+        throw new CognitiveError(`No assessment recorded for event ${eventId}`);
+      }
+    }
+    return {
+      eventIds: [eventIdA, eventIdB],
+      ...(await this.explainableReasoning.explainComparison(eventIdA, eventIdB))
+    };
   }
 
   /**
@@ -898,32 +1311,589 @@ class GoliathCognitiveInterpreter {
   }
 
   /**
-   * Get contextual memory insights
+   * Replace the site floor plan. Every engine shares the model, so the new
+   * zones, connections and landmarks apply from the next event on.
+   * @param {Object|string} definition - Site definition object or JSON text
+   * @returns {Object} The loaded definition
+   */
+  loadSiteModel(definition) {
+    let loaded;
+    try {
+      loaded = this.siteModel.load(definition).toJSON();
+    } catch (error) {
+      throw new CognitiveError(error.message, error);
+    }
+    this._siteModelLoaded = true;
+    this._markChanged({ type: 'site_model_loaded', name: loaded.name ?? null });
+    return loaded;
+  }
+
+  /**
+   * The active site floor plan
    */
-  getContextualInsights(location, timeRange) {
-    return this.contextualMemory.getInsights(location, timeRange);
+  getSiteModel() {
+    return this.siteModel.toJSON();
   }
 
   /**
-   * Update learned norms from feedback
+   * Add a geofence or tripwire rule, replacing any rule with the same id
+   * @param {Object} rule - { id, type: 'region'|'tripwire', action: 'raise'|'suppress', level,
+   *   polygon|zone, trigger, line, direction, from, to, schedule, entityTypes, enabled }
+   * @returns {Object} The rule as stored
    */
-  provideFeedback(eventId, correctAssessment) {
+  addGeofenceRule(rule) {
+    let created;
     try {
-      // Skip feedback processing if adaptive learning is disabled
-      if (!this.config.enableAdaptiveLearning) {
-        return { updated: false, reason: 'adaptive_learning_disabled' };
+      created = this.geofences.addRule(rule);
+    } catch (error) {
+      throw new CognitiveError(error.message, error);
+    }
+    this._markChanged({ type: 'geofence_added', ruleId: created.id });
+    return created;
+  }
+
+  removeGeofenceRule(ruleId) {
+    const removed = this.geofences.removeRule(ruleId);
+    if (removed) {
+      this._markChanged({ type: 'geofence_removed', ruleId });
+    }
+    return removed;
+  }
+
+  listGeofenceRules() {
+    return this.geofences.listRules();
+  }
+
+  /**
+   * Set the household mode: 'home', 'away', 'night' or 'vacation', or
+   * 'auto' to infer it from resident presence and the night hours again
+   * @returns {Object} The household state
+   */
+  setHouseholdMode(mode) {
+    let state;
+    try {
+      state = this.household.setMode(mode);
+    } catch (error) {
+      throw new CognitiveError(error.message, error);
+    }
+    this._markChanged({ type: 'household_mode_set', mode });
+    return state;
+  }
+
+  /**
+   * Record that a resident arrived (true) or left (false)
+   * @returns {Object} The household state
+   */
+  setResidentPresence(residentId, present) {
+    let state;
+    try {
+      state = this.household.setResidentPresence(residentId, present);
+    } catch (error) {
+      throw new CognitiveError(error.message, error);
+    }
+    this._markChanged({ type: 'resident_presence_set', residentId, present: Boolean(present) });
+    return state;
+  }
+
+  /**
+   * Add or replace a resident. Events from the resident's `entityIds`
+   * (phone, keycard, car) count as known activity and update their presence.
+   * @param {Object} resident - { id, name, entityIds, present }
+   */
+  addResident(resident) {
+    let created;
+    try {
+      created = this.household.addResident(resident);
+    } catch (error) {
+      throw new CognitiveError(error.message, error);
+    }
+    this._markChanged({ type: 'resident_added', residentId: created.id });
+    return created;
+  }
+
+  removeResident(residentId) {
+    const removed = this.household.removeResident(residentId);
+    if (removed) {
+      this._markChanged({ type: 'resident_removed', residentId });
+    }
+    return removed;
+  }
+
+  /**
+   * Add or replace an expected activity: a one-off visit (start/end) or a
+   * recurring one (start/end of the first visit plus an RRULE)
+   * @param {Object} entry - { id, name, start, end, rrule, exdates, entityLabels, entityIds,
+   *   entityTypes, zones, behaviors, graceMs, enabled }
+   * @returns {Object} The entry as stored
+   */
+  addExpectedActivity(entry) {
+    let created;
+    try {
+      created = this.expectedActivity.addEntry(entry);
+    } catch (error) {
+      throw new CognitiveError(error.message, error);
+    }
+    this._markChanged({ type: 'expected_activity_added', entryId: created.id });
+    return created;
+  }
+
+  removeExpectedActivity(entryId) {
+    const removed = this.expectedActivity.removeEntry(entryId);
+    if (removed) {
+      this._markChanged({ type: 'expected_activity_removed', entryId });
+    }
+    return removed;
+  }
+
+  listExpectedActivity() {
+    return this.expectedActivity.listEntries();
+  }
+
+  /**
+   * Expected activity windows open at a time, optionally only those covering a location
+   * @param {Object} [options] - { timestamp, location }
+   */
+  getExpectedActivity(options = {}) {
+    return this.expectedActivity.activeAt(options.timestamp ?? Date.now(), options.location ?? null);
+  }
+
+  /**
+   * Import the events of an iCalendar (.ics) document as expected activity
+   * @param {string} text - iCalendar text
+   * @param {Object} [defaults] - Bindings for every imported event: { idPrefix, entityLabels,
+   *   entityIds, entityTypes, zones, behaviors, graceMs }
+   * @returns {Array<Object>} The entries added
+   */
+  importCalendar(text, defaults = {}) {
+    let entries;
+    try {
+      entries = this.expectedActivity.importICalendar(text, defaults);
+    } catch (error) {
+      throw new CognitiveError(error.message, error);
+    }
+    this._markChanged({ type: 'calendar_imported', entries: entries.length });
+    return entries;
+  }
+
+  /**
+   * Import a local .ics file (Node.js only)
+   * @param {string} filePath
+   * @param {Object} [defaults] - As for importCalendar
+   */
+  async importCalendarFile(filePath, defaults = {}) {
+    let text;
+    try {
+      const fs = (await import('fs/promises')).default;
+      text = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      throw new CognitiveError(`Failed to read calendar ${filePath}: ${error.message}`, error);
+    }
+    return this.importCalendar(text, defaults);
+  }
+
+  /**
+   * Household mode, how it was decided, and each resident's presence
+   * @param {number} [timestamp] - Time to evaluate night hours at
+   */
+  getHouseholdState(timestamp = Date.now()) {
+    return this.household.getState(timestamp);
+  }
+
+  /**
+   * Aggregated activity for one location (or every location when null) over
+   * the last `timeRange`: events by alert level, suppression and policy
+   * reasons, feedback outcomes and false-positive rate, peak hours and top
+   * behaviors
+   * @param {string|null} location
+   * @param {number|string} [timeRange='24h'] - Milliseconds or '1h', '24h', '7d', '30d'
+   */
+  getContextualInsights(location, timeRange = '24h') {
+    const { since, until } = this._analyticsWindow(timeRange);
+    const records = this.assessmentLedger.query({ location, since, until });
+
+    let peakTimes = null;
+    if (typeof this.contextualMemory.getPeakActivityTimes === 'function') {
+      peakTimes = this.contextualMemory.getPeakActivityTimes({ location, since, until });
+    }
+
+    return summarizeRecords(records, { location: location || null, from: since, to: until, peakTimes });
+  }
+
+  /**
+   * Interpreter-wide analytics over the last `timeRange`: summary, alert
+   * distribution (percent), top event types, busiest locations, suppression
+   * and feedback
+   * @param {number|string} [timeRange='24h'] - Milliseconds or '1h', '24h', '7d', '30d'
+   */
+  getAnalytics(timeRange = '24h') {
+    const { since, until } = this._analyticsWindow(timeRange);
+    return {
+      ...summarizeAnalytics(this.assessmentLedger.query({ since, until }), { from: since, to: until }),
+      performance: {
+        totalInferences: this.performanceMetrics.totalInferences,
+        averageLatency: Math.round(this.performanceMetrics.emaLatency * 100) / 100
+      }
+    };
+  }
+
+  /**
+   * What is normal at a location and time of day: expected entity types and
+   * behaviors with their shares, observation counts, confidence and drift.
+   * Requires a memory engine that learns norms ('contextual'); the adaptive
+   * learning engine's activity levels are attached when it is active.
+   * @param {Object} [query] - { location, timeCategory: 'night'|'morning'|'day'|'evening' }
+   * @returns {Array<Object>} One norm per location/time category, most observed first
+   */
+  getNorms(query = {}) {
+    if (query.timeCategory && !TIME_CATEGORY_HOURS[query.timeCategory]) {
+      throw new CognitiveError(`Unknown time category "${query.timeCategory}" (available: ${Object.keys(TIME_CATEGORY_HOURS).join(', ')})`);
+    }
+    if (typeof this.contextualMemory.queryNorms !== 'function') {
+      return [];
+    }
+
+    const norms = this.contextualMemory.queryNorms(query);
+    if (typeof this.adaptiveLearning.getCurrentNorms !== 'function') {
+      return norms;
+    }
+
+    const learned = this.adaptiveLearning.getCurrentNorms();
+    return norms.map(norm => ({
+      ...norm,
+      learnedActivity: {
+        location: learned.spatial?.[norm.location] ?? null,
+        byHour: Object.fromEntries((TIME_CATEGORY_HOURS[norm.timeCategory] || [])
+          .filter(hour => learned.temporal?.[`hour_${hour}`] !== undefined)
+          .map(hour => [hour, learned.temporal[`hour_${hour}`]]))
+      }
+    }));
+  }
+
+  /**
+   * Tell the interpreter how an assessment turned out. Feedback is typed:
+   * 'false_alarm', 'missed_threat', 'correct', 'known_person' (optionally
+   * with a trusted `label`, default 'known_resident') or 'wrong_intent'
+   * (with `correctIntent`); the earlier { accurate, actualThreat } form is
+   * still accepted. The record is sent to the memory, intent, suspicion and
+   * learning stages and the report says what each did with it.
+   * When users disagree about an event, the higher role wins (operator >
+   * admin > resident > guest): junior feedback is overruled, and senior
+   * feedback reverts what the junior feedback taught.
+   * @param {string} eventId
+   * @param {Object} feedback - { type, correctIntent, label, confidence, source, note, userId, role }
+   * @returns {Promise<Object>} { learningId, eventId, type, feedback, updated, memory, intent, suspicion, learning, entity, released, dispute }
+   */
+  async provideFeedback(eventId, feedback) {
+    const record = this.assessmentRecords.get(eventId);
+    const ledgerEntry = this.assessmentLedger.get(eventId);
+
+    let typed;
+    try {
+      typed = normalizeFeedback(feedback, {
+        notified: ledgerEntry?.notified,
+        predictedIntent: record?.intentAssessment?.primaryIntent ?? null
+      });
+      if (typed.type === FEEDBACK_TYPES.KNOWN_PERSON && typed.label && !TRUSTED_ENTITY_LABELS.has(typed.label)) {
+        throw new Error(`known_person feedback takes a trusted label (${[...TRUSTED_ENTITY_LABELS].join(', ')})`);
+      }
+      // A device-only ID covers everyone that camera or sensor sees
+      if (typed.type === FEEDBACK_TYPES.KNOWN_PERSON && isDeviceEntityId(record?.perceptionEvent?.entityId)) {
+        throw new Error('known_person feedback needs a recognized entity; the event only names its device (pass metadata.entityId)');
       }
-      
-      return this.adaptiveLearning.incorporateFeedback(eventId, correctAssessment);
     } catch (error) {
-      // Graceful fallback for mobile/ultra_light mode
-      console.warn('Feedback processing disabled or unavailable:', error.message);
-      return { updated: false, reason: 'feedback_disabled' };
+      throw new CognitiveError(error.message, error);
+    }
+
+    const dispute = this._resolveFeedbackDispute(eventId, typed);
+    const overruled = dispute?.resolution === 'overruled';
+
+    // Outcomes feed analytics even when learning from them is disabled
+    this.assessmentLedger.recordFeedback(eventId, typed, { overruled });
+
+    const assessment = { perceptionEvent: record?.perceptionEvent, intentAssessment: record?.intentAssessment };
+    const learningId = overruled ? null : `feedback-${Date.now()}-${Math.random().toString(36).substr(2, 8)}`;
+
+    // Relaxing feedback for a high-risk context changes nothing (label,
+    // memory, suspicion or learning) until it is corroborated
+    let screening = null;
+    if (!overruled) {
+      screening = this.feedbackQuarantine.screen(
+        learningId,
+        eventId,
+        { ...typed, behavioralSequence: assessment.perceptionEvent?.behaviors?.map(type => ({ type, intensity: 1 })) },
+        assessment.perceptionEvent ? feedbackContext(assessment.perceptionEvent) : {},
+        { assessment }
+      );
+    }
+    if (screening?.action === 'hold') {
+      this._logFeedback(learningId, eventId, typed, { labelChange: null, held: true });
+      this._markChanged({ type: 'feedback_quarantined', eventId, learningId, contextKey: screening.contextKey, userId: typed.userId });
+
+      const quarantined = { updated: false, reason: 'quarantined' };
+      return {
+        learningId,
+        eventId,
+        type: typed.type,
+        feedback: typed,
+        updated: false,
+        ...Object.fromEntries(FEEDBACK_STAGES.map(stage => [stage, quarantined])),
+        learning: {
+          ...quarantined,
+          learningId,
+          quarantined: true,
+          quarantine: {
+            contextKey: screening.contextKey,
+            riskFactors: screening.riskFactors,
+            corroborations: screening.corroborations,
+            required: screening.required
+          }
+        },
+        entity: { labeled: false, reason: 'quarantined' },
+        released: [],
+        dispute
+      };
     }
+
+    // Held feedback this one corroborates is applied first, oldest first
+    const released = [];
+    for (const held of screening?.released || []) {
+      await this._applyFeedback(held.learningId, held.assessmentId, held.processedFeedback, held.assessment, false);
+      released.push(held.learningId);
+    }
+
+    const { report, entity } = await this._applyFeedback(learningId, eventId, typed, assessment, overruled);
+
+    this._markChanged({ type: 'feedback', eventId, learningId, feedbackType: typed.type, userId: typed.userId });
+    return {
+      learningId,
+      eventId,
+      type: typed.type,
+      feedback: typed,
+      ...report,
+      updated: report.updated || entity.labeled,
+      entity,
+      released,
+      dispute
+    };
+  }
+
+  /**
+   * Label the entity and send feedback to every learning stage, recording
+   * what it changed so it can be reverted
+   */
+  async _applyFeedback(learningId, eventId, typed, assessment, overruled) {
+    // "That was just the neighbor": remember the entity as known
+    let entity = { labeled: false };
+    let labelChange = null;
+    const entityId = assessment.perceptionEvent?.entityId;
+    if (overruled) {
+      entity.reason = 'overruled';
+    } else if (typed.type === FEEDBACK_TYPES.KNOWN_PERSON) {
+      if (entityId) {
+        const label = typed.label || ENTITY_LABELS.KNOWN_RESIDENT;
+        const before = this.entityLabels.get(entityId);
+        const after = this.entityLabels.label(entityId, label, { note: typed.note });
+        labelChange = { entityId: this.entityLabels.resolve(entityId), before, after };
+        entity = { labeled: true, entityId: labelChange.entityId, label };
+      } else {
+        entity.reason = 'no_entity';
+      }
+    }
+
+    const skipReason = overruled ? 'overruled' : (this.config.enableAdaptiveLearning ? null : 'adaptive_learning_disabled');
+    const skip = skipReason ? Object.fromEntries(FEEDBACK_STAGES.map(stage => [stage, skipReason])) : {};
+    const report = await this.feedbackCoordinator.distribute(eventId, typed, assessment, { skip, learningId, screened: true });
+
+    // Remember what this feedback changed outside the learning engine so it can be reverted
+    if (!overruled) {
+      this._logFeedback(learningId, eventId, typed, {
+        labelChange,
+        held: false,
+        stages: FEEDBACK_STAGES.filter(stage => report[stage]?.updated === true),
+        suspicionFeedbackId: report.suspicion?.feedbackId ?? null
+      });
+    }
+    return { report, entity };
+  }
+
+  _logFeedback(learningId, eventId, typed, { labelChange, held, stages = [], suspicionFeedbackId = null }) {
+    this.feedbackLog.set(learningId, {
+      learningId,
+      eventId,
+      type: typed.type,
+      userId: typed.userId,
+      role: typed.role,
+      actualThreat: typed.actualThreat,
+      // Released feedback keeps the time it was given
+      timestamp: this.feedbackLog.cache.get(learningId)?.timestamp ?? Date.now(),
+      labelChange,
+      held,
+      // Stages that learned from it, and the suspicion stage's handle to undo it
+      stages,
+      suspicionFeedbackId,
+      revertedAt: null
+    });
+  }
+
+  /**
+   * Undo one piece of feedback (or one adaptive norm update): the learning
+   * engine's norm, pattern and rule changes, the graduated suspicion
+   * adjustment, an entity label it applied and its analytics outcome. What
+   * the memory and intent stages learned cannot be taken back; the audit
+   * lists it under notReverted, with labels changed since.
+   * @param {string} learningId - From the provideFeedback report
+   * @param {Object} [options] - { reason }
+   * @returns {Object} Audit record of the rollback
+   */
+  revertLearning(learningId, options = {}) {
+    const entry = this.feedbackLog.cache.get(learningId);
+    if (entry?.revertedAt) {
+      throw new CognitiveError(`Learning ${learningId} was already reverted`);
+    }
+
+    let engineAudit = null;
+    if (typeof this.adaptiveLearning.revertLearning === 'function') {
+      try {
+        engineAudit = this.adaptiveLearning.revertLearning(learningId, options);
+      } catch (error) {
+        // Feedback the learning engine recorded nothing for can still carry a label
+        if (!entry) throw new CognitiveError(error.message, error);
+      }
+    } else if (!entry) {
+      throw new CognitiveError(`No reversible learning recorded for ${learningId}`);
+    }
+
+    return this._auditLearningRollback({ learningId }, entry ? [entry] : [], engineAudit, options.reason);
+  }
+
+  /**
+   * Undo all feedback and adaptive norm updates from `timestamp` on, newest first
+   * @param {number} timestamp
+   * @param {Object} [options] - { reason }
+   * @returns {Object} Audit record of the rollback
+   */
+  rollbackLearningSince(timestamp, options = {}) {
+    if (typeof timestamp !== 'number' || !Number.isFinite(timestamp)) {
+      throw new CognitiveError('rollbackLearningSince requires a timestamp');
+    }
+
+    const entries = Array.from(this.feedbackLog.cache.values())
+      .filter(entry => entry.timestamp >= timestamp && !entry.revertedAt)
+      .sort((a, b) => b.timestamp - a.timestamp);
+    const engineAudit = typeof this.adaptiveLearning.rollbackLearningSince === 'function'
+      ? this.adaptiveLearning.rollbackLearningSince(timestamp, options)
+      : null;
+
+    return this._auditLearningRollback({ since: timestamp }, entries, engineAudit, options.reason);
+  }
+
+  /**
+   * Rollbacks applied so far, oldest first
+   */
+  getLearningAudit() {
+    return [...this.learningAudit];
+  }
+
+  /**
+   * Fade learned norms toward neutral now instead of waiting for the
+   * scheduled run (hourly by default, see normHalfLives)
+   * @returns {Object|null} { timestamp, decayed, forgotten, categories }, or null when the engine does not decay norms
+   */
+  decayNorms() {
+    return typeof this.adaptiveLearning.decayNorms === 'function'
+      ? this.adaptiveLearning.decayNorms()
+      : null;
+  }
+
+  /**
+   * Feedback held back until it is corroborated: relaxing feedback for
+   * high-risk contexts (night, doors and windows, high-risk behaviors)
+   * @returns {Object} { held, required, totals }
+   */
+  getQuarantinedFeedback() {
+    return this.feedbackQuarantine.getState();
   }
 
   // Private methods
 
+  /**
+   * Settle feedback that contradicts another user's standing feedback on the
+   * same event: the senior role wins, equal or unknown roles leave the latest
+   * feedback standing
+   * @returns {Object|null} { resolution: 'overruled'|'override'|'latest', ... }, null without a dispute
+   */
+  _resolveFeedbackDispute(eventId, typed) {
+    if (typeof typed.actualThreat !== 'boolean') return null;
+    const disputed = Array.from(this.feedbackLog.cache.values()).filter(entry =>
+      entry.eventId === eventId && !entry.revertedAt && entry.userId !== typed.userId &&
+      typeof entry.actualThreat === 'boolean' && entry.actualThreat !== typed.actualThreat
+    );
+    if (disputed.length === 0) return null;
+
+    const senior = disputed.find(entry => outranks(entry.role, typed.role));
+    if (senior) {
+      return { resolution: 'overruled', by: { userId: senior.userId, role: senior.role } };
+    }
+
+    const overridden = disputed.filter(entry => outranks(typed.role, entry.role));
+    for (const entry of overridden) {
+      this.assessmentLedger.overruleFeedback(eventId, entry.userId);
+      this.revertLearning(entry.learningId, { reason: `overridden by ${typed.role} ${typed.userId ?? ''}`.trim() });
+    }
+    return {
+      resolution: overridden.length > 0 ? 'override' : 'latest',
+      overridden: overridden.map(entry => ({ userId: entry.userId, role: entry.role, learningId: entry.learningId })),
+      disputedWith: disputed.map(entry => ({ userId: entry.userId, role: entry.role }))
+    };
+  }
+
+  _auditLearningRollback(scope, entries, engineAudit, reason = null) {
+    let labels = 0;
+    let suspicion = 0;
+    const notReverted = [];
+    for (const entry of entries) {
+      const change = entry.labelChange;
+      // Only undo a label nobody has changed since
+      if (change && this.entityLabels.get(change.entityId)?.labeledAt === change.after.labeledAt) {
+        this.entityLabels.restore(change.entityId, change.before);
+        labels++;
+      } else if (change) {
+        notReverted.push({ learningId: entry.learningId, stage: 'entity', reason: 'relabeled_since' });
+      }
+      for (const stage of entry.stages || []) {
+        if (stage === 'learning') continue;
+        if (stage === 'suspicion' && entry.suspicionFeedbackId && typeof this.suspicionStage.revertFeedback === 'function') {
+          if (this.suspicionStage.revertFeedback(entry.suspicionFeedbackId)) {
+            suspicion++;
+            continue;
+          }
+          notReverted.push({ learningId: entry.learningId, stage, reason: 'feedback_expired' });
+          continue;
+        }
+        notReverted.push({ learningId: entry.learningId, stage, reason: 'not_reversible' });
+      }
+      this.assessmentLedger.clearFeedback(entry.eventId, entry.userId ?? null);
+      // Still held: dropping it is the whole undo
+      if (entry.held) this.feedbackQuarantine.discard(entry.learningId);
+      entry.revertedAt = Date.now();
+    }
+
+    const learningIds = new Set([...entries.map(entry => entry.learningId), ...(engineAudit?.learningIds || [])]);
+    const audit = {
+      rollbackId: engineAudit?.rollbackId || `rollback-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`,
+      timestamp: Date.now(),
+      scope,
+      learningIds: [...learningIds],
+      restored: { norms: 0, patterns: 0, rules: 0, ...(engineAudit?.restored || {}), labels, suspicion },
+      notReverted,
+      reason
+    };
+    this.learningAudit.push(audit);
+
+    this._markChanged({ type: 'learning_rolled_back', rollbackId: audit.rollbackId, reverted: audit.learningIds.length });
+    return audit;
+  }
+
   _initializeCognition() {
     // Initialize cognitive systems
     console.log('🧠 Initializing Goliath Cognitive Interpreter...');
@@ -932,6 +1902,84 @@ class GoliathCognitiveInterpreter {
     console.log('⚡ Target latency: <5ms');
   }
 
+  async _buildExplanation(eventId) {
+    const existing = this.explainableReasoning.reasoningHistory.get(eventId);
+    if (existing) return existing;
+    
+    const record = this.assessmentRecords.get(eventId);
+    if (!record) return null;
+    
+    const { perceptionEvent: event, intentAssessment: intent, cognitiveAssessment: assessment } = record;
+    const intentConfidence = intent?.intentConfidence ?? intent?.confidence;
+    const anomalies = new Set((intent?.behavioralIndicators?.anomalies || []).map(anomaly => anomaly.behavior));
+    const hour = new Date(event.timestamp).getHours();
+    const timeCategory = hour >= 22 || hour < 6 ? 'night' : hour < 12 ? 'morning' : hour < 18 ? 'afternoon' : 'evening';
+    
+    return this.explainableReasoning.explainAssessment(
+      {
+        assessmentId: eventId,
+        entityId: event.entityId,
+        primaryIntent: intent?.primaryIntent,
+        intentConfidence,
+        riskAssessment: intent?.riskAssessment,
+        suspicionLevel: record.suspicionLevel,
+        behavioralAnalysis: {
+          indicators: event.behaviors.map(behavior => ({ behavior, anomaly: anomalies.has(behavior) })),
+          confidence: event.detectionConfidence
+        }
+      },
+      {
+        location: event.location,
+        temporalContext: timeCategory,
+        spatialContext: { location: event.location },
+        normalPatterns: record.normalPatterns
+      },
+      {
+        symbolicReasoning: {
+          input: event.behaviors,
+          output: { suspicionLevel: assessment.suspicionLevel, alertLevel: record.alertLevel },
+          rulesApplied: assessment.symbolicFactors || assessment.factors || [],
+          confidence: assessment.reasoningCertainty ?? assessment.confidence
+        },
+        intentModeling: {
+          input: event.behaviors,
+          output: { primaryIntent: intent?.primaryIntent, riskAssessment: intent?.riskAssessment },
+          patterns: intent?.behavioralPatterns || [],
+          confidence: intentConfidence
+        },
+        contextualMemory: {
+          retrieved: Object.keys(record.normalPatterns || {}).length,
+          relevance: record.contextualRelevance,
+          influence: record.policyReasons.includes('normal_pattern') ? 'normal_pattern' : 'none'
+        }
+      }
+    );
+  }
+
+  // Thresholds a brand profile would run with, layered over the constructor config
+  _brandThresholds(profile) {
+    return {
+      ...this.config,
+      alertThresholds: { ...this._baseThresholds.alertThresholds, ...(profile.alertThresholds || {}) },
+      suspicionThresholds: { ...this._baseThresholds.suspicionThresholds, ...(profile.suspicionThresholds || {}) }
+    };
+  }
+
+  _analyticsWindow(timeRange) {
+    let durationMs;
+    try {
+      durationMs = parseTimeRange(timeRange);
+    } catch (error) {
+      throw new CognitiveError(error.message, error);
+    }
+    const until = Date.now();
+    return { since: until - durationMs, until };
+  }
+
+  _createEngine(stage) {
+    return this.engineRegistry.create(stage, this.config.engines[stage], this.config);
+  }
+
   _initializeObjectPools() {
     // Assessment object pool
     this.assessmentPool = new ObjectPool(
@@ -1068,6 +2116,10 @@ class GoliathCognitiveInterpreter {
     }
   }
 
+  _generateEventId(event) {
+    return `evt-${event.timestamp}-${event.entityId}-${Math.random().toString(36).substr(2, 6)}`;
+  }
+
   _generateCacheKey(event) {
     return hashKey(event.entityType, event.location, event.behaviors.join(','), Math.floor(event.timestamp / 60000)); // 1-minute granularity
   }
@@ -1150,42 +2202,51 @@ class GoliathCognitiveInterpreter {
   }
 
   /**
-   * Initialize auto-save system
+   * Stop background work: norm decay, the scheduler queue and periodic saves,
+   * writing pending changes first. Call once the interpreter is no longer used.
    */
-  async _initializeAutoSave() {
-    if (this.config.autoSaveEnabled === false) {
-      return;
+  async dispose() {
+    if (typeof this.adaptiveLearning?.stopNormDecay === 'function') {
+      this.adaptiveLearning.stopNormDecay();
     }
+    this.clearAsyncScheduler();
 
-    try {
-      // Dynamic import of AutoSaveSystem
-      const autoSaveModule = await import('./auto-save-system.js');
-      const AutoSaveSystem = autoSaveModule.default;
-
-      this.autoSaveSystem = new AutoSaveSystem({
-        autoSaveEnabled: this.config.autoSaveEnabled !== false,
-        saveInterval: this.config.autoSaveInterval || 30000, // 30 seconds
-        saveDirectory: this.config.autoSaveDirectory || './data/auto-saves',
-        maxBackups: this.config.maxAutoSaveBackups || 10,
-        devinTrackingEnabled: this.config.devinTrackingEnabled !== false,
-        ...this.config.autoSaveConfig
-      });
+    // Initialization may still be about to start the save timer
+    await this._autoSaveReady;
+    await this.autoSaveSystem.shutdown();
+  }
 
-      // Register cognitive systems for auto-save
-      if (this.contextualMemory && this.contextualMemory.initializeAutoSave) {
-        this.contextualMemory.initializeAutoSave(this.autoSaveSystem);
-      }
+  /**
+   * Alias of dispose()
+   */
+  async stop() {
+    return this.dispose();
+  }
 
-      if (this.adaptiveLearning && this.adaptiveLearning.initializeAutoSave) {
-        this.adaptiveLearning.initializeAutoSave(this.autoSaveSystem);
-      }
+  /**
+   * Initialize auto-save system
+   */
+  async _initializeAutoSave() {
+    // Register cognitive systems for auto-save
+    if (this.contextualMemory && this.contextualMemory.initializeAutoSave) {
+      this.contextualMemory.initializeAutoSave(this.autoSaveSystem);
+    }
+
+    if (this.adaptiveLearning && this.adaptiveLearning.initializeAutoSave) {
+      this.adaptiveLearning.initializeAutoSave(this.autoSaveSystem);
+    }
 
-      // Register main AI system for auto-save
-      this.autoSaveSystem.registerComponent('main-ai-system', this);
+    // Register main AI system for auto-save
+    this.autoSaveSystem.registerComponent('main-ai-system', this);
 
+    if (this.autoSaveSystem.config.enabled) {
+      await this.autoSaveSystem.initialize();
       console.log('💾 Auto-save system initialized successfully');
-    } catch (error) {
-      console.warn('Failed to initialize auto-save system:', error.message);
+
+      // Replay changes journaled since the last snapshot (e.g. after a crash)
+      if (this.autoSaveSystem.journal.enabled) {
+        await this.autoSaveSystem.recover();
+      }
     }
   }
 
@@ -1207,11 +2268,37 @@ class GoliathCognitiveInterpreter {
       },
       performanceMetrics: this.performanceMetrics,
       alertTimestamps: Array.from(this._alertTimestamps.entries()),
+      siteModel: this._siteModelLoaded ? this.siteModel.toJSON() : null,
+      brandProfiles: this.brandProfiles.getSaveState(),
+      entityLabels: this.entityLabels.getSaveState(),
+      geofences: this.geofences.getSaveState(),
+      household: this.household.getSaveState(),
+      expectedActivity: this.expectedActivity.getSaveState(),
+      assessmentLedger: this.assessmentLedger.getSaveState(),
+      // Adaptation state of suspicion stages that keep one
+      suspicion: typeof this.suspicionStage.getSaveState === 'function' ? await this.suspicionStage.getSaveState() : null,
+      feedbackLog: Array.from(this.feedbackLog.cache.entries()),
+      feedbackQuarantine: this.feedbackQuarantine.getSaveState(),
+      learningAudit: this.learningAudit,
       timestamp: Date.now(),
       version: '2.0.0'
     };
   }
 
+  /**
+   * Journal ops for the assessment ledger and the suspicion history since
+   * the last call, so the AutoSaveSystem journal need not diff them on every change
+   */
+  getJournalPatch() {
+    const paths = [['assessmentLedger']];
+    const patch = this.assessmentLedger.takeJournalPatch(['assessmentLedger']);
+    if (typeof this.suspicionStage.takeJournalPatch === 'function') {
+      paths.push(['suspicion', 'history']);
+      patch.push(...this.suspicionStage.takeJournalPatch(['suspicion']));
+    }
+    return { paths, patch };
+  }
+
   /**
    * Restore state from saved data (required by AutoSaveSystem)
    */
@@ -1228,30 +2315,76 @@ class GoliathCognitiveInterpreter {
       this._alertTimestamps = new Map(savedState.alertTimestamps);
     }
 
+    if (savedState.siteModel) {
+      this.siteModel.load(savedState.siteModel);
+      this._siteModelLoaded = true;
+    }
+
+    // The active brand's thresholds replace the constructor's, as useBrandProfile does
+    if (savedState.brandProfiles) {
+      this.brandProfiles.restoreFromSave(savedState.brandProfiles);
+      const { alertThresholds, suspicionThresholds } = this._brandThresholds(this.brandProfiles.getActive() || {});
+      this.config.alertThresholds = alertThresholds;
+      this.config.suspicionThresholds = suspicionThresholds;
+    }
+
+    if (savedState.entityLabels) {
+      this.entityLabels.restoreFromSave(savedState.entityLabels);
+    }
+
+    if (savedState.geofences) {
+      this.geofences.restoreFromSave(savedState.geofences);
+    }
+
+    if (savedState.household) {
+      this.household.restoreFromSave(savedState.household);
+    }
+
+    if (savedState.expectedActivity) {
+      this.expectedActivity.restoreFromSave(savedState.expectedActivity);
+    }
+
+    if (savedState.assessmentLedger) {
+      this.assessmentLedger.restoreFromSave(savedState.assessmentLedger);
+    }
+
+    if (savedState.suspicion && typeof this.suspicionStage.restoreFromSave === 'function') {
+      await this.suspicionStage.restoreFromSave(savedState.suspicion);
+    }
+
+    if (savedState.feedbackLog) {
+      this.feedbackLog.clear();
+      savedState.feedbackLog.forEach(([learningId, entry]) => this.feedbackLog.set(learningId, entry));
+    }
+    if (savedState.feedbackQuarantine) {
+      this.feedbackQuarantine.restoreFromSave(savedState.feedbackQuarantine);
+    }
+    if (savedState.learningAudit) {
+      this.learningAudit = [...savedState.learningAudit];
+    }
+
     console.log('📂 Main AI system state restored');
   }
 
   /**
    * Force immediate auto-save
+   * @returns {string|null} Path of the save file, or null when autosave is disabled
    */
   async saveState() {
-    if (this.autoSaveSystem) {
-      await this.autoSaveSystem.forceSave();
-      return true;
-    }
-    return false;
+    return this.autoSaveSystem.saveState();
   }
 
   /**
    * Load latest auto-save
    */
   async loadLatestState() {
-    if (this.autoSaveSystem) {
-      const saveData = await this.autoSaveSystem.loadLatestSave();
-      if (saveData) {
-        await this.autoSaveSystem.restoreFromSave(saveData);
-        return true;
-      }
+    if (this.autoSaveSystem.journal.enabled) {
+      return Boolean(await this.autoSaveSystem.recover());
+    }
+    const saveData = await this.autoSaveSystem.loadLatestSave();
+    if (saveData) {
+      await this.autoSaveSystem.restoreFromSave(saveData);
+      return true;
     }
     return false;
   }
@@ -1260,34 +2393,21 @@ class GoliathCognitiveInterpreter {
    * Get auto-save status and devin changes summary
    */
   getAutoSaveStatus() {
-    if (!this.autoSaveSystem) {
-      return { enabled: false, message: 'Auto-save not available' };
-    }
-
-    return {
-      enabled: true,
-      ...this.autoSaveSystem.getStatus(),
-      devinChangesSummary: this.autoSaveSystem.getDevinChangesSummary()
-    };
+    return this.autoSaveSystem.getStatus();
   }
 
   /**
    * Export devin changes to file
    */
   async exportDevinChanges() {
-    if (this.autoSaveSystem) {
-      return await this.autoSaveSystem.exportDevinChanges();
-    }
-    throw new Error('Auto-save system not available');
+    return this.autoSaveSystem.exportDevinChanges();
   }
 
   /**
    * Mark system as changed (for tracking devin/AI changes)
    */
   _markChanged(changeDetails = {}) {
-    if (this.autoSaveSystem) {
-      this.autoSaveSystem.markChanged('main-ai-system', changeDetails);
-    }
+    this.autoSaveSystem.markChanged('main-ai-system', changeDetails);
   }
 
   /**
@@ -1373,6 +2493,7 @@ class GoliathCognitiveInterpreter {
     let shaped = typeof assessment.suspicionLevel === 'number' ? assessment.suspicionLevel : 0;
     const reasons = [];
     const authorized = this._isAuthorizedOrKnown(event, intent);
+    const householdMode = this.household.getMode(event.timestamp);
 
     // Downweight and cap authorized/known activity
     if (authorized) {
@@ -1390,10 +2511,56 @@ class GoliathCognitiveInterpreter {
       reasons.push('normal_pattern');
     }
 
-    // High-risk boost for unauthorized at night on entry points
-    const unauthorized = !authorized && (intent && intent.primaryIntent === 'unauthorized_access');
-    const isNightRisk = Array.isArray(intent?.riskFactors) && intent.riskFactors.includes('unusual_time');
-    const isEntryPoint = typeof event.location === 'string' && (event.location.includes('door') || event.location.includes('window'));
+    // Scheduled visits are expected inside their window and flagged just outside it.
+    // An integration's metadata.expectedVisitor is only a claim: anyone at the
+    // door could trigger it, so it counts for nothing unless a schedule matches
+    const banned = Boolean(event.entityId && this.entityLabels.isBanned(event.entityId));
+    const schedule = this.expectedActivity.match(
+      { ...event, entityId: event.entityId ? this.entityLabels.resolve(event.entityId) : event.entityId },
+      event.entityId ? this.entityLabels.get(event.entityId)?.label : null
+    );
+    const expectedVisitor = !banned && schedule.expected.length > 0;
+    if (expectedVisitor) {
+      shaped = Math.max(0, shaped - (this.config.expectedVisitorDownweight ?? 0.3));
+      reasons.push('expected_visitor', ...schedule.expected.map(match => `schedule:${match.entryId}`));
+    } else if (!banned && schedule.outsideWindow.length > 0) {
+      reasons.push('expected_visitor_outside_window', ...schedule.outsideWindow.map(match => `schedule:${match.entryId}`));
+    }
+    if (!expectedVisitor && event.metadata?.expectedVisitor === true) {
+      reasons.push('expected_visitor_unverified');
+    }
+
+    // Brand context weights (user away, night, entry point, interference)
+    const contextWeights = this.brandProfiles.getActive()?.contextWeights;
+    if (contextWeights) {
+      for (const { reason, weight } of computeContextMultipliers(event, intent, contextWeights, authorized, this.siteModel, householdMode)) {
+        shaped = Math.min(1, shaped * weight);
+        reasons.push(reason);
+      }
+    }
+
+    // Escalating intent progression for this entity
+    const progression = intent?.intentProgression;
+    const escalating = !authorized && Boolean(progression && (progression.escalation || progression.progression === 'escalating'));
+    if (escalating) {
+      shaped = Math.min(1, shaped + (this.config.intentEscalationBoost ?? 0.15));
+      reasons.push('intent_escalation_boost');
+    }
+
+    // Nobody home: unexplained activity matters more, and most at entry points
+    const isEntryPoint = this.siteModel.isEntryPoint(event.location);
+    const householdEmpty = !authorized && !expectedVisitor && this.household.isUnoccupiedMode(householdMode);
+    if (householdEmpty) {
+      shaped = Math.min(1, shaped + (this.config.householdAwayBoost ?? 0.15));
+      reasons.push(`household_${householdMode}_boost`);
+    }
+    const emptyHouseEntry = householdEmpty && isEntryPoint;
+
+    // High-risk boost for unauthorized at night on entry points; a household
+    // in night mode is asleep whatever the clock says
+    const unauthorized = !authorized && this._isHostileIntent(intent);
+    const isNightRisk = householdMode === 'night' || this.household.isNightHours(event.timestamp) ||
+      (Array.isArray(intent?.riskFactors) && intent.riskFactors.includes('unusual_time'));
     const highRiskNightEntry = unauthorized && isNightRisk && isEntryPoint;
     if (highRiskNightEntry) {
       const boost = this.config.highRiskNightEntryBoost ?? 0.25;
@@ -1405,6 +2572,14 @@ class GoliathCognitiveInterpreter {
     let alertLevel = this._computeAlertLevel(shaped);
     let shouldNotify = alertLevel !== 'info';
 
+    // High-risk intent assessments never fall below the standard level
+    const highRiskIntent = unauthorized && intent?.riskAssessment?.riskCategory === 'high';
+    if (highRiskIntent && this._compareAlertLevels(alertLevel, 'standard') < 0) {
+      alertLevel = 'standard';
+      shouldNotify = true;
+      reasons.push('high_risk_intent_min');
+    }
+
     // Enforce minimum level for high-risk night entry
     if (highRiskNightEntry) {
       const minLevel = this.config.enforceNightEntryMin || 'standard';
@@ -1443,9 +2618,12 @@ class GoliathCognitiveInterpreter {
       else if (alertLevel === 'standard') { alertLevel = 'info'; shouldNotify = false; reasons.push('low_confidence_suppress'); }
     }
 
-    // Re-enforce minimum level for high-risk night entry after gating
+    // Re-enforce minimum level for high-risk night entry after gating; the
+    // enforced minimums also hold against suppress geofences below
+    let enforcedMin = null;
     if (typeof highRiskNightEntry !== 'undefined' && highRiskNightEntry) {
       const minLevel = this.config.enforceNightEntryMin || 'standard';
+      enforcedMin = minLevel;
       if (this._compareAlertLevels(alertLevel, minLevel) < 0) {
         alertLevel = minLevel;
         shouldNotify = true;
@@ -1453,10 +2631,57 @@ class GoliathCognitiveInterpreter {
       }
     }
 
-    // Backoff-based suppression/downgrade to reduce spam
+    // Entry point activity in an empty house always notifies, after gating
+    if (emptyHouseEntry) {
+      const minLevel = householdMode === 'vacation'
+        ? this.config.enforceVacationEntryMin || 'elevated'
+        : this.config.enforceAwayEntryMin || 'standard';
+      if (!enforcedMin || this._compareAlertLevels(minLevel, enforcedMin) > 0) {
+        enforcedMin = minLevel;
+      }
+      if (this._compareAlertLevels(alertLevel, minLevel) < 0) {
+        alertLevel = minLevel;
+        shouldNotify = true;
+        reasons.push(`household_${householdMode}_entry_min`);
+      }
+    }
+
+    // Geofences: a matching raise rule wins over a suppress rule, and a
+    // suppress rule never lowers an alert past an enforced entry minimum
+    const geofenceMatches = this.geofences.evaluate({
+      ...event,
+      entityId: event.entityId ? this.entityLabels.resolve(event.entityId) : event.entityId
+    });
+    const raises = geofenceMatches.filter(match => match.action === 'raise');
+    const applied = raises.length > 0 ? raises : geofenceMatches;
+    for (const match of applied) {
+      reasons.push(`geofence:${match.ruleId}`);
+    }
+    if (raises.length > 0) {
+      const level = raises.map(match => match.level).reduce((a, b) => (this._compareAlertLevels(a, b) >= 0 ? a : b));
+      if (this._compareAlertLevels(alertLevel, level) < 0) {
+        alertLevel = level;
+        shouldNotify = alertLevel !== 'info';
+        reasons.push('geofence_raise');
+      }
+    } else if (applied.length > 0) {
+      let level = applied.map(match => match.level).reduce((a, b) => (this._compareAlertLevels(a, b) <= 0 ? a : b));
+      if (enforcedMin && this._compareAlertLevels(level, enforcedMin) < 0) {
+        level = enforcedMin;
+        reasons.push('entry_min_over_geofence');
+      }
+      if (this._compareAlertLevels(alertLevel, level) > 0) {
+        alertLevel = level;
+        shouldNotify = alertLevel !== 'info';
+        reasons.push(shouldNotify ? 'geofence_downgrade' : 'geofence_suppress');
+      }
+    }
+
+    // Backoff-based suppression/downgrade to reduce spam; a banned entity
+    // alerts every time it shows up
     const key = `${event.entityId}@${event.location}`;
     const now = Date.now();
-    if (this._shouldSuppressByBackoff(key, now)) {
+    if (!banned && this._shouldSuppressByBackoff(key, now)) {
       if (alertLevel === 'critical') {
         alertLevel = this._downgradeAlertLevel(alertLevel);
         reasons.push('backoff_downgrade');
@@ -1467,6 +2692,14 @@ class GoliathCognitiveInterpreter {
       }
     }
 
+    // Banned entities always alert at least at the elevated level, after
+    // every step that can lower the alert
+    if (banned && this._compareAlertLevels(alertLevel, 'elevated') < 0) {
+      alertLevel = 'elevated';
+      shouldNotify = true;
+      reasons.push('banned_entity_min');
+    }
+
     // Record last alert time when notifying
     if (shouldNotify && alertLevel !== 'info') {
       this._alertTimestamps.set(key, now);
@@ -1475,11 +2708,109 @@ class GoliathCognitiveInterpreter {
     return { shapedSuspicion: shaped, alertLevel, shouldNotify, reasons };
   }
 
+  // Map a cognitive assessment onto the device decision levels. The alert
+  // policy's final level and shouldNotify decide; the 0-100 alertThresholds
+  // can lift a notifying event into a higher band, but never past a level
+  // the policy lowered it to
+  _toDeviceDecision(deviceEvent, assessment, processingTime) {
+    const threatScore = Math.round(Math.max(0, Math.min(1, assessment.suspicionLevel || 0)) * 100);
+    const reasons = assessment.policyReasons || [];
+
+    let alertLevel = assessment.shouldNotify ? toDeviceAlertLevel(assessment.alertLevel) : 'IGNORE';
+    const policyLowered = this._compareAlertLevels(assessment.alertLevel, this._computeAlertLevel(assessment.suspicionLevel || 0)) < 0;
+    if (assessment.shouldNotify && !policyLowered) {
+      const scoreLevel = scoreToDeviceAlertLevel(threatScore, this.config.alertThresholds, true);
+      if (compareDeviceAlertLevels(scoreLevel, alertLevel) > 0) {
+        alertLevel = scoreLevel;
+      }
+    }
+
+    // Hazard and forced-entry events are never reported below their floor
+    const minimumLevel = getDeviceEventProfile(deviceEvent.eventType).minimumLevel;
+    if (minimumLevel && compareDeviceAlertLevels(alertLevel, minimumLevel) < 0) {
+      alertLevel = minimumLevel;
+    }
+
+    let reasoning = assessment.reasoning;
+    if (reasoning && typeof reasoning === 'object') {
+      reasoning = reasoning.summary;
+    }
+    if (typeof reasoning !== 'string' || reasoning.length === 0) {
+      reasoning = `AI analysis based on ${(assessment.factors || []).length} factors`;
+    }
+
+    let message = describeDeviceEvent(deviceEvent);
+    const brand = this.brandProfiles.getActive();
+    const template = brand?.customMessages[alertLevel];
+    if (typeof template === 'string') {
+      message = renderBrandMessage(template, {
+        original: message,
+        brandName: brand.brandName,
+        alertLevel,
+        location: deviceEvent.location,
+        threatScore
+      });
+    }
+
+    return {
+      alertLevel,
+      message,
+      threatScore,
+      confidence: Math.round((assessment.cognitiveConfidence || 0) * 100) / 100,
+      reasoning,
+      eventId: assessment.eventId,
+      processingTime: Math.round(processingTime * 100) / 100,
+      deviceId: deviceEvent.deviceId,
+      eventType: deviceEvent.eventType,
+      timestamp: assessment.timestamp,
+      policyReasons: reasons,
+      brand: brand ? brand.brandName : null
+    };
+  }
+
+  _isHostileIntent(intent) {
+    if (!intent) return false;
+    if (intent.primaryIntent === 'unauthorized_access') return true;
+    return HOSTILE_INTENTS.has(intent.primaryIntent) &&
+      (intent.riskAssessment?.riskLevel ?? 1) >= (this.config.hostileIntentMinRisk ?? 0.5);
+  }
+
+  _summarizeIntent(intent) {
+    if (!intent) return null;
+    return {
+      entityId: intent.entityId,
+      primaryIntent: intent.primaryIntent,
+      secondaryIntents: intent.secondaryIntents || [],
+      intentConfidence: intent.intentConfidence ?? intent.confidence,
+      intentProgression: intent.intentProgression || null,
+      riskAssessment: intent.riskAssessment || null,
+      riskFactors: intent.riskFactors || [],
+      track: intent.track ? this._summarizeTrack(intent.track) : null
+    };
+  }
+
+  _summarizeTrack(track) {
+    return {
+      trackId: track.trackId,
+      path: track.path,
+      shape: track.shape,
+      durationMs: track.durationMs,
+      cameras: track.cameras,
+      entryPointsVisited: track.entryPointsVisited,
+      averageSpeed: track.averageSpeed
+    };
+  }
+
   _isAuthorizedOrKnown(event, intent) {
+    // A banned label overrides keys, whitelists and authorized intents
+    if (event.entityId && this.entityLabels.isBanned(event.entityId)) return false;
+
     const m = event.metadata || {};
     return Boolean(
       (intent && intent.primaryIntent === 'authorized_access') ||
-      m.knownHuman || m.whitelistedDevice || m.hasKey || m.keycard
+      m.knownHuman || m.whitelistedDevice || m.hasKey || m.keycard ||
+      (event.entityId && this.entityLabels.isTrusted(event.entityId)) ||
+      (event.entityId && this.household.residentFor(this.entityLabels.resolve(event.entityId)))
     );
   }
 
@@ -1754,6 +3085,28 @@ class MockContextualMemorySystem {
   }
 }
 
+/**
+ * Mock engines, selectable per stage with config.engines (the default)
+ */
+defaultEngineRegistry
+  .register('memory', 'mock', config => new MockContextualMemorySystem(config))
+  .register('intent', 'mock', config => new MockIntentModelingEngine(config))
+  .register('reasoning', 'mock', config => new MockSymbolicReasoningEngine(config))
+  .register('spatial', 'mock', config => new MockSpatialTemporalAwareness(config))
+  .register('learning', 'mock', config => new MockAdaptiveLearningSystem(config));
+
+/**
+ * Register a custom engine so config.engines can select it by name
+ */
+GoliathCognitiveInterpreter.registerEngine = function(stage, name, factory) {
+  defaultEngineRegistry.register(stage, name, factory);
+  return GoliathCognitiveInterpreter;
+};
+
+GoliathCognitiveInterpreter.listEngines = function(stage) {
+  return defaultEngineRegistry.list(stage);
+};
+
 /**
  * Edge deployment optimization utilities
  */
@@ -1781,6 +3134,19 @@ GoliathCognitiveInterpreter.createHighAccuracyInstance = function(config = {}) {
   });
 };
 
+/**
+ * Production profile: full cognitive subsystems for every pipeline stage
+ */
+GoliathCognitiveInterpreter.createProductionInstance = function(config = {}) {
+  return new GoliathCognitiveInterpreter({
+    performanceOptimized: false,
+    explainabilityLevel: 'detailed',
+    processingTimeout: 50, // full subsystems need more headroom than mocks
+    ...config,
+    engines: { ...PRODUCTION_ENGINES, ...(config.engines || {}) }
+  });
+};
+
 /**
  * Mobile deployment profiles for resource-constrained environments
  */
@@ -0,0 +1,165 @@
+/**
+ * Save Encryption - Authenticated Encryption at Rest for Autosave Snapshots
+ *
+ * Saved state carries occupancy data (alert timestamps per entity and
+ * location, learned norms, entity memory). When a key provider is configured
+ * the autosave layer seals each save with AES-256-GCM. The key ID travels in
+ * the save header, which is also bound into the authentication tag, so old
+ * backups stay readable after a rotation and can be re-encrypted.
+ *
+ * Payload layout: 'NVE1' | uint16 header length | header JSON | ciphertext | 16-byte tag
+ *
+ * Key provider contract (methods may be async):
+ *   getActiveKey()  -> { keyId, key }   key used for new saves
+ *   getKey(keyId)   -> key | null       any key still needed for reading
+ *
+ * @version 2.0.0
+ * @author Goliath Security Systems
+ */
+// crypto is loaded on first use so importing this module does not require Node
+const ENCRYPTION_MAGIC = 'NVE1';
+const ENCRYPTION_ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+
+/**
+ * Accepts a 32-byte Buffer/Uint8Array, or a 64-character hex or base64 string
+ */
+function normalizeKey(key) {
+  let buffer;
+  if (typeof key === 'string') {
+    buffer = /^[0-9a-fA-F]{64}$/.test(key) ? Buffer.from(key, 'hex') : Buffer.from(key, 'base64');
+  } else if (key instanceof Uint8Array) {
+    buffer = Buffer.from(key);
+  }
+
+  if (!buffer || buffer.length !== KEY_LENGTH) {
+    throw new Error(`Encryption keys must be ${KEY_LENGTH} bytes (Buffer, hex or base64)`);
+  }
+  return buffer;
+}
+
+/**
+ * In-process key provider. Holds every key that may still be needed to read
+ * old backups; rotate() adds a key and makes it active.
+ */
+class StaticKeyProvider {
+  constructor(options = {}) {
+    this.keys = new Map();
+    Object.entries(options.keys || {}).forEach(([keyId, key]) => {
+      this.keys.set(keyId, normalizeKey(key));
+    });
+    this.activeKeyId = options.activeKeyId || Array.from(this.keys.keys()).pop() || null;
+
+    if (!this.activeKeyId || !this.keys.has(this.activeKeyId)) {
+      throw new Error('StaticKeyProvider needs at least one key and a valid activeKeyId');
+    }
+  }
+
+  getActiveKey() {
+    return { keyId: this.activeKeyId, key: this.keys.get(this.activeKeyId) };
+  }
+
+  getKey(keyId) {
+    return this.keys.get(keyId) || null;
+  }
+
+  rotate(keyId, key) {
+    this.keys.set(keyId, normalizeKey(key));
+    this.activeKeyId = keyId;
+    return keyId;
+  }
+
+  retire(keyId) {
+    if (keyId === this.activeKeyId) {
+      throw new Error('Cannot retire the active encryption key');
+    }
+    this.keys.delete(keyId);
+  }
+}
+
+function isEncryptedPayload(data) {
+  return Boolean(data) && typeof data !== 'string' && data.length > ENCRYPTION_MAGIC.length + 2 &&
+    Buffer.from(data).subarray(0, ENCRYPTION_MAGIC.length).toString('ascii') === ENCRYPTION_MAGIC;
+}
+
+function readEncryptionHeader(data) {
+  if (!isEncryptedPayload(data)) {
+    throw new Error('Payload is not an encrypted save');
+  }
+  const buffer = Buffer.from(data);
+  const headerLength = buffer.readUInt16BE(ENCRYPTION_MAGIC.length);
+  const headerStart = ENCRYPTION_MAGIC.length + 2;
+  const headerBytes = buffer.subarray(headerStart, headerStart + headerLength);
+
+  let header;
+  try {
+    header = JSON.parse(headerBytes.toString('utf8'));
+  } catch (error) {
+    throw new Error('Encrypted save header is corrupt');
+  }
+
+  return { header, headerBytes, sealed: buffer.subarray(headerStart + headerLength) };
+}
+
+async function encryptPayload(plaintext, keyProvider) {
+  const crypto = (await import('crypto')).default;
+  const { keyId, key } = await keyProvider.getActiveKey();
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ENCRYPTION_ALGORITHM, normalizeKey(key), iv);
+
+  // The header is authenticated as AAD so its key ID cannot be swapped
+  const headerBytes = Buffer.from(JSON.stringify({
+    alg: ENCRYPTION_ALGORITHM,
+    keyId,
+    iv: iv.toString('base64'),
+    encryptedAt: Date.now()
+  }), 'utf8');
+  cipher.setAAD(headerBytes);
+  const ciphertext = Buffer.concat([cipher.update(Buffer.from(plaintext)), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  const lengthPrefix = Buffer.alloc(2);
+  lengthPrefix.writeUInt16BE(headerBytes.length);
+  return Buffer.concat([Buffer.from(ENCRYPTION_MAGIC, 'ascii'), lengthPrefix, headerBytes, ciphertext, tag]);
+}
+
+async function decryptPayload(data, keyProvider) {
+  const { header, headerBytes, sealed } = readEncryptionHeader(data);
+  if (header.alg !== ENCRYPTION_ALGORITHM) {
+    throw new Error(`Unsupported save encryption algorithm: ${header.alg}`);
+  }
+  if (!keyProvider) {
+    throw new Error(`Save is encrypted with key "${header.keyId}" but no key provider is configured`);
+  }
+
+  const key = await keyProvider.getKey(header.keyId);
+  if (!key) {
+    throw new Error(`No encryption key available for key ID "${header.keyId}"`);
+  }
+
+  const tagStart = sealed.length - 16;
+  if (tagStart < 0) {
+    throw new Error('Encrypted save is truncated');
+  }
+
+  const crypto = (await import('crypto')).default;
+  try {
+    const decipher = crypto.createDecipheriv(ENCRYPTION_ALGORITHM, normalizeKey(key), Buffer.from(header.iv, 'base64'));
+    decipher.setAAD(headerBytes);
+    decipher.setAuthTag(sealed.subarray(tagStart));
+    return Buffer.concat([decipher.update(sealed.subarray(0, tagStart)), decipher.final()]);
+  } catch (error) {
+    throw new Error('Encrypted save failed authentication (tampered or wrong key)');
+  }
+}
+
+export {
+  ENCRYPTION_ALGORITHM,
+  normalizeKey,
+  StaticKeyProvider,
+  isEncryptedPayload,
+  readEncryptionHeader,
+  encryptPayload,
+  decryptPayload
+};
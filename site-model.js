@@ -0,0 +1,422 @@
+/**
+ * Site Model - Declarative Floor Plan of the Monitored Property
+ *
+ * Describes a site's zones (entry points, perimeter, yard, street...), how
+ * they connect, where landmarks and cameras are, and how critical, visible
+ * and controlled each zone is. Memory, reasoning, intent analysis and the
+ * alert policy read location semantics from here instead of keeping their
+ * own tables. Definitions are plain objects or JSON text and are validated
+ * when loaded.
+ *
+ * @version 2.0.0
+ * @author Goliath Security Systems
+ */
+
+const ZONE_TYPES = ['entry', 'perimeter', 'access', 'exterior', 'interior', 'public'];
+const LEVELS = ['low', 'medium', 'high'];
+const ACCESS_CONTROL_LEVELS = ['none', 'low', 'medium', 'high'];
+
+// How close each zone type is to getting inside
+const ENTRY_PROXIMITY = {
+  entry: 1.0,
+  interior: 1.0,
+  access: 0.8,
+  perimeter: 0.7,
+  exterior: 0.4,
+  public: 0.1,
+  unknown: 0.5
+};
+
+// Attributes of a location the site model does not describe
+const UNKNOWN_ZONE = {
+  type: 'unknown',
+  entryPoint: false,
+  riskLevel: 0.4,
+  criticality: 'medium',
+  visibility: 'medium',
+  accessControl: 'medium',
+  accessibility: 'medium',
+  vantage: 'medium',
+  accessType: 'unknown'
+};
+
+// The generic single-family home every subsystem assumed before site models
+const DEFAULT_SITE_DEFINITION = {
+  name: 'default',
+  zones: {
+    front_door: {
+      type: 'entry', entryPoint: true, riskLevel: 0.6, criticality: 'high', visibility: 'high',
+      accessControl: 'high', accessibility: 'high', vantage: 'medium', accessType: 'primary_entry'
+    },
+    back_door: {
+      type: 'entry', entryPoint: true, riskLevel: 0.8, criticality: 'high', visibility: 'low',
+      accessControl: 'medium', accessibility: 'medium', vantage: 'low', accessType: 'secondary_entry'
+    },
+    window: {
+      type: 'perimeter', entryPoint: true, riskLevel: 0.7, criticality: 'medium', visibility: 'medium',
+      accessControl: 'low', accessibility: 'low', vantage: 'high', accessType: 'unauthorized_entry'
+    },
+    garage: {
+      type: 'access', riskLevel: 0.5, criticality: 'medium', visibility: 'medium',
+      accessControl: 'medium', accessibility: 'medium', vantage: 'low', accessType: 'vehicle_entry'
+    },
+    yard: {
+      type: 'exterior', riskLevel: 0.3, criticality: 'low', visibility: 'high',
+      accessControl: 'low', accessibility: 'high', vantage: 'medium', accessType: 'perimeter_access'
+    },
+    street: {
+      type: 'public', riskLevel: 0.2, criticality: 'low', visibility: 'high',
+      accessControl: 'none', accessibility: 'high', vantage: 'high', accessType: 'public_access'
+    }
+  },
+  connections: [
+    ['street', 'yard'],
+    ['street', 'front_door'],
+    ['street', 'garage'],
+    ['yard', 'front_door'],
+    ['yard', 'back_door'],
+    ['yard', 'window'],
+    ['yard', 'garage']
+  ]
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// { x, y } or [x, y]
+function toPoint(value) {
+  if (Array.isArray(value) && value.length === 2 && value.every(Number.isFinite)) {
+    return { x: value[0], y: value[1] };
+  }
+  if (isPlainObject(value) && Number.isFinite(value.x) && Number.isFinite(value.y)) {
+    return { x: value.x, y: value.y };
+  }
+  return null;
+}
+
+// Local time of day as HH:MM, up to 24:00 for the end of a window
+const CLOCK_TIME = /^([01]\d|2[0-4]):([0-5]\d)$/;
+
+function toMinutes(clock) {
+  const [, hours, minutes] = clock.match(CLOCK_TIME);
+  return Number(hours) * 60 + Number(minutes);
+}
+
+function checkLevel(issues, where, field, value, levels) {
+  if (value !== undefined && !levels.includes(value)) {
+    issues.push(`${where}.${field} must be one of ${levels.join(', ')}`);
+  }
+}
+
+function parseZone(zoneId, zone, issues) {
+  const where = `zones.${zoneId}`;
+  if (!isPlainObject(zone)) {
+    issues.push(`${where} must be an object`);
+    return null;
+  }
+
+  const type = zone.type ?? 'exterior';
+  if (!ZONE_TYPES.includes(type)) {
+    issues.push(`${where}.type must be one of ${ZONE_TYPES.join(', ')}`);
+  }
+  checkLevel(issues, where, 'criticality', zone.criticality, LEVELS);
+  checkLevel(issues, where, 'visibility', zone.visibility, LEVELS);
+  checkLevel(issues, where, 'accessibility', zone.accessibility, LEVELS);
+  checkLevel(issues, where, 'vantage', zone.vantage, LEVELS);
+  checkLevel(issues, where, 'accessControl', zone.accessControl, ACCESS_CONTROL_LEVELS);
+  if (zone.entryPoint !== undefined && typeof zone.entryPoint !== 'boolean') {
+    issues.push(`${where}.entryPoint must be a boolean`);
+  }
+  if (zone.riskLevel !== undefined && !(typeof zone.riskLevel === 'number' && zone.riskLevel >= 0 && zone.riskLevel <= 1)) {
+    issues.push(`${where}.riskLevel must be a number between 0 and 1`);
+  }
+  if (zone.cameras !== undefined && !(Array.isArray(zone.cameras) && zone.cameras.every(camera => typeof camera === 'string'))) {
+    issues.push(`${where}.cameras must be an array of camera IDs`);
+  }
+
+  const coordinates = zone.coordinates === undefined ? null : toPoint(zone.coordinates);
+  if (zone.coordinates !== undefined && !coordinates) {
+    issues.push(`${where}.coordinates must be { x, y }`);
+  }
+  let polygon = null;
+  if (zone.polygon !== undefined) {
+    polygon = Array.isArray(zone.polygon) ? zone.polygon.map(toPoint) : [];
+    if (polygon.length < 3 || polygon.some(point => !point)) {
+      issues.push(`${where}.polygon must list at least 3 { x, y } points`);
+      polygon = null;
+    }
+  }
+
+  return {
+    ...UNKNOWN_ZONE,
+    ...zone,
+    id: zoneId,
+    label: zone.label || zoneId,
+    type,
+    entryPoint: zone.entryPoint ?? type === 'entry',
+    cameras: [...(zone.cameras || [])],
+    coordinates: coordinates || (polygon ? centroid(polygon) : null),
+    polygon,
+    known: true
+  };
+}
+
+function centroid(points) {
+  return {
+    x: points.reduce((sum, point) => sum + point.x, 0) / points.length,
+    y: points.reduce((sum, point) => sum + point.y, 0) / points.length
+  };
+}
+
+// Ray casting; points on an edge may fall either way
+function containsPoint(polygon, point) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.y > point.y) !== (b.y > point.y) &&
+        point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Validate a site definition and normalize it
+ * @throws {Error} Listing every problem found
+ */
+function parseSiteDefinition(definition) {
+  if (typeof definition === 'string') {
+    try {
+      definition = JSON.parse(definition);
+    } catch (error) {
+      throw new Error(`Invalid site model: ${error.message}`);
+    }
+  }
+  if (!isPlainObject(definition) || !isPlainObject(definition.zones) || Object.keys(definition.zones).length === 0) {
+    throw new Error('Invalid site model: zones must be an object with at least one zone');
+  }
+
+  const issues = [];
+  const zones = new Map();
+  for (const [zoneId, zone] of Object.entries(definition.zones)) {
+    const parsed = parseZone(zoneId, zone, issues);
+    if (parsed) zones.set(zoneId, parsed);
+  }
+
+  const connections = new Map(Array.from(zones.keys(), zoneId => [zoneId, new Set()]));
+  (definition.connections || []).forEach((connection, index) => {
+    const { from, to, oneWay = false } = Array.isArray(connection)
+      ? { from: connection[0], to: connection[1] }
+      : (connection || {});
+    if (!zones.has(from) || !zones.has(to)) {
+      issues.push(`connections[${index}] must join two known zones`);
+      return;
+    }
+    connections.get(from).add(to);
+    if (!oneWay) connections.get(to).add(from);
+  });
+
+  const cameras = new Map();
+  const cover = (cameraId, zoneId) => {
+    if (!cameras.has(cameraId)) cameras.set(cameraId, new Set());
+    cameras.get(cameraId).add(zoneId);
+  };
+  zones.forEach(zone => zone.cameras.forEach(cameraId => cover(cameraId, zone.id)));
+  for (const [cameraId, camera] of Object.entries(definition.cameras || {})) {
+    const covered = camera?.zones || [];
+    if (!Array.isArray(covered) || covered.some(zoneId => !zones.has(zoneId))) {
+      issues.push(`cameras.${cameraId}.zones must list known zones`);
+      continue;
+    }
+    covered.forEach(zoneId => {
+      cover(cameraId, zoneId);
+      if (!zones.get(zoneId).cameras.includes(cameraId)) zones.get(zoneId).cameras.push(cameraId);
+    });
+  }
+
+  const landmarks = new Map();
+  for (const [landmarkId, landmark] of Object.entries(definition.landmarks || {})) {
+    if (!isPlainObject(landmark) || (landmark.zone !== undefined && !zones.has(landmark.zone))) {
+      issues.push(`landmarks.${landmarkId}.zone must be a known zone`);
+      continue;
+    }
+    const coordinates = landmark.coordinates === undefined ? null : toPoint(landmark.coordinates);
+    if (landmark.coordinates !== undefined && !coordinates) {
+      issues.push(`landmarks.${landmarkId}.coordinates must be { x, y }`);
+      continue;
+    }
+    landmarks.set(landmarkId, { ...landmark, id: landmarkId, zone: landmark.zone ?? null, coordinates });
+  }
+
+  if (issues.length > 0) {
+    throw new Error(`Invalid site model: ${issues.join('; ')}`);
+  }
+  return { name: definition.name || 'site', zones, connections, cameras, landmarks, definition };
+}
+
+class SiteModel {
+  /**
+   * @param {Object|string} [definition] - Site definition; the generic home when omitted
+   */
+  constructor(definition = DEFAULT_SITE_DEFINITION) {
+    this.load(definition);
+  }
+
+  /**
+   * Replace the model in place, so every subsystem holding it sees the new
+   * site. Nothing changes if the definition is invalid.
+   */
+  load(definition) {
+    const parsed = parseSiteDefinition(definition);
+    this.name = parsed.name;
+    this.zones = parsed.zones;
+    this.connections = parsed.connections;
+    this.cameras = parsed.cameras;
+    this.landmarks = parsed.landmarks;
+    this.definition = JSON.parse(JSON.stringify(parsed.definition));
+    return this;
+  }
+
+  hasZone(location) {
+    return this.zones.has(location);
+  }
+
+  /**
+   * Attributes of a location. Locations the model does not describe get
+   * neutral defaults and count as entry points when named after a door or window.
+   */
+  getZone(location) {
+    const zone = this.zones.get(location);
+    if (zone) return zone;
+    return {
+      ...UNKNOWN_ZONE,
+      id: location ?? null,
+      label: location ?? null,
+      entryPoint: typeof location === 'string' && /door|window/.test(location),
+      cameras: [],
+      coordinates: null,
+      polygon: null,
+      known: false
+    };
+  }
+
+  listZones() {
+    return Array.from(this.zones.values());
+  }
+
+  isEntryPoint(location) {
+    return this.getZone(location).entryPoint;
+  }
+
+  proximityToEntry(location) {
+    return ENTRY_PROXIMITY[this.getZone(location).type];
+  }
+
+  getNeighbors(location) {
+    return Array.from(this.connections.get(location) || []);
+  }
+
+  areConnected(from, to) {
+    return this.connections.get(from)?.has(to) || false;
+  }
+
+  /**
+   * Shortest chain of connected zones from one location to another
+   * @returns {Array<string>|null} Zone IDs including both ends, null when unreachable
+   */
+  findPath(from, to) {
+    if (!this.zones.has(from) || !this.zones.has(to)) return null;
+    const previous = new Map([[from, null]]);
+    const queue = [from];
+    while (queue.length > 0) {
+      const zoneId = queue.shift();
+      if (zoneId === to) {
+        const path = [];
+        for (let step = to; step !== null; step = previous.get(step)) path.unshift(step);
+        return path;
+      }
+      for (const next of this.connections.get(zoneId)) {
+        if (!previous.has(next)) {
+          previous.set(next, zoneId);
+          queue.push(next);
+        }
+      }
+    }
+    return null;
+  }
+
+  getCameras(location) {
+    return [...this.getZone(location).cameras];
+  }
+
+  getCameraZones(cameraId) {
+    return Array.from(this.cameras.get(cameraId) || []);
+  }
+
+  getLandmarks(location = null) {
+    const landmarks = Array.from(this.landmarks.values());
+    return location ? landmarks.filter(landmark => landmark.zone === location) : landmarks;
+  }
+
+  /**
+   * The zone an event happened in: its location when the model knows it,
+   * otherwise the zone containing its coordinates, otherwise the raw location
+   */
+  locate(location, coordinates = null) {
+    if (this.zones.has(location)) return location;
+    return (coordinates && this.zoneAt(coordinates)) || location || null;
+  }
+
+  /**
+   * The zone whose polygon contains a point
+   * @param {Object} point - { x, y }
+   * @returns {string|null}
+   */
+  zoneAt(point) {
+    const target = toPoint(point);
+    if (!target) return null;
+    for (const zone of this.zones.values()) {
+      if (zone.polygon && containsPoint(zone.polygon, target)) return zone.id;
+    }
+    return null;
+  }
+
+  toJSON() {
+    return this.definition;
+  }
+}
+
+/**
+ * Validate and load a site definition
+ * @param {Object|string} definition - Plain object or JSON text
+ * @returns {SiteModel}
+ * @throws {Error} When the definition is invalid
+ */
+function loadSiteModel(definition) {
+  return new SiteModel(definition);
+}
+
+/**
+ * The site model a subsystem should use for its config: a shared SiteModel
+ * instance, a definition to load, or the generic home
+ */
+function resolveSiteModel(config) {
+  const siteModel = config?.siteModel;
+  if (siteModel instanceof SiteModel) return siteModel;
+  return siteModel ? loadSiteModel(siteModel) : new SiteModel();
+}
+
+export {
+  ZONE_TYPES,
+  DEFAULT_SITE_DEFINITION,
+  SiteModel,
+  loadSiteModel,
+  resolveSiteModel,
+  containsPoint,
+  toPoint,
+  CLOCK_TIME,
+  toMinutes
+};
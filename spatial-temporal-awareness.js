@@ -9,13 +9,20 @@
  * @author Goliath Security Systems
  */
 
+import { resolveSiteModel } from './site-model.js';
+import { EntityTrackManager } from './entity-tracks.js';
+import { resolveExpectedActivity } from './expected-activity.js';
+
 class SpatialTemporalAwareness {
   constructor(config) {
     this.config = config;
+    this.siteModel = resolveSiteModel(config);
+    this.entityTracks = new EntityTrackManager(config.entityTracking, this.siteModel);
+    this.expectedActivity = resolveExpectedActivity(config, this.siteModel);
     
     // Core awareness components
-    this.spatialSimulator = new SpatialPresenceSimulator(config.spatial);
-    this.temporalTracker = new TemporalContinuityTracker(config.temporal);
+    this.spatialSimulator = new SpatialPresenceSimulator(config.spatial, this.siteModel, this.entityTracks);
+    this.temporalTracker = new TemporalContinuityTracker(config.temporal, this.expectedActivity);
     this.embodiedCognition = new EmbodiedCognitionEngine(config.embodied);
     this.awarenessState = new AwarenessStateManager();
     
@@ -145,6 +152,21 @@ class SpatialTemporalAwareness {
     };
   }
 
+  /**
+   * Current track of one entity across cameras and zones
+   */
+  getEntityTrack(entityId) {
+    return this.entityTracks.getTrack(entityId);
+  }
+
+  getActiveTracks() {
+    return this.entityTracks.getActiveTracks();
+  }
+
+  mergeEntityTracks(sourceId, targetId) {
+    return this.entityTracks.mergeEntities(sourceId, targetId);
+  }
+
   /**
    * Simulate physical presence at location
    */
@@ -242,21 +264,25 @@ class SpatialTemporalAwareness {
  * Simulates physical presence in space
  */
 class SpatialPresenceSimulator {
-  constructor(config = {}) {
+  constructor(config = {}, siteModel = resolveSiteModel(), entityTracks = new EntityTrackManager({}, siteModel)) {
     this.config = config;
     this.currentLocation = null;
     this.spatialState = new Map();
     this.presenceHistory = [];
-    this.spatialModel = new SpatialModel();
+    this.spatialModel = siteModel;
+    this.entityTracks = entityTracks;
   }
 
   async establishPresence(spatialContext, event) {
+    const track = this.entityTracks.observe(event);
     const presence = {
       location: spatialContext.location,
       coordinates: spatialContext.coordinates,
+      entityId: event.entityId || null,
+      track,
       coverage: await this._calculateSpatialCoverage(spatialContext),
       focusAreas: await this._identifyFocusAreas(spatialContext, event),
-      movementAnalysis: await this._analyzeMovement(spatialContext),
+      movementAnalysis: await this._analyzeMovement(spatialContext, track),
       anomalies: await this._detectSpatialAnomalies(spatialContext, event),
       confidence: 0.8,
       timestamp: Date.now()
@@ -322,17 +348,17 @@ class SpatialPresenceSimulator {
       });
     }
     
-    // Secondary focus on access points
-    if (spatialContext.accessPoints) {
-      spatialContext.accessPoints.forEach(point => {
-        focusAreas.push({
-          location: point,
-          type: 'access_secondary',
-          intensity: 0.6,
-          reason: 'Potential access or egress point'
-        });
+    // Secondary focus on access points, by default the entry points next to the event
+    const accessPoints = spatialContext.accessPoints ||
+      this.spatialModel.getNeighbors(spatialContext.location).filter(zoneId => this.spatialModel.isEntryPoint(zoneId));
+    accessPoints.forEach(point => {
+      focusAreas.push({
+        location: point,
+        type: 'access_secondary',
+        intensity: 0.6,
+        reason: 'Potential access or egress point'
       });
-    }
+    });
     
     // Tertiary focus on blind spots
     if (spatialContext.blindSpots) {
@@ -349,16 +375,17 @@ class SpatialPresenceSimulator {
     return focusAreas;
   }
 
-  async _analyzeMovement(spatialContext) {
+  async _analyzeMovement(spatialContext, track) {
     const analysis = {
       patterns: [],
       velocity: 0,
       direction: null,
-      predictedPath: null
+      predictedPath: null,
+      trackShape: track?.shape || null
     };
     
-    // Analyze movement patterns from recent history
-    const recentPresence = this.presenceHistory.slice(-5);
+    // Analyze movement patterns from this entity's own recent sightings
+    const recentPresence = track ? track.points.slice(-5) : [];
     
     if (recentPresence.length >= 2) {
       // Calculate movement velocity
@@ -611,8 +638,9 @@ class SpatialPresenceSimulator {
  * Maintains temporal awareness and continuity
  */
 class TemporalContinuityTracker {
-  constructor(config = {}) {
+  constructor(config = {}, expectedActivity = resolveExpectedActivity()) {
     this.config = config;
+    this.expectedActivity = expectedActivity;
     this.temporalState = {
       currentTime: Date.now(),
       timelineCoherence: 1.0,
@@ -1024,7 +1052,13 @@ class TemporalContinuityTracker {
     };
     
     const profile = locationActivityProfiles[location] || locationActivityProfiles['residential'];
-    return profile[hour] || 0.3;
+    const typical = profile[hour] || 0.3;
+    
+    // A scheduled visit (cleaner, deliveries) makes activity here likely whatever the hour
+    if (this.expectedActivity.activeAt(temporalContext.timestamp, location).length > 0) {
+      return Math.max(typical, 0.8);
+    }
+    return typical;
   }
 
   _calculateAverageContinuity() {
@@ -2038,24 +2072,6 @@ class VirtualPresenceEngine {
   }
 }
 
-class SpatialModel {
-  constructor() {
-    this.model = {
-      zones: new Map(),
-      connections: new Map(),
-      landmarks: new Map()
-    };
-  }
-
-  addZone(zoneId, properties) {
-    this.model.zones.set(zoneId, properties);
-  }
-
-  getZone(zoneId) {
-    return this.model.zones.get(zoneId);
-  }
-}
-
 class AwarenessMetrics {
   constructor() {
     this.metrics = {
@@ -2127,6 +2143,5 @@ export {
   TemporalEventStream,
   ContextualAwarenessMemory,
   VirtualPresenceEngine,
-  SpatialModel,
   AwarenessMetrics
 };
@@ -0,0 +1,335 @@
+/**
+ * Storage Adapters - Pluggable Persistence Backends
+ *
+ * The autosave layer reads and writes named blobs through a storage adapter
+ * instead of the filesystem directly, so it can run on 'node',
+ * 'react-native' and 'browser' platforms and be tested in memory.
+ *
+ * Adapter contract (all methods async):
+ *   list()              -> names of stored entries
+ *   read(name)          -> Buffer | string, or null when missing
+ *   write(name, data)   -> store a Buffer/Uint8Array or string
+ *   delete(name)        -> remove an entry (missing entries are ignored)
+ *   rename(from, to)    -> atomically replace `to` with `from`
+ * Optional: initialize() before first use, locate(name) for a display path,
+ * append(name, text) to extend an entry without rewriting it (used by the
+ * autosave journal; read + write is the fallback).
+ *
+ * @version 2.0.0
+ * @author Goliath Security Systems
+ */
+
+const STORAGE_ADAPTER_METHODS = ['list', 'read', 'write', 'delete', 'rename'];
+
+function validateStorageAdapter(adapter) {
+  if (!adapter || typeof adapter !== 'object') {
+    throw new Error('Storage adapter must be an object');
+  }
+  const missing = STORAGE_ADAPTER_METHODS.filter(method => typeof adapter[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Storage adapter is missing required methods: ${missing.join(', ')}`);
+  }
+  return adapter;
+}
+
+// Key-value stores and JSON files only hold strings, so binary entries are tagged base64
+function encodeEntry(data) {
+  if (typeof data === 'string') return `s:${data}`;
+  return `b:${Buffer.from(data).toString('base64')}`;
+}
+
+function decodeEntry(encoded) {
+  if (encoded === null || encoded === undefined) return null;
+  return encoded.startsWith('b:') ? Buffer.from(encoded.slice(2), 'base64') : encoded.slice(2);
+}
+
+/**
+ * Files in a directory (Node). fs is loaded lazily so non-Node platforms
+ * can import this module.
+ */
+class FileSystemStorageAdapter {
+  constructor(options = {}) {
+    this.directory = options.directory || './saves';
+    this._fs = null;
+    this._path = null;
+  }
+
+  async initialize() {
+    await this._modules();
+    await this._fs.mkdir(this.directory, { recursive: true });
+  }
+
+  async list() {
+    const { fs } = await this._modules();
+    try {
+      return await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  async read(name) {
+    const { fs } = await this._modules();
+    try {
+      return await fs.readFile(this.locate(name));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async write(name, data) {
+    const { fs, path } = await this._modules();
+    const filepath = this.locate(name);
+    await fs.mkdir(path.dirname(filepath), { recursive: true });
+    await fs.writeFile(filepath, data);
+  }
+
+  async append(name, text) {
+    const { fs, path } = await this._modules();
+    const filepath = this.locate(name);
+    await fs.mkdir(path.dirname(filepath), { recursive: true });
+    await fs.appendFile(filepath, text);
+  }
+
+  async delete(name) {
+    const { fs } = await this._modules();
+    await fs.unlink(this.locate(name)).catch(error => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+  }
+
+  async rename(from, to) {
+    const { fs } = await this._modules();
+    await fs.rename(this.locate(from), this.locate(to));
+  }
+
+  locate(name) {
+    return this._path ? this._path.join(this.directory, name) : `${this.directory}/${name}`;
+  }
+
+  async _modules() {
+    if (!this._fs) {
+      this._fs = (await import('fs/promises')).default;
+      this._path = (await import('path')).default;
+    }
+    return { fs: this._fs, path: this._path };
+  }
+}
+
+/**
+ * Process-local storage, for tests and platforms without persistent storage
+ */
+class MemoryStorageAdapter {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async list() {
+    return Array.from(this.entries.keys());
+  }
+
+  async read(name) {
+    return this.entries.has(name) ? this.entries.get(name) : null;
+  }
+
+  async write(name, data) {
+    this.entries.set(name, typeof data === 'string' ? data : Buffer.from(data));
+  }
+
+  async append(name, text) {
+    const existing = this.entries.get(name);
+    this.entries.set(name, `${existing ? existing.toString() : ''}${text}`);
+  }
+
+  async delete(name) {
+    this.entries.delete(name);
+  }
+
+  async rename(from, to) {
+    if (!this.entries.has(from)) {
+      throw new Error(`No stored entry named ${from}`);
+    }
+    this.entries.set(to, this.entries.get(from));
+    this.entries.delete(from);
+  }
+
+  locate(name) {
+    return `memory://${name}`;
+  }
+}
+
+/**
+ * Embedded single-file database (Node): every entry lives in one JSON file
+ * that is rewritten atomically on each change. Suited to devices where a
+ * directory of save files is unwelcome.
+ */
+class SingleFileStorageAdapter {
+  constructor(options = {}) {
+    this.filename = options.filename || './saves/autosave.db';
+    this.records = null;
+    this._queue = Promise.resolve();
+    this._fs = null;
+    this._path = null;
+  }
+
+  async initialize() {
+    await this._load();
+  }
+
+  async list() {
+    return Object.keys(await this._load());
+  }
+
+  async read(name) {
+    return decodeEntry((await this._load())[name]);
+  }
+
+  async write(name, data) {
+    return this._mutate(records => { records[name] = encodeEntry(data); });
+  }
+
+  async delete(name) {
+    return this._mutate(records => { delete records[name]; });
+  }
+
+  async rename(from, to) {
+    return this._mutate(records => {
+      if (!(from in records)) {
+        throw new Error(`No stored entry named ${from}`);
+      }
+      records[to] = records[from];
+      delete records[from];
+    });
+  }
+
+  locate(name) {
+    return `${this.filename}#${name}`;
+  }
+
+  async _load() {
+    if (this.records) return this.records;
+
+    await this._modules();
+    try {
+      const contents = JSON.parse(await this._fs.readFile(this.filename, 'utf8'));
+      this.records = contents.records || {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Storage file ${this.filename} is unreadable: ${error.message}`);
+      }
+      this.records = {};
+    }
+    return this.records;
+  }
+
+  // Mutations are serialized so concurrent saves cannot interleave file rewrites
+  _mutate(change) {
+    const run = this._queue.then(async () => {
+      const records = await this._load();
+      change(records);
+      await this._flush();
+    });
+    this._queue = run.catch(() => {});
+    return run;
+  }
+
+  async _flush() {
+    await this._fs.mkdir(this._path.dirname(this.filename), { recursive: true });
+    const tempFile = `${this.filename}.tmp`;
+    await this._fs.writeFile(tempFile, JSON.stringify({ version: 1, records: this.records }));
+    await this._fs.rename(tempFile, this.filename);
+  }
+
+  async _modules() {
+    if (!this._fs) {
+      this._fs = (await import('fs/promises')).default;
+      this._path = (await import('path')).default;
+    }
+  }
+}
+
+/**
+ * Wraps a string key-value store such as React Native AsyncStorage or
+ * window.localStorage (getItem/setItem/removeItem, plus getAllKeys or
+ * key(i)/length to enumerate). Entries are namespaced by `prefix`.
+ */
+class KeyValueStorageAdapter {
+  constructor(options = {}) {
+    if (!options.store || typeof options.store.getItem !== 'function' || typeof options.store.setItem !== 'function') {
+      throw new Error('KeyValueStorageAdapter requires a store with getItem/setItem/removeItem');
+    }
+    this.store = options.store;
+    this.prefix = options.prefix ?? 'novin:autosave:';
+  }
+
+  async list() {
+    let keys;
+    if (typeof this.store.getAllKeys === 'function') {
+      keys = await this.store.getAllKeys();
+    } else {
+      keys = [];
+      for (let i = 0; i < this.store.length; i++) keys.push(this.store.key(i));
+    }
+    return keys.filter(key => key.startsWith(this.prefix)).map(key => key.slice(this.prefix.length));
+  }
+
+  async read(name) {
+    return decodeEntry(await this.store.getItem(this.prefix + name));
+  }
+
+  async write(name, data) {
+    await this.store.setItem(this.prefix + name, encodeEntry(data));
+  }
+
+  async delete(name) {
+    await this.store.removeItem(this.prefix + name);
+  }
+
+  async rename(from, to) {
+    const value = await this.store.getItem(this.prefix + from);
+    if (value === null || value === undefined) {
+      throw new Error(`No stored entry named ${from}`);
+    }
+    await this.store.setItem(this.prefix + to, value);
+    await this.store.removeItem(this.prefix + from);
+  }
+
+  locate(name) {
+    return `${this.prefix}${name}`;
+  }
+}
+
+/**
+ * Resolve a storage selection: an adapter instance, or one of
+ * 'filesystem', 'memory', 'single-file', 'key-value'
+ */
+function createStorageAdapter(selection, options = {}) {
+  if (selection && typeof selection === 'object') {
+    return validateStorageAdapter(selection);
+  }
+
+  switch (selection) {
+    case 'filesystem':
+      return new FileSystemStorageAdapter({ directory: options.directory });
+    case 'memory':
+      return new MemoryStorageAdapter();
+    case 'single-file':
+      return new SingleFileStorageAdapter({ filename: options.filename });
+    case 'key-value':
+      return new KeyValueStorageAdapter({ store: options.store, prefix: options.prefix });
+    default:
+      throw new Error(`Unknown storage backend "${selection}" (available: filesystem, memory, single-file, key-value)`);
+  }
+}
+
+export {
+  STORAGE_ADAPTER_METHODS,
+  validateStorageAdapter,
+  FileSystemStorageAdapter,
+  MemoryStorageAdapter,
+  SingleFileStorageAdapter,
+  KeyValueStorageAdapter,
+  createStorageAdapter
+};
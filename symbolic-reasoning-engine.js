@@ -9,9 +9,14 @@
  * @author Goliath Security Systems
  */
 
+import { resolveSiteModel } from './site-model.js';
+import { resolveHouseholdPresence } from './household-presence.js';
+
 class SymbolicReasoningEngine {
   constructor(config) {
     this.config = config;
+    this.siteModel = resolveSiteModel(config);
+    this.household = resolveHouseholdPresence(config);
     
     // Symbolic knowledge base
     this.knowledgeBase = new SymbolicKnowledgeBase();
@@ -76,15 +81,19 @@ class SymbolicReasoningEngine {
       );
       
       const processingTime = performance.now() - startTime;
+      decisionTrace.setFinalAssessment(suspicionAssessment);
       
       const cognitiveAssessment = {
         eventId: reasoningId,
         suspicionLevel: suspicionAssessment.suspicionLevel,
+        confidence: uncertaintyAnalysis.certainty,
         threatCategory: suspicionAssessment.threatCategory,
         intentLikelihood: intentAssessment.intentLikelihood,
+        intentConfidence: intentAssessment.intentConfidence ?? intentAssessment.confidence,
         contextualRelevance: contextualHistory.contextualRelevance,
         reasoningCertainty: uncertaintyAnalysis.certainty,
         reasoning: reasoning,
+        factors: reasoning.keyFactors,
         symbolicFactors: symbolicAnalysis.factors,
         probabilisticFactors: probabilisticAnalysis.factors,
         uncertaintyFactors: uncertaintyAnalysis.factors,
@@ -236,6 +245,10 @@ class SymbolicReasoningEngine {
     
     const overallCertainty = this._calculateOverallCertainty(factors);
     
+    for (const [type, value] of factors) {
+      trace.uncertaintyFactors.push({ type, value });
+    }
+    
     return {
       factors,
       certainty: overallCertainty,
@@ -328,14 +341,14 @@ class SymbolicReasoningEngine {
   }
 
   _analyzeSpatialContext(location, spatialData, trace) {
-    const locationRule = this.reasoningRules.locationRules[location] || this.reasoningRules.locationRules.default;
-    trace.addRule('spatial', `Applied spatial rule for ${location}`);
+    const zone = this.siteModel.getZone(location);
+    trace.addRule('spatial', `Applied spatial rule for ${location}${zone.known ? ` (${zone.type} zone)` : ''}`);
     
     return {
-      locationRisk: locationRule.riskLevel,
-      accessControl: locationRule.accessControl,
-      visibility: locationRule.visibility,
-      criticalityLevel: locationRule.criticalityLevel
+      locationRisk: zone.riskLevel,
+      accessControl: zone.accessControl,
+      visibility: zone.visibility,
+      criticalityLevel: zone.criticality
     };
   }
 
@@ -343,10 +356,13 @@ class SymbolicReasoningEngine {
     const hour = new Date(timestamp).getHours();
     const dayOfWeek = new Date(timestamp).getDay();
     
-    const temporalRule = this.reasoningRules.temporalRules.getRule(hour, dayOfWeek);
-    trace.addRule('temporal', `Applied temporal rule for ${hour}:00 on day ${dayOfWeek}`);
+    const householdMode = this.household.getMode(timestamp);
+    
+    const temporalRule = this.reasoningRules.temporalRules.getRule(hour, dayOfWeek, householdMode);
+    trace.addRule('temporal', `Applied temporal rule for ${hour}:00 on day ${dayOfWeek} (household ${householdMode})`);
     
     return {
+      householdMode,
       timeRisk: temporalRule.riskLevel,
       expectedActivity: temporalRule.expectedActivity,
       anomalyThreshold: temporalRule.anomalyThreshold
@@ -439,19 +455,16 @@ class SymbolicReasoningEngine {
         'talking_on_phone': { suspicionLevel: 0.2, reasoning: 'Normal communication behavior' }
       },
       
-      locationRules: {
-        'front_door': { riskLevel: 0.6, accessControl: 'high', visibility: 'high', criticalityLevel: 'high' },
-        'back_door': { riskLevel: 0.8, accessControl: 'medium', visibility: 'low', criticalityLevel: 'high' },
-        'window': { riskLevel: 0.7, accessControl: 'low', visibility: 'medium', criticalityLevel: 'medium' },
-        'garage': { riskLevel: 0.5, accessControl: 'medium', visibility: 'medium', criticalityLevel: 'medium' },
-        'yard': { riskLevel: 0.3, accessControl: 'low', visibility: 'high', criticalityLevel: 'low' },
-        'street': { riskLevel: 0.2, accessControl: 'none', visibility: 'high', criticalityLevel: 'low' },
-        'default': { riskLevel: 0.4, accessControl: 'medium', visibility: 'medium', criticalityLevel: 'medium' }
-      },
-      
       temporalRules: {
-        getRule: (hour, dayOfWeek) => {
-          if (hour >= 22 || hour <= 5) {
+        getRule: (hour, dayOfWeek, householdMode = 'home') => {
+          // An empty house expects no activity at any hour
+          if (householdMode === 'vacation') {
+            return { riskLevel: 0.9, expectedActivity: 'none_expected', anomalyThreshold: 0.2 };
+          } else if (householdMode === 'away') {
+            return hour >= 22 || hour <= 5
+              ? { riskLevel: 0.9, expectedActivity: 'none_expected', anomalyThreshold: 0.25 }
+              : { riskLevel: 0.7, expectedActivity: 'none_expected', anomalyThreshold: 0.3 };
+          } else if (householdMode === 'night' || hour >= 22 || hour <= 5) {
             return { riskLevel: 0.8, expectedActivity: 'minimal', anomalyThreshold: 0.3 };
           } else if (hour >= 6 && hour <= 8) {
             return { riskLevel: 0.3, expectedActivity: 'morning_routine', anomalyThreshold: 0.6 };
@@ -478,8 +491,154 @@ class SymbolicReasoningEngine {
     return `reasoning-${Date.now()}-${Math.random().toString(36).substr(2, 8)}`;
   }
 
-  // Additional helper methods for probabilistic inference, uncertainty, etc.
-  // ... (implementation continues)
+  _calculateIntentBehaviorCoherence(intentAssessment, behaviors) {
+    const ruledBehaviors = behaviors.filter(behavior => this.reasoningRules.behaviorRules[behavior]);
+    if (!intentAssessment || ruledBehaviors.length === 0) return 0.5;
+    
+    const behaviorSuspicion = ruledBehaviors.reduce((sum, behavior) => {
+      return sum + this.reasoningRules.behaviorRules[behavior].suspicionLevel;
+    }, 0) / ruledBehaviors.length;
+    
+    return 1 - Math.abs(behaviorSuspicion - this._estimateIntentRisk(intentAssessment));
+  }
+
+  _estimateIntentRisk(intentAssessment) {
+    if (typeof intentAssessment.riskAssessment?.riskLevel === 'number') {
+      return intentAssessment.riskAssessment.riskLevel;
+    }
+    
+    switch (intentAssessment.primaryIntent) {
+      case 'authorized_access': return 0.1;
+      case 'unauthorized_access': return 0.7;
+      case 'benign': return 0.1;
+      default: return 0.5;
+    }
+  }
+
+  // Probabilistic and uncertainty helper methods
+
+  _calculateOverallProbability(factors) {
+    const threatProbability = factors.get('threatProbability') || 0;
+    const intentDistribution = factors.get('intentDistribution') || {};
+    const nonBenignMass = 1 - (intentDistribution.benign ?? 1);
+    
+    return Math.min(Math.max(threatProbability * 0.8 + nonBenignMass * 0.2, 0), 1);
+  }
+
+  _calculateProbabilisticConfidence(factors) {
+    const contextualWeighting = factors.get('contextualWeighting') || 0;
+    return Math.min(0.5 + contextualWeighting * 0.5, 1);
+  }
+
+  _calculateSymbolicUncertainty(symbolicAnalysis) {
+    const behaviors = symbolicAnalysis.factors.get('behaviors');
+    const matchedBehaviors = behaviors
+      ? behaviors.suspiciousBehaviors.length + behaviors.normalBehaviors.length
+      : 0;
+    const intentCoherence = symbolicAnalysis.factors.get('intentCoherence');
+    
+    let uncertainty = matchedBehaviors > 0 ? 0.2 : 0.6;
+    if (intentCoherence?.contradictions) {
+      uncertainty += 0.2;
+    }
+    
+    return Math.min(uncertainty, 1);
+  }
+
+  _calculateProbabilisticUncertainty(probabilisticAnalysis) {
+    return 1 - probabilisticAnalysis.confidence;
+  }
+
+  _calculateDataSufficiency(symbolicAnalysis, probabilisticAnalysis) {
+    // Contextual weighting is relevance scaled by historical accuracy (max 0.8)
+    const contextualWeighting = probabilisticAnalysis.factors.get('contextualWeighting') || 0;
+    return Math.min(contextualWeighting / 0.8, 1);
+  }
+
+  _detectConflictingEvidence(symbolicAnalysis, probabilisticAnalysis) {
+    return Math.abs(symbolicAnalysis.symbolicScore - probabilisticAnalysis.overallProbability);
+  }
+
+  _calculateOverallCertainty(factors) {
+    const uncertainties = [
+      factors.get('symbolic'),
+      factors.get('probabilistic'),
+      1 - factors.get('dataSufficiency'),
+      factors.get('conflictingEvidence')
+    ];
+    const averageUncertainty = uncertainties.reduce((sum, u) => sum + u, 0) / uncertainties.length;
+    
+    return Math.min(Math.max(1 - averageUncertainty * 0.5, 0), 1);
+  }
+
+  _calculateContextualModifier(factors) {
+    const spatial = factors.get('spatial');
+    const temporal = factors.get('temporal');
+    const locationRisk = spatial ? spatial.locationRisk : 0.4;
+    const timeRisk = temporal ? temporal.timeRisk : 0.5;
+    
+    // 0.7 (low-risk place and time) up to 1.3 (high-risk place and time)
+    return 0.7 + (locationRisk + timeRisk) * 0.3;
+  }
+
+  _determineThreatCategory(factors) {
+    const behaviors = factors.get('behaviors');
+    const suspicious = behaviors ? behaviors.suspiciousBehaviors.map(b => b.behavior) : [];
+    const observed = suspicious.concat(behaviors ? behaviors.normalBehaviors.map(b => b.behavior) : []);
+    
+    if (suspicious.includes('avoiding_cameras') || suspicious.includes('looking_around')) return 'reconnaissance';
+    if (observed.includes('carrying_bag') && observed.includes('approaching_entry')) return 'theft';
+    if (observed.includes('approaching_entry')) return 'intrusion';
+    if (suspicious.includes('loitering')) return 'loitering';
+    if (behaviors && behaviors.riskScore > 0 && suspicious.length === 0) return 'benign';
+    return 'unknown';
+  }
+
+  _mapSuspicionToConfidence(suspicionLevel) {
+    if (suspicionLevel >= 0.8) return 'high';
+    if (suspicionLevel >= 0.5) return 'medium';
+    if (suspicionLevel >= 0.2) return 'low';
+    return 'minimal';
+  }
+
+  // Explanation helper methods
+
+  _generateReasoningSummary(trace, suspicionAssessment) {
+    const percent = Math.round(suspicionAssessment.suspicionLevel * 100);
+    return `Suspicion ${percent}% (${suspicionAssessment.threatCategory}) from ${trace.appliedRules.length} applied rules`;
+  }
+
+  _extractKeyFactors(trace) {
+    return trace.appliedRules
+      .filter(rule => rule.ruleType === 'behavior' || rule.ruleType === 'spatial' || rule.ruleType === 'temporal')
+      .map(rule => rule.description)
+      .slice(0, 5);
+  }
+
+  _summarizeRuleApplications(trace) {
+    const summary = {};
+    trace.appliedRules.forEach(rule => {
+      summary[rule.ruleType] = (summary[rule.ruleType] || 0) + 1;
+    });
+    return summary;
+  }
+
+  _explainUncertainty(trace) {
+    if (trace.uncertaintyFactors.length === 0) {
+      return 'No significant uncertainty recorded';
+    }
+    return trace.uncertaintyFactors
+      .map(factor => `${factor.type}: ${Math.round(factor.value * 100)}%`)
+      .join(', ');
+  }
+
+  _recommendAction(suspicionAssessment) {
+    const level = suspicionAssessment.suspicionLevel;
+    if (level >= 0.8) return 'immediate_response';
+    if (level >= 0.55) return 'notify_and_monitor';
+    if (level >= 0.3) return 'monitor';
+    return 'no_action';
+  }
 }
 
 /**
@@ -524,7 +683,7 @@ class ProbabilisticInferenceEngine {
 
   calculateTemporalProbability(temporalContext) {
     // Calculate probability based on temporal patterns
-    return temporalContext.length > 0 ? 0.7 : 0.3;
+    return Array.isArray(temporalContext) && temporalContext.length > 0 ? 0.7 : 0.3;
   }
 
   _initializePriors() {
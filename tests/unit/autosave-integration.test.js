@@ -26,9 +26,7 @@ describe('AutoSave Integration', () => {
   
   afterEach(async () => {
     try {
-      if (interpreter.autoSaveSystem) {
-        await interpreter.autoSaveSystem.shutdown();
-      }
+      await interpreter.dispose();
       await fs.rm(testDir, { recursive: true, force: true });
     } catch (error) {
     }
@@ -0,0 +1,249 @@
+/**
+ * Tests for the autosave write-ahead journal and delta snapshots
+ */
+import crypto from 'crypto';
+import { MemoryStorageAdapter } from '../../storage-adapters.js';
+import { StaticKeyProvider } from '../../save-encryption.js';
+import { AutoSaveSystem } from '../../autosave-system.js';
+import { AssessmentLedger } from '../../contextual-analytics.js';
+import { GoliathCognitiveInterpreter } from '../../mobilenovin-ai.js';
+
+const createComponent = (state) => ({
+  state,
+  getSaveState() { return this.state; },
+  restoreFromSave(saved) { this.state = saved; }
+});
+
+const createAutoSave = async (storage, options = { journal: true }) => {
+  const autoSave = new AutoSaveSystem({ autosave: { storage, intervalMs: 60000, ...options } });
+  await autoSave.initialize();
+  return autoSave;
+};
+
+const journalLines = async (storage) => {
+  const contents = await storage.read('autosave-journal.log');
+  return contents ? contents.toString().split('\n').filter(Boolean) : [];
+};
+
+describe('AutoSave journal', () => {
+  test('journals only the values that changed', async () => {
+    const storage = new MemoryStorageAdapter();
+    const autoSave = await createAutoSave(storage);
+    const component = createComponent({ norms: { porch: 1 }, alerts: [] });
+    autoSave.registerComponent('memory', component);
+
+    autoSave.markChanged('memory', { type: 'norm_update' });
+    await autoSave.flushJournal();
+    component.state = { ...component.state, alerts: [1] };
+    autoSave.markChanged('memory', { type: 'alert' });
+    autoSave.markChanged('memory', { type: 'noop' });
+    await autoSave.flushJournal();
+
+    const records = (await journalLines(storage)).map(line => JSON.parse(line));
+    expect(records).toHaveLength(2);
+    expect(records[0].patch).toEqual([{ op: 'set', path: [], value: { norms: { porch: 1 }, alerts: [] } }]);
+    expect(records[1].patch).toEqual([{ op: 'set', path: ['alerts', 0], value: 1 }]);
+    expect(autoSave.getStatus().journal).toMatchObject({ enabled: true, seq: 2, recordsSinceSnapshot: 2 });
+    await autoSave.shutdown();
+  });
+
+  test('records stay the size of the change as the state grows', async () => {
+    const storage = new MemoryStorageAdapter();
+    const autoSave = await createAutoSave(storage, { journal: { compactAfter: 1000 } });
+    // A capped ledger, mutated in place like the interpreter's
+    const component = createComponent({ ledger: [], reviews: {} });
+    autoSave.registerComponent('ledger', component);
+    await autoSave.saveState();
+
+    for (let i = 0; i < 300; i++) {
+      component.state.ledger.push({ eventId: `event_${i}`, location: 'front_door', suspicionLevel: 0.4, outcome: null });
+      if (component.state.ledger.length > 100) component.state.ledger.shift();
+      if (i % 10 === 0) component.state.ledger[component.state.ledger.length - 1].outcome = 'confirmed';
+      autoSave.markChanged('ledger', { type: 'event_interpreted' });
+      await autoSave.flushJournal();
+    }
+
+    const lines = await journalLines(storage);
+    expect(lines).toHaveLength(300);
+    expect(Math.max(...lines.map(line => line.length))).toBeLessThan(400);
+
+    const restarted = await createAutoSave(storage);
+    const restored = createComponent({});
+    restarted.registerComponent('ledger', restored);
+    expect(await restarted.recover()).toMatchObject({ replayed: 300 });
+    expect(restored.state).toEqual(component.state);
+    await restarted.shutdown();
+    await autoSave.shutdown();
+  });
+
+  test('a component can patch its own logs instead of having them diffed', async () => {
+    const storage = new MemoryStorageAdapter();
+    const autoSave = await createAutoSave(storage, { journal: { compactAfter: 1000 } });
+    const ledger = new AssessmentLedger(50);
+    const component = {
+      count: 0,
+      getSaveState() { return { count: this.count, ledger: ledger.getSaveState() }; },
+      getJournalPatch() { return { paths: [['ledger']], patch: ledger.takeJournalPatch(['ledger']) }; },
+      restoreFromSave(saved) { this.count = saved.count; ledger.restoreFromSave(saved.ledger); }
+    };
+    autoSave.registerComponent('interpreter', component);
+    await autoSave.saveState();
+
+    for (let i = 0; i < 120; i++) {
+      const timestamp = 1700000000000 + i * 1000;
+      ledger.record({ timestamp, location: 'front_door', entityType: 'person', behaviors: ['walking'] },
+        { eventId: `event_${i}`, suspicionLevel: 0.4, alertLevel: 'standard', shouldNotify: true });
+      if (i % 7 === 0) ledger.recordFeedback(`event_${i - 3}`, { userId: 'ana', actualThreat: false, timestamp });
+      if (i % 11 === 0) ledger.overruleFeedback(`event_${i - 4}`, 'ana');
+      if (i % 13 === 0) ledger.clearFeedback(`event_${i - 6}`, 'ana');
+      component.count++;
+      autoSave.markChanged('interpreter', { type: 'event_interpreted' });
+      await autoSave.flushJournal();
+    }
+
+    const records = (await journalLines(storage)).map(line => JSON.parse(line));
+    const ledgerOps = records.flatMap(record => record.patch).filter(op => op.path[0] === 'ledger');
+    expect(new Set(ledgerOps.map(op => op.op))).toEqual(new Set(['set', 'shift']));
+    expect(ledgerOps.every(op => op.op === 'shift' || op.path.length === 3)).toBe(true);
+
+    const restarted = await createAutoSave(storage);
+    const restoredLedger = new AssessmentLedger(50);
+    restarted.registerComponent('interpreter', {
+      getSaveState() { return {}; },
+      restoreFromSave(saved) { this.count = saved.count; restoredLedger.restoreFromSave(saved.ledger); }
+    });
+    expect(await restarted.recover()).toMatchObject({ replayed: 120 });
+    expect(restoredLedger.records).toEqual(ledger.records);
+    await restarted.shutdown();
+    await autoSave.shutdown();
+  });
+
+  test('the interpreter journals its ledger and suspicion history as patches', async () => {
+    const storage = new MemoryStorageAdapter();
+    const config = {
+      autosave: { storage, intervalMs: 60000, journal: { compactAfter: 1000 } },
+      processingTimeout: 1000,
+      maxSuspicionHistory: 4,
+      engines: { suspicion: 'graduated' }
+    };
+    const interpreter = new GoliathCognitiveInterpreter(config);
+    await interpreter._autoSaveReady;
+    await interpreter.saveState();
+
+    const results = [];
+    for (let i = 0; i < 6; i++) {
+      results.push(await interpreter.interpretEvent({
+        entityType: 'person', entityId: `visitor-${i}`, location: 'driveway',
+        timestamp: Date.now() + i * 60000, behaviors: ['approaching'], detectionConfidence: 0.9
+      }));
+    }
+    await interpreter.provideFeedback(results[5].eventId, { accurate: true, role: 'operator' });
+    await interpreter.autoSaveSystem.flushJournal();
+
+    const patches = (await journalLines(storage)).flatMap(line => JSON.parse(line).patch || []);
+    const historyOps = patches.filter(op => op.path[0] === 'suspicion' && op.path[1] === 'history');
+    expect(historyOps.length).toBeGreaterThan(0);
+    expect(historyOps.every(op => op.op === 'shift' || op.path.length === 3)).toBe(true);
+    const expected = JSON.parse(JSON.stringify(await interpreter.getSaveState()));
+
+    // Simulated crash: restart on the same storage without a final snapshot
+    const restarted = new GoliathCognitiveInterpreter(config);
+    await restarted._autoSaveReady;
+    expect(restarted.autoSaveSystem.journal.recordsSinceSnapshot).toBeGreaterThan(0);
+    const recovered = JSON.parse(JSON.stringify(await restarted.getSaveState()));
+    expect(recovered.suspicion).toEqual(expected.suspicion);
+    expect(recovered.assessmentLedger).toEqual(expected.assessmentLedger);
+    await Promise.all([interpreter.dispose(), restarted.dispose()]);
+  });
+
+  test('recovers the snapshot plus journaled changes after a crash', async () => {
+    const storage = new MemoryStorageAdapter();
+    const autoSave = await createAutoSave(storage);
+    const component = createComponent({ norms: { porch: 1 }, alerts: [], stale: true });
+    autoSave.registerComponent('memory', component);
+    await autoSave.saveState();
+
+    component.state = { norms: { porch: 2 }, alerts: [5] };
+    autoSave.markChanged('memory', { type: 'learning' });
+    await autoSave.flushJournal();
+    // Simulated crash: no shutdown, no further snapshot
+
+    const restarted = await createAutoSave(storage);
+    const restored = createComponent({});
+    restarted.registerComponent('memory', restored);
+    const result = await restarted.recover();
+
+    expect(result).toMatchObject({ replayed: 1, restored: 1 });
+    expect(restored.state).toEqual({ norms: { porch: 2 }, alerts: [5] });
+    expect(restarted.journal.seq).toBe(1);
+    await restarted.shutdown();
+  });
+
+  test('compaction writes a snapshot and truncates the journal', async () => {
+    const storage = new MemoryStorageAdapter();
+    const autoSave = await createAutoSave(storage, { journal: { compactAfter: 3 } });
+    const component = createComponent({ count: 0 });
+    autoSave.registerComponent('counter', component);
+
+    for (let i = 1; i <= 3; i++) {
+      component.state = { count: i };
+      autoSave.markChanged('counter', { type: 'increment' });
+      await autoSave.flushJournal();
+    }
+    await autoSave.flushJournal();
+
+    expect(await journalLines(storage)).toEqual([]);
+    const snapshot = await autoSave.loadLatestSave();
+    expect(snapshot.journalSeq).toBe(3);
+    expect(snapshot.components.counter.state).toEqual({ count: 3 });
+    await autoSave.shutdown();
+  });
+
+  test('replay stops at a torn record', async () => {
+    const storage = new MemoryStorageAdapter();
+    const autoSave = await createAutoSave(storage);
+    const component = createComponent({ count: 0 });
+    autoSave.registerComponent('counter', component);
+
+    component.state = { count: 1 };
+    autoSave.markChanged('counter', {});
+    await autoSave.flushJournal();
+    await storage.append('autosave-journal.log', '{"seq":2,"componentId":"coun');
+
+    const restarted = await createAutoSave(storage);
+    const restored = createComponent({});
+    restarted.registerComponent('counter', restored);
+    expect(await restarted.recover()).toMatchObject({ snapshot: null, replayed: 1 });
+    expect(restored.state).toEqual({ count: 1 });
+    await restarted.shutdown();
+  });
+
+  test('journal records are sealed when encryption is configured', async () => {
+    const storage = new MemoryStorageAdapter();
+    const keyProvider = new StaticKeyProvider({ keys: { k1: crypto.randomBytes(32) } });
+    const autoSave = await createAutoSave(storage, { journal: true, encryption: { keyProvider } });
+    const component = createComponent({ location: 'back_door' });
+    autoSave.registerComponent('memory', component);
+
+    autoSave.markChanged('memory', {});
+    await autoSave.flushJournal();
+    const [line] = await journalLines(storage);
+    expect(line.startsWith('E')).toBe(true);
+    expect(line.includes('back_door')).toBe(false);
+
+    component.state = {};
+    await autoSave.recover();
+    expect(component.state).toEqual({ location: 'back_door' });
+    await autoSave.shutdown();
+  });
+
+  test('the journal is off by default', async () => {
+    const storage = new MemoryStorageAdapter();
+    const autoSave = await createAutoSave(storage, {});
+    autoSave.registerComponent('memory', createComponent({ a: 1 }));
+    autoSave.markChanged('memory', {});
+    await autoSave.flushJournal();
+    expect(await storage.read('autosave-journal.log')).toBeNull();
+    await autoSave.shutdown();
+  });
+});
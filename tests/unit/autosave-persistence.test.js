@@ -0,0 +1,106 @@
+/**
+ * Tests for the unified autosave persistence layer
+ */
+import { AutoSaveSystem, resolveAutoSaveConfig } from '../../autosave-system.js';
+import LegacyAutoSaveSystem from '../../auto-save-system.js';
+import { GoliathCognitiveInterpreter } from '../../mobilenovin-ai.js';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const createComponent = (state) => ({
+  state,
+  restored: null,
+  getSaveState() { return this.state; },
+  restoreFromSave(saved) { this.restored = saved; }
+});
+
+describe('AutoSaveSystem persistence', () => {
+  let saveDirectory;
+  let autoSave;
+
+  beforeEach(async () => {
+    saveDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'novin-autosave-'));
+    autoSave = new AutoSaveSystem({ autosave: { saveDirectory, maxBackups: 2 } });
+    await autoSave.initialize();
+  });
+
+  afterEach(async () => {
+    await autoSave.shutdown();
+    await fs.rm(saveDirectory, { recursive: true, force: true });
+  });
+
+  test('the legacy module path exports the same class', () => {
+    expect(LegacyAutoSaveSystem).toBe(AutoSaveSystem);
+  });
+
+  test('snapshots registered components and restores them', async () => {
+    const memory = createComponent({ events: 3 });
+    autoSave.registerComponent('memory', memory);
+    autoSave.markChanged('memory', { type: 'event_stored', source: 'ai' });
+
+    await autoSave.saveState();
+    const saveData = await autoSave.loadLatestSave();
+
+    expect(saveData.components.memory.state).toEqual({ events: 3 });
+    expect(saveData.devinChanges).toHaveLength(1);
+    expect(await autoSave.restoreFromSave(saveData)).toBe(1);
+    expect(memory.restored).toEqual({ events: 3 });
+  });
+
+  test('rejects components without getSaveState', () => {
+    expect(() => autoSave.registerComponent('broken', {})).toThrow('must implement getSaveState');
+  });
+
+  test('keeps only maxBackups save files', async () => {
+    autoSave.registerComponent('memory', createComponent({}));
+    for (let i = 0; i < 4; i++) {
+      await autoSave.saveState();
+      await new Promise(resolve => setTimeout(resolve, 2));
+    }
+
+    const saves = (await fs.readdir(saveDirectory)).filter(name => /^autosave-\d+\.json\.gz$/.test(name));
+    expect(saves).toHaveLength(2);
+  });
+
+  test('falls back to an older save when the newest fails its checksum', async () => {
+    const memory = createComponent({ version: 1 });
+    autoSave.registerComponent('memory', memory);
+    await autoSave.saveState();
+    await new Promise(resolve => setTimeout(resolve, 2));
+
+    memory.state = { version: 2 };
+    const newest = await autoSave.saveState();
+    await fs.writeFile(`${newest}.checksum`, 'tampered');
+
+    const saveData = await autoSave.loadLatestSave();
+    expect(saveData.components.memory.state).toEqual({ version: 1 });
+  });
+});
+
+describe('AutoSave configuration', () => {
+  test('legacy flat options still configure the persistence layer', () => {
+    const config = resolveAutoSaveConfig({
+      autosave: { enabled: true, saveDirectory: './saves' },
+      autoSaveEnabled: false,
+      autoSaveInterval: 5000,
+      autoSaveDirectory: './legacy-saves',
+      maxAutoSaveBackups: 3
+    });
+
+    expect(config).toMatchObject({ enabled: false, intervalMs: 5000, saveDirectory: './legacy-saves', maxBackups: 3 });
+  });
+
+  test('the interpreter owns a single instance shared by its components', async () => {
+    const interpreter = new GoliathCognitiveInterpreter({
+      autosave: { enabled: false },
+      engines: { memory: 'contextual', learning: 'adaptive' }
+    });
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    const { registeredComponents } = interpreter.getAutoSaveStatus();
+    expect(registeredComponents).toContain('main-ai-system');
+    expect(registeredComponents.length).toBe(3);
+    expect(interpreter.contextualMemory.system.autoSaveSystem).toBe(interpreter.autoSaveSystem);
+  });
+});
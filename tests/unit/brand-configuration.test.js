@@ -0,0 +1,134 @@
+/**
+ * Tests for white-label brand profiles
+ */
+import { GoliathCognitiveInterpreter, CognitiveError } from '../../mobilenovin-ai.js';
+import { computeContextMultipliers, renderBrandMessage, validateBrandProfile } from '../../brand-configuration.js';
+
+const ringProfile = {
+  brandName: 'Ring',
+  alertThresholds: { ignore: 15, standard: 40, elevated: 65, critical: 80 },
+  contextWeights: { userPresence: 2.0, timeOfDay: 1.5, location: 1.4, weather: 0.6 },
+  customMessages: {
+    CRITICAL: 'Ring Alert: {original}',
+    ELEVATED: 'Ring Notice: {original}',
+    STANDARD: 'Ring Update: {original}',
+    IGNORE: null
+  },
+  whiteLabel: true
+};
+
+const createEvent = (overrides = {}) => ({
+  entityType: 'person',
+  entityId: 'entity-1',
+  location: 'front_door',
+  timestamp: new Date('2026-01-05T14:00:00').getTime(),
+  behaviors: [],
+  metadata: {},
+  ...overrides
+});
+
+describe('Brand profile helpers', () => {
+  test('validateBrandProfile reports unknown weights and bad templates', () => {
+    const errors = validateBrandProfile({
+      brandName: 'Acme',
+      contextWeights: { userPresence: -1, moonPhase: 1.2 },
+      customMessages: { PANIC: 'x', STANDARD: 42 }
+    });
+    expect(errors).toEqual(expect.arrayContaining([
+      'contextWeights.userPresence must be a number between 0 and 5',
+      expect.stringContaining('contextWeights.moonPhase is not a known context weight'),
+      expect.stringContaining('customMessages.PANIC is not an alert level'),
+      'customMessages.STANDARD must be a template string or null'
+    ]));
+  });
+
+  test('context multipliers follow the event metadata', () => {
+    const event = createEvent({ metadata: { userHome: false, timeOfDay: 'night', weather: 'Rain' } });
+    const reasons = computeContextMultipliers(event, {}, ringProfile.contextWeights, false).map(m => m.reason);
+    expect(reasons).toEqual(['context_user_away', 'context_night', 'context_entry_point', 'context_interference']);
+
+    const authorized = computeContextMultipliers(event, {}, ringProfile.contextWeights, true).map(m => m.reason);
+    expect(authorized).toEqual(['context_interference']);
+  });
+
+  test('renderBrandMessage fills known placeholders only', () => {
+    expect(renderBrandMessage('{brandName}: {original} ({unknown})', { brandName: 'Ring', original: 'Door opened' }))
+      .toBe('Ring: Door opened ({unknown})');
+  });
+});
+
+describe('GoliathCognitiveInterpreter.setBrandConfiguration', () => {
+  const baseConfig = { autosave: { enabled: false }, processingTimeout: 1000 };
+
+  test('activates the profile and overrides alert thresholds', async () => {
+    const interpreter = new GoliathCognitiveInterpreter(baseConfig);
+    const profile = await interpreter.setBrandConfiguration(ringProfile);
+
+    expect(profile.brandName).toBe('Ring');
+    expect(interpreter.config.alertThresholds).toEqual(ringProfile.alertThresholds);
+    expect(interpreter.getBrandConfiguration().whiteLabel).toBe(true);
+  });
+
+  test('switching brands restores thresholds the new profile does not set', async () => {
+    const interpreter = new GoliathCognitiveInterpreter(baseConfig);
+    await interpreter.setBrandConfiguration(ringProfile);
+    await interpreter.setBrandConfiguration({ brandName: 'Plain', suspicionThresholds: { critical: 0.9 } });
+
+    expect(interpreter.config.alertThresholds).toEqual({ ignore: 20, standard: 45, elevated: 70, critical: 85 });
+    expect(interpreter.config.suspicionThresholds.critical).toBe(0.9);
+
+    interpreter.useBrandProfile('Ring');
+    expect(interpreter.config.alertThresholds.ignore).toBe(15);
+    expect(interpreter.config.suspicionThresholds.critical).toBe(0.8);
+    expect(() => interpreter.useBrandProfile('Unknown')).toThrow(CognitiveError);
+  });
+
+  test('brand profiles and the active brand survive a restart', async () => {
+    const interpreter = new GoliathCognitiveInterpreter(baseConfig);
+    await interpreter.setBrandConfiguration({ brandName: 'Plain', suspicionThresholds: { critical: 0.9 } });
+    await interpreter.setBrandConfiguration(ringProfile);
+
+    const saved = JSON.parse(JSON.stringify(await interpreter.getSaveState()));
+    const restored = new GoliathCognitiveInterpreter(baseConfig);
+    await restored.restoreFromSave(saved);
+
+    expect(restored.getBrandConfiguration()).toEqual(interpreter.getBrandConfiguration());
+    expect(restored.config.alertThresholds).toEqual(ringProfile.alertThresholds);
+    restored.useBrandProfile('Plain');
+    expect(restored.config.suspicionThresholds.critical).toBe(0.9);
+  });
+
+  test('rejects profiles that fail config validation', async () => {
+    const interpreter = new GoliathCognitiveInterpreter(baseConfig);
+    await expect(interpreter.setBrandConfiguration({ brandName: 'Bad', alertThresholds: { standard: 95 } }))
+      .rejects.toThrow('alertThresholds must be in ascending order');
+    await expect(interpreter.setBrandConfiguration({ alertThresholds: {} }))
+      .rejects.toThrow('brandName must be a non-empty string');
+    expect(interpreter.getBrandConfiguration()).toBeNull();
+  });
+
+  test('context weights shape suspicion in the alert policy', async () => {
+    const interpreter = new GoliathCognitiveInterpreter(baseConfig);
+    await interpreter.setBrandConfiguration({ brandName: 'Weighted', contextWeights: { userPresence: 2 } });
+
+    const assessment = { suspicionLevel: 0.2, intentConfidence: 0.9, contextualRelevance: 0.9, reasoningCertainty: 0.9 };
+    const away = interpreter._applyAlertPolicy(createEvent({ metadata: { userHome: false } }), {}, assessment, {});
+    expect(away.shapedSuspicion).toBeCloseTo(0.4);
+    expect(away.reasons).toContain('context_user_away');
+
+    const home = interpreter._applyAlertPolicy(createEvent({ entityId: 'entity-2', metadata: { userHome: true } }), {}, assessment, {});
+    expect(home.shapedSuspicion).toBeCloseTo(0.2);
+  });
+
+  test('decisions carry the branded message', async () => {
+    const interpreter = new GoliathCognitiveInterpreter(baseConfig);
+    await interpreter.setBrandConfiguration(ringProfile);
+
+    const decision = await interpreter.processEvent({
+      deviceId: 'smoke-1', eventType: 'smokeDetected', location: 'kitchen', confidence: 0.9
+    });
+    expect(decision.alertLevel).toBe('CRITICAL');
+    expect(decision.message).toBe('Ring Alert: Smoke detected at kitchen');
+    expect(decision.brand).toBe('Ring');
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Tests for contextual insights and analytics reporting
+ */
+import { AssessmentLedger, parseTimeRange, classifyFeedback } from '../../contextual-analytics.js';
+import { CognitiveError } from '../../mobilenovin-ai.js';
+import { useInterpreters } from './helpers/interpreters.js';
+
+const createInterpreter = useInterpreters();
+
+const createEvent = (overrides = {}) => ({
+  entityType: 'person',
+  entityId: `entity-${Math.random().toString(36).slice(2)}`,
+  location: 'front_door',
+  timestamp: Date.now(),
+  behaviors: ['approaching'],
+  detectionConfidence: 0.9,
+  ...overrides
+});
+
+describe('Analytics helpers', () => {
+  test('parseTimeRange accepts milliseconds and durations', () => {
+    expect(parseTimeRange(5000)).toBe(5000);
+    expect(parseTimeRange('1h')).toBe(3600000);
+    expect(parseTimeRange('7d')).toBe(7 * 24 * 3600000);
+    expect(() => parseTimeRange('soon')).toThrow('Invalid time range');
+    expect(() => parseTimeRange(0)).toThrow('Invalid time range');
+  });
+
+  test('classifyFeedback compares the outcome with whether the event notified', () => {
+    expect(classifyFeedback(true, { actualThreat: false })).toBe('false_alarm');
+    expect(classifyFeedback(true, { actualThreat: true })).toBe('confirmed_threat');
+    expect(classifyFeedback(false, { actualThreat: true })).toBe('missed_threat');
+    expect(classifyFeedback(false, { accurate: true })).toBe('correct_dismissal');
+    expect(classifyFeedback(true, {})).toBeNull();
+  });
+
+  test('the ledger drops its oldest records past capacity', () => {
+    const ledger = new AssessmentLedger(2);
+    for (const eventId of ['a', 'b', 'c']) {
+      ledger.record(createEvent(), { eventId, alertLevel: 'info', policyReasons: [] });
+    }
+    expect(ledger.records.map(entry => entry.eventId)).toEqual(['b', 'c']);
+    expect(ledger.recordFeedback('a', { actualThreat: false })).toBeNull();
+  });
+});
+
+describe('Interpreter analytics', () => {
+  test('getContextualInsights aggregates alert levels, suppression, feedback and behaviors', async () => {
+    // On vacation the door always notifies; the repeat visit is then backed off
+    const interpreter = createInterpreter({ engines: { memory: 'contextual' }, household: { mode: 'vacation' } });
+    const first = await interpreter.interpretEvent(createEvent({ entityId: 'visitor-1', behaviors: ['loitering'] }));
+    await interpreter.interpretEvent(createEvent({ entityId: 'visitor-1', behaviors: ['loitering'] }));
+    await interpreter.interpretEvent(createEvent({ location: 'garage', behaviors: ['walking'] }));
+    await interpreter.provideFeedback(first.eventId, { actualThreat: false });
+
+    const insights = interpreter.getContextualInsights('front_door', '1h');
+    expect(insights.location).toBe('front_door');
+    expect(insights.totalEvents).toBe(2);
+    expect(insights.notifiedEvents).toBe(1);
+    expect(insights.topBehaviors[0]).toEqual({ behavior: 'loitering', count: 2 });
+    expect(insights.peakHours[0]).toMatchObject({ hour: new Date().getHours(), count: 2 });
+    expect(insights.alertLevels).toMatchObject({ elevated: 1, info: 1 });
+    expect(insights.suppression).toEqual({ total: 1, reasons: [{ reason: 'backoff_suppress', count: 1 }] });
+    expect(insights.feedback).toMatchObject({ reviewed: 1, falseAlarms: 1, falsePositiveRate: 1 });
+
+    expect(interpreter.getContextualInsights(null, '1h').totalEvents).toBe(3);
+  });
+
+  test('events outside the time range are excluded', async () => {
+    const interpreter = createInterpreter();
+    await interpreter.interpretEvent(createEvent({ timestamp: Date.now() - 3 * 3600000 }));
+    await interpreter.interpretEvent(createEvent());
+
+    expect(interpreter.getContextualInsights('front_door', '1h').totalEvents).toBe(1);
+    expect(interpreter.getContextualInsights('front_door', '24h').totalEvents).toBe(2);
+    expect(() => interpreter.getContextualInsights('front_door', 'yesterday')).toThrow(CognitiveError);
+  });
+
+  test('getAnalytics reports the documented summary shape', async () => {
+    const interpreter = createInterpreter();
+    await interpreter.processEvent({ deviceId: 'cam-1', eventType: 'humanDetected', location: 'front_door', confidence: 0.9 });
+    await interpreter.processEvent({ deviceId: 'sensor-1', eventType: 'motion', location: 'hallway', confidence: 0.6 });
+
+    const analytics = interpreter.getAnalytics('24h');
+    expect(analytics.summary.totalEvents).toBe(2);
+    expect(analytics.summary.averageProcessingTime).toBeGreaterThanOrEqual(0);
+    expect(Object.values(analytics.alertDistribution).reduce((sum, share) => sum + share, 0)).toBeCloseTo(100, 0);
+    expect(analytics.topEventTypes.map(entry => entry.type).sort()).toEqual(['humanDetected', 'motion']);
+    expect(analytics.locations).toHaveLength(2);
+    expect(analytics.performance.totalInferences).toBe(2);
+  });
+
+  test('the ledger survives a save and restore', async () => {
+    const interpreter = createInterpreter();
+    await interpreter.interpretEvent(createEvent());
+    const saved = await interpreter.getSaveState();
+
+    const restored = createInterpreter();
+    await restored.restoreFromSave(JSON.parse(JSON.stringify(saved)));
+    expect(restored.getContextualInsights('front_door', '1h').totalEvents).toBe(1);
+  });
+});
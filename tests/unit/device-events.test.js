@@ -0,0 +1,173 @@
+/**
+ * Tests for the processEvent / processBatch device event API
+ */
+import { GoliathCognitiveInterpreter, CognitiveError } from '../../mobilenovin-ai.js';
+import { normalizeDeviceEvent, validateDeviceEvent, scoreToDeviceAlertLevel } from '../../device-events.js';
+import { DEFAULT_CONFIG, validateConfig, mergeConfig } from '../../config-schema.js';
+
+const createDeviceEvent = (overrides = {}) => ({
+  deviceId: 'camera-001',
+  deviceType: 'camera',
+  eventType: 'humanDetected',
+  location: 'front_door',
+  confidence: 0.85,
+  timestamp: new Date('2026-01-05T03:00:00').getTime(),
+  metadata: { userHome: false, knownHuman: false, timeOfDay: 'night' },
+  ...overrides
+});
+
+describe('Device event normalization', () => {
+  test('maps a device event onto a perception event', () => {
+    const perception = normalizeDeviceEvent(createDeviceEvent());
+
+    expect(perception.entityType).toBe('person');
+    expect(perception.entityId).toBe('device:camera-001');
+    expect(perception.location).toBe('front_door');
+    expect(perception.behaviors).toContain('approaching_entry');
+    expect(perception.detectionConfidence).toBe(0.85);
+    expect(perception.metadata.timeOfDay).toBe('02:00');
+    expect(perception.metadata.deviceType).toBe('camera');
+  });
+
+  test('weak signal lowers detection confidence and timestamp defaults to now', () => {
+    const before = Date.now();
+    const perception = normalizeDeviceEvent(createDeviceEvent({ timestamp: undefined, metadata: { signalStrength: 0 } }));
+
+    expect(perception.detectionConfidence).toBeCloseTo(0.85 * 0.85);
+    expect(perception.timestamp).toBeGreaterThanOrEqual(before);
+    expect(perception.metadata.timeOfDay).toMatch(/^\d{2}:\d{2}$/);
+  });
+
+  test('validation reports every missing field', () => {
+    const errors = validateDeviceEvent({ eventType: 'motion', confidence: 2 });
+    expect(errors).toEqual(expect.arrayContaining([
+      'deviceId must be a non-empty string',
+      'location must be a non-empty string',
+      'confidence must be a number between 0 and 1'
+    ]));
+  });
+
+  test('threat scores map onto alertThresholds', () => {
+    const thresholds = DEFAULT_CONFIG.alertThresholds;
+    expect(scoreToDeviceAlertLevel(90, thresholds, true)).toBe('CRITICAL');
+    expect(scoreToDeviceAlertLevel(75, thresholds, false)).toBe('ELEVATED');
+    expect(scoreToDeviceAlertLevel(50, thresholds, false)).toBe('STANDARD');
+    expect(scoreToDeviceAlertLevel(30, thresholds, false)).toBe('IGNORE');
+    expect(scoreToDeviceAlertLevel(30, thresholds, true)).toBe('STANDARD');
+    expect(scoreToDeviceAlertLevel(10, thresholds, true)).toBe('IGNORE');
+  });
+
+  test('alertThresholds must be ascending', () => {
+    const config = mergeConfig(DEFAULT_CONFIG, { alertThresholds: { standard: 90 } });
+    expect(validateConfig(config)).toContain('alertThresholds must be in ascending order (ignore < standard < elevated < critical)');
+  });
+});
+
+describe('GoliathCognitiveInterpreter device API', () => {
+  const baseConfig = { autosave: { enabled: false }, processingTimeout: 1000 };
+
+  test('processEvent returns the documented decision', async () => {
+    const interpreter = new GoliathCognitiveInterpreter(baseConfig);
+    const decision = await interpreter.processEvent(createDeviceEvent());
+
+    expect(['IGNORE', 'STANDARD', 'ELEVATED', 'CRITICAL']).toContain(decision.alertLevel);
+    expect(decision.message).toBe('Person detected at front door');
+    expect(Number.isInteger(decision.threatScore)).toBe(true);
+    expect(decision.threatScore).toBeGreaterThanOrEqual(0);
+    expect(decision.threatScore).toBeLessThanOrEqual(100);
+    expect(decision.confidence).toBeGreaterThan(0);
+    expect(typeof decision.reasoning).toBe('string');
+    expect(decision.eventId).toMatch(/^evt-/);
+    expect(decision.processingTime).toBeGreaterThanOrEqual(0);
+  });
+
+  test('unknown night entry at a door is never ignored', async () => {
+    const interpreter = new GoliathCognitiveInterpreter(baseConfig);
+    const decision = await interpreter.processEvent(createDeviceEvent());
+    expect(decision.policyReasons).toContain('night_unauthorized_entry_boost');
+    expect(decision.alertLevel).not.toBe('IGNORE');
+  });
+
+  test('hazard events are reported at their minimum level', async () => {
+    const interpreter = new GoliathCognitiveInterpreter(baseConfig);
+    const decision = await interpreter.processEvent(createDeviceEvent({
+      deviceId: 'smoke-1', eventType: 'smokeDetected', location: 'kitchen', metadata: { hasKey: true }
+    }));
+    expect(decision.alertLevel).toBe('CRITICAL');
+  });
+
+  test('an enforced away entry minimum sets the device level', async () => {
+    const interpreter = new GoliathCognitiveInterpreter({ ...baseConfig, enforceAwayEntryMin: 'elevated' });
+    interpreter.setHouseholdMode('away');
+    const decision = await interpreter.processEvent(createDeviceEvent({
+      confidence: 0.5,
+      timestamp: new Date('2026-01-05T14:00:00').getTime(),
+      metadata: { knownHuman: false }
+    }));
+
+    expect(decision.policyReasons).toContain('household_away_entry_min');
+    expect(decision.alertLevel).toBe('ELEVATED');
+  });
+
+  test('the device level follows the final assessment', async () => {
+    const interpreter = new GoliathCognitiveInterpreter({
+      ...baseConfig,
+      geofences: [{ id: 'street', type: 'region', zone: 'street', action: 'suppress' }]
+    });
+    interpreter.labelEntity('loiterer', 'banned');
+    let assessment;
+    const interpret = interpreter.interpretEvent.bind(interpreter);
+    interpreter.interpretEvent = async event => (assessment = await interpret(event));
+    const deviceEvent = createDeviceEvent({
+      location: 'street',
+      timestamp: new Date('2026-01-05T14:00:00').getTime(),
+      metadata: { entityId: 'loiterer' }
+    });
+    const decision = await interpreter.processEvent(deviceEvent);
+
+    expect(decision.policyReasons).toEqual(expect.arrayContaining(['geofence:street', 'banned_entity_min']));
+    expect(assessment).toMatchObject({ alertLevel: 'elevated', shouldNotify: true });
+    expect(decision.alertLevel).toBe('ELEVATED');
+
+    // Not notifying is never surfaced, whatever the score
+    const quiet = interpreter._toDeviceDecision(deviceEvent, { ...assessment, suspicionLevel: 0.95, alertLevel: 'info', shouldNotify: false }, 0);
+    expect(quiet.alertLevel).toBe('IGNORE');
+  });
+
+  test('known_person feedback cannot trust a whole device', async () => {
+    const interpreter = new GoliathCognitiveInterpreter({ ...baseConfig, processingTimeout: 5000 });
+    let assessment;
+    const interpret = interpreter.interpretEvent.bind(interpreter);
+    interpreter.interpretEvent = async event => (assessment = await interpret(event));
+    const daytime = new Date('2026-01-05T14:00:00').getTime();
+
+    await interpreter.processEvent(createDeviceEvent({ timestamp: daytime, metadata: {} }));
+    await expect(interpreter.provideFeedback(assessment.eventId, { type: 'known_person' }))
+      .rejects.toThrow('needs a recognized entity');
+    expect(interpreter.entityLabels.get('device:camera-001')).toBeFalsy();
+
+    // A stranger later seen by the same camera while the house is empty still alerts
+    interpreter.setHouseholdMode('away');
+    const stranger = await interpreter.processEvent(createDeviceEvent({ location: 'back_door', timestamp: daytime + 60000, metadata: {} }));
+    expect(stranger.alertLevel).not.toBe('IGNORE');
+    expect(stranger.policyReasons).not.toContain('authorized_downweight');
+  });
+
+  test('processEvent rejects malformed events', async () => {
+    const interpreter = new GoliathCognitiveInterpreter(baseConfig);
+    await expect(interpreter.processEvent({ deviceId: 'x', eventType: 'motion' })).rejects.toThrow(CognitiveError);
+    await expect(interpreter.processEvent({ deviceId: 'x', eventType: 'motion' })).rejects.toThrow('location must be a non-empty string');
+  });
+
+  test('processBatch keeps input order and enforces the batch limit', async () => {
+    const interpreter = new GoliathCognitiveInterpreter({ ...baseConfig, maxBatchSize: 2 });
+    const decisions = await interpreter.processBatch([
+      { deviceId: 'sensor-1', eventType: 'motion', location: 'hallway', confidence: 0.7 },
+      { deviceId: 'sensor-2', eventType: 'doorOpened', location: 'front_door', confidence: 0.9 }
+    ]);
+
+    expect(decisions.map(decision => decision.deviceId)).toEqual(['sensor-1', 'sensor-2']);
+    await expect(interpreter.processBatch(new Array(3).fill(createDeviceEvent()))).rejects.toThrow('exceeds the maximum of 2');
+    await expect(interpreter.processBatch('events')).rejects.toThrow('must be an array');
+  });
+});
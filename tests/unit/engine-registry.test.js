@@ -0,0 +1,288 @@
+/**
+ * Tests for the pluggable engine registry
+ */
+import {
+  EngineRegistry,
+  ENGINE_CONTRACTS,
+  validateEngine,
+  defaultEngineRegistry,
+  IntentFrameworkAdapter,
+  ContextualMemoryAdapter
+} from '../../engine-registry.js';
+import { GoliathCognitiveInterpreter } from '../../mobilenovin-ai.js';
+
+const createEvent = (overrides = {}) => ({
+  entityType: 'adult_male',
+  entityId: 'entity-1',
+  location: 'front_door',
+  timestamp: new Date('2026-01-05T03:00:00').getTime(),
+  behaviors: ['approaching', 'looking_around'],
+  spatialData: { x: 1, y: 2 },
+  detectionConfidence: 0.9,
+  metadata: {},
+  ...overrides
+});
+
+const createStubReasoning = () => ({
+  reason: async () => ({ suspicionLevel: 0.42, confidence: 0.9, reasoning: 'stub', factors: [] }),
+  explainDecision: (eventId) => ({ eventId, reasoning: 'stub explanation' })
+});
+
+describe('Engine Registry', () => {
+  test('default registry provides mock and full engines for every stage', () => {
+    const listing = defaultEngineRegistry.list();
+    Object.keys(ENGINE_CONTRACTS).filter(stage => stage !== 'suspicion').forEach(stage => {
+      expect(listing[stage]).toContain('mock');
+    });
+    expect(listing.memory).toContain('contextual');
+    expect(listing.intent).toContain('framework');
+    expect(listing.reasoning).toContain('symbolic');
+    expect(listing.spatial).toContain('awareness');
+    expect(listing.learning).toContain('adaptive');
+    expect(listing.suspicion).toEqual(expect.arrayContaining(['passthrough', 'graduated']));
+  });
+
+  test('validateEngine reports missing contract methods', () => {
+    expect(() => validateEngine('reasoning', { reason: () => {} }))
+      .toThrow('missing required methods: explainDecision');
+    expect(() => validateEngine('unknown', {})).toThrow('Unknown engine stage');
+  });
+
+  test('create accepts names, factories, classes and instances', () => {
+    const registry = new EngineRegistry();
+    registry.register('reasoning', 'stub', createStubReasoning);
+
+    class StubReasoning {
+      async reason() { return { suspicionLevel: 0 }; }
+      explainDecision() { return {}; }
+    }
+
+    expect(registry.create('reasoning', 'stub', {}).reason).toBeDefined();
+    expect(registry.create('reasoning', createStubReasoning, {}).explainDecision('e').eventId).toBe('e');
+    expect(registry.create('reasoning', StubReasoning, {})).toBeInstanceOf(StubReasoning);
+
+    const instance = createStubReasoning();
+    expect(registry.create('reasoning', instance, {})).toBe(instance);
+  });
+
+  test('create rejects unregistered engine names', () => {
+    const registry = new EngineRegistry();
+    expect(() => registry.create('intent', 'missing', {})).toThrow('No "missing" engine registered');
+  });
+
+  test('IntentFrameworkAdapter maps analyzeIntent onto assessIntent', async () => {
+    const adapter = new IntentFrameworkAdapter({});
+    const intent = await adapter.assessIntent(createEvent(), {}, null);
+
+    expect(intent.primaryIntent).toBeDefined();
+    expect(intent.confidence).toBe(intent.intentConfidence);
+    expect(intent.intentStrength).toBe(intent.intentLikelihood);
+    expect(intent.riskFactors).toContain('unusual_time');
+  });
+
+  test('ContextualMemoryAdapter maps getContextualHistory onto retrieveRelevantContext', async () => {
+    const adapter = new ContextualMemoryAdapter({});
+    const event = createEvent();
+    const context = await adapter.retrieveRelevantContext(event.location, event.timestamp, event.entityType, event);
+
+    expect(context.spatialHistory).toBeDefined();
+    expect(context.contextualRelevance).toBeDefined();
+    expect(context.normalPatterns).toEqual({});
+  });
+});
+
+describe('GoliathCognitiveInterpreter engine selection', () => {
+  const baseConfig = { autosave: { enabled: false }, processingTimeout: 1000 };
+
+  test('uses mock engines by default', () => {
+    const interpreter = new GoliathCognitiveInterpreter(baseConfig);
+    expect(interpreter.config.engines.reasoning).toBe('mock');
+    expect(interpreter.reasoningEngine.constructor.name).toBe('MockSymbolicReasoningEngine');
+  });
+
+  test('selects full cognitive subsystems through config.engines', async () => {
+    const interpreter = new GoliathCognitiveInterpreter({
+      ...baseConfig,
+      engines: { memory: 'contextual', intent: 'framework', reasoning: 'symbolic', spatial: 'awareness', learning: 'adaptive' }
+    });
+
+    expect(interpreter.reasoningEngine.constructor.name).toBe('SymbolicReasoningEngine');
+    expect(interpreter.intentModeler).toBeInstanceOf(IntentFrameworkAdapter);
+
+    const result = await interpreter.interpretEvent(createEvent());
+    expect(result.suspicionLevel).toBeGreaterThanOrEqual(0);
+    expect(result.suspicionLevel).toBeLessThanOrEqual(1);
+    expect(['info', 'standard', 'elevated', 'critical']).toContain(result.alertLevel);
+    expect(result.eventId).toMatch(/^evt-/);
+  });
+
+  test('accepts custom engines registered by name or passed directly', async () => {
+    GoliathCognitiveInterpreter.registerEngine('reasoning', 'test-stub', createStubReasoning);
+
+    const byName = new GoliathCognitiveInterpreter({ ...baseConfig, engines: { reasoning: 'test-stub' } });
+    const direct = new GoliathCognitiveInterpreter({ ...baseConfig, engines: { reasoning: createStubReasoning() } });
+
+    expect((await byName.interpretEvent(createEvent())).rawSuspicion).toBe(0.42);
+    expect((await direct.interpretEvent(createEvent())).rawSuspicion).toBe(0.42);
+  });
+
+  test('rejects engines that do not satisfy the stage contract', () => {
+    expect(() => new GoliathCognitiveInterpreter({ ...baseConfig, engines: { intent: { assessIntent: () => {} } } }))
+      .toThrow('missing required methods: assessSequenceIntent');
+    expect(() => new GoliathCognitiveInterpreter({ ...baseConfig, engines: { planner: 'mock' } }))
+      .toThrow('Configuration validation failed');
+  });
+});
+
+describe('Production intent pipeline', () => {
+  const createSequence = () => [
+    createEvent({ timestamp: createEvent().timestamp, behaviors: ['walking'] }),
+    createEvent({ timestamp: createEvent().timestamp + 20000, behaviors: ['looking_around', 'loitering'] }),
+    createEvent({ timestamp: createEvent().timestamp + 40000, behaviors: ['checking_doors', 'avoiding_cameras'] })
+  ];
+
+  test('createProductionInstance selects the full subsystems', () => {
+    const interpreter = GoliathCognitiveInterpreter.createProductionInstance({ autosave: { enabled: false } });
+    expect(interpreter.config.engines).toEqual({
+      memory: 'contextual', intent: 'framework', reasoning: 'symbolic', spatial: 'awareness', learning: 'adaptive', suspicion: 'graduated'
+    });
+  });
+
+  test('assessments carry the framework intent progression and risk', async () => {
+    const interpreter = GoliathCognitiveInterpreter.createProductionInstance({ autosave: { enabled: false } });
+    const [first, second] = createSequence();
+
+    const initial = await interpreter.interpretEvent(first);
+    expect(initial.intent.primaryIntent).toBeDefined();
+    expect(initial.intent.intentProgression.stage).toBe('initial');
+    expect(initial.intent.riskAssessment.riskCategory).toBeDefined();
+
+    const followUp = await interpreter.interpretEvent(second);
+    expect(followUp.intent.intentProgression.stage).toBe('developing');
+    if (followUp.intent.intentProgression.escalation) {
+      expect(followUp.policyReasons).toContain('intent_escalation_boost');
+    }
+  });
+
+  test('escalating intent progression boosts suspicion in the alert policy', () => {
+    const interpreter = new GoliathCognitiveInterpreter({ autosave: { enabled: false } });
+    const event = createEvent({ timestamp: Date.now() });
+    const intent = {
+      primaryIntent: 'reconnaissance',
+      intentProgression: { stage: 'developing', progression: 'escalating', escalation: true, consistency: 0 },
+      riskAssessment: { riskLevel: 0.85, riskCategory: 'high' },
+      riskFactors: []
+    };
+
+    const policy = interpreter._applyAlertPolicy(event, intent, { suspicionLevel: 0.1, confidence: 0.9, intentConfidence: 0.9, contextualRelevance: 0.9, reasoningCertainty: 0.9 }, {});
+    expect(policy.shapedSuspicion).toBeCloseTo(0.25);
+    expect(policy.reasons).toEqual(expect.arrayContaining(['intent_escalation_boost', 'high_risk_intent_min']));
+    expect(policy.alertLevel).toBe('standard');
+  });
+
+  test('sequence assessment tracks per-entity intent over event time', async () => {
+    const interpreter = GoliathCognitiveInterpreter.createProductionInstance({ autosave: { enabled: false } });
+    const { sequenceAssessment } = await interpreter.interpretEventSequence(createSequence());
+
+    expect(['normal_activity', 'escalating_threat', 'persistent_threat', 'coordinated_threat'])
+      .toContain(sequenceAssessment.sequenceIntent);
+    const trajectory = sequenceAssessment.entityTrajectories['entity-1'];
+    expect(trajectory.eventCount).toBe(3);
+    expect(trajectory.patterns.pattern).toBe('rapid_sequence');
+    expect(trajectory.patterns.duration).toBe(40000);
+    expect(typeof sequenceAssessment.escalation).toBe('boolean');
+  });
+});
+
+describe('Suspicion stage', () => {
+  const baseConfig = { autosave: { enabled: false }, processingTimeout: 1000 };
+  const suspicionFields = ['baseSuspicion', 'adjustedSuspicion', 'uncertainty', 'factorBreakdown', 'recommendations'];
+
+  test('passthrough stage keeps the reasoning suspicion', async () => {
+    const interpreter = new GoliathCognitiveInterpreter({ ...baseConfig, engines: { reasoning: createStubReasoning() } });
+    const result = await interpreter.interpretEvent(createEvent());
+
+    suspicionFields.forEach(field => expect(result).toHaveProperty(field));
+    expect(result.baseSuspicion).toBe(0.42);
+    expect(result.adjustedSuspicion).toBe(0.42);
+    expect(result.rawSuspicion).toBe(0.42);
+  });
+
+  test('graduated stage scores the symbolic assessment', async () => {
+    const interpreter = new GoliathCognitiveInterpreter({
+      ...baseConfig,
+      engines: { reasoning: createStubReasoning(), suspicion: 'graduated' }
+    });
+    const result = await interpreter.interpretEvent(createEvent());
+
+    suspicionFields.forEach(field => expect(result).toHaveProperty(field));
+    expect(result.factorBreakdown.symbolic.score).toBe(0.42);
+    expect(result.rawSuspicion).toBe(result.adjustedSuspicion);
+    expect(result.recommendations.length).toBeGreaterThan(0);
+    expect(result.uncertainty).toBeGreaterThanOrEqual(0);
+  });
+
+  test('provideFeedback adapts graduated suspicion for similar events', async () => {
+    const interpreter = new GoliathCognitiveInterpreter({
+      ...baseConfig,
+      engines: { reasoning: createStubReasoning(), suspicion: 'graduated' }
+    });
+    const first = await interpreter.interpretEvent(createEvent());
+
+    // From an operator, so relaxing a 3am front-door event is not quarantined
+    const feedback = await interpreter.provideFeedback(first.eventId, { accurate: false, actualThreat: false, role: 'operator' });
+    expect(feedback.suspicion.updated).toBe(true);
+    expect(feedback.suspicion.adaptationImpact.thresholdAdjustment).toBe(-0.05);
+
+    const second = await interpreter.interpretEvent(createEvent({ entityId: 'entity-2' }));
+    const { adaptationFactors } = interpreter.suspicionStage.system.suspicionHistory.get(second.eventId);
+    expect(adaptationFactors.map(factor => factor.description).join(' ')).toContain('Feedback-based adaptation');
+    expect(second.adjustedSuspicion).not.toBe(first.adjustedSuspicion);
+  });
+
+  test('graduated suspicion history is capped and aged out', async () => {
+    const interpreter = new GoliathCognitiveInterpreter({
+      ...baseConfig,
+      maxSuspicionHistory: 3,
+      engines: { reasoning: createStubReasoning(), suspicion: 'graduated' }
+    });
+    const { suspicionHistory } = interpreter.suspicionStage.system;
+    suspicionHistory.set('evt-stale', { timestamp: Date.now() - 8 * 24 * 60 * 60 * 1000 });
+
+    const eventIds = [];
+    for (let i = 0; i < 5; i++) {
+      eventIds.push((await interpreter.interpretEvent(createEvent({ entityId: `entity-${i}` }))).eventId);
+    }
+    expect(Array.from(suspicionHistory.keys())).toEqual(eventIds.slice(2));
+  });
+
+  test('graduated suspicion adaptation is part of the saved state', async () => {
+    const config = { ...baseConfig, maxSuspicionHistory: 3, engines: { reasoning: createStubReasoning(), suspicion: 'graduated' } };
+    const interpreter = new GoliathCognitiveInterpreter(config);
+    for (let i = 0; i < 4; i++) await interpreter.interpretEvent(createEvent({ entityId: `entity-${i}` }));
+    const reviewed = await interpreter.interpretEvent(createEvent({ entityId: 'entity-4' }));
+    await interpreter.provideFeedback(reviewed.eventId, { accurate: false, actualThreat: false, role: 'operator' });
+    const saved = JSON.parse(JSON.stringify(await interpreter.getSaveState()));
+
+    const restored = new GoliathCognitiveInterpreter(config);
+    await restored.restoreFromSave(saved);
+    const [before, after] = [interpreter, restored].map(({ suspicionStage }) => suspicionStage.system);
+    expect(Array.from(after.suspicionHistory.keys())).toEqual(Array.from(before.suspicionHistory.keys()));
+    expect(after.adaptiveScoring.feedbackHistory.size).toBe(1);
+    expect(after.adaptationMetrics.getAdaptationEffectiveness()).toEqual(before.adaptationMetrics.getAdaptationEffectiveness());
+    expect(after.adaptationMetrics.getAverageConfidence()).toBe(before.adaptationMetrics.getAverageConfidence());
+
+    // The restored stage adapts the next event exactly as the original does
+    const [original, reloaded] = await Promise.all([interpreter, restored]
+      .map(instance => instance.interpretEvent(createEvent({ entityId: 'entity-5' }))));
+    expect(reloaded.adjustedSuspicion).toBe(original.adjustedSuspicion);
+    expect(await restored.provideFeedback(reviewed.eventId, { accurate: true, role: 'operator' }))
+      .toMatchObject({ suspicion: { updated: true } });
+  });
+
+  test('feedback for unknown events does not throw', async () => {
+    const interpreter = new GoliathCognitiveInterpreter({ ...baseConfig, engines: { suspicion: 'graduated' } });
+    const feedback = await interpreter.provideFeedback('evt-missing', { accurate: true });
+    expect(feedback.suspicion.updated).toBe(false);
+  });
+});
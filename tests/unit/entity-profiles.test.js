@@ -0,0 +1,130 @@
+/**
+ * Tests for entity labels, merging and the interpreter entity API
+ */
+import { CognitiveError } from '../../mobilenovin-ai.js';
+import { useInterpreters } from './helpers/interpreters.js';
+import { EntityLabelRegistry, ENTITY_LABELS } from '../../entity-profiles.js';
+
+const createInterpreter = useInterpreters({ engines: { memory: 'contextual' } });
+
+const createEvent = (overrides = {}) => ({
+  entityType: 'person',
+  entityId: 'entity-1',
+  location: 'front_door',
+  timestamp: new Date('2026-01-05T14:00:00').getTime(),
+  behaviors: ['approaching'],
+  detectionConfidence: 0.9,
+  metadata: {},
+  ...overrides
+});
+
+describe('EntityLabelRegistry', () => {
+  test('labels entities and rejects unknown labels', () => {
+    const registry = new EntityLabelRegistry();
+    registry.label('carrier', ENTITY_LABELS.DELIVERY_DRIVER, { note: 'mail' });
+
+    expect(registry.isTrusted('carrier')).toBe(true);
+    expect(registry.get('carrier')).toMatchObject({ label: 'delivery_driver', note: 'mail' });
+    expect(() => registry.label('carrier', 'friend')).toThrow('Unknown entity label "friend"');
+
+    registry.unlabel('carrier');
+    expect(registry.get('carrier')).toBeNull();
+  });
+
+  test('merges resolve through chains and survive a save round-trip', () => {
+    const registry = new EntityLabelRegistry();
+    registry.label('a', ENTITY_LABELS.BANNED);
+    registry.merge('a', 'b');
+    registry.merge('b', 'c');
+
+    expect(registry.resolve('a')).toBe('c');
+    expect(registry.isBanned('a')).toBe(true);
+    expect(() => registry.merge('a', 'c')).toThrow('already merged');
+
+    const restored = new EntityLabelRegistry();
+    restored.restoreFromSave(JSON.parse(JSON.stringify(registry.getSaveState())));
+    expect(restored.isBanned('b')).toBe(true);
+  });
+});
+
+describe('Interpreter entity API', () => {
+  test('lists, gets and times entity sightings', async () => {
+    const interpreter = createInterpreter();
+    await interpreter.interpretEvent(createEvent());
+    await interpreter.interpretEvent(createEvent({ location: 'driveway', behaviors: ['walking'] }));
+    await interpreter.interpretEvent(createEvent({ entityId: 'entity-2' }));
+
+    const entity = interpreter.getEntity('entity-1');
+    expect(entity).toMatchObject({ entityId: 'entity-1', entityType: 'person', totalSightings: 2, label: null });
+    expect(entity.commonLocations.map(l => l.location).sort()).toEqual(['driveway', 'front_door']);
+
+    expect(interpreter.listEntities().map(e => e.entityId).sort()).toEqual(['entity-1', 'entity-2']);
+
+    const timeline = await interpreter.getEntityTimeline('entity-1');
+    expect(timeline).toHaveLength(2);
+    expect(timeline[0]).toMatchObject({ location: 'driveway' });
+    expect(timeline[0].eventId).toMatch(/^evt-/);
+  });
+
+  test('merging folds sightings and labels into the target', async () => {
+    const interpreter = createInterpreter();
+    await interpreter.interpretEvent(createEvent({ entityId: 'side-cam-7' }));
+    await interpreter.interpretEvent(createEvent({ entityId: 'front-cam-3' }));
+    interpreter.labelEntity('side-cam-7', 'known_resident');
+
+    const merged = interpreter.mergeEntities('side-cam-7', 'front-cam-3');
+    expect(merged).toMatchObject({ entityId: 'front-cam-3', totalSightings: 2, label: 'known_resident', mergedIds: ['side-cam-7'] });
+    expect(interpreter.getEntity('side-cam-7').entityId).toBe('front-cam-3');
+    expect(await interpreter.getEntityTimeline('side-cam-7')).toHaveLength(2);
+
+    await interpreter.interpretEvent(createEvent({ entityId: 'side-cam-7' }));
+    expect(interpreter.getEntity('front-cam-3').totalSightings).toBe(3);
+  });
+
+  test('labels feed the alert policy', async () => {
+    const interpreter = createInterpreter();
+    const event = createEvent({ entityId: 'carrier-1' });
+
+    interpreter.labelEntity('carrier-1', 'delivery_driver');
+    expect(interpreter._isAuthorizedOrKnown(event, {})).toBe(true);
+
+    interpreter.labelEntity('carrier-1', 'banned');
+    expect(interpreter._isAuthorizedOrKnown({ ...event, metadata: { knownHuman: true } }, {})).toBe(false);
+    const result = await interpreter.interpretEvent(event);
+    expect(result.policyReasons).toContain('banned_entity_min');
+    expect(['elevated', 'critical']).toContain(result.alertLevel);
+
+    expect(() => interpreter.labelEntity('carrier-1', 'vip')).toThrow(CognitiveError);
+  });
+
+  test('alert backoff never quiets a banned entity', async () => {
+    const interpreter = createInterpreter();
+    interpreter.labelEntity('trespasser-1', 'banned');
+
+    const results = [];
+    for (let minute = 0; minute < 3; minute++) {
+      results.push(await interpreter.interpretEvent(createEvent({
+        entityId: 'trespasser-1',
+        timestamp: new Date('2026-01-05T14:00:00').getTime() + minute * 60 * 1000
+      })));
+    }
+
+    for (const result of results) {
+      expect(result.shouldNotify).toBe(true);
+      expect(['elevated', 'critical']).toContain(result.alertLevel);
+      expect(result.policyReasons).not.toContain('backoff_suppress');
+      expect(result.policyReasons).not.toContain('backoff_downgrade');
+    }
+  });
+
+  test('labels are part of the saved state', async () => {
+    const interpreter = createInterpreter();
+    interpreter.labelEntity('resident-1', 'known_resident', { note: 'owner' });
+    const saved = JSON.parse(JSON.stringify(await interpreter.getSaveState()));
+
+    const restored = createInterpreter();
+    await restored.restoreFromSave(saved);
+    expect(restored.getEntity('resident-1')).toMatchObject({ label: 'known_resident', labelNote: 'owner', totalSightings: 0 });
+    expect(restored.listEntities({ label: 'known_resident' })).toHaveLength(1);
+  });
+});
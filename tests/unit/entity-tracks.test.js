@@ -0,0 +1,144 @@
+/**
+ * Tests for per-entity tracks across cameras and zones
+ */
+import { EntityTrackManager } from '../../entity-tracks.js';
+import { SiteModel } from '../../site-model.js';
+import { PRODUCTION_ENGINES } from '../../engine-registry.js';
+import { GoliathCognitiveInterpreter } from '../../mobilenovin-ai.js';
+
+const start = new Date('2026-03-02T23:00:00').getTime();
+const SECOND = 1000;
+
+const sighting = (entityId, location, offsetSeconds, extra = {}) => ({
+  entityType: 'person',
+  entityId,
+  location,
+  timestamp: start + offsetSeconds * SECOND,
+  behaviors: [],
+  ...extra
+});
+
+// A house with a window on every side, walked around clockwise
+const house = {
+  name: 'four-sided-house',
+  zones: {
+    street: { type: 'public', coordinates: [0, -10] },
+    front_door: { type: 'entry', coordinates: [0, 0], cameras: ['cam-front'] },
+    side_yard: { type: 'exterior', coordinates: [10, 5] },
+    east_window: { type: 'perimeter', entryPoint: true, coordinates: [10, 10], cameras: ['cam-east'] },
+    back_window: { type: 'perimeter', entryPoint: true, coordinates: [0, 20], cameras: ['cam-back'] },
+    west_window: { type: 'perimeter', entryPoint: true, coordinates: [-10, 10], cameras: ['cam-west'] }
+  },
+  connections: [
+    ['street', 'front_door'],
+    ['front_door', 'side_yard'],
+    ['side_yard', 'east_window'],
+    ['east_window', 'back_window'],
+    ['back_window', 'west_window'],
+    ['west_window', 'front_door']
+  ]
+};
+
+describe('EntityTrackManager', () => {
+  test('stitches sightings from different cameras and starts over after the handoff tolerance', () => {
+    const tracks = new EntityTrackManager({ handoffToleranceMs: 60 * SECOND });
+    tracks.observe(sighting('visitor-1', 'street', 0, { cameraId: 'cam-street' }));
+    tracks.observe(sighting('visitor-1', 'front_door', 20, { cameraId: 'cam-door' }));
+    const track = tracks.observe(sighting('visitor-1', 'front_door', 50, { cameraId: 'cam-door' }));
+
+    expect(track).toMatchObject({
+      path: ['street', 'front_door'],
+      cameras: ['cam-street', 'cam-door'],
+      handoffs: 1,
+      observations: 3,
+      durationMs: 50 * SECOND,
+      currentZone: 'front_door',
+      currentDwellMs: 30 * SECOND,
+      dwellByZone: { street: 0, front_door: 30 * SECOND },
+      shape: 'direct'
+    });
+
+    const next = tracks.observe(sighting('visitor-1', 'yard', 200));
+    expect(next.trackId).not.toBe(track.trackId);
+    expect(next.path).toEqual(['yard']);
+    expect(next.shape).toBe('stationary');
+  });
+
+  test('fills in zones crossed between sightings from the site graph', () => {
+    const tracks = new EntityTrackManager();
+    tracks.observe(sighting('visitor-2', 'street', 0));
+    const track = tracks.observe(sighting('visitor-2', 'back_door', 30));
+
+    expect(track.path).toEqual(['street', 'yard', 'back_door']);
+    expect(track.visits[1]).toMatchObject({ zone: 'yard', inferred: true, dwellMs: 0 });
+    expect(track.dwellByZone).toEqual({ street: 0, back_door: 0 });
+  });
+
+  test('keeps entities apart and measures speed from coordinates', () => {
+    const tracks = new EntityTrackManager();
+    tracks.observe(sighting('a', 'yard', 0, { spatialData: { coordinates: { x: 0, y: 0 } } }));
+    tracks.observe(sighting('b', 'street', 1, { spatialData: { coordinates: { x: 100, y: 100 } } }));
+    const track = tracks.observe(sighting('a', 'yard', 10, { spatialData: { coordinates: { x: 30, y: 40 } } }));
+
+    expect(track.points).toHaveLength(2);
+    expect(track.distance).toBe(50);
+    expect(track.averageSpeed).toBe(5);
+    expect(tracks.getActiveTracks(start + 10 * SECOND).map(active => active.entityId)).toEqual(['a', 'b']);
+  });
+
+  test('merging entities folds their tracks together', () => {
+    const tracks = new EntityTrackManager();
+    tracks.observe(sighting('side-cam-7', 'yard', 0));
+    tracks.observe(sighting('visitor-3', 'front_door', 10));
+    const merged = tracks.mergeEntities('side-cam-7', 'visitor-3');
+
+    expect(merged).toMatchObject({ entityId: 'visitor-3', path: ['yard', 'front_door'], observations: 2 });
+    expect(tracks.observe(sighting('side-cam-7', 'street', 20)).entityId).toBe('visitor-3');
+    expect(tracks.getTrack('side-cam-7').path).toEqual(['yard', 'front_door', 'street']);
+  });
+
+  test('recognizes a sweep past every window', () => {
+    const tracks = new EntityTrackManager({}, new SiteModel(house));
+    let track;
+    ['street', 'front_door', 'east_window', 'back_window', 'west_window'].forEach((zone, index) => {
+      track = tracks.observe(sighting('prowler', zone, index * 20));
+    });
+
+    expect(track.shape).toBe('perimeter_sweep');
+    expect(track.path).toEqual(['street', 'front_door', 'side_yard', 'east_window', 'back_window', 'west_window']);
+    expect(track.entryPointsVisited).toEqual(['front_door', 'east_window', 'back_window', 'west_window']);
+    expect(track.entryPointCoverage).toBe(1);
+    expect(track.averageSpeed).toBeGreaterThan(0);
+  });
+});
+
+describe('Interpreter tracks', () => {
+  test('intent analysis sees a perimeter sweep across cameras', async () => {
+    const interpreter = new GoliathCognitiveInterpreter({
+      autosave: { enabled: false },
+      processingTimeout: 5000,
+      engines: PRODUCTION_ENGINES,
+      siteModel: house
+    });
+
+    const walk = [['front_door', 'cam-front'], ['east_window', 'cam-east'], ['back_window', 'cam-back'], ['west_window', 'cam-west']];
+    let assessment;
+    for (const [index, [zone, cameraId]] of walk.entries()) {
+      assessment = await interpreter.interpretEvent(sighting('prowler-2', zone, index * 15, {
+        behaviors: ['looking_around'],
+        metadata: { cameraId }
+      }));
+    }
+
+    expect(assessment.intent.riskFactors).toContain('perimeter_sweep');
+    expect(assessment.intent.track).toMatchObject({
+      shape: 'perimeter_sweep',
+      cameras: ['cam-front', 'cam-east', 'cam-back', 'cam-west']
+    });
+    expect(interpreter.getEntityTrack('prowler-2').path).toEqual(['front_door', 'side_yard', 'east_window', 'back_window', 'west_window']);
+
+    const first = await interpreter.interpretEvent(sighting('stroller', 'street', 0));
+    expect(first.intent.riskFactors).not.toContain('perimeter_sweep');
+    expect(interpreter.getEntityTrack('nobody')).toBeNull();
+  });
+});
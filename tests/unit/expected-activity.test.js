@@ -0,0 +1,221 @@
+/**
+ * Tests for scheduled and calendar-imported expected activity
+ */
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ExpectedActivityCalendar, parseICalendar, parseRecurrenceRule } from '../../expected-activity.js';
+import { PRODUCTION_ENGINES } from '../../engine-registry.js';
+import { CognitiveError } from '../../mobilenovin-ai.js';
+import { useInterpreters } from './helpers/interpreters.js';
+
+const at = local => new Date(local).getTime();
+
+const cleaner = {
+  id: 'cleaner',
+  name: 'Cleaner',
+  start: '2026-03-03T09:00', // a Tuesday
+  end: '2026-03-03T12:00',
+  rrule: 'FREQ=WEEKLY;BYDAY=TU',
+  entityIds: ['cleaner-1'],
+  zones: ['front_door', 'back_door']
+};
+
+const sighting = (entityId, location, local, extra = {}) => ({
+  entityType: 'person',
+  entityId,
+  location,
+  timestamp: at(local),
+  behaviors: ['approaching_entry'],
+  detectionConfidence: 0.9,
+  ...extra
+});
+
+const walkerCalendar = [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'BEGIN:VEVENT',
+  'UID:walker@example.com',
+  'SUMMARY:Dog walker\\, Jo',
+  'DTSTART:20260302T120000',
+  'DURATION:PT45M',
+  'RRULE:FREQ=WEEKLY;BYDAY=MO,WE,FR;UNTIL=20260331',
+  'EXDATE:20260304T120000',
+  'LOCATION:yard,front_door',
+  'CATEGORIES:delivery_driver,PETS',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:plumber',
+  'SUMMARY:Plumber visit',
+  'DTSTART;VALUE=DATE:20260310',
+  'END:VEVENT',
+  'END:VCALENDAR'
+].join('\r\n');
+
+describe('ExpectedActivityCalendar', () => {
+  test('recurring entries match inside the window and flag visits just outside it', () => {
+    const calendar = new ExpectedActivityCalendar({ entries: [cleaner] });
+
+    expect(calendar.match(sighting('cleaner-1', 'front_door', '2026-03-10T10:00')).expected)
+      .toEqual([expect.objectContaining({ entryId: 'cleaner', start: at('2026-03-10T09:00'), end: at('2026-03-10T12:00') })]);
+
+    const late = calendar.match(sighting('cleaner-1', 'back_door', '2026-03-10T12:20'));
+    expect(late.expected).toEqual([]);
+    expect(late.outsideWindow).toEqual([expect.objectContaining({ entryId: 'cleaner', offsetMs: 20 * 60 * 1000 })]);
+
+    // Wrong day, wrong entity, wrong zone
+    expect(calendar.match(sighting('cleaner-1', 'front_door', '2026-03-11T10:00'))).toEqual({ expected: [], outsideWindow: [] });
+    expect(calendar.match(sighting('stranger', 'front_door', '2026-03-10T10:00')).expected).toEqual([]);
+    expect(calendar.match(sighting('cleaner-1', 'garage', '2026-03-10T10:00')).expected).toEqual([]);
+
+    expect(calendar.activeAt(at('2026-03-17T09:30'), 'back_door')).toHaveLength(1);
+    expect(calendar.activeAt(at('2026-03-17T09:30'), 'yard')).toEqual([]);
+  });
+
+  test('recurrence rules support intervals, counts, month days and exclusions', () => {
+    const calendar = new ExpectedActivityCalendar({ entries: [
+      { id: 'parcels', start: '2026-03-02T10:00', end: '2026-03-02T14:00', rrule: 'FREQ=DAILY;COUNT=5', entityLabels: ['delivery_driver'] },
+      { id: 'gardener', start: '2026-03-02T08:00', end: '2026-03-02T10:00', rrule: 'FREQ=WEEKLY;INTERVAL=2', exdates: ['2026-03-16'] },
+      { id: 'meter', start: '2026-01-31T15:00', end: '2026-01-31T16:00', rrule: 'FREQ=MONTHLY;BYMONTHDAY=-1' }
+    ] });
+    const expected = (entityId, local, label = null) =>
+      calendar.match(sighting(entityId, 'front_door', local), label).expected.map(match => match.entryId);
+
+    expect(expected('courier', '2026-03-06T11:00', 'delivery_driver')).toEqual(['parcels']);
+    expect(expected('courier', '2026-03-07T11:00', 'delivery_driver')).toEqual([]);
+    expect(expected('courier', '2026-03-06T11:00')).toEqual([]);
+
+    expect(expected('anyone', '2026-03-09T09:00')).toEqual([]);
+    expect(expected('anyone', '2026-03-16T09:00')).toEqual([]);
+    expect(expected('anyone', '2026-03-30T09:00')).toEqual(['gardener']);
+
+    expect(expected('anyone', '2026-02-28T15:30')).toEqual(['meter']);
+    expect(expected('anyone', '2026-03-31T15:30')).toEqual(['meter']);
+
+    expect(parseRecurrenceRule('FREQ=HOURLY;BYSETPOS=1;COUNT=2;UNTIL=20260101').errors).toEqual([
+      'rrule BYSETPOS is not supported',
+      'rrule FREQ must be one of DAILY, WEEKLY, MONTHLY, YEARLY',
+      'rrule cannot have both COUNT and UNTIL'
+    ]);
+    expect(() => calendar.addEntry({ id: 'x', start: 'soon', end: '2026-03-02T10:00', entityLabels: ['banned'], zones: ['moat'] }))
+      .toThrow('Invalid expected activity: start must be a timestamp or date string, entityLabels must be among known_resident, delivery_driver, zones.moat must be a zone of the site model');
+  });
+
+  test('iCalendar events bind to site zones and entity labels', () => {
+    const events = parseICalendar(walkerCalendar);
+    expect(events[0]).toMatchObject({
+      uid: 'walker@example.com',
+      summary: 'Dog walker, Jo',
+      start: at('2026-03-02T12:00'),
+      end: at('2026-03-02T12:45'),
+      exdates: ['2026-03-04'],
+      categories: ['delivery_driver', 'PETS']
+    });
+    expect(events[1]).toMatchObject({ start: at('2026-03-10T00:00'), end: at('2026-03-11T00:00') });
+
+    const calendar = new ExpectedActivityCalendar();
+    const [walker, plumber] = calendar.importICalendar(walkerCalendar, { idPrefix: 'ics:', behaviors: ['approaching_entry'] });
+    expect(walker).toMatchObject({ id: 'ics:walker@example.com', zones: ['yard', 'front_door'], entityLabels: ['delivery_driver'] });
+    expect(plumber).toMatchObject({ id: 'ics:plumber', zones: null, entityLabels: null });
+
+    const walk = local => calendar.match(sighting('jo', 'yard', local), 'delivery_driver').expected.map(match => match.entryId);
+    expect(walk('2026-03-06T12:30')).toEqual(['ics:walker@example.com']);
+    expect(walk('2026-03-04T12:30')).toEqual([]);
+    expect(walk('2026-04-03T12:30')).toEqual([]);
+
+    expect(() => calendar.importICalendar('not a calendar')).toThrow('Invalid calendar');
+  });
+
+  test('TZID times are read in their own time zone', () => {
+    const zoned = zone => [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'UID:school-run',
+      `DTSTART;TZID=${zone}:20260302T083000`,
+      `DTEND;TZID=${zone}:20260302T090000`,
+      `EXDATE;TZID=${zone}:20260303T083000`,
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'UID:summer',
+      `DTSTART;TZID=${zone}:20260701T083000`,
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\r\n');
+
+    // New York is UTC-5 in March and UTC-4 (daylight time) in July
+    const [winter, summer] = parseICalendar(zoned('America/New_York'));
+    expect(winter).toMatchObject({ start: Date.UTC(2026, 2, 2, 13, 30), end: Date.UTC(2026, 2, 2, 14, 0) });
+    // Exclusions are kept as the local date of the excluded visit
+    expect(winter.exdates).toEqual([new Date(Date.UTC(2026, 2, 3, 13, 30)).toLocaleDateString('en-CA')]);
+    expect(summer.start).toBe(Date.UTC(2026, 6, 1, 12, 30));
+    expect(parseICalendar(zoned('"Asia/Kolkata"'))[0].start).toBe(Date.UTC(2026, 2, 2, 3, 0));
+
+    expect(() => parseICalendar(zoned('Mars/Olympus_Mons'))).toThrow('has unknown TZID "Mars/Olympus_Mons"');
+  });
+});
+
+describe('Interpreter expected activity', () => {
+  const createInterpreter = useInterpreters({ processingTimeout: 5000 });
+
+  test('expected visitors are down-weighted and early arrivals flagged', async () => {
+    const interpreter = createInterpreter({ expectedActivity: [cleaner] });
+    const stranger = await interpreter.interpretEvent(sighting('stranger', 'back_door', '2026-03-10T10:00'));
+    const visit = await interpreter.interpretEvent(sighting('cleaner-1', 'back_door', '2026-03-10T10:00'));
+
+    expect(visit.policyReasons).toEqual(expect.arrayContaining(['expected_visitor', 'schedule:cleaner']));
+    expect(visit.suspicionLevel).toBeLessThan(stranger.suspicionLevel);
+
+    const early = await interpreter.interpretEvent(sighting('cleaner-1', 'front_door', '2026-03-17T08:45'));
+    expect(early.policyReasons).toEqual(expect.arrayContaining(['expected_visitor_outside_window', 'schedule:cleaner']));
+    expect(early.policyReasons).not.toContain('expected_visitor');
+
+    // An empty house still expects its cleaner
+    interpreter.setHouseholdMode('away');
+    const whileAway = await interpreter.interpretEvent(sighting('cleaner-1', 'front_door', '2026-03-24T11:00'));
+    expect(whileAway.policyReasons).toContain('expected_visitor');
+    expect(whileAway.policyReasons).not.toContain('household_away_boost');
+
+    // An integration saying a visit is expected does not make it so
+    const claimed = await interpreter.interpretEvent(sighting('stranger', 'back_door', '2026-03-24T11:00', {
+      metadata: { expectedVisitor: true }
+    }));
+    expect(claimed.policyReasons).toEqual(expect.arrayContaining(['expected_visitor_unverified', 'household_away_boost']));
+    expect(claimed.policyReasons).not.toContain('expected_visitor');
+    expect(claimed.shouldNotify).toBe(true);
+
+    // Banned entities are never expected
+    interpreter.labelEntity('cleaner-1', 'banned');
+    const banned = await interpreter.interpretEvent(sighting('cleaner-1', 'back_door', '2026-03-31T10:00'));
+    expect(banned.policyReasons).not.toContain('expected_visitor');
+  });
+
+  test('entries are managed at runtime, imported from files and saved', async () => {
+    const interpreter = createInterpreter({ engines: PRODUCTION_ENGINES });
+    expect(interpreter.spatialAwareness.system.temporalTracker.expectedActivity).toBe(interpreter.expectedActivity);
+    expect(() => interpreter.addExpectedActivity({ id: 'x', start: 1, end: 0 })).toThrow(CognitiveError);
+    expect(() => interpreter.importCalendar('BEGIN:VCALENDAR\nBEGIN:VEVENT\nUID:x\nEND:VEVENT\nEND:VCALENDAR'))
+      .toThrow('event x has no valid DTSTART');
+
+    interpreter.addExpectedActivity(cleaner);
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'calendar-'));
+    try {
+      const file = path.join(directory, 'walker.ics');
+      await fs.writeFile(file, walkerCalendar);
+      await interpreter.importCalendarFile(file);
+    } finally {
+      await fs.rm(directory, { recursive: true, force: true });
+    }
+    await expect(interpreter.importCalendarFile(path.join(directory, 'missing.ics'))).rejects.toThrow('Failed to read calendar');
+
+    expect(interpreter.listExpectedActivity().map(entry => entry.id)).toEqual(['cleaner', 'walker@example.com', 'plumber']);
+    expect(interpreter.getExpectedActivity({ timestamp: at('2026-03-10T09:30'), location: 'front_door' }).map(active => active.entryId))
+      .toEqual(['cleaner', 'plumber']);
+
+    const saved = await interpreter.getSaveState();
+    const restored = createInterpreter();
+    await restored.restoreFromSave(saved);
+    expect(restored.listExpectedActivity()).toEqual(interpreter.listExpectedActivity());
+    expect(restored.removeExpectedActivity('plumber')).toBe(true);
+    expect(restored.removeExpectedActivity('plumber')).toBe(false);
+  });
+});
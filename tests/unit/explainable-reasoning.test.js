@@ -0,0 +1,77 @@
+/**
+ * Tests for per-event explanations exposed by the interpreter
+ */
+import { GoliathCognitiveInterpreter, CognitiveError } from '../../mobilenovin-ai.js';
+
+const createEvent = (overrides = {}) => ({
+  entityType: 'adult_male',
+  entityId: 'entity-1',
+  location: 'back_door',
+  timestamp: new Date('2026-01-05T03:00:00').getTime(),
+  behaviors: ['loitering', 'checking_doors'],
+  spatialData: { x: 1, y: 2 },
+  detectionConfidence: 0.9,
+  metadata: {},
+  ...overrides
+});
+
+describe('Explainable reasoning', () => {
+  const baseConfig = { autosave: { enabled: false }, processingTimeout: 1000 };
+
+  test('explainReasoning builds a full explanation keyed by eventId', async () => {
+    const interpreter = new GoliathCognitiveInterpreter(baseConfig);
+    const result = await interpreter.interpretEvent(createEvent());
+
+    expect(interpreter.explainableReasoning.reasoningHistory.has(result.eventId)).toBe(false);
+
+    const explanation = await interpreter.explainReasoning(result.eventId);
+    expect(explanation.eventId).toBe(result.eventId);
+    expect(explanation.assessmentId).toBe(result.eventId);
+    expect(explanation.decisionTrace.steps.length).toBeGreaterThan(0);
+    expect(explanation.reasoningChain).toBeDefined();
+    expect(explanation.narrative).toBeDefined();
+    expect(Array.isArray(explanation.alternatives)).toBe(true);
+    expect(explanation.decision).toBeDefined();
+
+    // Built once, then served from history
+    const again = await interpreter.explainReasoning(result.eventId);
+    expect(again.explanationId).toBe(explanation.explanationId);
+  });
+
+  test('eager mode explains every assessment as it is produced', async () => {
+    const interpreter = new GoliathCognitiveInterpreter({ ...baseConfig, explanationMode: 'eager' });
+    const result = await interpreter.interpretEvent(createEvent());
+    expect(interpreter.explainableReasoning.reasoningHistory.has(result.eventId)).toBe(true);
+  });
+
+  test('unknown events report an error instead of a canned explanation', async () => {
+    const interpreter = new GoliathCognitiveInterpreter(baseConfig);
+    const explanation = await interpreter.explainReasoning('evt-unknown');
+    expect(explanation.error).toBeDefined();
+    await expect(interpreter.explainAspect('evt-unknown', 'intent')).rejects.toThrow(CognitiveError);
+  });
+
+  test('explainAspect explains intent, confidence, risk and context', async () => {
+    const interpreter = GoliathCognitiveInterpreter.createProductionInstance(baseConfig);
+    const result = await interpreter.interpretEvent(createEvent());
+
+    const intent = await interpreter.explainAspect(result.eventId, 'intent', 'high');
+    expect(intent).toContain(`Primary Intent: ${result.intent.primaryIntent}`);
+    expect(await interpreter.explainAspect(result.eventId, 'confidence')).toContain('Overall Confidence');
+    expect(await interpreter.explainAspect(result.eventId, 'risk')).toContain(`Risk Level: ${result.intent.riskAssessment.riskCategory}`);
+    expect(await interpreter.explainAspect(result.eventId, 'context')).toContain('Location: back_door');
+    await expect(interpreter.explainAspect(result.eventId, 'weather')).rejects.toThrow('Unknown aspect');
+  });
+
+  test('compareEvents contrasts two assessments', async () => {
+    const interpreter = GoliathCognitiveInterpreter.createProductionInstance(baseConfig);
+    const first = await interpreter.interpretEvent(createEvent({ behaviors: ['walking'] }));
+    const second = await interpreter.interpretEvent(createEvent({ timestamp: createEvent().timestamp + 30000 }));
+
+    const comparison = await interpreter.compareEvents(first.eventId, second.eventId);
+    expect(comparison.eventIds).toEqual([first.eventId, second.eventId]);
+    expect(comparison.intentComparison).toContain(first.intent.primaryIntent);
+    expect(comparison.confidenceComparison).toBeDefined();
+    expect(comparison.factorComparison).toBeDefined();
+  });
+});
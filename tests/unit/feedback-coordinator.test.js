@@ -0,0 +1,119 @@
+/**
+ * Tests for typed feedback routed through every learning stage
+ */
+import { normalizeFeedback, FeedbackCoordinator } from '../../feedback-coordinator.js';
+import { PRODUCTION_ENGINES } from '../../engine-registry.js';
+import { GoliathCognitiveInterpreter, CognitiveError } from '../../mobilenovin-ai.js';
+
+const createEvent = (overrides = {}) => ({
+  entityType: 'person',
+  entityId: 'visitor-1',
+  location: 'front_door',
+  timestamp: Date.now(),
+  behaviors: ['approaching', 'loitering'],
+  detectionConfidence: 0.9,
+  ...overrides
+});
+
+describe('normalizeFeedback', () => {
+  test('derives threat and accuracy signals from the feedback type', () => {
+    expect(normalizeFeedback({ type: 'false_alarm' }, { notified: true })).toMatchObject({ actualThreat: false, accurate: false });
+    expect(normalizeFeedback({ type: 'missed_threat' }, { notified: false })).toMatchObject({ actualThreat: true, accurate: false });
+    expect(normalizeFeedback({ type: 'correct' }, { notified: true })).toMatchObject({ actualThreat: true, accurate: true });
+    expect(normalizeFeedback({ type: 'known_person' }, { notified: false })).toMatchObject({ actualThreat: false, accurate: true });
+    expect(normalizeFeedback({ type: 'wrong_intent', correctIntent: 'delivery' }, { notified: false, predictedIntent: 'casing' }))
+      .toMatchObject({ predictedIntent: 'casing', correctIntent: 'delivery', accurate: true });
+  });
+
+  test('accepts the earlier accurate/actualThreat form', () => {
+    expect(normalizeFeedback({ accurate: false, actualThreat: false }).type).toBe('false_alarm');
+    expect(normalizeFeedback({ actualThreat: true }, { notified: false }).type).toBe('missed_threat');
+    expect(normalizeFeedback({ accurate: true }).type).toBe('correct');
+  });
+
+  test('rejects malformed feedback', () => {
+    expect(() => normalizeFeedback({ type: 'meh' })).toThrow('Unknown feedback type');
+    expect(() => normalizeFeedback({})).toThrow('Unknown feedback type');
+    expect(() => normalizeFeedback({ type: 'wrong_intent' })).toThrow('requires correctIntent');
+    expect(() => normalizeFeedback({ type: 'correct', confidence: 2 })).toThrow('between 0 and 1');
+  });
+});
+
+describe('FeedbackCoordinator', () => {
+  test('one failing stage does not block the others', async () => {
+    const calls = [];
+    const coordinator = new FeedbackCoordinator({
+      memory: { learnFromFeedback: async () => { throw new Error('Memory entry not found'); } },
+      intent: {},
+      suspicion: { updateSuspicionWithFeedback: async (eventId) => { calls.push(eventId); return { adjusted: 1 }; } },
+      learning: { incorporateFeedback: async (eventId, feedback) => { calls.push(feedback.contextualData); return { updated: true }; } }
+    });
+
+    const report = await coordinator.distribute('evt-1', normalizeFeedback({ type: 'false_alarm' }), {
+      perceptionEvent: createEvent(),
+      intentAssessment: { primaryIntent: 'casing' }
+    });
+
+    expect(report.memory).toEqual({ updated: false, reason: 'Memory entry not found' });
+    expect(report.intent).toEqual({ updated: false, reason: 'not_supported' });
+    expect(report.suspicion).toEqual({ updated: true, adjusted: 1 });
+    expect(report.learning.updated).toBe(true);
+    expect(report.updated).toBe(true);
+    expect(calls[1].spatialContext.location).toBe('front_door');
+  });
+});
+
+describe('Interpreter provideFeedback', () => {
+  test('fans typed feedback out to the production engines', async () => {
+    const interpreter = new GoliathCognitiveInterpreter({
+      autosave: { enabled: false },
+      processingTimeout: 5000,
+      engines: PRODUCTION_ENGINES
+    });
+    const assessment = await interpreter.interpretEvent(createEvent());
+
+    const report = await interpreter.provideFeedback(assessment.eventId, { type: 'wrong_intent', correctIntent: 'delivery' });
+    expect(report.type).toBe('wrong_intent');
+    expect(report.memory.updated).toBe(true);
+    expect(report.intent.updated).toBe(true);
+    expect(report.suspicion.updated).toBe(true);
+    expect(report.learning.updated).toBe(true);
+
+    const corrections = interpreter.intentModeler.framework.intentModels.getCorrections(report.feedback.predictedIntent);
+    expect(corrections).toEqual([{ intent: 'delivery', count: 1 }]);
+    const [norm] = interpreter.getNorms({ location: 'front_door' });
+    expect(norm.feedback.confirmedThreats + norm.feedback.falseAlarms).toBe(1);
+  });
+
+  test('known_person feedback labels the entity so it counts as known', async () => {
+    const interpreter = new GoliathCognitiveInterpreter({ autosave: { enabled: false }, processingTimeout: 1000 });
+    // Somewhere low-risk, so the feedback is not quarantined
+    const assessment = await interpreter.interpretEvent(createEvent({ entityId: 'neighbor-3', location: 'driveway', behaviors: ['approaching'] }));
+
+    const report = await interpreter.provideFeedback(assessment.eventId, { type: 'known_person', note: 'neighbor' });
+    expect(report.entity).toEqual({ labeled: true, entityId: 'neighbor-3', label: 'known_resident' });
+    expect(interpreter.getEntity('neighbor-3')).toMatchObject({ label: 'known_resident', labelNote: 'neighbor' });
+
+    await expect(interpreter.provideFeedback(assessment.eventId, { type: 'known_person', label: 'banned' }))
+      .rejects.toThrow(CognitiveError);
+  });
+
+  test('learning stages are skipped when adaptive learning is disabled', async () => {
+    const interpreter = new GoliathCognitiveInterpreter({
+      autosave: { enabled: false },
+      processingTimeout: 1000,
+      enableAdaptiveLearning: false
+    });
+    const assessment = await interpreter.interpretEvent(createEvent({ location: 'driveway', behaviors: ['approaching'] }));
+
+    const report = await interpreter.provideFeedback(assessment.eventId, { type: 'false_alarm' });
+    expect(report.updated).toBe(false);
+    expect(report.learning.reason).toBe('adaptive_learning_disabled');
+    expect(interpreter.getContextualInsights('driveway', '1h').feedback.reviewed).toBe(1);
+  });
+
+  test('invalid feedback is rejected with a CognitiveError', async () => {
+    const interpreter = new GoliathCognitiveInterpreter({ autosave: { enabled: false } });
+    await expect(interpreter.provideFeedback('evt-1', { type: 'meh' })).rejects.toThrow(CognitiveError);
+  });
+});
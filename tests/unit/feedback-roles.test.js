@@ -0,0 +1,87 @@
+/**
+ * Tests for feedback provenance: user IDs, roles and trust weighting
+ */
+import { normalizeFeedback, outranks } from '../../feedback-coordinator.js';
+import { FeedbackProcessor } from '../../adaptive-learning-system.js';
+import { CognitiveError } from '../../mobilenovin-ai.js';
+import { useInterpreters } from './helpers/interpreters.js';
+
+const createEvent = (overrides = {}) => ({
+  entityType: 'person',
+  entityId: 'visitor-1',
+  location: 'driveway',
+  timestamp: Date.now(),
+  behaviors: ['approaching'],
+  detectionConfidence: 0.9,
+  ...overrides
+});
+
+describe('Feedback roles', () => {
+  test('normalizeFeedback carries userId and role and rejects unknown roles', () => {
+    expect(normalizeFeedback({ type: 'false_alarm', userId: 'dana', role: 'resident' })).toMatchObject({ userId: 'dana', role: 'resident' });
+    expect(normalizeFeedback({ type: 'false_alarm' })).toMatchObject({ userId: null, role: null });
+    expect(() => normalizeFeedback({ type: 'false_alarm', role: 'landlord' })).toThrow('Unknown feedback role');
+    expect(() => normalizeFeedback({ type: 'false_alarm', userId: 42 })).toThrow('userId');
+
+    expect(outranks('operator', 'admin')).toBe(true);
+    expect(outranks('guest', 'resident')).toBe(false);
+    expect(outranks('admin', null)).toBe(false);
+  });
+
+  test('FeedbackProcessor weights reliability by role and agreement history', async () => {
+    const processor = new FeedbackProcessor();
+    const base = { accurate: false, confidence: 0.8 };
+
+    const operator = await processor.processFeedback({ ...base, userId: 'op', role: 'operator', actualThreat: true }, 'evt-1', {});
+    const guest = await processor.processFeedback({ ...base, userId: 'kid', role: 'guest', actualThreat: false }, 'evt-1', {});
+    expect(operator.reliability).toBeGreaterThan(guest.reliability);
+    expect(processor.getUserAgreement('kid')).toMatchObject({ agreed: 0, disagreed: 1 });
+
+    // The same guest after being contradicted counts for less than a fresh guest
+    const contradicted = await processor.processFeedback({ ...base, userId: 'kid', role: 'guest', actualThreat: false }, 'evt-2', {});
+    const fresh = await processor.processFeedback({ ...base, userId: 'visitor', role: 'guest', actualThreat: false }, 'evt-3', {});
+    expect(contradicted.reliability).toBeLessThan(fresh.reliability);
+  });
+});
+
+describe('Interpreter disputes', () => {
+  const createInterpreter = useInterpreters();
+
+  test('an operator overrides a resident and the insights report per-user stats', async () => {
+    const interpreter = createInterpreter();
+    const assessment = await interpreter.interpretEvent(createEvent());
+
+    const resident = await interpreter.provideFeedback(assessment.eventId, { type: 'missed_threat', userId: 'dana', role: 'resident' });
+    expect(resident.dispute).toBeNull();
+
+    const operator = await interpreter.provideFeedback(assessment.eventId, { actualThreat: false, userId: 'op-7', role: 'operator' });
+    expect(operator.dispute).toMatchObject({ resolution: 'override', overridden: [{ userId: 'dana', role: 'resident', learningId: resident.learningId }] });
+    expect(interpreter.getLearningAudit()[0].learningIds).toContain(resident.learningId);
+
+    const { feedback } = interpreter.getContextualInsights('driveway', '1h');
+    expect(feedback.reviewed).toBe(1);
+    expect(feedback.byUser).toEqual([
+      expect.objectContaining({ userId: 'dana', role: 'resident', reviewed: 1, missedThreats: 1, overruled: 1 }),
+      expect.objectContaining({ userId: 'op-7', role: 'operator', reviewed: 1, overruled: 0 })
+    ]);
+    expect(interpreter.getAnalytics('1h').feedback.byUser).toHaveLength(2);
+  });
+
+  test('junior feedback against a senior verdict is overruled without learning', async () => {
+    const interpreter = createInterpreter();
+    const assessment = await interpreter.interpretEvent(createEvent());
+
+    await interpreter.provideFeedback(assessment.eventId, { actualThreat: true, userId: 'admin-1', role: 'admin' });
+    const guest = await interpreter.provideFeedback(assessment.eventId, { actualThreat: false, userId: 'guest-1', role: 'guest' });
+
+    expect(guest.dispute).toEqual({ resolution: 'overruled', by: { userId: 'admin-1', role: 'admin' } });
+    expect(guest.learningId).toBeNull();
+    expect(guest.updated).toBe(false);
+    expect(guest.learning.reason).toBe('overruled');
+
+    const { feedback } = interpreter.getContextualInsights('driveway', '1h');
+    expect(feedback.reviewed).toBe(1);
+    expect(feedback.byUser.find(user => user.userId === 'guest-1').overruled).toBe(1);
+    await expect(interpreter.provideFeedback(assessment.eventId, { type: 'correct', role: 'owner' })).rejects.toThrow(CognitiveError);
+  });
+});
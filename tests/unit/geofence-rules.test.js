@@ -0,0 +1,187 @@
+/**
+ * Tests for geofence and tripwire rules
+ */
+import { jest } from '@jest/globals';
+import { GeofenceEngine, validateGeofenceRule } from '../../geofence-rules.js';
+import { SiteModel } from '../../site-model.js';
+import { CognitiveError } from '../../mobilenovin-ai.js';
+import { useInterpreters } from './helpers/interpreters.js';
+
+const at = clock => new Date(`2026-03-04T${clock}:00`).getTime(); // a Wednesday
+
+const site = {
+  zones: {
+    street: { type: 'public' },
+    sidewalk: { type: 'public', polygon: [[0, -5], [20, -5], [20, 0], [0, 0]] },
+    yard: { type: 'exterior' },
+    side_gate: { type: 'access' },
+    back_door: { type: 'entry' }
+  },
+  connections: [['street', 'sidewalk'], ['sidewalk', 'yard'], ['yard', 'side_gate'], ['side_gate', 'back_door']]
+};
+
+const sighting = (location, clock, extra = {}) => ({
+  entityType: 'person',
+  entityId: 'walker-1',
+  location,
+  timestamp: at(clock),
+  behaviors: [],
+  ...extra
+});
+
+const lateGate = {
+  id: 'late-gate',
+  type: 'tripwire',
+  from: 'yard',
+  to: 'side_gate',
+  schedule: { start: '23:00', end: '06:00' },
+  action: 'raise',
+  level: 'critical'
+};
+
+describe('Geofence rules', () => {
+  test('validation lists every problem', () => {
+    const errors = validateGeofenceRule({
+      type: 'fence',
+      action: 'alarm',
+      schedule: { start: '7pm', days: [7] },
+      entityTypes: 'person'
+    });
+    expect(errors).toEqual(expect.arrayContaining([
+      'id must be a non-empty string',
+      'type must be one of region, tripwire',
+      'action must be one of raise, suppress',
+      'schedule.start must be HH:MM',
+      'schedule.days must list weekdays 0 (Sunday) to 6',
+      'entityTypes must be an array of entity types'
+    ]));
+    expect(validateGeofenceRule({ id: 'x', type: 'tripwire', from: 'yard', to: 'pool', action: 'raise' }, new SiteModel(site)))
+      .toEqual(['to must be a zone of the site model']);
+    expect(() => new GeofenceEngine({ rules: [{ id: 'r', type: 'region', action: 'raise' }] })).toThrow('region rules need a polygon or a zone');
+  });
+
+  test('region rules match inside a polygon or zone, for the listed entity types', () => {
+    const geofences = new GeofenceEngine({ rules: [
+      { id: 'sidewalk', type: 'region', polygon: [[0, -5], [20, -5], [20, 0], [0, 0]], action: 'suppress' },
+      { id: 'vehicles-in-yard', type: 'region', zone: 'yard', entityTypes: ['vehicle'], action: 'raise' }
+    ] }, new SiteModel(site));
+
+    expect(geofences.evaluate(sighting('street', '12:00', { spatialData: { coordinates: { x: 5, y: -2 } } })))
+      .toEqual([{ ruleId: 'sidewalk', name: 'sidewalk', action: 'suppress', level: 'info' }]);
+    expect(geofences.evaluate(sighting('street', '12:00', { spatialData: { coordinates: { x: 5, y: 3 } } }))).toEqual([]);
+    expect(geofences.evaluate(sighting('yard', '12:00'))).toEqual([]);
+    expect(geofences.evaluate(sighting('yard', '12:00', { entityType: 'vehicle' })).map(match => match.ruleId)).toEqual(['vehicles-in-yard']);
+  });
+
+  test('enter and exit triggers compare with the previous sighting', () => {
+    const geofences = new GeofenceEngine({ rules: [
+      { id: 'into-yard', type: 'region', zone: 'yard', trigger: 'enter', action: 'raise' },
+      { id: 'out-of-yard', type: 'region', zone: 'yard', trigger: 'exit', action: 'raise' }
+    ] }, new SiteModel(site));
+
+    expect(geofences.evaluate(sighting('sidewalk', '12:00'))).toEqual([]);
+    expect(geofences.evaluate(sighting('yard', '12:01')).map(match => match.ruleId)).toEqual(['into-yard']);
+    expect(geofences.evaluate(sighting('yard', '12:02'))).toEqual([]);
+    expect(geofences.evaluate(sighting('side_gate', '12:03')).map(match => match.ruleId)).toEqual(['out-of-yard']);
+    // Too long after the last sighting to count as leaving
+    expect(geofences.evaluate(sighting('yard', '12:30'))).toEqual([]);
+  });
+
+  test('zone tripwires follow the schedule past midnight and the route between sightings', () => {
+    const geofences = new GeofenceEngine({ rules: [lateGate] }, new SiteModel(site));
+
+    geofences.evaluate(sighting('yard', '22:00'));
+    expect(geofences.evaluate(sighting('side_gate', '22:01'))).toEqual([]);
+
+    geofences.evaluate(sighting('yard', '23:30'));
+    expect(geofences.evaluate(sighting('side_gate', '23:31')).map(match => match.ruleId)).toEqual(['late-gate']);
+    // The wrong way does not count
+    expect(geofences.evaluate(sighting('yard', '23:32'))).toEqual([]);
+
+    // Sidewalk straight to the back door passes yard -> side_gate on the way
+    geofences.evaluate(sighting('sidewalk', '02:00'));
+    expect(geofences.evaluate(sighting('back_door', '02:02')).map(match => match.ruleId)).toEqual(['late-gate']);
+  });
+
+  test('line tripwires respect direction and the length of the line', () => {
+    const geofences = new GeofenceEngine({ rules: [
+      { id: 'driveway', type: 'tripwire', line: [[0, 0], [0, 10]], direction: 'right_to_left', action: 'raise' }
+    ] });
+    const step = (x, y, clock) => geofences.evaluate(sighting('driveway', clock, { spatialData: { coordinates: { x, y } } }));
+
+    step(5, 5, '12:00');
+    expect(step(-5, 5, '12:01')).toHaveLength(1); // right of the line (looking from start to end) to left
+    expect(step(5, 5, '12:02')).toEqual([]);
+    expect(step(-5, 20, '12:03')).toEqual([]); // past the end of the line
+  });
+});
+
+describe('Interpreter geofences', () => {
+  const createInterpreter = useInterpreters({ siteModel: site });
+
+  test('rules raise and suppress alert levels with their reasons', async () => {
+    const interpreter = createInterpreter({
+      geofences: [lateGate, { id: 'sidewalk', type: 'region', zone: 'sidewalk', action: 'suppress' }]
+    });
+
+    const passerby = await interpreter.interpretEvent(sighting('sidewalk', '23:00', {
+      entityId: 'passerby', behaviors: ['loitering', 'looking_around']
+    }));
+    expect(passerby.alertLevel).toBe('info');
+    expect(passerby.shouldNotify).toBe(false);
+    expect(passerby.policyReasons).toEqual(expect.arrayContaining(['geofence:sidewalk']));
+
+    await interpreter.interpretEvent(sighting('yard', '23:40'));
+    const crossing = await interpreter.interpretEvent(sighting('side_gate', '23:41'));
+    expect(crossing.alertLevel).toBe('critical');
+    expect(crossing.shouldNotify).toBe(true);
+    expect(crossing.policyReasons).toEqual(expect.arrayContaining(['geofence:late-gate', 'geofence_raise']));
+  });
+
+  test('suppress rules do not silence the night and away entry minimums', async () => {
+    const quietDoor = { id: 'quiet-door', type: 'region', zone: 'back_door', action: 'suppress' };
+    const forcedEntry = clock => sighting('back_door', clock, {
+      entityId: `intruder-${clock}`, behaviors: ['forced_entry', 'looking_around'], detectionConfidence: 0.9
+    });
+
+    const night = await createInterpreter({ geofences: [quietDoor] }).interpretEvent(forcedEntry('02:30'));
+    expect(night.shouldNotify).toBe(true);
+    expect(night.alertLevel).not.toBe('info');
+    expect(night.policyReasons).toEqual(expect.arrayContaining(['geofence:quiet-door', 'entry_min_over_geofence']));
+
+    const away = createInterpreter({ geofences: [quietDoor], enforceAwayEntryMin: 'elevated' });
+    away.setHouseholdMode('away');
+    const afternoon = await away.interpretEvent(forcedEntry('14:00'));
+    expect(afternoon).toMatchObject({ alertLevel: 'elevated', shouldNotify: true });
+    expect(afternoon.policyReasons).toEqual(expect.arrayContaining(['household_away_entry_min', 'entry_min_over_geofence']));
+  });
+
+  test('rules are managed at runtime and saved', async () => {
+    const interpreter = createInterpreter();
+    expect(() => interpreter.addGeofenceRule({ id: 'bad', type: 'tripwire', action: 'raise' })).toThrow(CognitiveError);
+
+    interpreter.addGeofenceRule(lateGate);
+    expect(interpreter.listGeofenceRules().map(rule => rule.id)).toEqual(['late-gate']);
+
+    const saved = await interpreter.getSaveState();
+    const restored = createInterpreter();
+    await restored.restoreFromSave(saved);
+    expect(restored.listGeofenceRules()).toEqual(interpreter.listGeofenceRules());
+
+    // Saved rules go through the same validation as new ones
+    saved.geofences.rules.push(
+      { ...saved.geofences.rules[0], id: 'tampered', action: 'alarm' },
+      { ...saved.geofences.rules[0], id: 'gone', to: 'pool' },
+      { id: 'ring', type: 'region', action: 'suppress', polygon: [{ x: 0, y: 0 }, { x: 1, y: 0 }], zone: null }
+    );
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const checked = createInterpreter();
+    await checked.restoreFromSave(saved);
+    expect(checked.listGeofenceRules().map(rule => rule.id)).toEqual(['late-gate']);
+    expect(warn).toHaveBeenCalledTimes(3);
+    warn.mockRestore();
+
+    expect(interpreter.removeGeofenceRule('late-gate')).toBe(true);
+    expect(interpreter.removeGeofenceRule('late-gate')).toBe(false);
+  });
+});
@@ -0,0 +1,29 @@
+/**
+ * Shared interpreter factory for unit tests
+ */
+
+import { afterEach } from '@jest/globals';
+import { GoliathCognitiveInterpreter } from '../../../mobilenovin-ai.js';
+
+/**
+ * Returns a factory for interpreters with autosave off, merged over `defaults`.
+ * Every interpreter it creates is disposed after each test in the calling scope.
+ */
+export const useInterpreters = (defaults = {}) => {
+  const interpreters = [];
+
+  afterEach(async () => {
+    await Promise.all(interpreters.splice(0).map(interpreter => interpreter.dispose()));
+  });
+
+  return (config = {}) => {
+    const interpreter = new GoliathCognitiveInterpreter({
+      autosave: { enabled: false },
+      processingTimeout: 1000,
+      ...defaults,
+      ...config
+    });
+    interpreters.push(interpreter);
+    return interpreter;
+  };
+};
@@ -0,0 +1,134 @@
+/**
+ * Tests for household mode and resident presence
+ */
+import { HouseholdPresence } from '../../household-presence.js';
+import { PRODUCTION_ENGINES } from '../../engine-registry.js';
+import { CognitiveError } from '../../mobilenovin-ai.js';
+import { useInterpreters } from './helpers/interpreters.js';
+
+const at = clock => new Date(`2026-03-04T${clock}:00`).getTime(); // a Wednesday
+
+const residents = [
+  { id: 'sam', name: 'Sam', entityIds: ['phone-sam', 'keycard-7'] },
+  { id: 'alex', entityIds: ['phone-alex'] }
+];
+
+const backDoorAt2am = entityId => ({
+  entityType: 'person',
+  entityId,
+  location: 'back_door',
+  timestamp: at('02:00'),
+  behaviors: ['approaching_entry', 'door_opened'],
+  detectionConfidence: 0.9
+});
+
+describe('HouseholdPresence', () => {
+  test('infers the mode from residents and the night hours', () => {
+    const household = new HouseholdPresence({ residents });
+    expect(household.getMode(at('14:00'))).toBe('home');
+    expect(household.getMode(at('02:00'))).toBe('night');
+    expect(household.isOccupied()).toBeNull();
+
+    household.observe({ entityId: 'phone-sam', timestamp: at('08:00'), behaviors: ['leaving'] });
+    expect(household.getMode(at('08:00'))).toBe('away');
+    expect(household.getState(at('08:00')).residents[0]).toMatchObject({ id: 'sam', present: false, source: 'inferred' });
+
+    household.observe({ entityId: 'keycard-7', timestamp: at('18:00'), behaviors: [] });
+    expect(household.getState(at('23:00'))).toMatchObject({ mode: 'night', source: 'inferred', occupied: true });
+  });
+
+  test('userHome reports count only while no resident presence is known', () => {
+    const household = new HouseholdPresence({ residents });
+    household.observe({ entityId: 'camera-1', timestamp: at('12:00'), metadata: { userHome: false } });
+    expect(household.getMode(at('12:00'))).toBe('away');
+
+    household.setResidentPresence('alex', true, at('12:05'));
+    expect(household.getMode(at('12:05'))).toBe('home');
+    expect(() => household.setResidentPresence('nobody', true)).toThrow('Unknown resident "nobody"');
+  });
+
+  test('manual modes hold until changed, except that arriving ends away', () => {
+    const household = new HouseholdPresence({ residents, mode: 'away' });
+    expect(household.getState(at('14:00'))).toMatchObject({ mode: 'away', source: 'manual' });
+    household.observe({ entityId: 'phone-alex', timestamp: at('14:10'), behaviors: [] });
+    expect(household.getState(at('14:10'))).toMatchObject({ mode: 'home', source: 'inferred' });
+
+    household.setMode('vacation');
+    household.observe({ entityId: 'phone-alex', timestamp: at('14:20'), behaviors: [] });
+    expect(household.getMode(at('14:20'))).toBe('vacation');
+    household.setMode('auto');
+    expect(household.getMode(at('14:20'))).toBe('home');
+
+    expect(() => household.setMode('party')).toThrow('Unknown household mode "party"');
+    expect(() => new HouseholdPresence({ mode: 'out', residents: [{ entityIds: 'phone' }], nightHours: { start: '10pm' } }))
+      .toThrow('mode must be auto or one of home, away, night, vacation, residents[0].id must be a non-empty string, ' +
+        'residents[0].entityIds must be an array of entity IDs, nightHours.start must be HH:MM, nightHours.end must be HH:MM');
+  });
+});
+
+describe('Interpreter household mode', () => {
+  const createInterpreter = useInterpreters({ processingTimeout: 5000, household: { residents } });
+
+  test('the same 2am back door means different things asleep, away and on vacation', async () => {
+    const asleep = createInterpreter();
+    const night = await asleep.interpretEvent(backDoorAt2am('stranger-1'));
+    expect(night.householdMode).toBe('night');
+    expect(night.policyReasons).not.toContain('household_away_boost');
+
+    const empty = createInterpreter();
+    empty.setHouseholdMode('away');
+    const away = await empty.interpretEvent(backDoorAt2am('stranger-2'));
+    expect(away.householdMode).toBe('away');
+    expect(away.policyReasons).toContain('household_away_boost');
+    expect(away.shouldNotify).toBe(true);
+    expect(away.suspicionLevel).toBeGreaterThan(night.suspicionLevel);
+
+    const traveling = createInterpreter({ household: { residents, mode: 'vacation' } });
+    const vacation = await traveling.interpretEvent(backDoorAt2am('stranger-3'));
+    expect(vacation.policyReasons).toContain('household_vacation_boost');
+    expect(['elevated', 'critical']).toContain(vacation.alertLevel);
+  });
+
+  test('the intent and reasoning engines weigh time by the shared household mode', () => {
+    const interpreter = createInterpreter({ engines: PRODUCTION_ENGINES });
+    const intentContext = interpreter.intentModeler.framework.contextualIntentEngine;
+    const reasoning = interpreter.reasoningEngine;
+    expect(intentContext.household).toBe(interpreter.household);
+    expect(reasoning.household).toBe(interpreter.household);
+
+    const trace = { addRule: () => {} };
+    expect(intentContext._analyzeTemporalContext(at('14:00'))).toMatchObject({ householdMode: 'home', suspicionModifier: 1.0 });
+    expect(reasoning._analyzeTemporalContext(at('14:00'), null, trace)).toMatchObject({ timeRisk: 0.5, expectedActivity: 'daytime' });
+
+    interpreter.setHouseholdMode('away');
+    expect(intentContext._analyzeTemporalContext(at('14:00'))).toMatchObject({ householdMode: 'away', suspicionModifier: 1.6 });
+    expect(reasoning._analyzeTemporalContext(at('14:00'), null, trace)).toMatchObject({ timeRisk: 0.7, expectedActivity: 'none_expected' });
+  });
+
+  test('a resident arriving sets the household home and counts as known activity', async () => {
+    const interpreter = createInterpreter({ household: { residents, mode: 'away' } });
+    const arrival = await interpreter.interpretEvent({
+      entityType: 'person',
+      entityId: 'keycard-7',
+      location: 'front_door',
+      timestamp: at('18:30'),
+      behaviors: ['approaching_entry'],
+      detectionConfidence: 0.9
+    });
+
+    expect(arrival.householdMode).toBe('home');
+    expect(arrival.policyReasons).toContain('authorized_downweight');
+    expect(interpreter.getHouseholdState(at('18:30'))).toMatchObject({ mode: 'home', source: 'inferred', occupied: true });
+
+    expect(() => interpreter.setHouseholdMode('party')).toThrow(CognitiveError);
+    expect(() => interpreter.setResidentPresence('nobody', true)).toThrow(CognitiveError);
+    interpreter.addResident({ id: 'guest', entityIds: ['phone-guest'] });
+    interpreter.setHouseholdMode('vacation');
+
+    const saved = await interpreter.getSaveState();
+    const restored = createInterpreter({ household: {} });
+    await restored.restoreFromSave(saved);
+    expect(restored.getHouseholdState(at('18:30'))).toEqual(interpreter.getHouseholdState(at('18:30')));
+    expect(restored.removeResident('guest')).toBe(true);
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Tests for the queryable contextual norms API
+ */
+import { ContextualNormsStore } from '../../contextual-memory-system.js';
+import { GoliathCognitiveInterpreter, CognitiveError } from '../../mobilenovin-ai.js';
+
+const observe = (store, count, overrides = {}) => {
+  for (let i = 0; i < count; i++) {
+    store.updateNorms({
+      location: 'front_door',
+      timeCategory: 'day',
+      entityType: 'person',
+      behaviors: ['approaching'],
+      suspicionLevel: 0.2,
+      ...overrides
+    });
+  }
+};
+
+describe('ContextualNormsStore.queryNorms', () => {
+  test('reports expected entity types and behaviors with shares', () => {
+    const store = new ContextualNormsStore();
+    observe(store, 9);
+    observe(store, 1, { entityType: 'cat', behaviors: ['walking'], suspicionLevel: 0.4 });
+    observe(store, 3, { location: 'backyard' });
+
+    const [norm] = store.queryNorms({ location: 'front_door', timeCategory: 'day' });
+    expect(norm.observations).toBe(10);
+    expect(norm.expectedEntityTypes[0]).toMatchObject({ entityType: 'person', count: 9, share: 0.9, expected: true });
+    expect(norm.expectedEntityTypes[1]).toMatchObject({ entityType: 'cat', expected: true });
+    expect(norm.normalSuspicionRange).toEqual({ min: 0.2, max: 0.4 });
+    expect(norm.averageSuspicion).toBeCloseTo(0.22);
+    expect(norm.confidence).toBeCloseTo(0.5);
+
+    expect(store.queryNorms().map(n => n.location)).toEqual(['front_door', 'backyard']);
+    expect(store.queryNorms({ timeCategory: 'night' })).toEqual([]);
+  });
+
+  test('confidence grows with observations', () => {
+    const store = new ContextualNormsStore();
+    observe(store, 5);
+    const early = store.queryNorms()[0].confidence;
+    observe(store, 15);
+    expect(store.queryNorms()[0].confidence).toBeGreaterThan(early);
+  });
+
+  test('drift measures how far recent activity departs from the norm', () => {
+    const steady = new ContextualNormsStore();
+    observe(steady, 50);
+    expect(steady.queryNorms()[0].drift).toBe(0);
+
+    const shifting = new ContextualNormsStore();
+    observe(shifting, 25);
+    observe(shifting, 25, { entityType: 'vehicle', behaviors: ['parking'] });
+    const norm = shifting.queryNorms()[0];
+    expect(norm.drift).toBe(1);
+    expect(norm.confidence).toBeLessThan(steady.queryNorms()[0].confidence);
+  });
+});
+
+describe('Interpreter getNorms', () => {
+  const createEvent = (hour) => ({
+    entityType: 'person',
+    entityId: 'resident-1',
+    location: 'front_door',
+    timestamp: new Date(`2026-01-05T${String(hour).padStart(2, '0')}:00:00`).getTime(),
+    behaviors: ['approaching'],
+    detectionConfidence: 0.9
+  });
+
+  test('answers from the contextual memory engine with learned activity', async () => {
+    const interpreter = new GoliathCognitiveInterpreter({
+      autosave: { enabled: false },
+      processingTimeout: 1000,
+      engines: { memory: 'contextual', learning: 'adaptive' }
+    });
+    await interpreter.interpretEvent(createEvent(10));
+    await interpreter.interpretEvent(createEvent(11));
+    await interpreter.interpretEvent(createEvent(23));
+
+    const [day] = interpreter.getNorms({ location: 'front_door', timeCategory: 'day' });
+    expect(day).toMatchObject({ location: 'front_door', timeCategory: 'day', observations: 2 });
+    expect(day.learnedActivity).toBeDefined();
+    expect(interpreter.getNorms({ location: 'front_door' })).toHaveLength(2);
+    expect(() => interpreter.getNorms({ timeCategory: 'lunch' })).toThrow(CognitiveError);
+  });
+
+  test('returns no norms for memory engines that do not learn them', () => {
+    const interpreter = new GoliathCognitiveInterpreter({ autosave: { enabled: false } });
+    expect(interpreter.getNorms()).toEqual([]);
+  });
+});
@@ -0,0 +1,233 @@
+/**
+ * Tests for quarantining relaxing feedback in high-risk contexts and capping norm drift
+ */
+import { AdaptiveLearningSystem, NormUpdater } from '../../adaptive-learning-system.js';
+import { ContextualMemorySystem } from '../../contextual-memory-system.js';
+import { PRODUCTION_ENGINES } from '../../engine-registry.js';
+import { GoliathCognitiveInterpreter } from '../../mobilenovin-ai.js';
+
+const context = (location, hour) => ({
+  temporalContext: { hour, dayOfWeek: 2 },
+  spatialContext: { location },
+  environmentalContext: {}
+});
+
+const falseAlarm = (overrides = {}) => ({
+  accurate: false,
+  actualThreat: false,
+  predictedThreat: true,
+  confidence: 0.8,
+  source: 'user_report',
+  behavioralSequence: [{ type: 'loitering', intensity: 1 }],
+  ...overrides
+});
+
+describe('Feedback quarantine', () => {
+  test('holds relaxing feedback for a high-risk context until corroborated', async () => {
+    const learning = new AdaptiveLearningSystem({});
+
+    const first = await learning.processFeedback('evt-1', falseAlarm({ userId: 'ana' }), context('back_door', 3));
+    expect(first.quarantined).toBe(true);
+    expect(first.quarantine).toMatchObject({ contextKey: 'back_door|night', corroborations: 1, required: 3 });
+    expect(first.quarantine.riskFactors).toEqual(['night', 'entry_point', 'loitering']);
+    expect(learning.adaptationHistory.size).toBe(0);
+
+    // The same user again does not count as corroboration
+    expect((await learning.processFeedback('evt-1', falseAlarm({ userId: 'ana' }), context('back_door', 3))).quarantined).toBe(true);
+    expect((await learning.processFeedback('evt-2', falseAlarm({ userId: 'ben' }), context('back_door', 2))).quarantined).toBe(true);
+    expect(learning.getQuarantinedFeedback().held).toHaveLength(3);
+
+    const third = await learning.processFeedback('evt-3', falseAlarm({ userId: 'cy' }), context('back_door', 4));
+    expect(third.quarantined).toBe(false);
+    expect(third.released).toHaveLength(3);
+    expect(learning.adaptationHistory.size).toBe(4);
+    expect(learning.getQuarantinedFeedback()).toMatchObject({ held: [], totals: { held: 3, released: 3 } });
+  });
+
+  test('one user cannot corroborate their own reports', async () => {
+    const learning = new AdaptiveLearningSystem({});
+    for (let i = 1; i <= 5; i++) {
+      const result = await learning.processFeedback(`evt-${i}`, falseAlarm({ userId: 'guest-1', role: 'guest' }), context('back_door', 2 + (i % 3)));
+      expect(result).toMatchObject({ quarantined: true, quarantine: { corroborations: 1 } });
+    }
+    // Anonymous reports all count as one user
+    await learning.processFeedback('evt-6', falseAlarm(), context('back_door', 3));
+    const anonymous = await learning.processFeedback('evt-7', falseAlarm(), context('back_door', 3));
+    expect(anonymous.quarantine.corroborations).toBe(2);
+
+    expect(learning.getQuarantinedFeedback()).toMatchObject({ totals: { held: 7, released: 0 } });
+    expect(learning.adaptationHistory.size).toBe(0);
+  });
+
+  test('feedback is screened by what it says, not by what was predicted', async () => {
+    const learning = new AdaptiveLearningSystem({});
+    // A false alarm on an event that never notified still relaxes the context
+    const quiet = await learning.processFeedback('evt-1', falseAlarm({ type: 'false_alarm', predictedThreat: false, accurate: true }), context('back_door', 3));
+    expect(quiet.quarantined).toBe(true);
+    // Confirming a quiet call was right relaxes nothing
+    const confirmed = await learning.processFeedback('evt-2', falseAlarm({ type: 'correct', predictedThreat: false, accurate: true }), context('back_door', 3));
+    expect(confirmed.quarantined).toBe(false);
+  });
+
+  test('applies low-risk and trusted feedback immediately', async () => {
+    const learning = new AdaptiveLearningSystem({});
+
+    expect((await learning.processFeedback('evt-1', falseAlarm({ behavioralSequence: [] }), context('driveway', 14))).quarantined).toBe(false);
+    expect((await learning.processFeedback('evt-2', falseAlarm(), context('back_door', 3))).quarantined).toBe(true);
+
+    const trusted = await learning.processFeedback('evt-3', falseAlarm({ source: 'human_expert' }), context('back_door', 1));
+    expect(trusted.quarantined).toBe(false);
+    expect(trusted.released).toHaveLength(1);
+  });
+
+  test('feedback confirming a threat rejects what is held for that context', async () => {
+    const learning = new AdaptiveLearningSystem({});
+    await learning.processFeedback('evt-1', falseAlarm(), context('back_door', 3));
+
+    const confirmed = await learning.processFeedback('evt-2', falseAlarm({ accurate: true, actualThreat: true }), context('back_door', 3));
+    expect(confirmed.rejected).toHaveLength(1);
+    expect(learning.getQuarantinedFeedback()).toMatchObject({ held: [], totals: { rejected: 1 } });
+  });
+
+  test('interpreter reports quarantined feedback and can discard it', async () => {
+    const interpreter = new GoliathCognitiveInterpreter({
+      autosave: { enabled: false },
+      processingTimeout: 5000,
+      engines: PRODUCTION_ENGINES
+    });
+    // Banned entities always alert, so the feedback relaxes a notification
+    interpreter.labelEntity('prowler-1', 'banned');
+    const night = new Date();
+    night.setHours(3, 0, 0, 0);
+    const assessment = await interpreter.interpretEvent({
+      entityType: 'person',
+      entityId: 'prowler-1',
+      location: 'back_door',
+      timestamp: night.getTime(),
+      behaviors: ['loitering'],
+      detectionConfidence: 0.9
+    });
+    expect(assessment.shouldNotify).toBe(true);
+
+    const report = await interpreter.provideFeedback(assessment.eventId, { type: 'false_alarm' });
+    expect(report.learning).toMatchObject({ updated: false, reason: 'quarantined', quarantined: true });
+    expect(interpreter.getQuarantinedFeedback().held[0].learningId).toBe(report.learningId);
+
+    const audit = interpreter.revertLearning(report.learningId);
+    expect(audit.learningIds).toContain(report.learningId);
+    expect(interpreter.getQuarantinedFeedback().held).toHaveLength(0);
+    await interpreter.dispose();
+  });
+
+  test('held feedback leaves the label, memory and suspicion untouched until released', async () => {
+    const interpreter = new GoliathCognitiveInterpreter({
+      autosave: { enabled: false },
+      processingTimeout: 5000,
+      engines: PRODUCTION_ENGINES
+    });
+    interpreter.labelEntity('loiterer-1', 'banned');
+    const night = new Date();
+    night.setHours(3, 0, 0, 0);
+    const assessment = await interpreter.interpretEvent({
+      entityType: 'person',
+      entityId: 'loiterer-1',
+      location: 'back_door',
+      timestamp: night.getTime(),
+      behaviors: ['loitering'],
+      detectionConfidence: 0.9
+    });
+    const memoryOf = () => interpreter.contextualMemory.system.memoryRetrieval.findByEventId(assessment.eventId);
+    const suspicionFeedback = () => interpreter.suspicionStage.system.adaptationMetrics.metrics.feedbackAccuracy.length;
+
+    const report = await interpreter.provideFeedback(assessment.eventId, { type: 'known_person', userId: 'sam', role: 'resident' });
+    expect(report).toMatchObject({
+      updated: false,
+      memory: { updated: false, reason: 'quarantined' },
+      intent: { updated: false, reason: 'quarantined' },
+      suspicion: { updated: false, reason: 'quarantined' },
+      learning: { updated: false, reason: 'quarantined', quarantined: true },
+      entity: { labeled: false, reason: 'quarantined' }
+    });
+    expect(interpreter.getEntity('loiterer-1').label).toBe('banned');
+    expect(memoryOf().feedback).toBeNull();
+    expect(suspicionFeedback()).toBe(0);
+    expect(interpreter.adaptiveLearning.system.adaptationHistory.size).toBe(0);
+
+    // Saved and restored while held
+    const restored = new GoliathCognitiveInterpreter({ autosave: { enabled: false }, processingTimeout: 5000, engines: PRODUCTION_ENGINES });
+    await restored.restoreFromSave(await interpreter.getSaveState());
+    expect(restored.getQuarantinedFeedback().held.map(entry => entry.learningId)).toEqual([report.learningId]);
+    await restored.dispose();
+
+    // An operator corroborates: the held feedback goes through every stage first
+    const confirmed = await interpreter.provideFeedback(assessment.eventId, { type: 'known_person', userId: 'olu', role: 'operator' });
+    expect(confirmed.released).toEqual([report.learningId]);
+    expect(confirmed.entity).toMatchObject({ labeled: true, label: 'known_resident' });
+    expect(memoryOf().feedback).toMatchObject({ type: 'known_person' });
+    expect(suspicionFeedback()).toBe(2);
+    expect(interpreter.adaptiveLearning.system.learningDeltas.has(report.learningId)).toBe(true);
+    expect(interpreter.getQuarantinedFeedback().held).toEqual([]);
+    await interpreter.dispose();
+  });
+});
+
+describe('NormUpdater drift caps', () => {
+  test('caps how far feedback can relax one context', async () => {
+    const updater = new NormUpdater({ maxContextDrift: 0.3 });
+    const feedback = falseAlarm();
+    const magnitudes = [];
+    for (let i = 0; i < 3; i++) {
+      const updates = await updater.updateBehavioralNorms(feedback, context('front_door', 14));
+      magnitudes.push(updates.impact);
+    }
+
+    expect(magnitudes[0]).toBeCloseTo(0.15);
+    expect(magnitudes[1]).toBeCloseTo(0.15);
+    expect(magnitudes[2]).toBe(0);
+    expect(updater.getContextDrift()['front_door|day']).toBeCloseTo(-0.3);
+
+    // Other contexts keep their own budget
+    const elsewhere = await updater.updateBehavioralNorms(feedback, context('garage', 14));
+    expect(elsewhere.impact).toBeCloseTo(0.15);
+  });
+
+  test('patterns, rules and memory norms stop moving once a context is at its limit', async () => {
+    const learning = new AdaptiveLearningSystem({ maxContextDrift: 0.3 });
+    const patterns = () => Array.from(learning.patternEvolver.patternLibrary.values()).map(pattern => pattern.confidence);
+    const rules = () => JSON.stringify(Array.from(learning.environmentalAdapter.adaptationRules));
+    const walking = falseAlarm({ behavioralSequence: [{ type: 'walking', intensity: 1 }] });
+
+    // Alternating day hours at the front door: one context, shifting hours make rules
+    await learning.processFeedback('evt-1', walking, context('front_door', 9));
+    const second = await learning.processFeedback('evt-2', walking, context('front_door', 15));
+    expect(second.behavioralUpdates.allowance).toBe(1);
+    expect(patterns()).toEqual([0.5]);
+    const rulesAtLimit = rules();
+    expect(JSON.parse(rulesAtLimit)).toEqual([['temporal_pattern', expect.objectContaining({ action: expect.objectContaining({ parameters: { adjustment: -0.1 } }) })]]);
+
+    for (let i = 3; i <= 6; i++) {
+      const capped = await learning.processFeedback(`evt-${i}`, walking, context('front_door', i % 2 ? 9 : 15));
+      expect(capped.behavioralUpdates.allowance).toBe(0);
+    }
+    expect(patterns()).toEqual([0.5]);
+    expect(rules()).toBe(rulesAtLimit);
+
+    // Memory norms count at most maxContextDrift's worth of one-sided feedback
+    const memory = new ContextualMemorySystem({ maxContextDrift: 0.3 });
+    const eventIds = [];
+    for (let i = 0; i < 5; i++) {
+      eventIds.push(`evt-${i}`);
+      await memory.storeEvent(
+        { eventId: `evt-${i}`, entityType: 'human', location: 'front_door', timestamp: Date.now(), behaviors: ['walking'] },
+        { eventId: `evt-${i}`, suspicionLevel: 0.3 }
+      );
+    }
+    for (const eventId of eventIds) {
+      await memory.learnFromFeedback(eventId, { actualThreat: false, accurate: false });
+    }
+    const [norm] = memory.queryNorms({ location: 'front_door' });
+    expect(norm.feedback).toEqual({ confirmedThreats: 0, falseAlarms: 3 });
+    await memory.learnFromFeedback('evt-0', { actualThreat: true, accurate: false });
+    expect(memory.queryNorms({ location: 'front_door' })[0].feedback).toEqual({ confirmedThreats: 1, falseAlarms: 3 });
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Tests for reverting learning by id or time window
+ */
+import { AdaptiveLearningSystem } from '../../adaptive-learning-system.js';
+import { PRODUCTION_ENGINES } from '../../engine-registry.js';
+import { GoliathCognitiveInterpreter, CognitiveError } from '../../mobilenovin-ai.js';
+
+const createEvent = (overrides = {}) => ({
+  entityType: 'person',
+  entityId: 'visitor-1',
+  location: 'front_door',
+  timestamp: Date.now(),
+  behaviors: ['approaching', 'loitering'],
+  detectionConfidence: 0.9,
+  ...overrides
+});
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+const indicators = value => ({ behavioralIndicators: [{ type: 'loitering', value }] });
+
+describe('AdaptiveLearningSystem rollback', () => {
+  test('reverts a norm update exactly and records an audit entry', async () => {
+    const learning = new AdaptiveLearningSystem({});
+    const update = await learning.updateNormsContinuously(indicators(1));
+    const learned = learning.getCurrentNorms().behavioral.loitering;
+    expect(learned).toBeGreaterThan(0.5);
+
+    const audit = learning.revertLearning(update.updateId, { reason: 'bad camera angle' });
+    expect(learning.getCurrentNorms().behavioral.loitering).toBeUndefined();
+    expect(audit).toMatchObject({ scope: { learningId: update.updateId }, learningIds: [update.updateId], reason: 'bad camera angle' });
+    expect(audit.restored.norms).toBe(1);
+    expect(learning.getRollbackHistory()).toEqual([audit]);
+
+    expect(() => learning.revertLearning(update.updateId)).toThrow('already reverted');
+    expect(() => learning.revertLearning('learning-unknown')).toThrow('No reversible learning');
+  });
+
+  test('rolls back everything learned since a timestamp, newest first', async () => {
+    const learning = new AdaptiveLearningSystem({});
+    await learning.updateNormsContinuously(indicators(1));
+    const kept = learning.getCurrentNorms().behavioral.loitering;
+
+    await tick();
+    const since = Date.now();
+    await learning.updateNormsContinuously(indicators(0));
+    await learning.updateNormsContinuously(indicators(1));
+    expect(learning.getCurrentNorms().behavioral.loitering).not.toBe(kept);
+
+    const audit = learning.rollbackLearningSince(since);
+    expect(audit.learningIds).toHaveLength(2);
+    expect(learning.getCurrentNorms().behavioral.loitering).toBe(kept);
+  });
+
+  test('reverts the pattern library entries a feedback created', async () => {
+    const learning = new AdaptiveLearningSystem({});
+    const result = await learning.processFeedback('evt-1', {
+      accurate: false,
+      actualThreat: false,
+      confidence: 0.9,
+      behavioralSequence: [{ type: 'loitering', intensity: 1 }]
+    }, {});
+    const patterns = learning.patternEvolver.patternLibrary.size;
+    expect(patterns).toBeGreaterThan(0);
+
+    const audit = learning.revertLearning(result.learningId);
+    expect(audit.restored.patterns).toBe(patterns);
+    expect(learning.patternEvolver.patternLibrary.size).toBe(0);
+  });
+});
+
+describe('Interpreter rollback', () => {
+  test('reverting known_person feedback removes the entity label and outcome', async () => {
+    const interpreter = new GoliathCognitiveInterpreter({ autosave: { enabled: false }, processingTimeout: 1000 });
+    // Somewhere low-risk, so the feedback is not quarantined
+    const assessment = await interpreter.interpretEvent(createEvent({ entityId: 'courier-2', location: 'driveway', behaviors: ['approaching'] }));
+
+    const report = await interpreter.provideFeedback(assessment.eventId, { type: 'known_person' });
+    expect(interpreter.getEntity('courier-2').label).toBe('known_resident');
+
+    const audit = interpreter.revertLearning(report.learningId, { reason: 'mislabeled' });
+    expect(audit).toMatchObject({ learningIds: [report.learningId], reason: 'mislabeled' });
+    expect(audit.restored.labels).toBe(1);
+    expect(interpreter.getEntity('courier-2')).toBeNull();
+    expect(interpreter.getContextualInsights('driveway', '1h').feedback.reviewed).toBe(0);
+    expect(interpreter.getLearningAudit()).toEqual([audit]);
+
+    expect(() => interpreter.revertLearning(report.learningId)).toThrow(CognitiveError);
+    expect(() => interpreter.revertLearning('feedback-unknown')).toThrow(CognitiveError);
+  });
+
+  test('rolls back feedback since a timestamp across the production engines', async () => {
+    const interpreter = new GoliathCognitiveInterpreter({
+      autosave: { enabled: false },
+      processingTimeout: 5000,
+      engines: PRODUCTION_ENGINES
+    });
+    const first = await interpreter.interpretEvent(createEvent({ entityId: 'neighbor-1', location: 'driveway', behaviors: ['approaching'] }));
+    await interpreter.provideFeedback(first.eventId, { type: 'known_person' });
+
+    await tick();
+    const since = Date.now();
+    // Somewhere low-risk, so the feedback is not quarantined
+    const second = await interpreter.interpretEvent(createEvent({ entityId: 'stranger-1', location: 'driveway', behaviors: ['approaching'] }));
+    const report = await interpreter.provideFeedback(second.eventId, { type: 'false_alarm' });
+    expect(report.learningId).toBe(report.learning.learningId);
+
+    const audit = interpreter.rollbackLearningSince(since);
+    // Automatic learning from the second event is rolled back as well
+    expect(audit.learningIds).toContain(report.learningId);
+    expect(audit.restored.patterns).toBeGreaterThan(0);
+    expect(interpreter.getEntity('neighbor-1').label).toBe('known_resident');
+  });
+  test('suspicion feedback is reverted and what cannot be is reported', async () => {
+    const interpreter = new GoliathCognitiveInterpreter({
+      autosave: { enabled: false },
+      processingTimeout: 5000,
+      engines: { memory: 'contextual', suspicion: 'graduated' }
+    });
+    const suspicion = interpreter.suspicionStage.system;
+    const thresholds = suspicion.adaptiveScoring.getCurrentThresholds();
+    const assessment = await interpreter.interpretEvent(createEvent({ entityId: 'stranger-2', location: 'driveway', behaviors: ['approaching'] }));
+
+    // A missed threat lowers the graduated thresholds
+    const report = await interpreter.provideFeedback(assessment.eventId, { type: 'missed_threat' });
+    expect(report.suspicion.updated).toBe(true);
+    expect(suspicion.adaptiveScoring.getCurrentThresholds()).not.toEqual(thresholds);
+
+    const audit = interpreter.revertLearning(report.learningId);
+    expect(audit.restored.suspicion).toBe(1);
+    expect(suspicion.adaptiveScoring.getCurrentThresholds()).toEqual(thresholds);
+    expect(suspicion.adaptiveScoring.feedbackHistory.size).toBe(0);
+    expect(suspicion.adaptationMetrics.getAdaptationEffectiveness().totalFeedback).toBe(0);
+    expect(audit.notReverted).toEqual(expect.arrayContaining([
+      { learningId: report.learningId, stage: 'memory', reason: 'not_reversible' }
+    ]));
+    expect(audit.notReverted.map(item => item.stage)).not.toContain('suspicion');
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Tests for ContextualMemorySystem retention, eviction and summarization
+ */
+import { ContextualMemorySystem, resolveRetentionPolicy } from '../../contextual-memory-system.js';
+
+const HOUR = 60 * 60 * 1000;
+
+// 02:00 local time, a 'night' event
+const nightTimestamp = () => {
+  const date = new Date();
+  date.setHours(2, 0, 0, 0);
+  return date.getTime();
+};
+
+const storeEvents = async (memory, count, overrides = {}) => {
+  for (let i = 0; i < count; i++) {
+    await memory.storeEvent(
+      {
+        entityType: 'human',
+        entityId: 'visitor-1',
+        location: 'front_door',
+        timestamp: nightTimestamp(),
+        behaviors: ['approaching'],
+        ...overrides
+      },
+      { suspicionLevel: 0.4 }
+    );
+  }
+};
+
+describe('Memory retention', () => {
+  test('resolves the policy from interpreter config', () => {
+    expect(resolveRetentionPolicy({ maxMemoryEvents: 500, memoryRetentionHours: 24 }))
+      .toMatchObject({ maxRawEvents: 500, retentionHours: 24, compactionInterval: 100 });
+    expect(resolveRetentionPolicy(undefined).maxRawEvents).toBe(5000);
+  });
+
+  test('caps raw memories at maxMemoryEvents across every store', async () => {
+    const memory = new ContextualMemorySystem({ maxMemoryEvents: 20, memoryCompactionInterval: 1000 });
+    await storeEvents(memory, 25);
+
+    const footprint = memory.getMemoryFootprint();
+    expect(footprint.rawEvents).toBeLessThanOrEqual(20);
+    expect(footprint.stores.spatial).toBe(footprint.rawEvents);
+    expect(footprint.stores.temporal).toBe(footprint.rawEvents);
+    expect(footprint.stores.entity).toBe(footprint.rawEvents);
+    expect(memory.memoryStats.totalEvents).toBe(25);
+    expect(footprint.lastCompaction.evicted).toBeGreaterThan(0);
+  });
+
+  test('evicts memories past the retention window into summaries norms can use', async () => {
+    const memory = new ContextualMemorySystem({ memoryRetentionHours: 24 });
+    await storeEvents(memory, 3);
+    await storeEvents(memory, 1, { behaviors: ['loitering'] });
+
+    const report = await memory.compactMemories(Date.now() + 25 * HOUR);
+    expect(report.evicted).toBe(4);
+    expect(memory.getMemoryFootprint().rawEvents).toBe(0);
+
+    const norms = await memory.contextualNorms.getNorms({ location: 'front_door' }, { timeCategory: 'night' });
+    expect(norms.totalObservations).toBe(4);
+    expect(norms.archived).toMatchObject({ observations: 4, byHour: { 2: 4 } });
+    expect(norms.archived.averageSuspicion).toBeCloseTo(0.4);
+
+    const summary = Array.from(memory.contextualNorms.summaries.values())[0];
+    expect(summary.behaviors.get('loitering')).toBe(1);
+  });
+
+  test('entity averages survive history eviction; stale profiles are forgotten', async () => {
+    const memory = new ContextualMemorySystem({ memoryRetentionHours: 24, maxMemoryEvents: 5, memoryCompactionInterval: 1000 });
+    await storeEvents(memory, 6);
+
+    const [profile] = memory.entityMemory.entityProfiles.values();
+    expect(profile.totalSightings).toBe(6);
+    expect(profile.suspicionHistory.length + profile.archivedSuspicion.count).toBe(6);
+    expect(memory.entityMemory._getMostFrequentEntities()[0].averageSuspicion).toBeCloseTo(0.4);
+
+    await memory.compactMemories(Date.now() + 25 * HOUR);
+    expect(memory.entityMemory.entityProfiles.size).toBe(0);
+  });
+
+  test('reports the memory footprint in insights', async () => {
+    const memory = new ContextualMemorySystem({});
+    await storeEvents(memory, 2);
+
+    const { footprint } = memory.getMemoryInsights();
+    expect(footprint).toMatchObject({ rawEvents: 2, maxRawEvents: 5000, retentionHours: 168, entityProfiles: 1, summaries: 0 });
+    expect(footprint.estimatedBytes).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Tests for indexed memory retrieval in ContextualMemorySystem
+ */
+import { jest } from '@jest/globals';
+import { ContextualMemorySystem } from '../../contextual-memory-system.js';
+import { GoliathCognitiveInterpreter } from '../../mobilenovin-ai.js';
+
+const HOUR = 60 * 60 * 1000;
+
+const store = (memory, overrides = {}, assessment = {}) => memory.storeEvent(
+  {
+    entityType: 'human',
+    entityId: 'visitor-1',
+    location: 'front_door',
+    timestamp: Date.now(),
+    behaviors: ['approaching'],
+    ...overrides
+  },
+  { suspicionLevel: 0.3, ...assessment }
+);
+
+describe('MemoryRetrieval', () => {
+  test('answers compound entity, zone, behavior and time queries', async () => {
+    const memory = new ContextualMemorySystem({});
+    await store(memory, { entityId: 'red-coat', location: 'front_door', behaviors: ['loitering'] });
+    await store(memory, { entityId: 'red-coat', location: 'backyard', behaviors: ['loitering'] });
+    await store(memory, { entityId: 'blue-coat', location: 'front_door', behaviors: ['loitering'] });
+    await store(memory, { entityId: 'red-coat', location: 'front_door', behaviors: ['walking'] });
+
+    const results = await memory.memoryRetrieval.retrieveRelevantMemories({
+      entityId: 'red-coat',
+      zone: 'entry',
+      behaviors: ['loitering', 'checking_doors'],
+      lookbackHours: 1
+    });
+
+    expect(results).toHaveLength(1);
+    expect(results[0]).toMatchObject({ location: 'front_door', behaviors: ['loitering'] });
+    expect(await memory.memoryRetrieval.retrieveRelevantMemories({ entityId: 'red-coat', since: Date.now() + HOUR })).toEqual([]);
+  });
+
+  test('scans only the most selective index', async () => {
+    const memory = new ContextualMemorySystem({});
+    // Mid-hour, so the last ten minutes fall in one time bucket
+    const now = Math.floor(Date.now() / HOUR) * HOUR + HOUR / 2;
+    // Memories are stamped when stored
+    const clock = jest.spyOn(Date, 'now');
+    for (let i = 0; i < 400; i++) {
+      clock.mockReturnValue(now - i * 3 * 60 * 1000);
+      await store(memory, { entityId: `passer-${i}`, location: 'street' });
+    }
+    clock.mockReturnValue(now - 2 * HOUR);
+    await store(memory, { entityId: 'red-coat', location: 'front_door' });
+    clock.mockReturnValue(now - 30 * HOUR);
+    await store(memory, { entityId: 'red-coat', location: 'front_door' });
+    clock.mockRestore();
+
+    const lookups = jest.spyOn(memory.memoryRetrieval.records, 'get');
+    const atDoor = await memory.memoryRetrieval.retrieveRelevantMemories({ location: 'front_door', lookbackHours: 24, now });
+    expect(atDoor.map(record => record.entityId)).toEqual(['red-coat']);
+    expect(lookups.mock.calls.length).toBeLessThanOrEqual(2);
+
+    // A narrow time window beats a busy location
+    lookups.mockClear();
+    const recent = await memory.memoryRetrieval.retrieveRelevantMemories({ location: 'street', since: now - 10 * 60 * 1000, now });
+    expect(recent).toHaveLength(4);
+    expect(lookups.mock.calls.length).toBeLessThan(50);
+    lookups.mockRestore();
+  });
+
+  test('returns newest first and honors limit', async () => {
+    const memory = new ContextualMemorySystem({});
+    for (let i = 0; i < 5; i++) await store(memory);
+
+    const results = await memory.memoryRetrieval.retrieveRelevantMemories({ location: 'front_door', limit: 3 });
+    expect(results).toHaveLength(3);
+    expect(results[0].timestamp).toBeGreaterThanOrEqual(results[2].timestamp);
+  });
+
+  test('limit keeps the newest memories when they were stored out of order', async () => {
+    const memory = new ContextualMemorySystem({});
+    const now = Math.floor(Date.now() / HOUR) * HOUR + HOUR / 2;
+    const clock = jest.spyOn(Date, 'now');
+    // Late arrivals: stored after newer memories
+    for (const [entityId, minutesAgo] of [['b', 10], ['d', 2], ['a', 20], ['c', 5], ['e', 1]]) {
+      clock.mockReturnValue(now - minutesAgo * 60 * 1000);
+      await store(memory, { entityId, behaviors: [entityId === 'a' ? 'loitering' : 'approaching'] });
+    }
+    clock.mockRestore();
+
+    const retrieval = memory.memoryRetrieval;
+    const newest = (results) => results.map(record => record.entityId);
+    expect(newest(await retrieval.retrieveRelevantMemories({ location: 'front_door', limit: 3 }))).toEqual(['e', 'd', 'c']);
+    expect(newest(await retrieval.retrieveRelevantMemories({ since: now - HOUR, limit: 2, now }))).toEqual(['e', 'd']);
+    expect(newest(await retrieval.retrieveRelevantMemories({ behaviors: ['approaching', 'loitering'], limit: 4 }))).toEqual(['e', 'd', 'c', 'b']);
+  });
+
+  test('finds entries by eventId so learnFromFeedback works', async () => {
+    const memory = new ContextualMemorySystem({});
+    const memoryId = await store(memory, {}, { eventId: 'evt-1' });
+
+    expect((await memory._findMemoryEntry('evt-1')).memoryId).toBe(memoryId);
+    expect((await memory._findMemoryEntry(memoryId)).memoryId).toBe(memoryId);
+    expect(await memory.learnFromFeedback('evt-1', { actualThreat: false })).toBe(true);
+    expect(memory.memoryRetrieval.get(memoryId).feedback).toEqual({ actualThreat: false });
+
+    const norm = await memory.contextualNorms.getNorms(
+      { location: 'front_door' },
+      { timeCategory: memory._categorizeTime(new Date().getHours()) }
+    );
+    expect(norm.feedback).toEqual({ confirmedThreats: 0, falseAlarms: 1 });
+    await expect(memory.learnFromFeedback('evt-missing', { actualThreat: true })).rejects.toThrow('Memory entry not found');
+  });
+
+  test('evicted memories leave every index', async () => {
+    const memory = new ContextualMemorySystem({ memoryRetentionHours: 1 });
+    await store(memory, {}, { eventId: 'evt-old' });
+    await memory.compactMemories(Date.now() + 2 * HOUR);
+
+    expect(memory.memoryRetrieval.records.size).toBe(0);
+    expect(memory.memoryRetrieval.findByEventId('evt-old')).toBeNull();
+    expect(memory.memoryRetrieval.indexes.location.size).toBe(0);
+    expect(memory.memoryRetrieval.timeBuckets.size).toBe(0);
+  });
+
+  test('interpreter results can be fed back by eventId', async () => {
+    const interpreter = new GoliathCognitiveInterpreter({
+      autosave: { enabled: false },
+      processingTimeout: 1000,
+      engines: { memory: 'contextual' }
+    });
+    const result = await interpreter.interpretEvent({
+      entityType: 'human',
+      entityId: 'visitor-2',
+      location: 'front_door',
+      timestamp: Date.now(),
+      behaviors: ['approaching'],
+      detectionConfidence: 0.9
+    });
+
+    expect(await interpreter.contextualMemory.system.learnFromFeedback(result.eventId, { actualThreat: false })).toBe(true);
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Tests for time-based decay of learned norms
+ */
+import { jest } from '@jest/globals';
+import { AdaptiveLearningSystem, BehavioralNorms } from '../../adaptive-learning-system.js';
+import { PRODUCTION_ENGINES } from '../../engine-registry.js';
+import { GoliathCognitiveInterpreter } from '../../mobilenovin-ai.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Norm decay', () => {
+  test('a norm moves halfway back to neutral per half-life and is then forgotten', () => {
+    const norms = new BehavioralNorms();
+    const start = Date.now();
+    norms._setNorm('loitering', 0.9, start);
+
+    expect(norms.decay(10 * DAY_MS, start + 10 * DAY_MS)).toEqual({ decayed: 1, forgotten: 0 });
+    expect(norms.norms.get('loitering')).toBeCloseTo(0.7);
+
+    // Decay compounds from the last run rather than from the original update
+    norms.decay(10 * DAY_MS, start + 20 * DAY_MS);
+    expect(norms.norms.get('loitering')).toBeCloseTo(0.6);
+
+    expect(norms.decay(10 * DAY_MS, start + 200 * DAY_MS)).toEqual({ decayed: 1, forgotten: 1 });
+    expect(norms.norms.has('loitering')).toBe(false);
+  });
+
+  test('each category decays by its own configurable half-life', async () => {
+    const learning = new AdaptiveLearningSystem({ normHalfLives: { environmental: DAY_MS } });
+    await learning.updateNormsContinuously({
+      behavioralIndicators: [{ type: 'loitering', value: 1 }],
+      environmentalContext: { lightLevel: 1 }
+    });
+    const before = learning.getCurrentNorms();
+
+    const result = learning.decayNorms(Date.now() + DAY_MS);
+    const after = learning.getCurrentNorms();
+    expect(result.decayed).toBe(2);
+    expect(after.environmental.lightLevel - 0.5).toBeCloseTo((before.environmental.lightLevel - 0.5) / 2);
+    // 1 day of a 30 day half-life
+    expect(after.behavioral.loitering - 0.5).toBeCloseTo((before.behavioral.loitering - 0.5) * Math.pow(0.5, 1 / 30));
+  });
+
+  test('decay runs on a schedule until stopped', async () => {
+    jest.useFakeTimers();
+    try {
+      const learning = new AdaptiveLearningSystem({ normDecayIntervalMs: 1000 });
+      const decayNorms = jest.spyOn(learning, 'decayNorms');
+
+      learning.startNormDecay();
+      jest.advanceTimersByTime(3000);
+      expect(decayNorms).toHaveBeenCalledTimes(3);
+
+      learning.stopNormDecay();
+      jest.advanceTimersByTime(3000);
+      expect(decayNorms).toHaveBeenCalledTimes(3);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('the interpreter schedules decay unless disabled, and dispose() stops it', async () => {
+    const interpreter = new GoliathCognitiveInterpreter({ autosave: { enabled: false }, engines: PRODUCTION_ENGINES });
+    expect(interpreter.adaptiveLearning.system.normDecayTimer).not.toBeNull();
+    expect(interpreter.decayNorms()).toMatchObject({ decayed: 0, forgotten: 0 });
+    await interpreter.dispose();
+    expect(interpreter.adaptiveLearning.system.normDecayTimer).toBeNull();
+
+    const withoutDecay = new GoliathCognitiveInterpreter({ autosave: { enabled: false }, engines: PRODUCTION_ENGINES, enableNormDecay: false });
+    expect(withoutDecay.adaptiveLearning.system.normDecayTimer).toBeNull();
+    await withoutDecay.stop();
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Tests for encrypted-at-rest autosave snapshots
+ */
+import crypto from 'crypto';
+import { StaticKeyProvider, encryptPayload, decryptPayload, readEncryptionHeader } from '../../save-encryption.js';
+import { MemoryStorageAdapter } from '../../storage-adapters.js';
+import { AutoSaveSystem } from '../../autosave-system.js';
+
+const createComponent = (state) => ({
+  state,
+  getSaveState() { return this.state; },
+  restoreFromSave(saved) { this.state = saved; }
+});
+
+const createAutoSave = async (keyProvider, storage = new MemoryStorageAdapter()) => {
+  const autoSave = new AutoSaveSystem({ autosave: { storage, encryption: { keyProvider }, maxBackups: 5 } });
+  await autoSave.initialize();
+  return autoSave;
+};
+
+describe('Save encryption', () => {
+  test('round-trips payloads and records the key ID in the header', async () => {
+    const provider = new StaticKeyProvider({ keys: { k1: crypto.randomBytes(32) } });
+    const sealed = await encryptPayload(Buffer.from('occupancy data'), provider);
+
+    expect(sealed.includes(Buffer.from('occupancy data'))).toBe(false);
+    expect(readEncryptionHeader(sealed).header).toMatchObject({ alg: 'aes-256-gcm', keyId: 'k1' });
+    expect((await decryptPayload(sealed, provider)).toString()).toBe('occupancy data');
+  });
+
+  test('rejects tampered payloads and unknown keys', async () => {
+    const provider = new StaticKeyProvider({ keys: { k1: crypto.randomBytes(32) } });
+    const sealed = await encryptPayload(Buffer.from('occupancy data'), provider);
+
+    const tampered = Buffer.from(sealed);
+    tampered[tampered.length - 20] ^= 0xff;
+    await expect(decryptPayload(tampered, provider)).rejects.toThrow('failed authentication');
+
+    const otherProvider = new StaticKeyProvider({ keys: { k2: crypto.randomBytes(32) } });
+    await expect(decryptPayload(sealed, otherProvider)).rejects.toThrow('No encryption key available for key ID "k1"');
+  });
+
+  test('keys must be 32 bytes', () => {
+    expect(() => new StaticKeyProvider({ keys: { short: Buffer.alloc(8) } })).toThrow('must be 32 bytes');
+    expect(() => new StaticKeyProvider({ keys: { hex: 'ab'.repeat(32) } })).not.toThrow();
+  });
+});
+
+describe('AutoSaveSystem with encryption', () => {
+  test('writes sealed saves without a plaintext checksum and restores them', async () => {
+    const storage = new MemoryStorageAdapter();
+    const provider = new StaticKeyProvider({ keys: { k1: crypto.randomBytes(32) } });
+    const autoSave = await createAutoSave(provider, storage);
+    const component = createComponent({ alertTimestamps: [['entity-1@front_door', 1]] });
+    autoSave.registerComponent('main-ai-system', component);
+
+    const location = await autoSave.saveState();
+    expect(location).toMatch(/\.json\.gz\.enc$/);
+    expect((await storage.list()).some(name => name.endsWith('.checksum'))).toBe(false);
+
+    component.state = {};
+    await autoSave.restoreFromSave(await autoSave.loadLatestSave());
+    expect(component.state.alertTimestamps[0][0]).toBe('entity-1@front_door');
+    await autoSave.shutdown();
+  });
+
+  test('loadSave rejects a tampered save', async () => {
+    const storage = new MemoryStorageAdapter();
+    const autoSave = await createAutoSave(new StaticKeyProvider({ keys: { k1: crypto.randomBytes(32) } }), storage);
+    autoSave.registerComponent('memory', createComponent({ events: 1 }));
+    await autoSave.saveState();
+
+    const [name] = await storage.list();
+    const data = Buffer.from(await storage.read(name));
+    data[data.length - 1] ^= 0x01;
+    await storage.write(name, data);
+
+    await expect(autoSave.loadSave(name)).rejects.toThrow('failed authentication');
+    await autoSave.shutdown();
+  });
+
+  test('plaintext saves and journal records are rejected once encryption is configured', async () => {
+    const storage = new MemoryStorageAdapter();
+    const provider = new StaticKeyProvider({ keys: { k1: crypto.randomBytes(32) } });
+    const autoSave = new AutoSaveSystem({ autosave: { storage, encryption: { keyProvider: provider }, journal: true } });
+    await autoSave.initialize();
+    const component = createComponent({ events: 1 });
+    autoSave.registerComponent('memory', component);
+    await autoSave.saveState();
+
+    const planted = `autosave-${Date.now() + 60000}.json`;
+    await storage.write(planted, JSON.stringify({ id: 'planted', components: { memory: { state: { events: 99 } } } }));
+    await expect(autoSave.loadSave(planted)).rejects.toThrow(`Save ${planted} is not encrypted`);
+    expect((await autoSave.loadLatestSave()).components.memory.state).toEqual({ events: 1 });
+
+    await storage.append('autosave-journal.log', `${JSON.stringify({ seq: 50, componentId: 'memory', state: { events: 99 } })}\n`);
+    expect(await autoSave._readJournal()).toEqual([]);
+    await autoSave.recover();
+    expect(component.state).toEqual({ events: 1 });
+    await autoSave.shutdown();
+  });
+
+  test('reencryptBackups moves old and plaintext saves to the active key', async () => {
+    const storage = new MemoryStorageAdapter();
+    const component = createComponent({ events: 1 });
+
+    const plain = new AutoSaveSystem({ autosave: { storage } });
+    await plain.initialize();
+    plain.registerComponent('memory', component);
+    await plain.saveState();
+    await plain.shutdown();
+    await new Promise(resolve => setTimeout(resolve, 2));
+
+    const provider = new StaticKeyProvider({ keys: { k1: crypto.randomBytes(32) } });
+    const autoSave = await createAutoSave(provider, storage);
+    autoSave.registerComponent('memory', component);
+    await autoSave.saveState();
+
+    provider.rotate('k2', crypto.randomBytes(32));
+    const result = await autoSave.reencryptBackups();
+    expect(result.reencrypted).toHaveLength(2);
+    expect(result.failed).toEqual([]);
+
+    provider.retire('k1');
+    const names = await storage.list();
+    expect(names.every(name => name.endsWith('.enc'))).toBe(true);
+    for (const name of names) {
+      expect(readEncryptionHeader(await storage.read(name)).header.keyId).toBe('k2');
+      expect((await autoSave.loadSave(name)).components.memory.state).toEqual({ events: 1 });
+    }
+
+    expect((await autoSave.reencryptBackups()).skipped).toHaveLength(2);
+    await autoSave.shutdown();
+  });
+});
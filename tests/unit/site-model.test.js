@@ -0,0 +1,127 @@
+/**
+ * Tests for the declarative site floor plan
+ */
+import { SiteModel, loadSiteModel, DEFAULT_SITE_DEFINITION } from '../../site-model.js';
+import { computeContextMultipliers } from '../../brand-configuration.js';
+import { PRODUCTION_ENGINES } from '../../engine-registry.js';
+import { GoliathCognitiveInterpreter, CognitiveError } from '../../mobilenovin-ai.js';
+
+const shop = {
+  name: 'corner-shop',
+  zones: {
+    sidewalk: { type: 'public', visibility: 'high', criticality: 'low', riskLevel: 0.2 },
+    shop_door: { type: 'entry', criticality: 'high', riskLevel: 0.6, cameras: ['cam-front'] },
+    alley: { type: 'exterior', visibility: 'low', riskLevel: 0.5, polygon: [[0, 0], [4, 0], [4, 20], [0, 20]] },
+    loading_bay: { type: 'access', entryPoint: true, accessControl: 'low', riskLevel: 0.7 }
+  },
+  connections: [['sidewalk', 'shop_door'], ['sidewalk', 'alley'], { from: 'alley', to: 'loading_bay', oneWay: true }],
+  landmarks: { dumpster: { zone: 'alley', coordinates: [2, 15] } },
+  cameras: { 'cam-alley': { zones: ['alley', 'loading_bay'] } }
+};
+
+describe('SiteModel', () => {
+  test('the default model describes the generic house', () => {
+    const site = new SiteModel();
+    expect(site.getZone('back_door')).toMatchObject({ type: 'entry', entryPoint: true, riskLevel: 0.8, visibility: 'low', known: true });
+    expect(site.isEntryPoint('window')).toBe(true);
+    expect(site.isEntryPoint('yard')).toBe(false);
+    expect(site.proximityToEntry('street')).toBe(0.1);
+
+    // Unknown locations are neutral, and doors and windows are still entry points
+    expect(site.getZone('patio')).toMatchObject({ type: 'unknown', riskLevel: 0.4, entryPoint: false, known: false });
+    expect(site.isEntryPoint('side_door')).toBe(true);
+    expect(site.toJSON()).toEqual(DEFAULT_SITE_DEFINITION);
+  });
+
+  test('connections, cameras, landmarks and polygons', () => {
+    const site = loadSiteModel(JSON.stringify(shop));
+    expect(site.getNeighbors('sidewalk').sort()).toEqual(['alley', 'shop_door']);
+    expect(site.findPath('shop_door', 'loading_bay')).toEqual(['shop_door', 'sidewalk', 'alley', 'loading_bay']);
+    expect(site.findPath('loading_bay', 'alley')).toBeNull();
+    expect(site.getCameras('loading_bay')).toEqual(['cam-alley']);
+    expect(site.getCameraZones('cam-alley')).toEqual(['alley', 'loading_bay']);
+    expect(site.getLandmarks('alley')).toEqual([expect.objectContaining({ id: 'dumpster', coordinates: { x: 2, y: 15 } })]);
+    expect(site.zoneAt({ x: 2, y: 10 })).toBe('alley');
+    expect(site.zoneAt([9, 9])).toBeNull();
+    expect(site.getZone('alley').coordinates).toEqual({ x: 2, y: 10 });
+  });
+
+  test('invalid definitions list every problem and leave the model unchanged', () => {
+    const site = new SiteModel(shop);
+    const invalid = () => site.load({
+      zones: {
+        door: { type: 'portal', visibility: 'bright', riskLevel: 2 },
+        yard: { polygon: [[0, 0], [1, 1]] }
+      },
+      connections: [['door', 'garden']],
+      landmarks: { tree: { zone: 'garden' } }
+    });
+
+    expect(invalid).toThrow('Invalid site model');
+    try {
+      invalid();
+    } catch (error) {
+      expect(error.message).toContain('zones.door.type must be one of');
+      expect(error.message).toContain('zones.door.visibility must be one of low, medium, high');
+      expect(error.message).toContain('zones.door.riskLevel must be a number between 0 and 1');
+      expect(error.message).toContain('zones.yard.polygon must list at least 3');
+      expect(error.message).toContain('connections[0] must join two known zones');
+      expect(error.message).toContain('landmarks.tree.zone must be a known zone');
+    }
+    expect(site.name).toBe('corner-shop');
+    expect(() => loadSiteModel('{ not json')).toThrow('Invalid site model');
+    expect(() => loadSiteModel({ zones: {} })).toThrow('at least one zone');
+  });
+
+  test('the brand entry point weight follows the site model', () => {
+    const weights = { location: 1.4 };
+    const site = new SiteModel(shop);
+    const reasons = location => computeContextMultipliers({ location }, {}, weights, false, site).map(m => m.reason);
+    expect(reasons('loading_bay')).toEqual(['context_entry_point']);
+    expect(reasons('alley')).toEqual([]);
+  });
+});
+
+describe('Interpreter site model', () => {
+  test('every engine shares the configured site model', async () => {
+    const interpreter = new GoliathCognitiveInterpreter({
+      autosave: { enabled: false },
+      processingTimeout: 5000,
+      engines: PRODUCTION_ENGINES,
+      siteModel: shop
+    });
+    for (const engine of [interpreter.contextualMemory.system, interpreter.intentModeler.framework, interpreter.reasoningEngine]) {
+      expect(engine.siteModel).toBe(interpreter.siteModel);
+    }
+
+    const memory = interpreter.contextualMemory.system;
+    const event = { location: 'loading_bay', timestamp: Date.now() };
+    expect(memory._extractSpatialContext(event)).toMatchObject({ zone: 'access', entryPoint: true, visibility: 'medium' });
+
+    interpreter.loadSiteModel({ zones: { loading_bay: { type: 'public' } } });
+    expect(memory._extractSpatialContext(event)).toMatchObject({ zone: 'public', entryPoint: false });
+    expect(interpreter.getSiteModel().zones).toEqual({ loading_bay: { type: 'public' } });
+
+    const assessment = await interpreter.interpretEvent({
+      entityType: 'person', entityId: 'worker-1', location: 'loading_bay', timestamp: Date.now(), behaviors: ['approaching']
+    });
+    expect(assessment.eventId).toBeDefined();
+
+    // The loaded plan outlives a restart
+    const restored = new GoliathCognitiveInterpreter({ autosave: { enabled: false }, engines: PRODUCTION_ENGINES, siteModel: shop });
+    await restored.restoreFromSave(await interpreter.getSaveState());
+    expect(restored.getSiteModel().zones).toEqual({ loading_bay: { type: 'public' } });
+    expect(restored.contextualMemory.system._extractSpatialContext(event)).toMatchObject({ zone: 'public', entryPoint: false });
+    await interpreter.dispose();
+    await restored.dispose();
+  });
+
+  test('invalid site models are rejected', () => {
+    expect(() => new GoliathCognitiveInterpreter({ autosave: { enabled: false }, siteModel: { zones: { x: { type: 'moat' } } } }))
+      .toThrow('Invalid site model');
+
+    const interpreter = new GoliathCognitiveInterpreter({ autosave: { enabled: false } });
+    expect(() => interpreter.loadSiteModel('[]')).toThrow(CognitiveError);
+    expect(interpreter.getSiteModel()).toEqual(DEFAULT_SITE_DEFINITION);
+  });
+});
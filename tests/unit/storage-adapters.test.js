@@ -0,0 +1,145 @@
+/**
+ * Tests for pluggable autosave storage backends
+ */
+import {
+  MemoryStorageAdapter,
+  SingleFileStorageAdapter,
+  KeyValueStorageAdapter,
+  FileSystemStorageAdapter,
+  createStorageAdapter,
+  validateStorageAdapter
+} from '../../storage-adapters.js';
+import { AutoSaveSystem } from '../../autosave-system.js';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+// Minimal AsyncStorage-style store
+const createAsyncStore = () => {
+  const items = new Map();
+  return {
+    getItem: async key => (items.has(key) ? items.get(key) : null),
+    setItem: async (key, value) => { items.set(key, value); },
+    removeItem: async key => { items.delete(key); },
+    getAllKeys: async () => Array.from(items.keys())
+  };
+};
+
+const exerciseAdapter = async (adapter) => {
+  if (adapter.initialize) await adapter.initialize();
+
+  await adapter.write('a.tmp', Buffer.from([1, 2, 3]));
+  await adapter.rename('a.tmp', 'a');
+  await adapter.write('b', 'text');
+
+  expect((await adapter.list()).sort()).toEqual(['a', 'b']);
+  expect(Buffer.from(await adapter.read('a'))).toEqual(Buffer.from([1, 2, 3]));
+  expect((await adapter.read('b')).toString()).toBe('text');
+  expect(await adapter.read('missing')).toBeNull();
+
+  await adapter.delete('a');
+  await adapter.delete('missing');
+  expect(await adapter.list()).toEqual(['b']);
+};
+
+describe('Storage adapters', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'novin-storage-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('memory adapter', async () => {
+    await exerciseAdapter(new MemoryStorageAdapter());
+  });
+
+  test('filesystem adapter', async () => {
+    await exerciseAdapter(new FileSystemStorageAdapter({ directory: path.join(tempDir, 'saves') }));
+  });
+
+  test('single-file adapter persists every entry in one file', async () => {
+    const filename = path.join(tempDir, 'autosave.db');
+    await exerciseAdapter(new SingleFileStorageAdapter({ filename }));
+
+    expect(await fs.readdir(tempDir)).toEqual(['autosave.db']);
+    const reopened = new SingleFileStorageAdapter({ filename });
+    expect((await reopened.read('b')).toString()).toBe('text');
+  });
+
+  test('key-value adapter namespaces entries in the store', async () => {
+    const store = createAsyncStore();
+    await store.setItem('unrelated', 'x');
+    await exerciseAdapter(new KeyValueStorageAdapter({ store, prefix: 'test:' }));
+    expect(await store.getAllKeys()).toEqual(['unrelated', 'test:b']);
+  });
+
+  test('custom adapters must implement the contract', () => {
+    expect(() => validateStorageAdapter({ list() {}, read() {} }))
+      .toThrow('missing required methods: write, delete, rename');
+    expect(() => createStorageAdapter('cloud')).toThrow('Unknown storage backend');
+  });
+});
+
+describe('AutoSaveSystem storage', () => {
+  test('saves and loads through the configured adapter', async () => {
+    const storage = new MemoryStorageAdapter();
+    const autoSave = new AutoSaveSystem({ autosave: { storage, maxBackups: 1 } });
+    await autoSave.initialize();
+
+    const component = { value: 1, getSaveState() { return { value: this.value }; }, restoreFromSave(s) { this.value = s.value; } };
+    autoSave.registerComponent('counter', component);
+
+    await autoSave.saveState();
+    component.value = 2;
+    await new Promise(resolve => setTimeout(resolve, 2));
+    const location = await autoSave.saveState();
+
+    expect(location).toMatch(/^memory:\/\/autosave-\d+\.json\.gz$/);
+    expect((await storage.list()).filter(name => name.endsWith('.gz'))).toHaveLength(1);
+
+    component.value = 0;
+    await autoSave.restoreFromSave(await autoSave.loadLatestSave());
+    expect(component.value).toBe(2);
+    await autoSave.shutdown();
+  });
+
+  test('non-node platforms default to in-memory storage', () => {
+    const autoSave = new AutoSaveSystem({ platform: 'react-native', autosave: { enabled: false } });
+    expect(autoSave.storage).toBeInstanceOf(MemoryStorageAdapter);
+    expect(autoSave.config).toMatchObject({ compressionEnabled: false, checksumValidation: false });
+  });
+
+  test('the interpreter loads and saves without Node built-in modules', async () => {
+    const interpreterUrl = pathToFileURL(path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../mobilenovin-ai.js')).href;
+    const blockBuiltins = `export async function resolve(specifier, context, next) {
+      if (/^(node:)?(fs|fs\\/promises|path|zlib|crypto|util)$/.test(specifier)) throw new Error('no ' + specifier);
+      return next(specifier, context);
+    }`;
+    const script = `
+      import { register } from 'node:module';
+      register('data:text/javascript,' + encodeURIComponent(${JSON.stringify(blockBuiltins)}));
+      const { GoliathCognitiveInterpreter } = await import(${JSON.stringify(interpreterUrl)});
+      const items = new Map();
+      const store = { getItem: async k => items.get(k) ?? null, setItem: async (k, v) => { items.set(k, v); }, removeItem: async k => { items.delete(k); }, getAllKeys: async () => [...items.keys()] };
+      const options = { platform: 'browser', autosave: { intervalMs: 60000, storage: 'key-value', storageOptions: { store } } };
+      const interpreter = new GoliathCognitiveInterpreter(options);
+      await interpreter.autoSaveSystem.initialize();
+      interpreter.labelEntity('courier-1', 'delivery_driver');
+      await interpreter.saveState();
+      const restored = new GoliathCognitiveInterpreter(options);
+      await restored.autoSaveSystem.initialize();
+      await restored.loadLatestState();
+      console.log(JSON.stringify(restored.listEntities().map(entity => entity.label)));
+    `;
+
+    const { stdout } = await promisify(execFile)(process.execPath, ['--input-type=module', '-e', script], { timeout: 30000 });
+    expect(stdout.trim().split('\n').pop()).toBe('["delivery_driver"]');
+  });
+});